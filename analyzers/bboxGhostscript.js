@@ -1,41 +1,60 @@
 // analyzers/bboxGhostscript.js
-const { exec } = require('child_process');
-
-function runGhostscriptBBox(filePath) {
-  return new Promise((resolve, reject) => {
-    const command = `gs -dSAFER -dNOPAUSE -dBATCH -sDEVICE=bbox "${filePath}"`;
-    exec(command, (error, stdout, stderr) => {
-      if (error) {
-        console.error('Ghostscript bbox error:', stderr);
-        return reject(new Error('Ghostscript bbox failed'));
-      }
-
-      // On recherche la première HiResBoundingBox
-      const m = stderr.match(/%%HiResBoundingBox:\s*([-\d.]+)\s+([-\d.]+)\s+([-\d.]+)\s+([-\d.]+)/);
-      if (!m) {
-        return reject(new Error('No HiResBoundingBox found'));
-      }
-
-      const [, llxStr, llyStr, urxStr, uryStr] = m;
-      const llx = parseFloat(llxStr);
-      const lly = parseFloat(llyStr);
-      const urx = parseFloat(uryStr ? urxStr : llxStr); // sécurité basique
-      const ury = parseFloat(uryStr);
-
-      const widthPt = urx - llx;
-      const heightPt = ury - lly;
-      const ptToMm = (pt) => pt * 25.4 / 72;
-
-      resolve({
-        llx, lly, urx, ury,
-        widthPt,
-        heightPt,
-        width_mm: +ptToMm(widthPt).toFixed(2),
-        height_mm: +ptToMm(heightPt).toFixed(2),
-        method: 'bbox_render'
-      });
-    });
-  });
+//
+// Bbox encrée calculée par Ghostscript (sDEVICE=bbox), seule implémentation
+// partagée par les analyseurs, la conversion PDF et l'API.
+// - runGhostscriptBBox : première page (EPS, PDF converti, ...)
+// - runGhostscriptBBoxPages : une bbox par page rendue (plage optionnelle)
+// - describeBox : rectangle en points décrit avec sa taille en mm
+
+const { runGhostscript } = require('../lib/processRunner');
+const { ptToMm } = require('../lib/common');
+
+const HIRES_BBOX_RE = /%%HiResBoundingBox:\s*([-\d.]+)\s+([-\d.]+)\s+([-\d.]+)\s+([-\d.]+)/g;
+
+// Décrit un rectangle (llx, lly, urx, ury en points) avec sa taille en mm
+function describeBox(llx, lly, urx, ury) {
+  const widthPt = urx - llx;
+  const heightPt = ury - lly;
+  return {
+    llx,
+    lly,
+    urx,
+    ury,
+    widthPt,
+    heightPt,
+    width_mm: +ptToMm(widthPt).toFixed(2),
+    height_mm: +ptToMm(heightPt).toFixed(2)
+  };
+}
+
+// Bbox Ghostscript de toutes les pages (ou d'une plage firstPage..lastPage)
+// Renvoie un tableau de bbox, index 0 = firstPage
+async function runGhostscriptBBoxPages(filePath, { firstPage, lastPage } = {}) {
+  const { stderr } = await runGhostscript([
+    ...(firstPage ? [`-dFirstPage=${firstPage}`] : []),
+    ...(lastPage ? [`-dLastPage=${lastPage}`] : []),
+    '-sDEVICE=bbox',
+    filePath
+  ]);
+
+  // Ghostscript imprime une HiResBoundingBox par page rendue
+  const boxes = [...stderr.matchAll(HIRES_BBOX_RE)].map((m) => describeBox(...m.slice(1, 5).map(parseFloat)));
+
+  if (boxes.length === 0) {
+    throw new Error('No HiResBoundingBox found in Ghostscript output');
+  }
+
+  return boxes;
+}
+
+// Bbox de la première page rendue (sans plage : -dFirstPage est ignoré en PostScript)
+async function runGhostscriptBBox(filePath) {
+  const [first] = await runGhostscriptBBoxPages(filePath);
+  return { ...first, source: 'ghostscript' };
 }
 
-module.exports = { runGhostscriptBBox };
+module.exports = {
+  describeBox,
+  runGhostscriptBBox,
+  runGhostscriptBBoxPages
+};
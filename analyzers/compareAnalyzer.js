@@ -0,0 +1,361 @@
+// analyzers/compareAnalyzer.js
+//
+// Comparaison de deux versions d'un visuel (route /compare).
+// - rendu Ghostscript des deux fichiers à la même résolution (page d'aperçu :
+//   CropBox, rotation appliquée, fond blanc), alignés en haut à gauche
+// - image de différence PNG : version B estompée, pixels modifiés en rouge
+// - pourcentage de pixels modifiés, bbox des zones modifiées en mm
+//   (origine en haut à gauche), zones distinctes regroupées par cellules de 5 mm
+// - tableau des champs d'analyse différents (taille, pages, espaces couleur, ...)
+// - différence et encodage PNG par tranches (compression zlib hors du thread
+//   principal) : la boucle d'événements n'est pas bloquée par une grande image
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { buildPreviewPdf } = require('../converters/preview');
+const { readRgb8 } = require('./tiff');
+const { runGhostscript } = require('../lib/processRunner');
+const { badRequest, ptToMm } = require('../lib/common');
+
+const DEFAULT_DPI = 100;
+const MAX_DPI = 300;
+// Plafond de pixels de l'image de différence, union des deux rendus (mémoire) :
+// la résolution est abaissée au besoin
+const MAX_PIXELS = 25 * 1000 * 1000;
+// Pixels (ou octets pour le CRC) traités entre deux retours à la boucle d'événements
+const SLICE_SIZE = 256 * 1024;
+// Écart maximal par composante (0-255) toléré : lissage, arrondis de rendu
+const DEFAULT_TOLERANCE = 16;
+// Taille des cellules de regroupement des zones modifiées
+const REGION_CELL_MM = 5;
+const MAX_REGIONS = 50;
+// Lignes du tableau des champs différents
+const MAX_FIELD_ROWS = 200;
+
+// Champs sans intérêt pour la comparaison
+const IGNORED_FIELDS = ['fileName', 'originalName', 'analyzedPages'];
+
+const round = (value, digits = 2) => +value.toFixed(digits);
+const deflate = promisify(zlib.deflate);
+const yieldToEventLoop = () => new Promise((resolve) => setImmediate(resolve));
+
+// Paramètres de requête → { page, dpi, tolerance }
+function parseCompareOptions(params) {
+  const readNumber = (name, { min, max, integer = false }) => {
+    const raw = params[name];
+    if (raw === undefined || raw === '') return null;
+    const n = Number(raw);
+    if (!Number.isFinite(n) || n < min || n > max || (integer && !Number.isInteger(n))) {
+      throw badRequest(`${name} must be ${integer ? 'an integer' : 'a number'} between ${min} and ${max}`);
+    }
+    return n;
+  };
+
+  const tolerance = readNumber('tolerance', { min: 0, max: 255, integer: true });
+  return {
+    page: readNumber('page', { min: 1, max: Number.MAX_SAFE_INTEGER, integer: true }) || 1,
+    dpi: readNumber('dpi', { min: 10, max: MAX_DPI }) || DEFAULT_DPI,
+    tolerance: tolerance === null ? DEFAULT_TOLERANCE : tolerance
+  };
+}
+
+// ---- PNG (écriture sans dépendance) ----
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32Update(c, buf) {
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return c;
+}
+
+// Chunk PNG [longueur, type, données, CRC] ; CRC calculé par tranches
+async function pngChunk(type, data) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(data.length, 0);
+  head.write(type, 4, 'latin1');
+  let c = crc32Update(0xffffffff, head.subarray(4));
+  for (let start = 0; start < data.length; start += SLICE_SIZE) {
+    c = crc32Update(c, data.subarray(start, start + SLICE_SIZE));
+    await yieldToEventLoop();
+  }
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE((c ^ 0xffffffff) >>> 0, 0);
+  return Buffer.concat([head, data, crc]);
+}
+
+// Pixels RVB 8 bits → fichier PNG (lignes sans filtre)
+async function encodePng(width, height, rgb) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; // bits par composante
+  ihdr[9] = 2; // RVB
+  const raw = Buffer.alloc((width * 3 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    rgb.copy(raw, y * (width * 3 + 1) + 1, y * width * 3, (y + 1) * width * 3);
+  }
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    await pngChunk('IHDR', ihdr),
+    await pngChunk('IDAT', await deflate(raw)),
+    await pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// ---- Rendu ----
+
+// Page d'aperçu (page demandée, fond blanc) de chaque PDF ; la résolution commune est
+// la plus basse des deux, abaissée pour que l'union des deux pages (taille de
+// l'image de différence) reste sous MAX_PIXELS
+async function renderPair(pdfPaths, options, workPrefix) {
+  const layouts = [];
+  for (const [i, pdfPath] of pdfPaths.entries()) {
+    try {
+      layouts.push(await buildPreviewPdf(pdfPath, `${workPrefix}.${i}.pdf`, {
+        page: options.page,
+        dpi: options.dpi,
+        background: '#ffffff',
+        overlay: [],
+        contactSheet: false
+      }));
+    } catch (err) {
+      if (err.statusCode === 400) err.message = `File ${i === 0 ? 'A' : 'B'}: ${err.message}`;
+      throw err;
+    }
+  }
+
+  const unionArea = Math.max(...layouts.map((l) => l.width)) * Math.max(...layouts.map((l) => l.height));
+  const dpi = Math.min(...layouts.map((l) => l.dpi), Math.sqrt((MAX_PIXELS * 72 * 72) / unionArea));
+  const renderDpi = +dpi.toFixed(3);
+
+  const images = [];
+  for (const i of [0, 1]) {
+    const tiffPath = `${workPrefix}.${i}.tif`;
+    await runGhostscript([
+      '-q',
+      '-sDEVICE=tiff24nc',
+      `-r${renderDpi}`,
+      '-dTextAlphaBits=4',
+      '-dGraphicsAlphaBits=4',
+      `-sOutputFile=${tiffPath}`,
+      `${workPrefix}.${i}.pdf`
+    ]);
+    images.push(readRgb8(fs.readFileSync(tiffPath)));
+  }
+
+  return { dpi: renderDpi, layouts, images };
+}
+
+// ---- Différence de pixels ----
+
+// Zones modifiées : cellules contenant des pixels modifiés, regroupées par voisinage (8-connexité)
+function changedRegions(cells, cols, rows) {
+  const regions = [];
+  const seen = new Uint8Array(cols * rows);
+  for (let start = 0; start < cells.length; start++) {
+    if (!cells[start] || seen[start]) continue;
+    const region = { minX: Infinity, minY: Infinity, maxX: -1, maxY: -1, pixels: 0 };
+    const stack = [start];
+    seen[start] = 1;
+    while (stack.length) {
+      const index = stack.pop();
+      const cell = cells[index];
+      region.minX = Math.min(region.minX, cell.minX);
+      region.minY = Math.min(region.minY, cell.minY);
+      region.maxX = Math.max(region.maxX, cell.maxX);
+      region.maxY = Math.max(region.maxY, cell.maxY);
+      region.pixels += cell.pixels;
+
+      const cx = index % cols;
+      const cy = Math.floor(index / cols);
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = cx + dx;
+          const ny = cy + dy;
+          if (nx < 0 || ny < 0 || nx >= cols || ny >= rows) continue;
+          const next = ny * cols + nx;
+          if (cells[next] && !seen[next]) {
+            seen[next] = 1;
+            stack.push(next);
+          }
+        }
+      }
+    }
+    regions.push(region);
+  }
+  return regions.sort((a, b) => b.pixels - a.pixels);
+}
+
+// Deux rendus RVB alignés en haut à gauche (hors d'une image : blanc), traités par
+// tranches de lignes → { width, height, changedPixels, bbox (px), regions (px), diff (RVB) }
+async function diffImages(a, b, tolerance, cellPx) {
+  const width = Math.max(a.width, b.width);
+  const height = Math.max(a.height, b.height);
+  const rowsPerSlice = Math.max(1, Math.floor(SLICE_SIZE / width));
+  const diff = Buffer.alloc(width * height * 3);
+  const cols = Math.ceil(width / cellPx);
+  const rows = Math.ceil(height / cellPx);
+  const cells = new Array(cols * rows).fill(null);
+
+  const pixel = (img, x, y, c) => (x < img.width && y < img.height ? img.data[(y * img.width + x) * 3 + c] : 255);
+
+  let changed = 0;
+  const bbox = { minX: Infinity, minY: Infinity, maxX: -1, maxY: -1 };
+  for (let y = 0; y < height; y++) {
+    if (y > 0 && y % rowsPerSlice === 0) await yieldToEventLoop();
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 3;
+      let delta = 0;
+      for (let c = 0; c < 3; c++) {
+        delta = Math.max(delta, Math.abs(pixel(a, x, y, c) - pixel(b, x, y, c)));
+      }
+
+      if (delta > tolerance) {
+        changed++;
+        diff[o] = 255;
+        diff[o + 1] = 0;
+        diff[o + 2] = 0;
+        bbox.minX = Math.min(bbox.minX, x);
+        bbox.minY = Math.min(bbox.minY, y);
+        bbox.maxX = Math.max(bbox.maxX, x);
+        bbox.maxY = Math.max(bbox.maxY, y);
+
+        const index = Math.floor(y / cellPx) * cols + Math.floor(x / cellPx);
+        const cell = cells[index] || (cells[index] = { minX: x, minY: y, maxX: x, maxY: y, pixels: 0 });
+        cell.minX = Math.min(cell.minX, x);
+        cell.minY = Math.min(cell.minY, y);
+        cell.maxX = Math.max(cell.maxX, x);
+        cell.maxY = Math.max(cell.maxY, y);
+        cell.pixels++;
+      } else {
+        // Version B en gris clair comme repère
+        const grey = 0.299 * pixel(b, x, y, 0) + 0.587 * pixel(b, x, y, 1) + 0.114 * pixel(b, x, y, 2);
+        diff[o] = diff[o + 1] = diff[o + 2] = Math.round(255 - (255 - grey) * 0.25);
+      }
+    }
+  }
+
+  return {
+    width,
+    height,
+    changedPixels: changed,
+    bbox: changed ? bbox : null,
+    regions: changed ? changedRegions(cells, cols, rows) : [],
+    diff
+  };
+}
+
+// Rectangle en pixels (bornes incluses) → mm, origine en haut à gauche
+function pxBoxToMm(box, dpi) {
+  const mm = (px) => round((px * 25.4) / dpi);
+  return {
+    x_mm: mm(box.minX),
+    y_mm: mm(box.minY),
+    width_mm: mm(box.maxX - box.minX + 1),
+    height_mm: mm(box.maxY - box.minY + 1)
+  };
+}
+
+// pdfA, pdfB → image de différence PNG diffPath et mesures
+async function comparePdfs(pdfA, pdfB, diffPath, options) {
+  const workPrefix = `${diffPath}.work`;
+  try {
+    const { dpi, layouts, images } = await renderPair([pdfA, pdfB], options, workPrefix);
+    const cellPx = Math.max(1, Math.round((REGION_CELL_MM * dpi) / 25.4));
+    const result = await diffImages(images[0], images[1], options.tolerance, cellPx);
+
+    await fs.promises.writeFile(diffPath, await encodePng(result.width, result.height, result.diff));
+
+    const total = result.width * result.height;
+    const size = (layout, image) => ({
+      pageCount: layout.pageCount,
+      width_mm: round(ptToMm(layout.width)),
+      height_mm: round(ptToMm(layout.height)),
+      width_px: image.width,
+      height_px: image.height
+    });
+
+    return {
+      page: options.page,
+      dpi,
+      tolerance: options.tolerance,
+      alignment: 'top-left',
+      a: size(layouts[0], images[0]),
+      b: size(layouts[1], images[1]),
+      sameSize: images[0].width === images[1].width && images[0].height === images[1].height,
+      width_px: result.width,
+      height_px: result.height,
+      changedPixels: result.changedPixels,
+      totalPixels: total,
+      changedPercent: round((result.changedPixels / total) * 100, 3),
+      identical: result.changedPixels === 0,
+      changedBbox: result.bbox ? pxBoxToMm(result.bbox, dpi) : null,
+      regions: result.regions.slice(0, MAX_REGIONS).map((region) => ({
+        ...pxBoxToMm(region, dpi),
+        changedPixels: region.pixels
+      })),
+      ...(result.regions.length > MAX_REGIONS ? { regionCount: result.regions.length } : {})
+    };
+  } finally {
+    for (const suffix of ['.0.pdf', '.1.pdf', '.0.tif', '.1.tif']) {
+      try {
+        if (fs.existsSync(workPrefix + suffix)) fs.unlinkSync(workPrefix + suffix);
+      } catch (e) {
+        console.warn('Erreur suppression fichier comparaison:', e.message);
+      }
+    }
+  }
+}
+
+// ---- Champs d'analyse ----
+
+// Résultat d'analyse → { "chemin.du.champ": valeur } ; listes de valeurs simples jointes
+function flattenFields(value, prefix = '', out = {}) {
+  if (Array.isArray(value)) {
+    if (value.every((v) => v === null || typeof v !== 'object')) {
+      out[prefix] = value.join(', ');
+    } else {
+      value.forEach((v, i) => flattenFields(v, `${prefix}[${i}]`, out));
+    }
+  } else if (value && typeof value === 'object') {
+    for (const [key, v] of Object.entries(value)) {
+      if (IGNORED_FIELDS.includes(key)) continue;
+      flattenFields(v, prefix ? `${prefix}.${key}` : key, out);
+    }
+  } else if (value !== undefined) {
+    out[prefix] = value;
+  }
+  return out;
+}
+
+// Tableau des champs qui diffèrent : [{ field, a, b }] (null = absent d'un côté)
+function diffFields(analysisA, analysisB) {
+  const a = flattenFields(analysisA);
+  const b = flattenFields(analysisB);
+  const rows = [];
+  for (const field of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    const va = field in a ? a[field] : null;
+    const vb = field in b ? b[field] : null;
+    // nombres : écarts d'arrondi ignorés
+    const same = typeof va === 'number' && typeof vb === 'number' ? Math.abs(va - vb) < 0.005 : va === vb;
+    if (!same) rows.push({ field, a: va, b: vb });
+  }
+  return {
+    fields: rows.slice(0, MAX_FIELD_ROWS),
+    differentFields: rows.length,
+    ...(rows.length > MAX_FIELD_ROWS ? { truncated: true } : {})
+  };
+}
+
+module.exports = {
+  parseCompareOptions,
+  comparePdfs,
+  diffFields,
+  diffImages,
+  encodePng
+};
@@ -1,104 +1,235 @@
 // analyzers/epsAnalyzer.js
 //
 // Analyse un fichier EPS et renvoie son bounding box + dimensions en mm.
-// - 1er essai : lecture du header %%BoundingBox
+// - EPS DOS (en-tête binaire C5D0D3C6) : extraction de la section PostScript
+//   et description des aperçus TIFF / WMF embarqués
+// - 1er essai : commentaires DSC (%%HiResBoundingBox prioritaire, puis
+//   %%BoundingBox), y compris les valeurs (atend) résolues dans le trailer
 // - fallback : calcul via Ghostscript (bbox rendu)
+// - comparaison header / rendu Ghostscript + métadonnées DSC
 
 const fs = require('fs');
-const { exec } = require('child_process');
+const { describeBox, runGhostscriptBBox } = require('./bboxGhostscript');
+
+// Signature des EPS DOS (octets C5 D0 D3 C6)
+const DOS_EPS_MAGIC = 0xc6d3d0c5;
+const DOS_EPS_HEADER_SIZE = 30;
+
+// Écart max (pt) pour considérer que header et rendu concordent
+const BBOX_TOLERANCE_PT = 1;
+
+// Métadonnées DSC remontées dans la réponse
+const DSC_METADATA_KEYS = [
+  'Creator',
+  'Title',
+  'CreationDate',
+  'For',
+  'LanguageLevel',
+  'DocumentProcessColors',
+  'DocumentCustomColors',
+  'Pages'
+];
+
+// En-tête binaire EPS DOS : offsets de la section PostScript et des aperçus
+function parseDosEpsHeader(buffer) {
+  if (buffer.length < DOS_EPS_HEADER_SIZE || buffer.readUInt32LE(0) !== DOS_EPS_MAGIC) {
+    return null;
+  }
 
-// Choix de la commande Ghostscript selon l'OS
-const GS_CMD = process.platform === 'win32' ? 'gswin64c' : 'gs';
+  const header = {
+    psOffset: buffer.readUInt32LE(4),
+    psLength: buffer.readUInt32LE(8),
+    wmfOffset: buffer.readUInt32LE(12),
+    wmfLength: buffer.readUInt32LE(16),
+    tiffOffset: buffer.readUInt32LE(20),
+    tiffLength: buffer.readUInt32LE(24)
+  };
 
-// Conversion points → millimètres
-function ptToMm(pt) {
-  return (pt * 25.4) / 72;
+  if (header.psOffset + header.psLength > buffer.length) {
+    throw new Error('DOS EPS header points outside of the file');
+  }
+
+  return header;
 }
 
-// Fallback : calcul du bbox via Ghostscript (sDEVICE=bbox)
-function runGhostscriptBBox(filePath) {
-  return new Promise((resolve, reject) => {
-    const command = `${GS_CMD} -dSAFER -dNOPAUSE -dBATCH -sDEVICE=bbox "${filePath}"`;
+// Sépare le PostScript et décrit l'aperçu éventuel
+function extractPostScript(buffer) {
+  const dos = parseDosEpsHeader(buffer);
+
+  if (!dos) {
+    const ps = buffer.toString('latin1');
+    return {
+      ps,
+      dosEps: false,
+      // Aperçu EPSI (bitmap ASCII dans les commentaires)
+      preview: /%%BeginPreview:/.test(ps) ? { type: 'epsi' } : null
+    };
+  }
+
+  let preview = null;
+  if (dos.tiffLength > 0) {
+    preview = { type: 'tiff', offset: dos.tiffOffset, length: dos.tiffLength };
+  } else if (dos.wmfLength > 0) {
+    preview = { type: 'wmf', offset: dos.wmfOffset, length: dos.wmfLength };
+  }
 
-    exec(command, (error, stdout, stderr) => {
-      if (error) {
-        console.error('Ghostscript bbox error:', stderr || error.message);
-        return reject(new Error('Ghostscript bbox failed'));
+  return {
+    ps: buffer.slice(dos.psOffset, dos.psOffset + dos.psLength).toString('latin1'),
+    dosEps: true,
+    preview
+  };
+}
+
+// Lecture des commentaires DSC de l'en-tête et du trailer.
+// Les valeurs "(atend)" sont remplacées par celles du trailer ;
+// les lignes %%+ prolongent la valeur précédente.
+function parseDscComments(ps) {
+  const lines = ps.split(/\r\n|\r|\n/);
+  const header = {};
+  const trailer = {};
+
+  let section = 'header';
+  let lastKey = null;
+  let target = header;
+
+  for (const line of lines) {
+    if (section === 'header') {
+      if (line.startsWith('%%EndComments') || (!line.startsWith('%') && line.trim() !== '')) {
+        section = 'body';
+        lastKey = null;
+        continue;
       }
+    } else if (line.startsWith('%%Trailer')) {
+      section = 'trailer';
+      target = trailer;
+      continue;
+    }
 
-      // On cherche la première HiResBoundingBox
-      const match = stderr.match(
-        /%%HiResBoundingBox:\s*([-\d.]+)\s+([-\d.]+)\s+([-\d.]+)\s+([-\d.]+)/
-      );
+    if (section === 'body') continue;
 
-      if (!match) {
-        return reject(new Error('No HiResBoundingBox found in Ghostscript output'));
+    if (line.startsWith('%%+') && lastKey) {
+      target[lastKey] += ' ' + line.slice(3).trim();
+      continue;
+    }
+
+    const m = line.match(/^%%([A-Za-z]+):\s*(.*)$/);
+    if (m) {
+      lastKey = m[1];
+      // Dans le trailer, la dernière occurrence fait foi
+      if (section === 'trailer' || target[lastKey] === undefined) {
+        target[lastKey] = m[2].trim();
       }
+    }
+  }
+
+  const resolved = { ...header };
+  for (const [key, value] of Object.entries(header)) {
+    if (value === '(atend)') {
+      resolved[key] = trailer[key] !== undefined ? trailer[key] : null;
+    }
+  }
 
-      const [, llxStr, llyStr, urxStr, uryStr] = match;
-      const llx = parseFloat(llxStr);
-      const lly = parseFloat(llyStr);
-      const urx = parseFloat(urxStr);
-      const ury = parseFloat(uryStr);
-
-      const widthPt = urx - llx;
-      const heightPt = ury - lly;
-
-      resolve({
-        source: 'ghostscript',
-        llx,
-        lly,
-        urx,
-        ury,
-        widthPt,
-        heightPt,
-        width_mm: +ptToMm(widthPt).toFixed(2),
-        height_mm: +ptToMm(heightPt).toFixed(2)
-      });
-    });
-  });
+  return resolved;
+}
+
+// "%%BoundingBox: -10.5 0 200 300" → bbox (null si absente ou invalide)
+function parseBboxComment(value) {
+  if (!value) return null;
+  const nums = value.trim().split(/\s+/).map(Number);
+  if (nums.length !== 4 || nums.some((n) => !Number.isFinite(n))) return null;
+  const [llx, lly, urx, ury] = nums;
+  if (urx <= llx || ury <= lly) return null;
+  return describeBox(llx, lly, urx, ury);
+}
+
+// Nettoie les valeurs DSC : "(Mon titre)" → "Mon titre", listes de couleurs → tableaux
+function extractMetadata(dsc) {
+  const metadata = {};
+  for (const key of DSC_METADATA_KEYS) {
+    const value = dsc[key];
+    if (value === undefined || value === null) continue;
+
+    if (key === 'DocumentProcessColors') {
+      metadata[key] = value.split(/\s+/).filter(Boolean);
+    } else if (key === 'DocumentCustomColors') {
+      metadata[key] = (value.match(/\(([^)]*)\)|\S+/g) || []).map((c) => c.replace(/^\(|\)$/g, ''));
+    } else if (key === 'LanguageLevel' || key === 'Pages') {
+      const n = parseInt(value, 10);
+      metadata[key] = Number.isNaN(n) ? value : n;
+    } else {
+      metadata[key] = value.replace(/^\((.*)\)$/, '$1');
+    }
+  }
+  return metadata;
+}
+
+// Compare le bbox du header au bbox rendu par Ghostscript
+function compareBoxes(headerBbox, renderedBbox) {
+  const deltas = ['llx', 'lly', 'urx', 'ury'].map((k) => Math.abs(headerBbox[k] - renderedBbox[k]));
+  const maxDelta = Math.max(...deltas);
+  return {
+    agrees: maxDelta <= BBOX_TOLERANCE_PT,
+    maxDelta_pt: +maxDelta.toFixed(2),
+    tolerance_pt: BBOX_TOLERANCE_PT,
+    // Le header peut légitimement être plus grand que l'encre (marges blanches)
+    headerContainsRendered:
+      headerBbox.llx <= renderedBbox.llx + BBOX_TOLERANCE_PT &&
+      headerBbox.lly <= renderedBbox.lly + BBOX_TOLERANCE_PT &&
+      headerBbox.urx >= renderedBbox.urx - BBOX_TOLERANCE_PT &&
+      headerBbox.ury >= renderedBbox.ury - BBOX_TOLERANCE_PT
+  };
 }
 
 // Analyse les dimensions EPS
 async function analyzeEPS(filePath) {
-  // 1) Tentative lecture directe du header %%BoundingBox
+  let headerBbox = null;
+  let headerSource = null;
+  let parsed = { dosEps: false, preview: null };
+  let metadata = {};
+
+  // 1) Lecture des commentaires DSC
   try {
-    const content = fs.readFileSync(filePath, 'utf8');
-    const match = content.match(/%%BoundingBox:\s+(\d+)\s+(\d+)\s+(\d+)\s+(\d+)/);
-
-    if (match) {
-      const [, x1Str, y1Str, x2Str, y2Str] = match;
-      const x1 = parseFloat(x1Str);
-      const y1 = parseFloat(y1Str);
-      const x2 = parseFloat(x2Str);
-      const y2 = parseFloat(y2Str);
-
-      const widthPt = x2 - x1;
-      const heightPt = y2 - y1;
-
-      return {
-        format: 'eps',
-        source: 'eps_header',
-        llx: x1,
-        lly: y1,
-        urx: x2,
-        ury: y2,
-        widthPt,
-        heightPt,
-        width_mm: +ptToMm(widthPt).toFixed(2),
-        height_mm: +ptToMm(heightPt).toFixed(2)
-      };
+    parsed = extractPostScript(fs.readFileSync(filePath));
+    const dsc = parseDscComments(parsed.ps);
+    metadata = extractMetadata(dsc);
+
+    headerBbox = parseBboxComment(dsc.HiResBoundingBox);
+    headerSource = 'eps_hires_header';
+    if (!headerBbox) {
+      headerBbox = parseBboxComment(dsc.BoundingBox);
+      headerSource = 'eps_header';
     }
   } catch (err) {
     console.warn('Erreur lecture EPS (header):', err.message);
     // on tombera en fallback GS
   }
 
-  // 2) Fallback : calcul via Ghostscript
-  const bbox = await runGhostscriptBBox(filePath);
+  // 2) Bbox rendu Ghostscript : fallback, ou contrôle du header
+  let rendered = null;
+  let renderError = null;
+  try {
+    rendered = await runGhostscriptBBox(filePath);
+  } catch (err) {
+    renderError = err;
+  }
+
+  if (!headerBbox && !rendered) {
+    throw renderError;
+  }
+
+  const main = headerBbox ? { source: headerSource, ...headerBbox } : rendered;
+
   return {
     format: 'eps',
-    ...bbox
+    ...main,
+    dosEps: parsed.dosEps,
+    preview: parsed.preview,
+    metadata,
+    headerBbox,
+    renderedBbox: rendered,
+    bboxCheck: headerBbox && rendered
+      ? compareBoxes(headerBbox, rendered)
+      : { agrees: null, reason: headerBbox ? 'render_failed' : 'no_header_bbox' }
   };
 }
 
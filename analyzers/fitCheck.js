@@ -0,0 +1,333 @@
+// analyzers/fitCheck.js
+//
+// Contrôle d'adéquation d'un fichier à un produit (route /fit-check).
+// Produit : format fini (trimWidth_mm × trimHeight_mm), fond perdu (bleed_mm) et
+// marge de sécurité (safeMargin_mm), comparés page par page à l'analyse PDF
+// (boxes déclarées + bbox encrée Ghostscript) :
+// - format conforme à la tolérance près, fichier tourné de 90°, fichier livré
+//   fonds perdus compris sans TrimBox (format fini déduit, centré)
+// - facteur d'échelle nécessaire (uniforme et par axe) si le format diffère
+// - contenu dans la marge de sécurité, contenu qui touche la coupe sans fond perdu
+// - PDF annoté (fond perdu, coupe, zone de sécurité, contenu) pour l'aperçu
+// Mesures dans le sens d'affichage (/Rotate appliqué), origine en haut à gauche.
+
+const fs = require('fs');
+const { PDFDocument, rgb } = require('pdf-lib');
+const { analyzePdfPages } = require('./pdfAnalyzer');
+const { badRequest, mmToPt, ptToMm } = require('../lib/common');
+
+const DEFAULT_TOLERANCE_MM = 0.5;
+
+// Tracés de l'aperçu annoté : couleurs d'Acrobat pour la coupe et le fond perdu
+const ZONE_STYLES = {
+  bleed: { color: rgb(0, 0.35, 1), dashed: true },
+  trim: { color: rgb(0, 0.65, 0), dashed: false },
+  safe: { color: rgb(0.85, 0, 0.85), dashed: true },
+  content: { color: rgb(1, 0.45, 0), dashed: false }
+};
+const ZONE_LEGEND = {
+  bleed: 'blue dashed',
+  trim: 'green',
+  safe: 'magenta dashed',
+  content: 'orange'
+};
+
+const round = (value, digits = 2) => +value.toFixed(digits);
+
+// Paramètres de requête → { width_mm, height_mm, bleed_mm, safeMargin_mm, tolerance_mm }
+function parseFitOptions(params) {
+  const read = (key, { required = false, allowZero = true } = {}) => {
+    if (params[key] === undefined || params[key] === '') {
+      if (required) throw badRequest(`${key} is required`);
+      return null;
+    }
+    const value = Number(params[key]);
+    if (!Number.isFinite(value) || value < 0 || (!allowZero && value === 0)) {
+      throw badRequest(`${key} must be a positive number`);
+    }
+    return value;
+  };
+
+  const options = {
+    width_mm: read('trimWidth_mm', { required: true, allowZero: false }),
+    height_mm: read('trimHeight_mm', { required: true, allowZero: false }),
+    bleed_mm: read('bleed_mm') || 0,
+    safeMargin_mm: read('safeMargin_mm') || 0,
+    tolerance_mm: read('tolerance_mm')
+  };
+  if (options.tolerance_mm === null) options.tolerance_mm = DEFAULT_TOLERANCE_MM;
+  if (2 * options.safeMargin_mm >= Math.min(options.width_mm, options.height_mm)) {
+    throw badRequest('safeMargin_mm leaves no safe zone in the trim size');
+  }
+  return options;
+}
+
+// ---- Repère d'affichage ----
+
+// Rectangle (pt, espace utilisateur) → rectangle affiché (rotation horaire appliquée),
+// relatif au coin bas gauche de la MediaBox
+function toDisplay(box, media, rotation) {
+  const W = media.widthPt;
+  const H = media.heightPt;
+  const corners = [
+    [box.llx - media.llx, box.lly - media.lly],
+    [box.urx - media.llx, box.ury - media.lly]
+  ].map(([x, y]) => {
+    if (rotation === 90) return [y, W - x];
+    if (rotation === 180) return [W - x, H - y];
+    if (rotation === 270) return [H - y, x];
+    return [x, y];
+  });
+  return rectFromCorners(corners);
+}
+
+// Inverse de toDisplay : rectangle affiché → espace utilisateur (tracés pdf-lib)
+function fromDisplay(rect, media, rotation) {
+  const W = media.widthPt;
+  const H = media.heightPt;
+  const corners = [
+    [rect.llx, rect.lly],
+    [rect.urx, rect.ury]
+  ].map(([u, v]) => {
+    let point = [u, v];
+    if (rotation === 90) point = [W - v, u];
+    else if (rotation === 180) point = [W - u, H - v];
+    else if (rotation === 270) point = [v, H - u];
+    return [point[0] + media.llx, point[1] + media.lly];
+  });
+  return rectFromCorners(corners);
+}
+
+function rectFromCorners([[x1, y1], [x2, y2]]) {
+  return { llx: Math.min(x1, x2), lly: Math.min(y1, y2), urx: Math.max(x1, x2), ury: Math.max(y1, y2) };
+}
+
+// Rectangle agrandi (d > 0) ou réduit (d < 0) de d points sur chaque côté
+function inset(rect, d) {
+  return { llx: rect.llx - d, lly: rect.lly - d, urx: rect.urx + d, ury: rect.ury + d };
+}
+
+// Rectangle affiché (pt) → mm, origine en haut à gauche de la page affichée
+function rectToMm(rect, pageHeightPt) {
+  return {
+    x_mm: round(ptToMm(rect.llx)),
+    y_mm: round(ptToMm(pageHeightPt - rect.ury)),
+    width_mm: round(ptToMm(rect.urx - rect.llx)),
+    height_mm: round(ptToMm(rect.ury - rect.lly))
+  };
+}
+
+// ---- Contrôle d'une page ----
+
+// Format fini du fichier comparé au produit : { match, orientation, includesBleed, trim }
+function matchSize(trim, trimDeclared, product) {
+  const tol = mmToPt(product.tolerance_mm);
+  const w = trim.urx - trim.llx;
+  const h = trim.ury - trim.lly;
+  const pw = mmToPt(product.width_mm);
+  const ph = mmToPt(product.height_mm);
+  const bleed = mmToPt(product.bleed_mm);
+  const near = (a, b) => Math.abs(a - b) <= tol;
+
+  if (near(w, pw) && near(h, ph)) return { match: true, orientation: 'same', includesBleed: false, trim };
+  if (near(w, ph) && near(h, pw)) return { match: true, orientation: 'rotated', includesBleed: false, trim };
+
+  // Sans TrimBox, une page au format fini + fonds perdus : coupe déduite, centrée
+  if (!trimDeclared && bleed > 0) {
+    for (const [orientation, tw, th] of [['same', pw, ph], ['rotated', ph, pw]]) {
+      if (near(w, tw + 2 * bleed) && near(h, th + 2 * bleed)) {
+        return { match: true, orientation, includesBleed: true, trim: inset(trim, -bleed) };
+      }
+    }
+  }
+  return { match: false, orientation: null, includesBleed: false, trim };
+}
+
+// Facteur d'échelle vers le format fini, dans le sens le plus proche des proportions
+function neededScale(trim, product) {
+  const w = ptToMm(trim.urx - trim.llx);
+  const h = ptToMm(trim.ury - trim.lly);
+  const candidates = [
+    { orientation: 'same', x: product.width_mm / w, y: product.height_mm / h },
+    { orientation: 'rotated', x: product.height_mm / w, y: product.width_mm / h }
+  ];
+  const best = candidates.reduce((a, b) =>
+    Math.abs(Math.log(b.x / b.y)) < Math.abs(Math.log(a.x / a.y)) ? b : a
+  );
+  return {
+    factor: round(Math.min(best.x, best.y), 4),
+    x: round(best.x, 4),
+    y: round(best.y, 4),
+    orientation: best.orientation,
+    // même facteur sur les deux axes (à 1 % près) : mise à l'échelle sans déformation
+    proportional: Math.abs(best.x - best.y) / Math.max(best.x, best.y) <= 0.01
+  };
+}
+
+// Position du contenu par rapport à la coupe sur un bord (d = distance vers l'intérieur, pt)
+function edgeStatus(d, bleed, safe, tol) {
+  if (d <= tol) {
+    if (bleed > 0) return d <= -bleed + tol ? 'fullBleed' : 'missingBleed';
+    return d < -tol ? 'beyondTrim' : 'toTrim';
+  }
+  return d < safe - tol ? 'insideSafeMargin' : 'safe';
+}
+
+function checkPage(pageInfo, product) {
+  const { page, rotation, boxes, inkBbox } = pageInfo;
+  if (!boxes) {
+    return { page, error: 'Page boxes unreadable', fits: false };
+  }
+
+  const media = boxes.MediaBox;
+  const quarter = rotation === 90 || rotation === 270;
+  const pageHeightPt = quarter ? media.widthPt : media.heightPt;
+
+  const size = matchSize(toDisplay(boxes.TrimBox, media, rotation), boxes.TrimBox.declared, product);
+  const scale = size.match
+    ? { factor: 1, x: 1, y: 1, orientation: size.orientation, proportional: true }
+    : neededScale(size.trim, product);
+
+  // Zones : marges du produit ramenées à l'échelle du fichier si son format diffère
+  const unit = size.match ? 1 : 1 / scale.factor;
+  const tol = mmToPt(product.tolerance_mm);
+  const bleed = mmToPt(product.bleed_mm) * unit;
+  const safe = mmToPt(product.safeMargin_mm) * unit;
+  const zones = {
+    bleed: inset(size.trim, bleed),
+    trim: size.trim,
+    safe: inset(size.trim, -safe)
+  };
+
+  // Fond perdu disponible dans la BleedBox du fichier (le contenu au-delà est rogné)
+  const bleedBox = toDisplay(boxes.BleedBox, media, rotation);
+  const bleedAvailable = Math.min(
+    size.trim.llx - bleedBox.llx,
+    size.trim.lly - bleedBox.lly,
+    bleedBox.urx - size.trim.urx,
+    bleedBox.ury - size.trim.ury
+  );
+
+  // bbox Ghostscript : page rendue dans le sens d'affichage, origine au coin de la MediaBox
+  const content = inkBbox
+    ? { llx: inkBbox.llx, lly: inkBbox.lly, urx: inkBbox.urx, ury: inkBbox.ury }
+    : null;
+  let edges = null;
+  if (content) {
+    const distances = {
+      left: content.llx - size.trim.llx,
+      right: size.trim.urx - content.urx,
+      top: size.trim.ury - content.ury,
+      bottom: content.lly - size.trim.lly
+    };
+    edges = {};
+    for (const [side, d] of Object.entries(distances)) {
+      edges[side] = { distance_mm: round(ptToMm(d)), status: edgeStatus(d, bleed, safe, tol) };
+    }
+  }
+
+  const statuses = edges ? Object.values(edges).map((e) => e.status) : [];
+  const problems = [];
+  if (!size.match) problems.push('size_mismatch');
+  if (statuses.includes('insideSafeMargin')) problems.push('safe_zone');
+  if (statuses.includes('missingBleed')) problems.push('missing_bleed');
+
+  return {
+    page,
+    rotation,
+    trimBoxDeclared: boxes.TrimBox.declared,
+    document: {
+      width_mm: round(ptToMm(size.trim.urx - size.trim.llx)),
+      height_mm: round(ptToMm(size.trim.ury - size.trim.lly))
+    },
+    sizeMatch: size.match,
+    // format fini atteint en tournant le fichier de 90°
+    rotated90: size.match ? size.orientation === 'rotated' : scale.orientation === 'rotated',
+    includesBleed: size.includesBleed,
+    scale,
+    zones: {
+      bleed: rectToMm(zones.bleed, pageHeightPt),
+      trim: rectToMm(zones.trim, pageHeightPt),
+      safe: rectToMm(zones.safe, pageHeightPt),
+      ...(size.match ? {} : { scaledBy: round(unit, 4) })
+    },
+    bleedAvailable_mm: round(ptToMm(Math.max(0, bleedAvailable))),
+    content: content ? rectToMm(content, pageHeightPt) : null,
+    edges,
+    problems,
+    fits: problems.length === 0,
+    // zones en pt, espace utilisateur : tracé de l'aperçu annoté
+    draw: {
+      ...Object.fromEntries(Object.entries(zones).map(([name, r]) => [name, fromDisplay(r, media, rotation)])),
+      ...(content ? { content: fromDisplay(content, media, rotation) } : {})
+    }
+  };
+}
+
+// ---- Point d'entrée ----
+
+// pdfPath : PDF du fichier (converti au besoin) ; options.pages = sélection "1-3,5"
+async function checkFit(pdfPath, product, options = {}) {
+  const analysis = await analyzePdfPages(pdfPath, { pages: options.pages });
+  const pages = analysis.pages.map((p) => checkPage(p, product));
+  return {
+    product: {
+      trimWidth_mm: product.width_mm,
+      trimHeight_mm: product.height_mm,
+      bleed_mm: product.bleed_mm,
+      safeMargin_mm: product.safeMargin_mm,
+      tolerance_mm: product.tolerance_mm
+    },
+    pageCount: analysis.pageCount,
+    fits: pages.every((p) => p.fits),
+    pages
+  };
+}
+
+// Copie de pdfPath avec les zones tracées sur les pages contrôlées ;
+// retire de result les tracés internes (draw)
+async function annotateFit(pdfPath, outputPdf, result) {
+  const pdfDoc = await PDFDocument.load(fs.readFileSync(pdfPath), {
+    ignoreEncryption: true,
+    updateMetadata: false
+  });
+  const pages = pdfDoc.getPages();
+
+  for (const check of result.pages) {
+    const { draw } = check;
+    delete check.draw;
+    if (!draw) continue;
+
+    const page = pages[check.page - 1];
+    const { width, height } = page.getMediaBox();
+    // trait de 0,25 % du plus grand côté, visible à toutes les tailles d'aperçu
+    const thickness = Math.max(width, height) / 400;
+    for (const [name, rect] of Object.entries(draw)) {
+      const style = ZONE_STYLES[name];
+      page.drawRectangle({
+        x: rect.llx,
+        y: rect.lly,
+        width: rect.urx - rect.llx,
+        height: rect.ury - rect.lly,
+        borderColor: style.color,
+        borderWidth: thickness,
+        borderDashArray: style.dashed ? [thickness * 3, thickness * 2] : undefined
+      });
+    }
+  }
+
+  fs.writeFileSync(outputPdf, await pdfDoc.save());
+  return ZONE_LEGEND;
+}
+
+module.exports = {
+  parseFitOptions,
+  checkFit,
+  annotateFit,
+  toDisplay,
+  fromDisplay,
+  matchSize,
+  neededScale,
+  edgeStatus,
+  checkPage
+};
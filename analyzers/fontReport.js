@@ -0,0 +1,219 @@
+// analyzers/fontReport.js
+//
+// Rapport de polices d'un fichier converti (option outlineText de /convert-to-pdf).
+// - polices utilisées par le texte des pages PDF, incorporées ou non
+// - PDF / PostScript : polices introuvables et substitutions signalées par Ghostscript
+// - SVG : chaque font-family résolue ou non avec les polices installées
+//   (fontconfig : fc-list, fc-match), rsvg-convert substituant sans prévenir
+
+const fs = require('fs');
+const { PDFDocument } = require('pdf-lib');
+const { describeFont, walkPage } = require('./pdfContent');
+const { runGhostscript, runProcess, FC_LIST_CMD, FC_MATCH_CMD } = require('../lib/processRunner');
+
+// Familles génériques CSS : toujours résolues par fontconfig
+const GENERIC_FAMILIES = [
+  'serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui',
+  'inherit', 'initial', 'unset'
+];
+
+// ---- Polices des pages PDF ----
+
+// [{ name, subtype, embedded, subset, pages }] des polices utilisées par du texte
+async function pdfFonts(pdfPath) {
+  const pdfDoc = await PDFDocument.load(fs.readFileSync(pdfPath), {
+    ignoreEncryption: true,
+    updateMetadata: false
+  });
+  const context = pdfDoc.context;
+  const fonts = new Map();
+
+  pdfDoc.getPages().forEach((page, index) => {
+    const seen = new Set();
+    try {
+      walkPage(page, {
+        onText: ({ state }) => {
+          if (!state.font || seen.has(state.font.dict)) return;
+          seen.add(state.font.dict);
+
+          const font = describeFont(context, state.font.dict);
+          const key = `${font.name}|${font.subtype}|${font.embedded}`;
+          if (!fonts.has(key)) fonts.set(key, { ...font, pages: [] });
+          fonts.get(key).pages.push(index + 1);
+        }
+      });
+    } catch (err) {
+      if (err.code === 'CONTENT_TOO_COMPLEX') throw err;
+      // page illisible : ses polices ne sont pas listées
+    }
+  });
+
+  return [...fonts.values()];
+}
+
+// ---- Messages Ghostscript ----
+
+// Polices introuvables et substitutions dans la sortie de Ghostscript
+//   "Can't find (or can't open) font file %rom%Resource/Font/ArialMT."
+//   "Substituting font Helvetica for ArialMT."
+//   "Loading font ArialMT (or substitute) from %rom%Resource/Font/NimbusSans-Regular"
+function parseGhostscriptFontMessages(output) {
+  const missing = new Set();
+  const substituted = new Map();
+
+  for (const line of output.split(/\r?\n/)) {
+    let m = line.match(/Can't find \(or can't open\) font file\s+(?:.*[/\\])?([^/\\\s]+?)\.?\s*$/);
+    if (m) missing.add(m[1]);
+
+    m = line.match(/Can't find CID font "([^"]+)"/);
+    if (m) missing.add(m[1]);
+
+    m = line.match(/Substituting (?:CID )?font\s+(\S+)\s+for\s+(\S+?)\.?\s*$/);
+    if (m) substituted.set(m[2].replace(/^\//, ''), m[1].replace(/^\//, ''));
+
+    m = line.match(/Loading font\s+(\S+)\s+\(or substitute\) from\s+(?:.*[/\\])?([^/\\\s]+)\s*$/);
+    if (m && m[1] !== m[2]) substituted.set(m[1], m[2]);
+  }
+
+  for (const font of substituted.keys()) missing.add(font);
+  return {
+    missing: [...missing],
+    substituted: [...substituted].map(([font, substitute]) => ({ font, substitute }))
+  };
+}
+
+// Interprétation du fichier source (device bbox : aucun fichier produit)
+async function probeGhostscriptFonts(sourcePath) {
+  const { stdout, stderr } = await runGhostscript(['-sDEVICE=bbox', sourcePath]);
+  return parseGhostscriptFontMessages(`${stdout}\n${stderr}`);
+}
+
+// ---- SVG ----
+
+function decodeEntities(text) {
+  return text
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (m, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&');
+}
+
+// "'Open Sans', Arial, sans-serif" → ['Open Sans', 'Arial', 'sans-serif']
+function splitFamilies(value) {
+  return value
+    .replace(/!important/i, '')
+    .split(',')
+    .map((f) => f.trim().replace(/^["']|["']$/g, '').trim())
+    .filter(Boolean);
+}
+
+// Familles citées par l'attribut font-family, les styles en ligne et les <style>
+function svgFontFamilies(svgPath) {
+  const raw = fs.readFileSync(svgPath, 'utf8');
+  const text = decodeEntities(raw);
+  const families = new Set();
+
+  // Attributs lus avant décodage : font-family="&quot;Open Sans&quot;, serif"
+  const attr = /font-family\s*=\s*(?:"([^"]*)"|'([^']*)')/gi;
+  const css = /font-family\s*:\s*((?:"[^"]*"|'[^']*'|[^;}"'<>])+)/gi;
+  let m;
+  while ((m = attr.exec(raw))) {
+    splitFamilies(decodeEntities(m[1] !== undefined ? m[1] : m[2])).forEach((f) => families.add(f));
+  }
+  while ((m = css.exec(text))) {
+    splitFamilies(m[1]).forEach((f) => families.add(f));
+  }
+
+  return [...families];
+}
+
+// Familles installées (minuscules), ou null si fontconfig est absent
+async function installedFamilies() {
+  try {
+    const { stdout } = await runProcess(FC_LIST_CMD, [':', 'family']);
+    const names = new Set();
+    for (const line of stdout.split('\n')) {
+      for (const name of line.split(',')) {
+        if (name.trim()) names.add(name.trim().toLowerCase());
+      }
+    }
+    return names;
+  } catch (err) {
+    if (err.code === 'TOOL_NOT_FOUND') return null;
+    throw err;
+  }
+}
+
+// Police réellement utilisée par fontconfig pour une famille
+async function matchFamily(family) {
+  try {
+    const { stdout } = await runProcess(FC_MATCH_CMD, ['-f', '%{family[0]}', family]);
+    return stdout.trim() || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// [{ family, resolved, substitute }] ; resolved = null si fontconfig est absent
+async function resolveFontFamilies(families) {
+  const installed = await installedFamilies();
+  const result = [];
+  for (const family of families) {
+    if (GENERIC_FAMILIES.includes(family.toLowerCase())) continue;
+    if (!installed) {
+      result.push({ family, resolved: null, substitute: null });
+    } else if (installed.has(family.toLowerCase())) {
+      result.push({ family, resolved: true, substitute: null });
+    } else {
+      result.push({ family, resolved: false, substitute: await matchFamily(family) });
+    }
+  }
+  return result;
+}
+
+// ---- Rapport ----
+
+const fontNames = (fonts) => [...new Set(fonts.map((f) => f.name))].sort();
+
+// kind : 'pdf' (PDF, AI compatible PDF), 'postscript' (EPS, PS, AI ancien) ou 'svg'
+// pdfPath : PDF intermédiaire (converti, avant vectorisation du texte)
+// Renvoie { found, embedded, missing, substituted, svgFontFamilies? }
+async function buildFontReport(sourcePath, { kind, pdfPath }) {
+  if (kind === 'svg') {
+    const families = await resolveFontFamilies(svgFontFamilies(sourcePath));
+    const unresolved = families.filter((f) => f.resolved === false);
+    return {
+      found: families.map((f) => f.family),
+      // polices choisies par rsvg-convert et incorporées au PDF
+      embedded: fontNames((await pdfFonts(pdfPath)).filter((f) => f.embedded)),
+      missing: unresolved.map((f) => f.family),
+      substituted: unresolved
+        .filter((f) => f.substitute)
+        .map((f) => ({ font: f.family, substitute: f.substitute })),
+      svgFontFamilies: families,
+      ...(families.some((f) => f.resolved === null)
+        ? { warning: 'fontconfig is not installed, font families were not checked' }
+        : {})
+    };
+  }
+
+  // PDF : polices lues dans la source ; PostScript : dans le PDF converti
+  const fonts = await pdfFonts(kind === 'pdf' ? sourcePath : pdfPath);
+  const { missing, substituted } = await probeGhostscriptFonts(sourcePath);
+  const substitutes = new Set(substituted.map((s) => s.substitute));
+
+  return {
+    found: [...new Set([...fontNames(fonts).filter((n) => !substitutes.has(n)), ...missing])].sort(),
+    embedded: fontNames(fonts.filter((f) => f.embedded && !substitutes.has(f.name) && !missing.includes(f.name))),
+    missing: missing.sort(),
+    substituted
+  };
+}
+
+module.exports = {
+  buildFontReport,
+  pdfFonts,
+  parseGhostscriptFontMessages,
+  svgFontFamilies,
+  resolveFontFamilies
+};
@@ -0,0 +1,169 @@
+// analyzers/formatDetector.js
+//
+// Détection du format d'un fichier d'après son contenu (octets magiques),
+// sans se fier à l'extension.
+// - PDF / AI compatible PDF (données privées Illustrator)
+// - PostScript : EPS, EPS DOS (en-tête binaire), PS, AI ancien (PostScript)
+// - SVG, SVGZ (SVG compressé gzip)
+// - bitmap : PNG, JPEG, TIFF, WebP
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// Taille lue en tête de fichier, et en fin de fichier pour les marqueurs AI
+const HEAD_BYTES = 64 * 1024;
+const TAIL_BYTES = 16 * 1024;
+
+// Format détecté → extension de la chaîne de traitement
+const PIPELINE_EXTENSIONS = {
+  pdf: '.pdf',
+  'ai-pdf': '.ai',
+  'ai-ps': '.ai',
+  eps: '.eps',
+  'dos-eps': '.eps',
+  ps: '.ps',
+  svg: '.svg',
+  svgz: '.svg',
+  png: '.png',
+  jpeg: '.jpg',
+  tiff: '.tif',
+  webp: '.webp'
+};
+
+const DESCRIPTIONS = {
+  pdf: 'PDF document',
+  'ai-pdf': 'Adobe Illustrator (PDF compatible)',
+  'ai-ps': 'Adobe Illustrator (PostScript, legacy)',
+  eps: 'Encapsulated PostScript',
+  'dos-eps': 'Encapsulated PostScript with DOS binary header',
+  ps: 'PostScript document',
+  svg: 'SVG image',
+  svgz: 'SVG image (gzip compressed)',
+  png: 'PNG image',
+  jpeg: 'JPEG image',
+  tiff: 'TIFF image',
+  webp: 'WebP image'
+};
+
+// Marqueurs Illustrator dans un PDF (données privées, XMP) ou un PostScript (commentaires %AI)
+const AI_PDF_MARKERS = ['AIPrivateData', 'AIMetaData', '<xmp:CreatorTool>Adobe Illustrator', '/Creator (Adobe Illustrator'];
+const AI_PS_MARKERS = ['%%Creator: Adobe Illustrator', '%AI3_', '%AI5_', '%AI7_', '%AI8_', '%AI9_'];
+
+function readSlices(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const size = fs.fstatSync(fd).size;
+    const head = Buffer.alloc(Math.min(HEAD_BYTES, size));
+    fs.readSync(fd, head, 0, head.length, 0);
+
+    let tail = Buffer.alloc(0);
+    if (size > HEAD_BYTES) {
+      tail = Buffer.alloc(Math.min(TAIL_BYTES, size - HEAD_BYTES));
+      fs.readSync(fd, tail, 0, tail.length, size - tail.length);
+    }
+    return { head, tail, size };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Texte XML commençant par <svg (après BOM, déclaration, commentaires, DOCTYPE)
+function looksLikeSvg(text) {
+  const start = text.replace(/^\uFEFF/, '').slice(0, 4096);
+  if (!/^\s*</.test(start)) return false;
+  return /<svg[\s>:]/i.test(start) || /<!DOCTYPE\s+svg/i.test(start);
+}
+
+// Début décompressé d'un gzip (flux tronqué accepté)
+function gunzipHead(buf) {
+  try {
+    return zlib.gunzipSync(buf.subarray(0, 4096), {
+      finishFlush: zlib.constants.Z_SYNC_FLUSH,
+      maxOutputLength: 1024 * 1024
+    });
+  } catch (err) {
+    return Buffer.alloc(0);
+  }
+}
+
+// EPSF en première ligne : EPS, même exporté par Illustrator (%%Creator: Adobe Illustrator) ;
+// les marqueurs Illustrator ne désignent un AI ancien que dans un PostScript non EPSF
+function classifyPostScript(text) {
+  const firstLine = text.split(/\r\n|\r|\n/, 1)[0];
+  if (/EPSF-/.test(firstLine)) return 'eps';
+  return AI_PS_MARKERS.some((m) => text.includes(m)) ? 'ai-ps' : 'ps';
+}
+
+// Renvoie { format, ext, description } ou null si le contenu n'est pas reconnu
+function detectFormat(filePath) {
+  const { head, tail } = readSlices(filePath);
+  let format = null;
+
+  if (head.length >= 4 && head.readUInt32LE(0) === 0xc6d3d0c5) {
+    format = 'dos-eps';
+  } else if (head.length >= 8 && head.toString('latin1', 1, 4) === 'PNG' && head[0] === 0x89) {
+    format = 'png';
+  } else if (head.length >= 3 && head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) {
+    format = 'jpeg';
+  } else if (head.length >= 4 && ['II*\0', 'MM\0*'].includes(head.toString('latin1', 0, 4))) {
+    format = 'tiff';
+  } else if (head.length >= 12 && head.toString('latin1', 0, 4) === 'RIFF' && head.toString('latin1', 8, 12) === 'WEBP') {
+    format = 'webp';
+  } else if (head.length >= 2 && head[0] === 0x1f && head[1] === 0x8b) {
+    if (looksLikeSvg(gunzipHead(head).toString('utf8'))) format = 'svgz';
+  } else {
+    const text = head.toString('latin1');
+    // L'en-tête %PDF peut être précédé de quelques octets (tolérance des lecteurs : 1024)
+    const pdfAt = text.indexOf('%PDF-');
+    if (pdfAt !== -1 && pdfAt < 1024) {
+      const all = text + tail.toString('latin1');
+      format = AI_PDF_MARKERS.some((m) => all.includes(m)) ? 'ai-pdf' : 'pdf';
+    } else if (text.startsWith('%!')) {
+      format = classifyPostScript(text);
+    } else if (looksLikeSvg(head.toString('utf8'))) {
+      format = 'svg';
+    }
+  }
+
+  return format
+    ? { format, ext: PIPELINE_EXTENSIONS[format], description: DESCRIPTIONS[format] }
+    : null;
+}
+
+// Extensions cohérentes avec chaque format détecté
+const COMPATIBLE_DECLARATIONS = {
+  pdf: ['pdf'],
+  'ai-pdf': ['ai', 'pdf'],
+  'ai-ps': ['ai', 'eps', 'ps'],
+  eps: ['eps', 'epsf', 'epsi'],
+  'dos-eps': ['eps', 'epsf'],
+  ps: ['ps'],
+  svg: ['svg'],
+  svgz: ['svgz', 'svg'],
+  png: ['png'],
+  jpeg: ['jpeg', 'jpg', 'jpe'],
+  tiff: ['tiff', 'tif'],
+  webp: ['webp']
+};
+
+// Format annoncé par le nom de fichier ("logo.AI" → "ai")
+function declaredFormat(fileName) {
+  return path.extname(fileName || '').toLowerCase().replace(/^\./, '') || null;
+}
+
+// Champs de réponse : format annoncé, format détecté, incohérence éventuelle
+function formatReport(detectedFormat, fileName) {
+  const declared = declaredFormat(fileName);
+  return {
+    declaredFormat: declared,
+    detectedFormat,
+    formatMismatch: !(COMPATIBLE_DECLARATIONS[detectedFormat] || []).includes(declared)
+  };
+}
+
+module.exports = {
+  detectFormat,
+  declaredFormat,
+  formatReport
+};
@@ -0,0 +1,176 @@
+// analyzers/inkCoverage.js
+//
+// Couverture d'encre par page, pour le chiffrage et le contrôle qualité.
+// - mode 'separations' (défaut) : Ghostscript tiffsep → une image 8 bits par
+//   séparation (CMJN + tons directs), couverture moyenne et TAC max localisé
+// - mode 'fast' : Ghostscript inkcov → couverture CMJN uniquement
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readGray8 } = require('./tiff');
+const { runGhostscript } = require('../lib/processRunner');
+
+// Résolution de rendu (dpi) : la couverture moyenne varie peu avec la résolution
+const DEFAULT_RESOLUTION = 72;
+const MAX_RESOLUTION = 150;
+
+const PROCESS_INKS = ['Cyan', 'Magenta', 'Yellow', 'Black'];
+
+function pageRangeArgs({ firstPage, lastPage } = {}) {
+  return [
+    ...(firstPage ? [`-dFirstPage=${firstPage}`] : []),
+    ...(lastPage ? [`-dLastPage=${lastPage}`] : [])
+  ];
+}
+
+function clampResolution(value) {
+  const r = Number(value);
+  if (!Number.isFinite(r) || r <= 0) return DEFAULT_RESOLUTION;
+  return Math.min(Math.round(r), MAX_RESOLUTION);
+}
+
+// Mode rapide : device inkcov ("0.12 0.05 0.00 0.30 CMYK OK" par page)
+async function inkcovCoverage(filePath, options = {}) {
+  const resolution = clampResolution(options.resolution);
+  const { stdout } = await runGhostscript([
+    '-q',
+    `-r${resolution}`,
+    ...pageRangeArgs(options),
+    '-sDEVICE=inkcov',
+    '-o',
+    '-',
+    filePath
+  ]);
+
+  const pages = [];
+  const re = /^\s*([\d.]+)\s+([\d.]+)\s+([\d.]+)\s+([\d.]+)\s+CMYK\s+OK/gm;
+  let m;
+  while ((m = re.exec(stdout)) !== null) {
+    const values = m.slice(1, 5).map((v) => +(parseFloat(v) * 100).toFixed(2));
+    const coverage = {};
+    PROCESS_INKS.forEach((ink, i) => {
+      coverage[ink] = values[i];
+    });
+    pages.push({
+      page: (options.firstPage || 1) + pages.length,
+      coverage,
+      separations: PROCESS_INKS.slice()
+    });
+  }
+
+  if (pages.length === 0) {
+    throw new Error('No ink coverage found in Ghostscript output');
+  }
+
+  return { method: 'inkcov', resolution, pages };
+}
+
+// Mode complet : device tiffsep, une image par séparation et par page
+async function tiffsepCoverage(filePath, options = {}) {
+  const resolution = clampResolution(options.resolution);
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inkcov-'));
+
+  try {
+    await runGhostscript([
+      '-q',
+      `-r${resolution}`,
+      ...pageRangeArgs(options),
+      '-sDEVICE=tiffsep',
+      '-sCompression=none',
+      `-sOutputFile=${path.join(workDir, 'p%04d.tif')}`,
+      filePath
+    ]);
+
+    // Fichiers "p0001(Cyan).tif", "p0001(PANTONE 185 C).tif", ...
+    const byPage = new Map();
+    for (const file of fs.readdirSync(workDir)) {
+      const m = file.match(/^p(\d{4})\((.+)\)\.tif$/);
+      if (!m) continue;
+      const index = parseInt(m[1], 10);
+      if (!byPage.has(index)) byPage.set(index, []);
+      byPage.get(index).push({ name: m[2], file: path.join(workDir, file) });
+    }
+
+    if (byPage.size === 0) {
+      throw new Error('Ghostscript produced no separation files');
+    }
+
+    const pages = [...byPage.keys()].sort((a, b) => a - b).map((index) => {
+      const seps = byPage.get(index);
+      const coverage = {};
+      let tacBuffer = null;
+      let width = 0;
+      let height = 0;
+
+      for (const sep of seps) {
+        const img = readGray8(fs.readFileSync(sep.file));
+        width = img.width;
+        height = img.height;
+        if (!tacBuffer) tacBuffer = new Float32Array(width * height);
+
+        let sum = 0;
+        for (let i = 0; i < img.data.length; i++) {
+          const ink = img.whiteIsZero ? img.data[i] : 255 - img.data[i];
+          sum += ink;
+          if (i < tacBuffer.length) tacBuffer[i] += ink;
+        }
+        coverage[sep.name] = +((sum / (img.data.length * 255)) * 100).toFixed(2);
+      }
+
+      // TAC max (somme des encres) et position, origine en haut à gauche
+      let maxTac = 0;
+      let maxIndex = 0;
+      for (let i = 0; i < tacBuffer.length; i++) {
+        if (tacBuffer[i] > maxTac) {
+          maxTac = tacBuffer[i];
+          maxIndex = i;
+        }
+      }
+      const pxToMm = (px) => +(((px + 0.5) * 25.4) / resolution).toFixed(1);
+
+      const separations = [
+        ...PROCESS_INKS.filter((ink) => coverage[ink] !== undefined),
+        ...Object.keys(coverage).filter((ink) => !PROCESS_INKS.includes(ink))
+      ];
+
+      return {
+        page: (options.firstPage || 1) + index - 1,
+        coverage,
+        separations,
+        spotColours: separations.filter((ink) => !PROCESS_INKS.includes(ink)),
+        tac: {
+          max_percent: Math.round((maxTac / 255) * 100),
+          x_mm: pxToMm(maxIndex % width),
+          y_mm: pxToMm(Math.floor(maxIndex / width))
+        }
+      };
+    });
+
+    return { method: 'tiffsep', resolution, pages };
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+// options : { mode: 'separations' | 'fast', resolution, firstPage, lastPage }
+async function analyzeInkCoverage(filePath, options = {}) {
+  const result = options.mode === 'fast'
+    ? await inkcovCoverage(filePath, options)
+    : await tiffsepCoverage(filePath, options);
+
+  const separations = [...new Set(result.pages.reduce((acc, p) => acc.concat(p.separations), []))];
+  const tacPages = result.pages.filter((p) => p.tac);
+
+  return {
+    ...result,
+    separations,
+    ...(tacPages.length
+      ? { maxTac_percent: Math.max(...tacPages.map((p) => p.tac.max_percent)) }
+      : {})
+  };
+}
+
+module.exports = {
+  analyzeInkCoverage
+};
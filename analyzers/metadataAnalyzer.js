@@ -0,0 +1,356 @@
+// analyzers/metadataAnalyzer.js
+//
+// Métadonnées du document et texte par page (options metadata / text de /analyze).
+// - PDF / AI : dictionnaire Info et version PDF (pdf-parse), paquet XMP du catalogue
+//   (version d'Illustrator, plans de travail, polices, PDF/X, ...), PDF balisé, chiffré
+// - EPS / PS / images : paquet XMP trouvé dans le fichier
+// - SVG : <title>, <desc> et <metadata> (RDF Inkscape / Illustrator)
+// - texte par page : pdf-parse (EPS / PS via leur conversion PDF), <text> pour le SVG
+
+const fs = require('fs');
+const sax = require('sax');
+const xml2js = require('xml2js');
+const pdfParse = require('pdf-parse');
+const { PDFDocument, PDFName, PDFBool, PDFStream } = require('pdf-lib');
+const { dictGet, streamBytes } = require('./pdfContent');
+const { pageInRanges } = require('./pdfAnalyzer');
+const { badRequest } = require('../lib/common');
+
+// Propriétés XMP volumineuses ou sans intérêt pour l'impression (miniature base64, historique)
+const XMP_SKIPPED = [
+  'xmp:Thumbnails',
+  'xmpMM:History',
+  'xmpMM:Manifest',
+  'xmpMM:Ingredients',
+  'xmpMM:Pantry',
+  'xmpTPg:SwatchGroups',
+  'photoshop:DocumentAncestors'
+];
+
+// Champs du dictionnaire Info renvoyés
+const INFO_KEYS = ['Title', 'Author', 'Subject', 'Keywords', 'Creator', 'Producer', 'CreationDate', 'ModDate', 'Trapped'];
+
+// Texte : plafond total renvoyé (caractères)
+const MAX_TEXT_CHARS = 1000 * 1000;
+const MAX_SVG_METADATA_CHARS = 20 * 1000;
+
+// "D:20240131120000+01'00'" → "2024-01-31T12:00:00+01:00" (valeur brute si illisible)
+function pdfDateToIso(value) {
+  if (typeof value !== 'string') return value;
+  const m = value.match(/^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?\s*(Z|[+-]\d{2}'?\d{2}'?)?/);
+  if (!m) return value;
+  const [, y, mo = '01', d = '01', h = '00', mi = '00', s = '00', tz] = m;
+  let zone = '';
+  if (tz === 'Z') zone = 'Z';
+  else if (tz) zone = `${tz.slice(0, 3)}:${tz.replace(/'/g, '').slice(3, 5) || '00'}`;
+  return `${y}-${mo}-${d}T${h}:${mi}:${s}${zone}`;
+}
+
+// ---- XMP ----
+
+// Paquet XMP brut dans un fichier quelconque (EPS, PDF non compressé, PNG, JPEG, ...)
+function findXmpPacket(buf) {
+  const text = buf.toString('latin1');
+  const start = text.indexOf('<x:xmpmeta');
+  if (start === -1) return null;
+  const end = text.indexOf('</x:xmpmeta>', start);
+  if (end === -1) return null;
+  return Buffer.from(text.slice(start, end + '</x:xmpmeta>'.length), 'latin1').toString('utf8');
+}
+
+// Paquet XMP du catalogue PDF (/Metadata)
+function catalogXmp(pdfDoc) {
+  const stream = dictGet(pdfDoc.context, pdfDoc.catalog, 'Metadata');
+  if (!(stream instanceof PDFStream)) return null;
+  try {
+    return Buffer.from(streamBytes(stream)).toString('utf8');
+  } catch (err) {
+    return null;
+  }
+}
+
+// Valeur d'un nœud xml2js : texte, liste rdf:Seq / rdf:Bag, rdf:Alt (1re valeur) ou structure
+function xmpValue(node) {
+  if (typeof node === 'string') return node.trim();
+  if (!node || typeof node !== 'object') return null;
+
+  for (const container of ['rdf:Seq', 'rdf:Bag', 'rdf:Alt']) {
+    if (node[container]) {
+      const items = (node[container][0]['rdf:li'] || []).map(xmpValue);
+      return container === 'rdf:Alt' ? items[0] : items;
+    }
+  }
+
+  const fields = xmpFields(node);
+  if (Object.keys(fields).length) return fields;
+  return typeof node._ === 'string' ? node._.trim() : null;
+}
+
+// Propriétés d'une description RDF : attributs et éléments enfants
+function xmpFields(node) {
+  const fields = {};
+  for (const [key, value] of Object.entries(node.$ || {})) {
+    if (key.startsWith('xmlns') || key.startsWith('rdf:') || key.startsWith('xml:')) continue;
+    fields[key] = value;
+  }
+  for (const [key, values] of Object.entries(node)) {
+    if (key === '$' || key === '_' || XMP_SKIPPED.includes(key)) continue;
+    const parsed = values.map(xmpValue);
+    fields[key] = parsed.length === 1 ? parsed[0] : parsed;
+  }
+  return fields;
+}
+
+// Paquet XMP (ou bloc rdf:RDF) → { properties, summary } ; null si illisible
+async function parseXmp(xml) {
+  if (!xml) return null;
+  let doc;
+  try {
+    doc = await xml2js.parseStringPromise(xml.replace(/<\?xpacket[^>]*\?>/g, ''), { explicitArray: true });
+  } catch (err) {
+    return { error: `Unreadable XMP packet: ${err.message}` };
+  }
+
+  const root = doc['x:xmpmeta'] || doc;
+  // rdf:RDF racine du document (SVG) : objet et non liste
+  const rdf = [].concat(root['rdf:RDF'] || [])[0] || null;
+  if (!rdf) return null;
+
+  // rdf:Description (XMP) ou cc:Work (Inkscape) : toutes les descriptions sont fusionnées
+  const properties = {};
+  for (const [key, nodes] of Object.entries(rdf)) {
+    if (key === '$') continue;
+    for (const node of nodes) Object.assign(properties, xmpFields(node));
+  }
+
+  return { summary: summarizeXmp(properties), properties };
+}
+
+const list = (value) => (value === undefined || value === null ? [] : [].concat(value));
+
+// Champs XMP utiles à la production
+function summarizeXmp(p) {
+  const creatorTool = p['xmp:CreatorTool'] || null;
+  const illustratorMatch = creatorTool && creatorTool.match(/Adobe Illustrator\s*(.*)$/i);
+  const isIllustrator = Boolean(illustratorMatch) || Object.keys(p).some((k) => k.startsWith('illustrator:'));
+  const pageSize = p['xmpTPg:MaxPageSize'];
+
+  const summary = {
+    title: p['dc:title'] || null,
+    creator: list(p['dc:creator']),
+    description: p['dc:description'] || null,
+    creatorTool,
+    producer: p['pdf:Producer'] || null,
+    createDate: p['xmp:CreateDate'] || null,
+    modifyDate: p['xmp:ModifyDate'] || null,
+    metadataDate: p['xmp:MetadataDate'] || null,
+    format: p['dc:format'] || null,
+    documentId: p['xmpMM:DocumentID'] || null,
+    instanceId: p['xmpMM:InstanceID'] || null,
+    pdfx: p['pdfxid:GTS_PDFXVersion'] || p['pdfx:GTS_PDFXVersion'] || null,
+    pdfa: p['pdfaid:part'] ? `${p['pdfaid:part']}${(p['pdfaid:conformance'] || '').toLowerCase()}` : null
+  };
+
+  if (isIllustrator) {
+    summary.illustrator = {
+      version: illustratorMatch ? illustratorMatch[1].trim() || null : null,
+      type: p['illustrator:Type'] || null,
+      // xmpTPg : nombre de plans de travail et taille du plus grand
+      artboards: p['xmpTPg:NPages'] !== undefined ? Number(p['xmpTPg:NPages']) : null,
+      maxArtboardSize: pageSize && typeof pageSize === 'object'
+        ? { width: Number(pageSize['stDim:w']), height: Number(pageSize['stDim:h']), unit: pageSize['stDim:unit'] || null }
+        : null,
+      plateNames: list(p['xmpTPg:PlateNames']),
+      fonts: list(p['xmpTPg:Fonts']).map((f) => (f && f['stFnt:fontName']) || f).filter(Boolean)
+    };
+  }
+  return summary;
+}
+
+// ---- PDF ----
+
+// Texte d'une page pdf.js, lignes séparées comme le rendu par défaut de pdf-parse
+async function pageText(pageData) {
+  const content = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+  let lastY;
+  let text = '';
+  for (const item of content.items) {
+    text += lastY === undefined || lastY === item.transform[5] ? item.str : `\n${item.str}`;
+    lastY = item.transform[5];
+  }
+  return text;
+}
+
+// pdf-parse : { info, pdfVersion, pageCount, pages: [{ page, text }] | null }
+// pages = plages de pages pour le texte (parsePageRanges, plages ouvertes comprises),
+// null = toutes ; aucune page du document dans la sélection : erreur 400
+async function parseWithPdfParse(pdfPath, { text, pages }) {
+  const collected = [];
+  // copie en Uint8Array : le pdf.js de pdf-parse lit mal les Buffer Node
+  // (décalage dans le pool mémoire), d'où des erreurs "bad XRef entry"
+  const data = await pdfParse(new Uint8Array(fs.readFileSync(pdfPath)), {
+    // sans texte demandé : aucune page interprétée (max = 1, rendu vide)
+    max: text ? 0 : 1,
+    pagerender: async (pageData) => {
+      const number = pageData.pageIndex + 1;
+      if (!text || !pageInRanges(pages, number)) return '';
+      const value = await pageText(pageData);
+      collected.push({ page: number, text: value });
+      return '';
+    }
+  });
+  if (text && pages && collected.length === 0) {
+    throw badRequest(`No page in selection (document has ${data.numpages} pages)`);
+  }
+  return {
+    info: data.info || {},
+    pdfVersion: data.info && data.info.PDFFormatVersion ? data.info.PDFFormatVersion : null,
+    pageCount: data.numpages,
+    pages: text ? collected : null
+  };
+}
+
+// Texte par page plafonné à MAX_TEXT_CHARS au total
+function textReport(pages) {
+  let remaining = MAX_TEXT_CHARS;
+  let truncated = false;
+  const result = pages.map(({ page, text }) => {
+    const kept = text.slice(0, Math.max(0, remaining));
+    if (kept.length < text.length) truncated = true;
+    remaining -= kept.length;
+    return { page, characters: text.length, text: kept };
+  });
+  return {
+    pages: result,
+    characters: pages.reduce((sum, p) => sum + p.text.length, 0),
+    ...(truncated ? { truncated: true } : {})
+  };
+}
+
+// Métadonnées d'un PDF (ou AI compatible PDF)
+async function pdfMetadata(pdfPath, parsed) {
+  const pdfDoc = await PDFDocument.load(fs.readFileSync(pdfPath), {
+    ignoreEncryption: true,
+    updateMetadata: false
+  });
+  const context = pdfDoc.context;
+  const markInfo = dictGet(context, pdfDoc.catalog, 'MarkInfo');
+  const marked = markInfo ? dictGet(context, markInfo, 'Marked') : null;
+
+  const info = {};
+  for (const key of INFO_KEYS) {
+    let value = parsed.info[key];
+    if (value === undefined || value === null || value === '') continue;
+    if (value && typeof value === 'object' && value.name) value = value.name; // /Trapped
+    info[key] = key.endsWith('Date') ? pdfDateToIso(value) : value;
+  }
+
+  return {
+    pdfVersion: parsed.pdfVersion,
+    pageCount: parsed.pageCount,
+    info,
+    xmp: await parseXmp(catalogXmp(pdfDoc)),
+    tagged: marked instanceof PDFBool && marked.asBoolean(),
+    structureTree: Boolean(pdfDoc.catalog.get(PDFName.of('StructTreeRoot'))),
+    encrypted: pdfDoc.isEncrypted,
+    acroForm: Boolean(parsed.info.IsAcroFormPresent),
+    linearized: Boolean(parsed.info.IsLinearized)
+  };
+}
+
+// ---- SVG ----
+
+// <title>, <desc>, <metadata> enfants de la racine et texte des éléments <text>
+function parseSvg(svgPath) {
+  const xml = fs.readFileSync(svgPath, 'utf8');
+  const parser = sax.parser(true, { position: true });
+  const result = { title: null, desc: null, metadata: null, texts: [] };
+
+  const stack = [];
+  let capture = null; // { name, start, chunks }
+  let textChunks = null;
+
+  parser.onopentag = (node) => {
+    stack.push(node.name);
+    const local = node.name.replace(/^.*:/, '');
+    if (stack.length === 2 && ['title', 'desc', 'metadata'].includes(local) && !result[local] && !capture) {
+      capture = { name: local, depth: 2, start: parser.position, chunks: [] };
+    }
+    if (local === 'text' && !textChunks) textChunks = { depth: stack.length, chunks: [] };
+  };
+  parser.ontext = (t) => {
+    if (capture && capture.name !== 'metadata') capture.chunks.push(t);
+    if (textChunks) textChunks.chunks.push(t);
+  };
+  parser.oncdata = parser.ontext;
+  parser.onclosetag = () => {
+    if (capture && stack.length === capture.depth) {
+      if (capture.name === 'metadata') {
+        // contenu brut de <metadata> : de la fin de la balise ouvrante au début de la fermante
+        const end = xml.lastIndexOf('<', parser.position - 1);
+        result.metadata = xml.slice(capture.start, end).trim();
+      } else {
+        result[capture.name] = capture.chunks.join('').replace(/\s+/g, ' ').trim() || null;
+      }
+      capture = null;
+    }
+    if (textChunks && stack.length === textChunks.depth) {
+      const value = textChunks.chunks.join('').replace(/\s+/g, ' ').trim();
+      if (value) result.texts.push(value);
+      textChunks = null;
+    }
+    stack.pop();
+  };
+
+  parser.write(xml).close();
+  return result;
+}
+
+// ---- Point d'entrée ----
+
+// kind : 'pdf' (PDF, AI compatible PDF), 'postscript' (EPS, PS, AI ancien), 'svg', 'raster'
+// options : { metadata, text, pages (plages de pages pour le texte), getPdf () => PDF converti }
+// Renvoie { metadata?, text? }
+async function extractDocumentInfo(filePath, kind, { metadata = false, text = false, pages = null, getPdf }) {
+  const out = {};
+
+  if (kind === 'svg') {
+    const svg = parseSvg(filePath);
+    if (metadata) {
+      out.metadata = {
+        title: svg.title,
+        desc: svg.desc,
+        metadata: svg.metadata ? svg.metadata.slice(0, MAX_SVG_METADATA_CHARS) : null,
+        ...(svg.metadata && svg.metadata.includes('rdf:RDF')
+          ? { rdf: await parseXmp(svg.metadata.slice(svg.metadata.indexOf('<rdf:RDF'))) }
+          : {})
+      };
+    }
+    if (text) out.text = textReport([{ page: 1, text: svg.texts.join('\n') }]);
+    return out;
+  }
+
+  if (kind === 'pdf') {
+    const parsed = await parseWithPdfParse(filePath, { text, pages });
+    if (metadata) out.metadata = await pdfMetadata(filePath, parsed);
+    if (text) out.text = textReport(parsed.pages);
+    return out;
+  }
+
+  // PostScript et images : XMP incorporé ; texte (PostScript) lu sur la conversion PDF
+  if (metadata) {
+    out.metadata = { xmp: await parseXmp(findXmpPacket(fs.readFileSync(filePath))) };
+  }
+  if (text && kind === 'postscript') {
+    const parsed = await parseWithPdfParse(await getPdf(), { text, pages });
+    out.text = textReport(parsed.pages);
+  }
+  return out;
+}
+
+module.exports = {
+  extractDocumentInfo,
+  parseXmp,
+  findXmpPacket,
+  pdfDateToIso
+};
@@ -0,0 +1,229 @@
+// analyzers/pdfAnalyzer.js
+//
+// Analyse multi-pages d'un PDF (ou d'un AI compatible PDF).
+// - boxes déclarées (Media/Crop/Trim/Bleed/Art) + rotation via pdf-lib
+// - bbox encrée de chaque page via Ghostscript (sDEVICE=bbox)
+// - résumé document : tailles différentes d'une page à l'autre
+
+const fs = require('fs');
+const { PDFDocument } = require('pdf-lib');
+const { describeBox, runGhostscriptBBoxPages } = require('./bboxGhostscript');
+const { badRequest } = require('../lib/common');
+
+// Tolérance (mm) pour considérer deux pages comme de même format
+const SIZE_TOLERANCE_MM = 0.5;
+
+const BOX_NAMES = ['MediaBox', 'CropBox', 'BleedBox', 'TrimBox', 'ArtBox'];
+
+// Pages sélectionnables au plus quand le nombre de pages du document est inconnu
+const MAX_SELECTED_PAGES = 10000;
+
+// Parse une sélection de pages "1-3,5,8-" → plages [{ start, end }] (1-based, end null =
+// jusqu'à la dernière page), sans les développer : à confronter au nombre de pages réel
+function parsePageRanges(spec) {
+  if (spec === undefined || spec === null || String(spec).trim() === '') {
+    return null;
+  }
+
+  const ranges = [];
+  for (const part of String(spec).split(',')) {
+    const token = part.trim();
+    if (!token) continue;
+
+    const m = token.match(/^(\d+)?\s*(-)?\s*(\d+)?$/);
+    if (!m || (!m[1] && !m[3])) {
+      throw badRequest(`Invalid pages selection: "${spec}"`);
+    }
+
+    const start = m[1] ? parseInt(m[1], 10) : 1;
+    const end = m[2] ? (m[3] ? parseInt(m[3], 10) : null) : start;
+    if (start < 1 || (end !== null && end < start)) {
+      throw badRequest(`Invalid page range: "${token}"`);
+    }
+    ranges.push({ start, end });
+  }
+  return ranges.length ? ranges : null;
+}
+
+// Page (1-based) comprise dans les plages de parsePageRanges (null = toutes les pages)
+function pageInRanges(ranges, page) {
+  return !ranges || ranges.some(({ start, end }) => page >= start && (end === null || page <= end));
+}
+
+// Sélection de pages → liste triée de numéros (1-based), limitée aux pages du document.
+// pageCount peut être null si le nombre de pages est inconnu : plages ouvertes refusées
+// et au plus MAX_SELECTED_PAGES pages.
+function parsePageSelection(spec, pageCount) {
+  const ranges = parsePageRanges(spec);
+  if (!ranges) return null;
+
+  const pages = new Set();
+  for (const { start, end } of ranges) {
+    let last = end === null ? pageCount : end;
+    if (last === null || last === undefined) {
+      throw badRequest(`Open page range needs a known page count: "${start}-"`);
+    }
+    if (pageCount) last = Math.min(last, pageCount);
+    if (!pageCount && pages.size + (last - start + 1) > MAX_SELECTED_PAGES) {
+      throw badRequest(`Page selection "${spec}" is too large (max ${MAX_SELECTED_PAGES} pages)`);
+    }
+    for (let p = start; p <= last; p++) pages.add(p);
+  }
+
+  if (pages.size === 0) {
+    throw badRequest(`No page in selection "${spec}" (document has ${pageCount} pages)`);
+  }
+  return [...pages].sort((a, b) => a - b);
+}
+
+// Boxes d'une page pdf-lib (valeurs par défaut PDF appliquées)
+function pageBoxes(page) {
+  const getters = {
+    MediaBox: () => page.getMediaBox(),
+    CropBox: () => page.getCropBox(),
+    BleedBox: () => page.getBleedBox(),
+    TrimBox: () => page.getTrimBox(),
+    ArtBox: () => page.getArtBox()
+  };
+
+  const boxes = {};
+  for (const name of BOX_NAMES) {
+    const { x, y, width, height } = getters[name]();
+    boxes[name] = {
+      ...describeBox(x, y, x + width, y + height),
+      // false = valeur par défaut héritée (ex : TrimBox = CropBox)
+      declared: name === 'MediaBox' || page.node[name]() !== undefined
+    };
+  }
+  return boxes;
+}
+
+// Rotation normalisée (0, 90, 180, 270)
+function pageRotation(page) {
+  return ((page.getRotation().angle % 360) + 360) % 360;
+}
+
+// Lecture des boxes déclarées via pdf-lib (null si le fichier n'est pas lisible,
+// ex : AI ancien basé PostScript)
+async function readDeclaredBoxes(filePath) {
+  try {
+    const bytes = fs.readFileSync(filePath);
+    const pdfDoc = await PDFDocument.load(bytes, {
+      ignoreEncryption: true,
+      updateMetadata: false
+    });
+
+    return pdfDoc.getPages().map((page) => ({
+      boxes: pageBoxes(page),
+      rotation: pageRotation(page)
+    }));
+  } catch (err) {
+    console.warn('pdf-lib: lecture des boxes impossible:', err.message);
+    return null;
+  }
+}
+
+// Taille finie d'une page (TrimBox, rotation appliquée)
+function finishedSize(boxes, rotation) {
+  const trim = boxes.TrimBox;
+  const swap = rotation === 90 || rotation === 270;
+  return {
+    width_mm: swap ? trim.height_mm : trim.width_mm,
+    height_mm: swap ? trim.width_mm : trim.height_mm
+  };
+}
+
+// Résumé document : regroupe les pages par format
+function summarizePages(pages) {
+  const sizes = [];
+
+  for (const page of pages) {
+    if (page.width_mm === undefined) continue;
+    const group = sizes.find(
+      (s) =>
+        Math.abs(s.width_mm - page.width_mm) <= SIZE_TOLERANCE_MM &&
+        Math.abs(s.height_mm - page.height_mm) <= SIZE_TOLERANCE_MM
+    );
+    if (group) {
+      group.pages.push(page.page);
+    } else {
+      sizes.push({ width_mm: page.width_mm, height_mm: page.height_mm, pages: [page.page] });
+    }
+  }
+
+  // Les pages hors du format majoritaire sont signalées
+  const main = sizes.reduce((a, b) => (b.pages.length > a.pages.length ? b : a), sizes[0]);
+  const differingPages = sizes
+    .filter((s) => s !== main)
+    .reduce((acc, s) => acc.concat(s.pages), [])
+    .sort((a, b) => a - b);
+
+  return {
+    uniformSize: sizes.length <= 1,
+    sizeTolerance_mm: SIZE_TOLERANCE_MM,
+    sizes,
+    differingPages
+  };
+}
+
+// Analyse complète : options.pages = sélection "1-3,5" (optionnelle)
+async function analyzePdfPages(filePath, options = {}) {
+  const declared = await readDeclaredBoxes(filePath);
+  const pageCount = declared ? declared.length : null;
+
+  const selection = parsePageSelection(options.pages, pageCount);
+
+  // Ghostscript ne rend qu'une plage continue : on coupe au min/max demandé
+  const firstPage = selection ? selection[0] : 1;
+  const lastPage = selection ? selection[selection.length - 1] : undefined;
+  const inkBoxes = await runGhostscriptBBoxPages(filePath, {
+    firstPage: selection ? firstPage : undefined,
+    lastPage
+  });
+
+  const pageNumbers = selection ||
+    Array.from({ length: pageCount || inkBoxes.length }, (_, i) => i + 1);
+
+  const pages = pageNumbers.map((pageNumber) => {
+    const inkBbox = inkBoxes[pageNumber - firstPage] || null;
+    const info = declared ? declared[pageNumber - 1] : null;
+
+    if (!info) {
+      // Pas de boxes lisibles : on se rabat sur la bbox encrée
+      return {
+        page: pageNumber,
+        rotation: 0,
+        boxes: null,
+        inkBbox,
+        width_mm: inkBbox ? inkBbox.width_mm : undefined,
+        height_mm: inkBbox ? inkBbox.height_mm : undefined
+      };
+    }
+
+    return {
+      page: pageNumber,
+      rotation: info.rotation,
+      boxes: info.boxes,
+      inkBbox,
+      ...finishedSize(info.boxes, info.rotation)
+    };
+  });
+
+  return {
+    pageCount: pageCount || inkBoxes.length,
+    analyzedPages: pages.map((p) => p.page),
+    pages,
+    summary: summarizePages(pages)
+  };
+}
+
+module.exports = {
+  analyzePdfPages,
+  parsePageRanges,
+  pageInRanges,
+  parsePageSelection,
+  pageBoxes,
+  pageRotation,
+  summarizePages,
+  finishedSize
+};
@@ -0,0 +1,825 @@
+// analyzers/pdfContent.js
+//
+// Lecture bas niveau du contenu des pages PDF (via les objets pdf-lib).
+// - décodage et découpage des flux de contenu (opérandes / opérateurs)
+// - interpréteur minimal : CTM (q/Q/cm), épaisseur de trait, espaces
+//   couleur, ExtGState, XObjects (images et formulaires imbriqués), texte
+// - budget d'opérateurs par page : un formulaire dessiné de nombreuses fois à
+//   plusieurs niveaux d'imbrication ne bloque pas le serveur (erreur 422)
+// - les analyseurs (preflight, ...) s'y branchent par des callbacks
+
+const {
+  PDFArray,
+  PDFBool,
+  PDFDict,
+  PDFName,
+  PDFNumber,
+  PDFRawStream,
+  PDFStream,
+  PDFString,
+  PDFHexString,
+  PDFRef,
+  decodePDFRawStream
+} = require('pdf-lib');
+const { httpError } = require('../lib/common');
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+// Profondeur max des formulaires imbriqués (protection contre les boucles)
+const MAX_FORM_DEPTH = 20;
+
+// Opérateurs interprétés au plus par page, formulaires compris (chaque utilisation d'un
+// formulaire compte) : largement au-dessus des pages réelles les plus chargées
+const MAX_PAGE_OPERATORS = parseInt(process.env.PDF_MAX_PAGE_OPERATORS, 10) || 1000000;
+
+// ---- Helpers objets pdf-lib ----
+
+function resolve(context, obj) {
+  return obj instanceof PDFRef ? context.lookup(obj) : obj;
+}
+
+function nameOf(obj) {
+  return obj instanceof PDFName ? obj.decodeText() : null;
+}
+
+function numberOf(obj, fallback = null) {
+  return obj instanceof PDFNumber ? obj.asNumber() : fallback;
+}
+
+// Entrée d'un dictionnaire (références résolues)
+function dictGet(context, dict, key) {
+  if (!dict || typeof dict.get !== 'function') return undefined;
+  return resolve(context, dict.get(PDFName.of(key)));
+}
+
+function streamDict(stream) {
+  return stream instanceof PDFStream ? stream.dict : stream;
+}
+
+// Contenu décodé d'un flux (Flate, LZW, ASCII85, ...)
+function streamBytes(stream) {
+  if (stream instanceof PDFRawStream) {
+    return decodePDFRawStream(stream).decode();
+  }
+  if (stream && typeof stream.getContents === 'function') {
+    return stream.getContents();
+  }
+  return new Uint8Array(0);
+}
+
+// Flux de contenu d'une page, concaténés
+function pageContentBytes(page) {
+  const context = page.doc.context;
+  const contents = resolve(context, page.node.get(PDFName.of('Contents')));
+  const streams = contents instanceof PDFArray
+    ? contents.asArray().map((ref) => resolve(context, ref))
+    : [contents];
+
+  const chunks = [];
+  for (const stream of streams) {
+    if (!(stream instanceof PDFStream)) continue;
+    chunks.push(Buffer.from(streamBytes(stream)));
+    chunks.push(Buffer.from('\n'));
+  }
+  return Buffer.concat(chunks);
+}
+
+function pageResources(page) {
+  const context = page.doc.context;
+  return resolve(context, page.node.getInheritableAttribute(PDFName.of('Resources')));
+}
+
+// ---- Matrices ----
+
+function multiply(m1, m2) {
+  const [a1, b1, c1, d1, e1, f1] = m1;
+  const [a2, b2, c2, d2, e2, f2] = m2;
+  return [
+    a1 * a2 + b1 * c2,
+    a1 * b2 + b1 * d2,
+    c1 * a2 + d1 * c2,
+    c1 * b2 + d1 * d2,
+    e1 * a2 + f1 * c2 + e2,
+    e1 * b2 + f1 * d2 + f2
+  ];
+}
+
+function transformPoint(m, x, y) {
+  return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+}
+
+// Facteur d'échelle moyen d'une matrice (pour les épaisseurs de trait)
+function matrixScale(m) {
+  return Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+}
+
+// ---- Lexer des flux de contenu ----
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIMITERS = new Set([0x28, 0x29, 0x3c, 0x3e, 0x5b, 0x5d, 0x7b, 0x7d, 0x2f, 0x25]);
+
+// Découpe un flux en instructions { op, args, offset } (offset = position de
+// l'opérateur dans le flux) ; les images en ligne (BI ... ID ... EI) sont
+// renvoyées avec op = 'BI' et args = [dict]
+function parseContent(bytes) {
+  const buf = Buffer.isBuffer(bytes) ? bytes : Buffer.from(bytes);
+  const ops = [];
+  let pos = 0;
+  let stack = [];
+
+  const isRegular = (c) => !WHITESPACE.has(c) && !DELIMITERS.has(c);
+
+  const readToken = () => {
+    while (pos < buf.length) {
+      const c = buf[pos];
+      if (WHITESPACE.has(c)) {
+        pos++;
+      } else if (c === 0x25) {
+        // commentaire jusqu'à la fin de ligne
+        while (pos < buf.length && buf[pos] !== 0x0a && buf[pos] !== 0x0d) pos++;
+      } else {
+        break;
+      }
+    }
+    if (pos >= buf.length) return undefined;
+
+    const c = buf[pos];
+
+    if (c === 0x2f) {
+      // nom /Foo#20Bar
+      let end = pos + 1;
+      while (end < buf.length && isRegular(buf[end])) end++;
+      const raw = buf.toString('latin1', pos + 1, end);
+      pos = end;
+      return { type: 'name', value: raw.replace(/#([0-9a-fA-F]{2})/g, (_, h) => String.fromCharCode(parseInt(h, 16))) };
+    }
+
+    if (c === 0x28) {
+      // chaîne littérale (parenthèses imbriquées, échappements)
+      let depth = 1;
+      let end = pos + 1;
+      const out = [];
+      while (end < buf.length && depth > 0) {
+        const ch = buf[end];
+        if (ch === 0x5c) {
+          const next = buf[end + 1];
+          const map = { 0x6e: 0x0a, 0x72: 0x0d, 0x74: 0x09, 0x62: 0x08, 0x66: 0x0c };
+          if (map[next] !== undefined) {
+            out.push(map[next]);
+            end += 2;
+          } else if (next >= 0x30 && next <= 0x37) {
+            let oct = '';
+            let k = end + 1;
+            while (k < buf.length && oct.length < 3 && buf[k] >= 0x30 && buf[k] <= 0x37) {
+              oct += String.fromCharCode(buf[k]);
+              k++;
+            }
+            out.push(parseInt(oct, 8) & 0xff);
+            end = k;
+          } else if (next === 0x0d || next === 0x0a) {
+            end += next === 0x0d && buf[end + 2] === 0x0a ? 3 : 2;
+          } else {
+            out.push(next);
+            end += 2;
+          }
+          continue;
+        }
+        if (ch === 0x28) depth++;
+        if (ch === 0x29) depth--;
+        if (depth > 0) out.push(ch);
+        end++;
+      }
+      pos = end;
+      return { type: 'string', value: Buffer.from(out) };
+    }
+
+    if (c === 0x3c && buf[pos + 1] === 0x3c) {
+      pos += 2;
+      return { type: 'dictStart' };
+    }
+    if (c === 0x3e && buf[pos + 1] === 0x3e) {
+      pos += 2;
+      return { type: 'dictEnd' };
+    }
+
+    if (c === 0x3c) {
+      // chaîne hexadécimale
+      const end = buf.indexOf(0x3e, pos);
+      const hex = buf.toString('latin1', pos + 1, end < 0 ? buf.length : end).replace(/\s+/g, '');
+      pos = end < 0 ? buf.length : end + 1;
+      return { type: 'string', value: Buffer.from(hex.length % 2 ? hex + '0' : hex, 'hex') };
+    }
+
+    if (c === 0x5b) {
+      pos++;
+      return { type: 'arrayStart' };
+    }
+    if (c === 0x5d) {
+      pos++;
+      return { type: 'arrayEnd' };
+    }
+    if (c === 0x7b || c === 0x7d || c === 0x29 || c === 0x3e) {
+      pos++;
+      return readToken();
+    }
+
+    const start = pos;
+    let end = pos;
+    while (end < buf.length && isRegular(buf[end])) end++;
+    const word = buf.toString('latin1', pos, end);
+    pos = end;
+
+    if (/^[-+]?(?:\d+\.?\d*|\.\d+)$/.test(word)) {
+      return { type: 'number', value: parseFloat(word) };
+    }
+    if (word === 'true' || word === 'false') return { type: 'bool', value: word === 'true' };
+    if (word === 'null') return { type: 'null', value: null };
+    return { type: 'op', value: word, start };
+  };
+
+  // Assemble tableaux et dictionnaires à partir des jetons
+  const readValue = (token) => {
+    if (token.type === 'arrayStart') {
+      const arr = [];
+      for (;;) {
+        const t = readToken();
+        if (!t || t.type === 'arrayEnd') break;
+        arr.push(readValue(t));
+      }
+      return arr;
+    }
+    if (token.type === 'dictStart') {
+      const dict = {};
+      for (;;) {
+        const k = readToken();
+        if (!k || k.type === 'dictEnd') break;
+        const v = readToken();
+        if (!v) break;
+        if (k.type === 'name') dict[k.value] = readValue(v);
+      }
+      return { dict };
+    }
+    if (token.type === 'name') return { name: token.value };
+    return token.value;
+  };
+
+  for (;;) {
+    const token = readToken();
+    if (!token) break;
+
+    if (token.type !== 'op') {
+      stack.push(readValue(token));
+      continue;
+    }
+
+    if (token.value === 'BI') {
+      // Image en ligne : dictionnaire jusqu'à ID, données jusqu'à EI
+      const dict = {};
+      for (;;) {
+        const k = readToken();
+        if (!k || (k.type === 'op' && k.value === 'ID')) break;
+        const v = readToken();
+        if (!v) break;
+        if (k.type === 'name') dict[k.value] = readValue(v);
+      }
+      // Fin des données : "EI" entouré de blancs (indexOf, sans copier le reste du flux)
+      let end = buf.length;
+      for (let i = buf.indexOf('EI', pos + 2, 'latin1'); i !== -1; i = buf.indexOf('EI', i + 1, 'latin1')) {
+        if (WHITESPACE.has(buf[i - 1]) && (i + 2 >= buf.length || WHITESPACE.has(buf[i + 2]))) {
+          end = i + 2;
+          break;
+        }
+      }
+      pos = end;
+      ops.push({ op: 'BI', args: [dict], offset: token.start });
+      stack = [];
+      continue;
+    }
+
+    ops.push({ op: token.value, args: stack, offset: token.start });
+    stack = [];
+  }
+
+  return ops;
+}
+
+// ---- Espaces couleur ----
+
+const DEVICE_SPACES = {
+  DeviceRGB: { family: 'DeviceRGB', model: 'RGB', components: 3 },
+  RGB: { family: 'DeviceRGB', model: 'RGB', components: 3 },
+  DeviceCMYK: { family: 'DeviceCMYK', model: 'CMYK', components: 4 },
+  CMYK: { family: 'DeviceCMYK', model: 'CMYK', components: 4 },
+  DeviceGray: { family: 'DeviceGray', model: 'Gray', components: 1 },
+  G: { family: 'DeviceGray', model: 'Gray', components: 1 },
+  Pattern: { family: 'Pattern', model: 'Pattern', components: 0 },
+  I: { family: 'Indexed', model: 'Indexed', components: 1 }
+};
+
+const MODEL_BY_COMPONENTS = { 1: 'Gray', 3: 'RGB', 4: 'CMYK' };
+
+// Objet espace couleur (nom ou tableau pdf-lib) → description
+// { family, model: RGB|CMYK|Gray|Spot|Lab|Pattern|..., colorants? }
+function describeColorSpace(context, obj, resources, depth = 0) {
+  obj = resolve(context, obj);
+  if (depth > 8 || obj === undefined || obj === null) return { family: 'Unknown', model: 'Unknown' };
+
+  const name = nameOf(obj);
+  if (name) {
+    if (DEVICE_SPACES[name]) return { ...DEVICE_SPACES[name] };
+    // Nom de ressource /CS0 → dictionnaire ColorSpace des ressources
+    const csDict = dictGet(context, resources, 'ColorSpace');
+    const entry = dictGet(context, csDict, name);
+    if (entry !== undefined) return describeColorSpace(context, entry, resources, depth + 1);
+    return { family: name, model: 'Unknown' };
+  }
+
+  if (!(obj instanceof PDFArray) || obj.size() === 0) return { family: 'Unknown', model: 'Unknown' };
+
+  const family = nameOf(resolve(context, obj.get(0)));
+  switch (family) {
+    case 'ICCBased': {
+      const stream = resolve(context, obj.get(1));
+      const n = numberOf(dictGet(context, streamDict(stream), 'N'), 3);
+      return { family, model: MODEL_BY_COMPONENTS[n] || 'Unknown', components: n };
+    }
+    case 'CalRGB':
+      return { family, model: 'RGB', components: 3 };
+    case 'CalGray':
+      return { family, model: 'Gray', components: 1 };
+    case 'Lab':
+      return { family, model: 'Lab', components: 3 };
+    case 'Separation': {
+      const colorant = nameOf(resolve(context, obj.get(1)));
+      const alternate = describeColorSpace(context, obj.get(2), resources, depth + 1);
+      // /All et /None ne sont pas des tons directs
+      const model = colorant === 'All' || colorant === 'None' ? 'Registration' : 'Spot';
+      return { family, model, colorants: [colorant], alternate: alternate.model, components: 1 };
+    }
+    case 'DeviceN': {
+      const names = resolve(context, obj.get(1));
+      const colorants = names instanceof PDFArray
+        ? names.asArray().map((n) => nameOf(resolve(context, n)))
+        : [];
+      const alternate = describeColorSpace(context, obj.get(2), resources, depth + 1);
+      return { family, model: 'DeviceN', colorants, alternate: alternate.model, components: colorants.length };
+    }
+    case 'Indexed':
+    case 'I': {
+      const base = describeColorSpace(context, obj.get(1), resources, depth + 1);
+      return { family: 'Indexed', model: base.model, base: base.family, colorants: base.colorants, components: 1 };
+    }
+    case 'Pattern':
+      return { family, model: 'Pattern', components: 0 };
+    default:
+      return { family: family || 'Unknown', model: 'Unknown' };
+  }
+}
+
+// ---- Polices ----
+
+// Décrit une police : nom, type, incorporée ou non
+function describeFont(context, fontDict) {
+  const subtype = nameOf(dictGet(context, fontDict, 'Subtype'));
+  const baseFont = nameOf(dictGet(context, fontDict, 'BaseFont')) || null;
+
+  // Type3 : glyphes décrits dans le PDF, toujours "incorporés"
+  if (subtype === 'Type3') {
+    return { name: baseFont || 'Type3', subtype, embedded: true, subset: false };
+  }
+
+  let descriptorOwner = fontDict;
+  if (subtype === 'Type0') {
+    const descendants = dictGet(context, fontDict, 'DescendantFonts');
+    if (descendants instanceof PDFArray && descendants.size() > 0) {
+      descriptorOwner = resolve(context, descendants.get(0));
+    }
+  }
+
+  const descriptor = dictGet(context, descriptorOwner, 'FontDescriptor');
+  const embedded = descriptor instanceof PDFDict &&
+    ['FontFile', 'FontFile2', 'FontFile3'].some((k) => descriptor.has(PDFName.of(k)));
+
+  return {
+    name: baseFont ? baseFont.replace(/^[A-Z]{6}\+/, '') : 'unnamed',
+    subtype,
+    embedded,
+    // Préfixe ABCDEF+ = sous-ensemble incorporé
+    subset: !!baseFont && /^[A-Z]{6}\+/.test(baseFont)
+  };
+}
+
+// ---- Interpréteur ----
+
+function initialState() {
+  return {
+    ctm: IDENTITY,
+    lineWidth: 1,
+    fillSpace: { ...DEVICE_SPACES.DeviceGray },
+    strokeSpace: { ...DEVICE_SPACES.DeviceGray },
+    fillColor: [0],
+    strokeColor: [0],
+    fillAlpha: 1,
+    strokeAlpha: 1,
+    blendMode: 'Normal',
+    softMask: false,
+    font: null,
+    fontSize: 0,
+    textRender: 0
+  };
+}
+
+function cloneState(state) {
+  return { ...state };
+}
+
+// Parcourt le contenu d'une page et appelle les callbacks :
+//   onPaint({ op, stroke, fill, path, state, offset, form })
+//                                                tracé (S, f, B, ...) ; offset = position de
+//                                                l'opérateur dans le flux de la page (flux
+//                                                concaténés) ou du formulaire form (null : page)
+//   onImage({ name, image, inline, state })      image (XObject ou en ligne)
+//   onText({ state })                            affichage de texte
+//   onColorSpace({ space, state, usage })        espace couleur utilisé
+//   onExtGState({ name, dict, state })           application d'un ExtGState
+//   onForm({ name, form, depth })                entrée dans un formulaire
+//   onShading({ name, space, state })            dégradé (sh)
+// Au-delà de MAX_PAGE_OPERATORS (ou options.maxOperators), erreur 422 de code
+// CONTENT_TOO_COMPLEX : les appelants qui ignorent une page illisible la relancent.
+function walkPage(page, handlers = {}, options = {}) {
+  const context = page.doc.context;
+  const walk = {
+    seenForms: new Set(),
+    // opérateurs de chaque formulaire, découpés une seule fois par page
+    formOps: new Map(),
+    remaining: options.maxOperators || MAX_PAGE_OPERATORS
+  };
+  walkContent(context, parseContent(pageContentBytes(page)), pageResources(page), initialState(), handlers, 0, walk, null);
+}
+
+// walk : { seenForms (formulaires en cours, contre les boucles), formOps, remaining }
+// baseState : état graphique à l'entrée (un formulaire hérite de celui de l'appelant :
+// couleurs, transparence, épaisseur de trait, ...)
+function walkContent(context, ops, resources, baseState, handlers, depth, walk, form) {
+  walk.remaining -= ops.length;
+  if (walk.remaining < 0) {
+    const err = httpError(422, 'Page content is too complex to analyse (too many operators, nested forms drawn repeatedly)');
+    err.code = 'CONTENT_TOO_COMPLEX';
+    throw err;
+  }
+  let state = cloneState(baseState);
+  const stack = [];
+
+  // Chemin courant, en coordonnées page (points) : liste de sous-chemins
+  // [{ segments: [{ type: 'M'|'L'|'C', points: [[x, y], ...] }], closed }]
+  let path = [];
+  let current = null;
+  let currentPoint = null;
+  let subpathStart = null;
+
+  const toPage = (x, y) => transformPoint(state.ctm, x, y);
+  const startSubpath = (x, y) => {
+    current = { segments: [{ type: 'M', points: [toPage(x, y)] }], closed: false };
+    path.push(current);
+    currentPoint = [x, y];
+    subpathStart = [x, y];
+  };
+  const ensureSubpath = () => {
+    if (!current) startSubpath(currentPoint ? currentPoint[0] : 0, currentPoint ? currentPoint[1] : 0);
+  };
+
+  const emitColorSpace = (space, usage) => {
+    if (handlers.onColorSpace) handlers.onColorSpace({ space, state, usage });
+  };
+
+  const setFillSpace = (space, color) => {
+    state.fillSpace = space;
+    state.fillColor = color;
+  };
+  const setStrokeSpace = (space, color) => {
+    state.strokeSpace = space;
+    state.strokeColor = color;
+  };
+
+  let opOffset = 0;
+  const paint = (op, stroke, fill) => {
+    if (handlers.onPaint && path.length > 0) {
+      handlers.onPaint({ op, stroke, fill, path, state, offset: opOffset, form });
+    }
+    if (fill) emitColorSpace(state.fillSpace, 'fill');
+    if (stroke) emitColorSpace(state.strokeSpace, 'stroke');
+    path = [];
+    current = null;
+  };
+
+  const num = (v) => (typeof v === 'number' ? v : 0);
+
+  for (const { op, args, offset } of ops) {
+    opOffset = offset;
+    switch (op) {
+      case 'q':
+        stack.push(cloneState(state));
+        break;
+      case 'Q':
+        if (stack.length) state = stack.pop();
+        break;
+      case 'cm':
+        if (args.length === 6) state.ctm = multiply(args.map(num), state.ctm);
+        break;
+      case 'w':
+        state.lineWidth = num(args[0]);
+        break;
+
+      // Chemins
+      case 'm':
+        startSubpath(num(args[0]), num(args[1]));
+        break;
+      case 'l':
+        ensureSubpath();
+        current.segments.push({ type: 'L', points: [toPage(num(args[0]), num(args[1]))] });
+        currentPoint = [num(args[0]), num(args[1])];
+        break;
+      case 'c':
+      case 'v':
+      case 'y': {
+        ensureSubpath();
+        const a = args.map(num);
+        let c1;
+        let c2;
+        let end;
+        if (op === 'c') {
+          c1 = [a[0], a[1]];
+          c2 = [a[2], a[3]];
+          end = [a[4], a[5]];
+        } else if (op === 'v') {
+          c1 = currentPoint;
+          c2 = [a[0], a[1]];
+          end = [a[2], a[3]];
+        } else {
+          c1 = [a[0], a[1]];
+          c2 = [a[2], a[3]];
+          end = [a[2], a[3]];
+        }
+        current.segments.push({
+          type: 'C',
+          points: [toPage(c1[0], c1[1]), toPage(c2[0], c2[1]), toPage(end[0], end[1])]
+        });
+        currentPoint = end;
+        break;
+      }
+      case 'h':
+        if (current) {
+          current.closed = true;
+          current = null;
+          // Un tracé après h repart du point de départ du sous-chemin
+          currentPoint = subpathStart;
+        }
+        break;
+      case 're': {
+        const [x, y, w, h] = args.map(num);
+        startSubpath(x, y);
+        current.segments.push({ type: 'L', points: [toPage(x + w, y)] });
+        current.segments.push({ type: 'L', points: [toPage(x + w, y + h)] });
+        current.segments.push({ type: 'L', points: [toPage(x, y + h)] });
+        current.closed = true;
+        current = null;
+        currentPoint = [x, y];
+        break;
+      }
+
+      // Peinture
+      case 'S':
+        paint(op, true, false);
+        break;
+      case 's':
+        if (current) current.closed = true;
+        paint(op, true, false);
+        break;
+      case 'f':
+      case 'F':
+      case 'f*':
+        paint(op, false, true);
+        break;
+      case 'B':
+      case 'B*':
+        paint(op, true, true);
+        break;
+      case 'b':
+      case 'b*':
+        if (current) current.closed = true;
+        paint(op, true, true);
+        break;
+      case 'n':
+        path = [];
+        current = null;
+        break;
+
+      // Couleurs
+      case 'g':
+        setFillSpace({ ...DEVICE_SPACES.DeviceGray }, args.map(num));
+        break;
+      case 'G':
+        setStrokeSpace({ ...DEVICE_SPACES.DeviceGray }, args.map(num));
+        break;
+      case 'rg':
+        setFillSpace({ ...DEVICE_SPACES.DeviceRGB }, args.map(num));
+        break;
+      case 'RG':
+        setStrokeSpace({ ...DEVICE_SPACES.DeviceRGB }, args.map(num));
+        break;
+      case 'k':
+        setFillSpace({ ...DEVICE_SPACES.DeviceCMYK }, args.map(num));
+        break;
+      case 'K':
+        setStrokeSpace({ ...DEVICE_SPACES.DeviceCMYK }, args.map(num));
+        break;
+      case 'cs':
+      case 'CS': {
+        const name = args[0] && args[0].name;
+        const space = describeColorSpace(context, PDFName.of(name || 'DeviceGray'), resources);
+        if (op === 'cs') setFillSpace(space, []);
+        else setStrokeSpace(space, []);
+        break;
+      }
+      case 'sc':
+      case 'scn':
+        state.fillColor = args.filter((a) => typeof a === 'number');
+        break;
+      case 'SC':
+      case 'SCN':
+        state.strokeColor = args.filter((a) => typeof a === 'number');
+        break;
+
+      // États graphiques
+      case 'gs': {
+        const name = args[0] && args[0].name;
+        const gsDict = dictGet(context, dictGet(context, resources, 'ExtGState'), name);
+        if (gsDict instanceof PDFDict) {
+          const lw = numberOf(dictGet(context, gsDict, 'LW'));
+          if (lw !== null) state.lineWidth = lw;
+          const ca = numberOf(dictGet(context, gsDict, 'ca'));
+          if (ca !== null) state.fillAlpha = ca;
+          const CA = numberOf(dictGet(context, gsDict, 'CA'));
+          if (CA !== null) state.strokeAlpha = CA;
+          const bm = dictGet(context, gsDict, 'BM');
+          const bmName = nameOf(bm) || (bm instanceof PDFArray ? nameOf(resolve(context, bm.get(0))) : null);
+          if (bmName) state.blendMode = bmName;
+          const smask = dictGet(context, gsDict, 'SMask');
+          if (smask !== undefined) state.softMask = nameOf(smask) !== 'None';
+          if (handlers.onExtGState) handlers.onExtGState({ name, dict: gsDict, state });
+        }
+        break;
+      }
+
+      // Texte
+      case 'Tf': {
+        const name = args[0] && args[0].name;
+        const fontDict = dictGet(context, dictGet(context, resources, 'Font'), name);
+        state.font = fontDict ? { name, dict: fontDict } : null;
+        state.fontSize = num(args[1]);
+        break;
+      }
+      case 'Tr':
+        state.textRender = num(args[0]);
+        break;
+      case 'Tj':
+      case 'TJ':
+      case "'":
+      case '"':
+        if (handlers.onText) handlers.onText({ state });
+        // Mode 3 = texte invisible
+        if (state.textRender !== 3) {
+          if ([0, 2, 4, 6].includes(state.textRender)) emitColorSpace(state.fillSpace, 'text');
+          if ([1, 2, 5, 6].includes(state.textRender)) emitColorSpace(state.strokeSpace, 'text');
+        }
+        break;
+
+      // Dégradés
+      case 'sh': {
+        const name = args[0] && args[0].name;
+        const shading = dictGet(context, dictGet(context, resources, 'Shading'), name);
+        const shDict = streamDict(shading);
+        const space = describeColorSpace(context, shDict && shDict.get(PDFName.of('ColorSpace')), resources);
+        emitColorSpace(space, 'shading');
+        if (handlers.onShading) handlers.onShading({ name, space, state });
+        break;
+      }
+
+      // Images en ligne
+      case 'BI': {
+        const dict = args[0] || {};
+        const csValue = dict.CS || dict.ColorSpace;
+        const csName = csValue && csValue.name;
+        const space = csName
+          ? describeColorSpace(context, PDFName.of(csName), resources)
+          : { family: 'Unknown', model: 'Unknown' };
+        const isMask = dict.IM === true || dict.ImageMask === true;
+        if (!isMask) emitColorSpace(space, 'image');
+        if (handlers.onImage) {
+          handlers.onImage({
+            name: null,
+            inline: true,
+            image: {
+              width: num(dict.W || dict.Width),
+              height: num(dict.H || dict.Height),
+              bitsPerComponent: num(dict.BPC || dict.BitsPerComponent),
+              space,
+              isMask,
+              softMask: false
+            },
+            state
+          });
+        }
+        break;
+      }
+
+      // XObjects
+      case 'Do': {
+        const name = args[0] && args[0].name;
+        const xobject = dictGet(context, dictGet(context, resources, 'XObject'), name);
+        if (!(xobject instanceof PDFStream)) break;
+
+        const subtype = nameOf(dictGet(context, xobject.dict, 'Subtype'));
+        if (subtype === 'Image') {
+          const dict = xobject.dict;
+          const imageMask = dictGet(context, dict, 'ImageMask');
+          const isMask = imageMask instanceof PDFBool && imageMask.asBoolean();
+          const space = isMask
+            ? { family: 'ImageMask', model: 'Mask' }
+            : describeColorSpace(context, dict.get(PDFName.of('ColorSpace')), resources);
+          if (!isMask) emitColorSpace(space, 'image');
+          if (handlers.onImage) {
+            handlers.onImage({
+              name,
+              inline: false,
+              image: {
+                width: numberOf(dictGet(context, dict, 'Width'), 0),
+                height: numberOf(dictGet(context, dict, 'Height'), 0),
+                bitsPerComponent: numberOf(dictGet(context, dict, 'BitsPerComponent'), 0),
+                space,
+                isMask,
+                softMask: dictGet(context, dict, 'SMask') !== undefined,
+                filter: nameOf(dictGet(context, dict, 'Filter')),
+                ref: xobject
+              },
+              state
+            });
+          }
+        } else if (subtype === 'Form') {
+          if (depth >= MAX_FORM_DEPTH || walk.seenForms.has(xobject)) break;
+          const dict = xobject.dict;
+          const matrixObj = dictGet(context, dict, 'Matrix');
+          const matrix = matrixObj instanceof PDFArray
+            ? matrixObj.asArray().map((n) => numberOf(resolve(context, n), 0))
+            : IDENTITY;
+          const formResources = dictGet(context, dict, 'Resources') || resources;
+          if (handlers.onForm) handlers.onForm({ name, form: xobject, depth: depth + 1 });
+
+          if (!walk.formOps.has(xobject)) walk.formOps.set(xobject, parseContent(streamBytes(xobject)));
+          walk.seenForms.add(xobject);
+          walkContent(
+            context,
+            walk.formOps.get(xobject),
+            formResources,
+            { ...cloneState(state), ctm: multiply(matrix, state.ctm) },
+            handlers,
+            depth + 1,
+            walk,
+            xobject
+          );
+          walk.seenForms.delete(xobject);
+        }
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+}
+
+// Texte d'une PDFString / PDFHexString / nom
+function textOf(obj) {
+  if (obj instanceof PDFString || obj instanceof PDFHexString) return obj.decodeText();
+  if (obj instanceof PDFName) return obj.decodeText();
+  return null;
+}
+
+module.exports = {
+  resolve,
+  nameOf,
+  numberOf,
+  textOf,
+  dictGet,
+  streamDict,
+  streamBytes,
+  pageResources,
+  pageContentBytes,
+  parseContent,
+  describeColorSpace,
+  describeFont,
+  walkPage,
+  multiply,
+  transformPoint,
+  matrixScale
+};
@@ -0,0 +1,293 @@
+// analyzers/preflightAnalyzer.js
+//
+// Contrôle d'imprimabilité d'un PDF (les autres formats sont convertis en PDF
+// avant l'appel). Chaque problème devient un "finding" :
+//   { code, severity: 'error' | 'warning' | 'info', page, message, details }
+// - polices non incorporées
+// - images : résolution effective à la taille placée (seuil configurable)
+// - espaces couleur utilisés (RGB, CMYK, Gris, tons directs, DeviceN, ...)
+// - transparence, filets trop fins, incohérences des boxes de page
+
+const fs = require('fs');
+const { PDFDocument, PDFDict } = require('pdf-lib');
+const {
+  nameOf,
+  dictGet,
+  streamDict,
+  describeFont,
+  walkPage,
+  matrixScale
+} = require('./pdfContent');
+const { pageBoxes, pageRotation, summarizePages, finishedSize } = require('./pdfAnalyzer');
+const { mmToPt, ptToMm } = require('../lib/common');
+
+// Valeurs par défaut des seuils
+const DEFAULT_MIN_DPI = 300;
+const DEFAULT_MIN_LINE_WIDTH_MM = 0.1;
+
+// Tolérance (pt) pour les comparaisons de boxes
+const BOX_TOLERANCE_PT = 0.5;
+
+const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+
+// ---- Boxes ----
+
+function boxContains(outer, inner) {
+  return (
+    outer.llx <= inner.llx + BOX_TOLERANCE_PT &&
+    outer.lly <= inner.lly + BOX_TOLERANCE_PT &&
+    outer.urx >= inner.urx - BOX_TOLERANCE_PT &&
+    outer.ury >= inner.ury - BOX_TOLERANCE_PT
+  );
+}
+
+function sameBox(a, b) {
+  return ['llx', 'lly', 'urx', 'ury'].every((k) => Math.abs(a[k] - b[k]) <= BOX_TOLERANCE_PT);
+}
+
+function checkPageBoxes(boxes, pageNumber, add) {
+  const { MediaBox, CropBox, BleedBox, TrimBox } = boxes;
+
+  if (!TrimBox.declared) {
+    add('TRIMBOX_MISSING', 'info', pageNumber, 'No TrimBox declared, the CropBox/MediaBox is used as finished size');
+  }
+  if (!boxContains(MediaBox, TrimBox)) {
+    add('TRIMBOX_OUTSIDE_MEDIABOX', 'error', pageNumber, 'TrimBox extends beyond the MediaBox', { MediaBox, TrimBox });
+  }
+  if (BleedBox.declared && !boxContains(BleedBox, TrimBox)) {
+    add('BLEEDBOX_INSIDE_TRIMBOX', 'error', pageNumber, 'BleedBox is smaller than the TrimBox', { BleedBox, TrimBox });
+  }
+  if (!boxContains(MediaBox, BleedBox)) {
+    add('BLEEDBOX_OUTSIDE_MEDIABOX', 'warning', pageNumber, 'BleedBox extends beyond the MediaBox', { MediaBox, BleedBox });
+  }
+  if (CropBox.declared && !boxContains(CropBox, TrimBox)) {
+    add('CROPBOX_CLIPS_TRIMBOX', 'warning', pageNumber, 'CropBox cuts into the TrimBox', { CropBox, TrimBox });
+  }
+  if (TrimBox.declared && sameBox(BleedBox, TrimBox)) {
+    add('NO_BLEED', 'warning', pageNumber, 'No bleed: BleedBox equals TrimBox');
+  }
+}
+
+// ---- Analyse principale ----
+
+// options : { minDpi, minLineWidth_mm, extraFindings } ; extraFindings = constats
+// établis hors du PDF (conversion, intervention qpdf), triés et comptés avec les autres
+async function preflightPdf(filePath, options = {}) {
+  const minDpi = Number(options.minDpi) > 0 ? Number(options.minDpi) : DEFAULT_MIN_DPI;
+  const minLineWidthMm = Number(options.minLineWidth_mm) > 0
+    ? Number(options.minLineWidth_mm)
+    : DEFAULT_MIN_LINE_WIDTH_MM;
+  const minLineWidthPt = mmToPt(minLineWidthMm);
+
+  const pdfDoc = await PDFDocument.load(fs.readFileSync(filePath), {
+    ignoreEncryption: true,
+    updateMetadata: false
+  });
+  const context = pdfDoc.context;
+
+  const findings = [...(options.extraFindings || [])];
+  const add = (code, severity, page, message, details) => {
+    findings.push({ code, severity, page, message, ...(details ? { details } : {}) });
+  };
+
+  if (pdfDoc.isEncrypted) {
+    add('ENCRYPTED', 'warning', null, 'Document is encrypted, content checks may be incomplete');
+  }
+
+  const fonts = new Map();
+  const images = [];
+  const colourModels = new Set();
+  const spotColours = new Set();
+  const sizePages = [];
+
+  pdfDoc.getPages().forEach((page, index) => {
+    const pageNumber = index + 1;
+    const boxes = pageBoxes(page);
+    sizePages.push({ page: pageNumber, ...finishedSize(boxes, pageRotation(page)) });
+    checkPageBoxes(boxes, pageNumber, add);
+
+    const pageFonts = new Set();
+    const pageImages = new Map();
+    const pageModels = new Set();
+    const transparency = new Set();
+    let hairlines = 0;
+    let zeroWidthLines = 0;
+    let thinnest = Infinity;
+
+    // Groupe de transparence au niveau de la page
+    const group = dictGet(context, page.node, 'Group');
+    if (group instanceof PDFDict && nameOf(dictGet(context, group, 'S')) === 'Transparency') {
+      transparency.add('page transparency group');
+    }
+
+    try {
+      walkPage(page, {
+        onText: ({ state }) => {
+          if (!state.font || pageFonts.has(state.font.dict)) return;
+          pageFonts.add(state.font.dict);
+
+          const font = describeFont(context, state.font.dict);
+          const key = `${font.name}|${font.subtype}|${font.embedded}`;
+          if (!fonts.has(key)) fonts.set(key, { ...font, pages: [] });
+          const entry = fonts.get(key);
+          if (!entry.pages.includes(pageNumber)) entry.pages.push(pageNumber);
+        },
+
+        onImage: ({ name, inline, image, state }) => {
+          const ctm = state.ctm;
+          const widthPt = Math.hypot(ctm[0], ctm[1]);
+          const heightPt = Math.hypot(ctm[2], ctm[3]);
+          if (widthPt === 0 || heightPt === 0 || !image.width || !image.height) return;
+
+          const dpiX = image.width / (widthPt / 72);
+          const dpiY = image.height / (heightPt / 72);
+          const key = `${inline ? 'inline' : name}|${dpiX.toFixed(1)}|${dpiY.toFixed(1)}`;
+          if (pageImages.has(key)) return;
+
+          const info = {
+            page: pageNumber,
+            name: inline ? null : name,
+            inline,
+            pixelWidth: image.width,
+            pixelHeight: image.height,
+            placedWidth_mm: +ptToMm(widthPt).toFixed(2),
+            placedHeight_mm: +ptToMm(heightPt).toFixed(2),
+            effectiveDpiX: Math.round(dpiX),
+            effectiveDpiY: Math.round(dpiY),
+            effectiveDpi: Math.round(Math.min(dpiX, dpiY)),
+            colourSpace: image.space.model,
+            isMask: image.isMask
+          };
+          pageImages.set(key, info);
+          images.push(info);
+
+          if (image.softMask) transparency.add('image soft mask');
+        },
+
+        onColorSpace: ({ space }) => {
+          pageModels.add(space.model);
+          for (const colorant of space.colorants || []) {
+            if (!['Cyan', 'Magenta', 'Yellow', 'Black', 'None', 'All'].includes(colorant)) {
+              spotColours.add(colorant);
+            }
+          }
+        },
+
+        onExtGState: ({ state }) => {
+          if (state.fillAlpha < 1 || state.strokeAlpha < 1) transparency.add('constant alpha');
+          if (state.softMask) transparency.add('soft mask');
+          if (!['Normal', 'Compatible'].includes(state.blendMode)) {
+            transparency.add(`blend mode ${state.blendMode}`);
+          }
+        },
+
+        onForm: ({ form }) => {
+          const formGroup = dictGet(context, streamDict(form), 'Group');
+          if (formGroup instanceof PDFDict && nameOf(dictGet(context, formGroup, 'S')) === 'Transparency') {
+            transparency.add('transparency group');
+          }
+        },
+
+        onPaint: ({ stroke, state }) => {
+          if (!stroke) return;
+          const width = state.lineWidth * matrixScale(state.ctm);
+          if (state.lineWidth === 0) {
+            zeroWidthLines++;
+          } else if (width < minLineWidthPt) {
+            hairlines++;
+            thinnest = Math.min(thinnest, width);
+          }
+        }
+      });
+    } catch (err) {
+      if (err.code === 'CONTENT_TOO_COMPLEX') throw err;
+      add('CONTENT_UNREADABLE', 'warning', pageNumber, `Page content could not be fully analysed: ${err.message}`);
+    }
+
+    // Images
+    for (const info of pageImages.values()) {
+      if (info.isMask) continue;
+      if (info.effectiveDpi < minDpi) {
+        add(
+          'IMAGE_LOW_RESOLUTION',
+          info.effectiveDpi < minDpi / 2 ? 'error' : 'warning',
+          pageNumber,
+          `Image ${info.name || '(inline)'} has ${info.effectiveDpi} dpi at placed size (minimum ${minDpi})`,
+          info
+        );
+      }
+    }
+
+    // Couleurs
+    for (const model of pageModels) colourModels.add(model);
+    if (pageModels.has('RGB')) {
+      add('COLOUR_RGB', 'warning', pageNumber, 'RGB colour used, it will be converted for print');
+    }
+    if (pageModels.has('Lab')) {
+      add('COLOUR_LAB', 'warning', pageNumber, 'Lab colour used');
+    }
+
+    // Transparence
+    if (transparency.size > 0) {
+      add('TRANSPARENCY', 'warning', pageNumber, 'Transparency used', { kinds: [...transparency] });
+    }
+
+    // Filets
+    if (zeroWidthLines > 0) {
+      add('HAIRLINE_ZERO_WIDTH', 'error', pageNumber,
+        `${zeroWidthLines} stroke(s) with zero width (thinnest line the device can render)`);
+    }
+    if (hairlines > 0) {
+      add('HAIRLINE', 'warning', pageNumber,
+        `${hairlines} stroke(s) thinner than ${minLineWidthMm} mm`,
+        { count: hairlines, thinnest_mm: +ptToMm(thinnest).toFixed(3) });
+    }
+  });
+
+  // Polices
+  const fontList = [...fonts.values()];
+  for (const font of fontList) {
+    if (!font.embedded) {
+      add('FONT_NOT_EMBEDDED', 'error', font.pages[0], `Font ${font.name} is not embedded`, font);
+    }
+  }
+
+  // Tons directs
+  for (const spot of spotColours) {
+    add('COLOUR_SPOT', 'info', null, `Spot colour used: ${spot}`, { name: spot });
+  }
+
+  // Formats de page différents
+  const sizeSummary = summarizePages(sizePages);
+  if (!sizeSummary.uniformSize) {
+    add('PAGE_SIZES_DIFFER', 'warning', null, 'Pages have different finished sizes', sizeSummary);
+  }
+
+  findings.sort((a, b) =>
+    SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] || (a.page || 0) - (b.page || 0)
+  );
+
+  const count = (severity) => findings.filter((f) => f.severity === severity).length;
+
+  return {
+    pageCount: pdfDoc.getPageCount(),
+    settings: { minDpi, minLineWidth_mm: minLineWidthMm },
+    summary: {
+      errors: count('error'),
+      warnings: count('warning'),
+      infos: count('info'),
+      printable: count('error') === 0
+    },
+    findings,
+    fonts: fontList,
+    images,
+    colourSpaces: {
+      models: [...colourModels].sort(),
+      spotColours: [...spotColours]
+    }
+  };
+}
+
+module.exports = {
+  preflightPdf
+};
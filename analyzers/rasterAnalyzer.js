@@ -0,0 +1,277 @@
+// analyzers/rasterAnalyzer.js
+//
+// Analyse des images bitmap (PNG, JPEG, TIFF, WebP) à partir de leurs en-têtes.
+// - dimensions en pixels et résolution enregistrée :
+//   JFIF (densité), EXIF, PNG pHYs, TIFF XResolution/YResolution
+// - taille physique en mm (résolution par défaut si aucune n'est stockée)
+// - mode colorimétrique (RGB / CMYK / Gray / Lab) et présence d'alpha
+// - image tronquée ou corrompue : erreur 422 (jamais de lecture hors du fichier)
+
+const fs = require('fs');
+const path = require('path');
+const { parseTiffIfd } = require('./tiff');
+const { httpError, mmToPt } = require('../lib/common');
+
+// Résolution supposée quand le fichier n'en déclare aucune
+const DEFAULT_DPI = 72;
+
+const RASTER_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.tif', '.tiff', '.webp'];
+
+function pxToMm(px, dpi) {
+  return (px / dpi) * 25.4;
+}
+
+function corruptImage(format, detail) {
+  return httpError(422, `Corrupt ${format} image: ${detail}`);
+}
+
+// Vérifie que les octets [offset, offset + bytes) sont dans le fichier avant de les lire
+function need(buf, offset, bytes, format, what) {
+  if (offset + bytes > buf.length) throw corruptImage(format, `truncated ${what}`);
+}
+
+// Résolution EXIF / TIFF (ResolutionUnit 2 = pouce, 3 = cm)
+function resolutionFromTiffTags(tags) {
+  if (!tags.XResolution) return null;
+  const unit = tags.ResolutionUnit || 2;
+  if (unit === 1) return null; // pas d'unité absolue
+  const factor = unit === 3 ? 2.54 : 1;
+  return {
+    dpiX: tags.XResolution * factor,
+    dpiY: (tags.YResolution || tags.XResolution) * factor
+  };
+}
+
+// ---- JPEG ----
+
+function readJpeg(buf) {
+  const info = { format: 'jpeg', hasAlpha: false };
+  let jfif = null;
+  let exif = null;
+  let pos = 2;
+
+  while (pos + 4 <= buf.length) {
+    if (buf[pos] !== 0xff) {
+      pos++;
+      continue;
+    }
+    const marker = buf[pos + 1];
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0xff) {
+      pos += marker === 0xff ? 1 : 2;
+      continue;
+    }
+    if (marker === 0xda || marker === 0xd9) break; // début des données
+
+    const length = buf.readUInt16BE(pos + 2);
+    const seg = pos + 4;
+    // la longueur inclut ses 2 octets
+    if (length < 2) throw corruptImage('JPEG', `invalid segment length at offset ${pos}`);
+
+    if (marker === 0xe0 && buf.toString('latin1', seg, seg + 5) === 'JFIF\0') {
+      need(buf, seg, 12, 'JPEG', 'JFIF segment');
+      const units = buf[seg + 7];
+      const x = buf.readUInt16BE(seg + 8);
+      const y = buf.readUInt16BE(seg + 10);
+      if (units === 1 || units === 2) {
+        const factor = units === 2 ? 2.54 : 1;
+        jfif = { dpiX: x * factor, dpiY: y * factor };
+      }
+    } else if (marker === 0xe1 && buf.toString('latin1', seg, seg + 6) === 'Exif\0\0') {
+      try {
+        exif = resolutionFromTiffTags(parseTiffIfd(buf, seg + 6).tags);
+      } catch (err) {
+        // EXIF illisible : ignoré
+      }
+    } else if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      need(buf, seg, 6, 'JPEG', 'frame header');
+      info.bitDepth = buf[seg];
+      info.pixelHeight = buf.readUInt16BE(seg + 1);
+      info.pixelWidth = buf.readUInt16BE(seg + 3);
+      const components = buf[seg + 5];
+      info.colourMode = { 1: 'Gray', 3: 'RGB', 4: 'CMYK' }[components] || 'Unknown';
+    }
+
+    pos += 2 + length;
+  }
+
+  if (jfif) {
+    info.resolution = { ...jfif, source: 'jfif' };
+  } else if (exif) {
+    info.resolution = { ...exif, source: 'exif' };
+  }
+  return info;
+}
+
+// ---- PNG ----
+
+function readPng(buf) {
+  const info = { format: 'png' };
+  let pos = 8;
+  let transparencyChunk = false;
+
+  while (pos + 8 <= buf.length) {
+    const length = buf.readUInt32BE(pos);
+    const type = buf.toString('latin1', pos + 4, pos + 8);
+    const data = pos + 8;
+
+    if (type === 'IHDR') {
+      need(buf, data, 10, 'PNG', 'IHDR chunk');
+      info.pixelWidth = buf.readUInt32BE(data);
+      info.pixelHeight = buf.readUInt32BE(data + 4);
+      info.bitDepth = buf[data + 8];
+      info.colorType = buf[data + 9];
+    } else if (type === 'pHYs') {
+      need(buf, data, 9, 'PNG', 'pHYs chunk');
+      const ppuX = buf.readUInt32BE(data);
+      const ppuY = buf.readUInt32BE(data + 4);
+      // unité 1 = pixels par mètre ; 0 = ratio seulement
+      if (buf[data + 8] === 1) {
+        info.resolution = { dpiX: ppuX * 0.0254, dpiY: ppuY * 0.0254, source: 'png_phys' };
+      }
+    } else if (type === 'tRNS') {
+      transparencyChunk = true;
+    } else if (type === 'IDAT' || type === 'IEND') {
+      break;
+    }
+
+    pos += 12 + length;
+  }
+
+  // Types de couleur PNG : 0 gris, 2 RGB, 3 palette, 4 gris+alpha, 6 RGBA
+  info.colourMode = [0, 4].includes(info.colorType) ? 'Gray' : 'RGB';
+  info.hasAlpha = [4, 6].includes(info.colorType) || transparencyChunk;
+  delete info.colorType;
+  return info;
+}
+
+// ---- TIFF ----
+
+function readTiff(buf) {
+  const { tags } = parseTiffIfd(buf);
+  const photometric = tags.PhotometricInterpretation;
+  const extra = [].concat(tags.ExtraSamples === undefined ? [] : tags.ExtraSamples);
+
+  const info = {
+    format: 'tiff',
+    pixelWidth: tags.ImageWidth,
+    pixelHeight: tags.ImageLength,
+    bitDepth: Array.isArray(tags.BitsPerSample) ? tags.BitsPerSample[0] : tags.BitsPerSample || 1,
+    // 0/1 gris, 2 RGB, 3 palette, 5 séparé (CMYK), 6 YCbCr, 8 CIELab
+    colourMode: { 0: 'Gray', 1: 'Gray', 2: 'RGB', 3: 'RGB', 5: 'CMYK', 6: 'RGB', 8: 'Lab' }[photometric] || 'Unknown',
+    // ExtraSamples 1 (prémultiplié) ou 2 (non associé) = canal alpha
+    hasAlpha: extra.some((v) => v === 1 || v === 2)
+  };
+
+  const resolution = resolutionFromTiffTags(tags);
+  if (resolution) info.resolution = { ...resolution, source: 'tiff' };
+  return info;
+}
+
+// ---- WebP ----
+
+function readWebp(buf) {
+  const info = { format: 'webp', colourMode: 'RGB', hasAlpha: false, bitDepth: 8 };
+  let pos = 12;
+
+  while (pos + 8 <= buf.length) {
+    const type = buf.toString('latin1', pos, pos + 4);
+    const size = buf.readUInt32LE(pos + 4);
+    const data = pos + 8;
+
+    if (type === 'VP8X') {
+      need(buf, data, 10, 'WebP', 'VP8X chunk');
+      info.hasAlpha = (buf[data] & 0x10) !== 0;
+      info.pixelWidth = 1 + buf.readUIntLE(data + 4, 3);
+      info.pixelHeight = 1 + buf.readUIntLE(data + 7, 3);
+    } else if (type === 'VP8 ' && info.pixelWidth === undefined) {
+      need(buf, data, 10, 'WebP', 'VP8 frame header');
+      info.pixelWidth = buf.readUInt16LE(data + 6) & 0x3fff;
+      info.pixelHeight = buf.readUInt16LE(data + 8) & 0x3fff;
+    } else if (type === 'VP8L' && info.pixelWidth === undefined) {
+      need(buf, data, 5, 'WebP', 'VP8L header');
+      const bits = buf.readUInt32LE(data + 1);
+      info.pixelWidth = (bits & 0x3fff) + 1;
+      info.pixelHeight = ((bits >> 14) & 0x3fff) + 1;
+      info.hasAlpha = ((bits >> 28) & 1) === 1;
+    } else if (type === 'EXIF') {
+      try {
+        const start = buf.toString('latin1', data, data + 6) === 'Exif\0\0' ? data + 6 : data;
+        const resolution = resolutionFromTiffTags(parseTiffIfd(buf, start).tags);
+        if (resolution) info.resolution = { ...resolution, source: 'exif' };
+      } catch (err) {
+        // EXIF illisible : ignoré
+      }
+    }
+
+    pos = data + size + (size % 2);
+  }
+
+  return info;
+}
+
+// Détection du format par signature
+function readRasterHeader(buf) {
+  if (buf.length >= 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return readJpeg(buf);
+  if (buf.length >= 8 && buf.toString('latin1', 1, 4) === 'PNG') return readPng(buf);
+  if (buf.length >= 4 && (buf.toString('latin1', 0, 4) === 'II*\0' || buf.toString('latin1', 0, 4) === 'MM\0*')) {
+    return readTiff(buf);
+  }
+  if (buf.length >= 12 && buf.toString('latin1', 0, 4) === 'RIFF' && buf.toString('latin1', 8, 12) === 'WEBP') {
+    return readWebp(buf);
+  }
+  throw httpError(415, 'Unrecognised raster image format');
+}
+
+// Analyse complète : taille physique + avertissements
+async function analyzeRaster(filePath) {
+  const info = readRasterHeader(fs.readFileSync(filePath));
+
+  if (!info.pixelWidth || !info.pixelHeight) {
+    throw corruptImage(info.format.toUpperCase(), `could not read pixel dimensions of ${path.basename(filePath)}`);
+  }
+
+  const warnings = [];
+  let { resolution } = info;
+  if (!resolution || !(resolution.dpiX > 0) || !(resolution.dpiY > 0)) {
+    warnings.push(`No resolution stored in the file, ${DEFAULT_DPI} dpi assumed`);
+    resolution = { dpiX: DEFAULT_DPI, dpiY: DEFAULT_DPI, source: 'default' };
+  }
+
+  const widthMm = pxToMm(info.pixelWidth, resolution.dpiX);
+  const heightMm = pxToMm(info.pixelHeight, resolution.dpiY);
+  const widthPt = mmToPt(widthMm);
+  const heightPt = mmToPt(heightMm);
+
+  if (info.colourMode === 'RGB') {
+    warnings.push('RGB image, print usually expects CMYK');
+  }
+
+  return {
+    format: info.format,
+    pageCount: 1,
+    pixelWidth: info.pixelWidth,
+    pixelHeight: info.pixelHeight,
+    bitDepth: info.bitDepth,
+    colourMode: info.colourMode,
+    hasAlpha: !!info.hasAlpha,
+    dpiX: +resolution.dpiX.toFixed(2),
+    dpiY: +resolution.dpiY.toFixed(2),
+    dpiSource: resolution.source,
+    llx: 0,
+    lly: 0,
+    urx: widthPt,
+    ury: heightPt,
+    widthPt,
+    heightPt,
+    width_mm: +widthMm.toFixed(2),
+    height_mm: +heightMm.toFixed(2),
+    source: 'raster_header',
+    ...(warnings.length ? { warnings } : {})
+  };
+}
+
+module.exports = {
+  analyzeRaster,
+  readRasterHeader,
+  RASTER_EXTENSIONS
+};
@@ -0,0 +1,774 @@
+// analyzers/svgAnalyzer.js
+//
+// Analyse un fichier SVG sans facteur "magique" 96/72.
+// - taille déclarée : width / height / viewBox (toutes unités CSS résolues)
+// - bbox du contenu : calcul géométrique en JS (rect, cercle, path, ...)
+// - fallback : rendu rsvg-convert + Ghostscript, étalonné sur la page produite
+//   quand le SVG contient des éléments non mesurables (texte, use externe, ...)
+
+const fs = require('fs');
+const xml2js = require('xml2js');
+const { PDFDocument } = require('pdf-lib');
+const { runProcess, RSVG_CMD } = require('../lib/processRunner');
+const { runGhostscriptBBox } = require('./bboxGhostscript');
+
+// Unités CSS → px (1 px = 1/96 in)
+const UNIT_TO_PX = {
+  '': 1,
+  px: 1,
+  in: 96,
+  cm: 96 / 2.54,
+  mm: 96 / 25.4,
+  q: 96 / 101.6,
+  pt: 96 / 72,
+  pc: 16,
+  em: 16, // taille de police par défaut
+  ex: 8
+};
+
+// Éléments jamais rendus directement
+const NON_RENDERED = new Set([
+  'defs', 'symbol', 'clipPath', 'mask', 'marker', 'pattern', 'linearGradient',
+  'radialGradient', 'filter', 'metadata', 'title', 'desc', 'style', 'script',
+  'font', 'font-face', 'cursor', 'view'
+]);
+
+// Éléments dont la géométrie ne peut pas être calculée en JS
+const UNMEASURABLE = new Set(['text', 'foreignObject', 'switch']);
+
+// Conversions
+function pxToPt(px) {
+  return (px * 72) / 96;
+}
+
+function pxToMm(px) {
+  return (px * 25.4) / 96;
+}
+
+// "10mm" → { value: 10, unit: 'mm' } ; null si absent ou invalide
+function parseLength(str) {
+  if (str === undefined || str === null) return null;
+  const m = String(str).trim().match(/^([-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)\s*([a-z%]*)$/i);
+  if (!m) return null;
+  return { value: parseFloat(m[1]), unit: m[2].toLowerCase() };
+}
+
+// Longueur → px ; `reference` = dimension de référence pour les %
+function lengthToPx(str, reference) {
+  const len = parseLength(str);
+  if (!len) return null;
+  if (len.unit === '%') {
+    return reference !== undefined && reference !== null ? (len.value / 100) * reference : null;
+  }
+  const factor = UNIT_TO_PX[len.unit];
+  return factor === undefined ? null : len.value * factor;
+}
+
+function parseNumberList(str) {
+  if (!str) return [];
+  return (String(str).match(/[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || []).map(parseFloat);
+}
+
+function parseViewBox(str) {
+  const nums = parseNumberList(str);
+  if (nums.length !== 4 || nums[2] <= 0 || nums[3] <= 0) return null;
+  const [x, y, width, height] = nums;
+  return { x, y, width, height };
+}
+
+// "xMidYMid meet" → { align: 'xMidYMid', meetOrSlice: 'meet' }
+function parsePreserveAspectRatio(str) {
+  const parts = String(str || '').trim().split(/\s+/).filter(Boolean);
+  if (parts[0] === 'defer') parts.shift();
+  return {
+    align: parts[0] || 'xMidYMid',
+    meetOrSlice: parts[1] === 'slice' ? 'slice' : 'meet'
+  };
+}
+
+// ---- Matrices 2D [a, b, c, d, e, f] ----
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+function multiply(m1, m2) {
+  const [a1, b1, c1, d1, e1, f1] = m1;
+  const [a2, b2, c2, d2, e2, f2] = m2;
+  return [
+    a1 * a2 + c1 * b2,
+    b1 * a2 + d1 * b2,
+    a1 * c2 + c1 * d2,
+    b1 * c2 + d1 * d2,
+    a1 * e2 + c1 * f2 + e1,
+    b1 * e2 + d1 * f2 + f1
+  ];
+}
+
+function applyMatrix(m, x, y) {
+  return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+}
+
+// Attribut transform="translate(10) rotate(45 5 5) ..." → matrice
+function parseTransform(str) {
+  let matrix = IDENTITY;
+  if (!str) return matrix;
+
+  const re = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+  let m;
+  while ((m = re.exec(str)) !== null) {
+    const args = parseNumberList(m[2]);
+    let t = IDENTITY;
+
+    switch (m[1]) {
+      case 'matrix':
+        if (args.length === 6) t = args;
+        break;
+      case 'translate':
+        t = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+        break;
+      case 'scale': {
+        const sx = args[0] === undefined ? 1 : args[0];
+        t = [sx, 0, 0, args[1] === undefined ? sx : args[1], 0, 0];
+        break;
+      }
+      case 'rotate': {
+        const rad = ((args[0] || 0) * Math.PI) / 180;
+        const cos = Math.cos(rad);
+        const sin = Math.sin(rad);
+        t = [cos, sin, -sin, cos, 0, 0];
+        if (args.length === 3) {
+          t = multiply(multiply([1, 0, 0, 1, args[1], args[2]], t), [1, 0, 0, 1, -args[1], -args[2]]);
+        }
+        break;
+      }
+      case 'skewX':
+        t = [1, 0, Math.tan(((args[0] || 0) * Math.PI) / 180), 1, 0, 0];
+        break;
+      case 'skewY':
+        t = [1, Math.tan(((args[0] || 0) * Math.PI) / 180), 0, 1, 0, 0];
+        break;
+      default:
+        break;
+    }
+
+    matrix = multiply(matrix, t);
+  }
+
+  return matrix;
+}
+
+// Matrice viewBox → viewport (règles preserveAspectRatio du SVG 1.1)
+function viewBoxMatrix(viewBox, vpWidth, vpHeight, par) {
+  let sx = vpWidth / viewBox.width;
+  let sy = vpHeight / viewBox.height;
+
+  if (par.align !== 'none') {
+    const s = par.meetOrSlice === 'slice' ? Math.max(sx, sy) : Math.min(sx, sy);
+    sx = s;
+    sy = s;
+  }
+
+  let tx = -viewBox.x * sx;
+  let ty = -viewBox.y * sy;
+
+  if (par.align !== 'none') {
+    const extraX = vpWidth - viewBox.width * sx;
+    const extraY = vpHeight - viewBox.height * sy;
+    if (par.align.includes('xMid')) tx += extraX / 2;
+    if (par.align.includes('xMax')) tx += extraX;
+    if (par.align.includes('YMid')) ty += extraY / 2;
+    if (par.align.includes('YMax')) ty += extraY;
+  }
+
+  return [sx, 0, 0, sy, tx, ty];
+}
+
+// ---- Géométrie des éléments ----
+
+// Points échantillonnés d'une courbe de Bézier (cubique ou quadratique)
+function sampleBezier(points, steps, out) {
+  for (let i = 1; i <= steps; i++) {
+    const t = i / steps;
+    const mt = 1 - t;
+    if (points.length === 4) {
+      const [p0, p1, p2, p3] = points;
+      out.push([
+        mt * mt * mt * p0[0] + 3 * mt * mt * t * p1[0] + 3 * mt * t * t * p2[0] + t * t * t * p3[0],
+        mt * mt * mt * p0[1] + 3 * mt * mt * t * p1[1] + 3 * mt * t * t * p2[1] + t * t * t * p3[1]
+      ]);
+    } else {
+      const [p0, p1, p2] = points;
+      out.push([
+        mt * mt * p0[0] + 2 * mt * t * p1[0] + t * t * p2[0],
+        mt * mt * p0[1] + 2 * mt * t * p1[1] + t * t * p2[1]
+      ]);
+    }
+  }
+}
+
+// Arc elliptique (paramétrage par extrémités → centre, SVG 1.1 annexe F.6)
+function sampleArc(x1, y1, rx, ry, phiDeg, largeArc, sweep, x2, y2, out) {
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  if (rx === 0 || ry === 0) {
+    out.push([x2, y2]);
+    return;
+  }
+
+  const phi = (phiDeg * Math.PI) / 180;
+  const cosPhi = Math.cos(phi);
+  const sinPhi = Math.sin(phi);
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+  const x1p = cosPhi * dx + sinPhi * dy;
+  const y1p = -sinPhi * dx + cosPhi * dy;
+
+  const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+
+  const num = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+  const den = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+  let coef = Math.sqrt(Math.max(0, num / den));
+  if (largeArc === sweep) coef = -coef;
+  const cxp = (coef * rx * y1p) / ry;
+  const cyp = (-coef * ry * x1p) / rx;
+  const cx = cosPhi * cxp - sinPhi * cyp + (x1 + x2) / 2;
+  const cy = sinPhi * cxp + cosPhi * cyp + (y1 + y2) / 2;
+
+  const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const theta1 = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+  let dTheta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+  if (!sweep && dTheta > 0) dTheta -= 2 * Math.PI;
+  if (sweep && dTheta < 0) dTheta += 2 * Math.PI;
+
+  const steps = 16;
+  for (let i = 1; i <= steps; i++) {
+    const t = theta1 + (dTheta * i) / steps;
+    out.push([
+      cx + rx * Math.cos(t) * cosPhi - ry * Math.sin(t) * sinPhi,
+      cy + rx * Math.cos(t) * sinPhi + ry * Math.sin(t) * cosPhi
+    ]);
+  }
+}
+
+// Attribut d="..." → liste de points échantillonnés
+function pathPoints(d) {
+  const out = [];
+  const str = String(d || '');
+  let pos = 0;
+
+  const skipSeparators = () => {
+    while (pos < str.length && /[\s,]/.test(str[pos])) pos++;
+  };
+  const readNumber = () => {
+    skipSeparators();
+    const m = str.slice(pos).match(/^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/);
+    if (!m) return null;
+    pos += m[0].length;
+    return parseFloat(m[0]);
+  };
+  // Les drapeaux d'arc peuvent être collés ("a1 1 0 01 5 5")
+  const readFlag = () => {
+    skipSeparators();
+    const c = str[pos];
+    if (c !== '0' && c !== '1') return null;
+    pos++;
+    return c === '1';
+  };
+
+  let cmd = null;
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  let lastCtrl = null;
+  let lastCmd = null;
+
+  while (pos < str.length) {
+    skipSeparators();
+    if (pos >= str.length) break;
+
+    if (/[a-z]/i.test(str[pos])) {
+      cmd = str[pos++];
+    } else if (cmd === null) {
+      break; // données invalides
+    }
+
+    const rel = cmd === cmd.toLowerCase();
+    const ox = rel ? x : 0;
+    const oy = rel ? y : 0;
+    const upper = cmd.toUpperCase();
+
+    if (upper === 'Z') {
+      x = startX;
+      y = startY;
+      lastCtrl = null;
+      lastCmd = 'Z';
+      // Z sans arguments : on passe à la commande suivante
+      skipSeparators();
+      if (pos < str.length && !/[a-z]/i.test(str[pos])) cmd = null;
+      continue;
+    }
+
+    const before = pos;
+    let ctrl = null;
+
+    if (upper === 'M' || upper === 'L' || upper === 'T') {
+      const nx = readNumber();
+      const ny = readNumber();
+      if (nx === null || ny === null) break;
+      if (upper === 'T') {
+        const reflect = lastCtrl && (lastCmd === 'Q' || lastCmd === 'T');
+        ctrl = reflect ? [2 * x - lastCtrl[0], 2 * y - lastCtrl[1]] : [x, y];
+        sampleBezier([[x, y], ctrl, [ox + nx, oy + ny]], 8, out);
+      } else {
+        out.push([ox + nx, oy + ny]);
+      }
+      x = ox + nx;
+      y = oy + ny;
+      if (upper === 'M') {
+        startX = x;
+        startY = y;
+        // Les paires suivantes d'un M sont des L implicites
+        cmd = rel ? 'l' : 'L';
+      }
+    } else if (upper === 'H') {
+      const nx = readNumber();
+      if (nx === null) break;
+      x = ox + nx;
+      out.push([x, y]);
+    } else if (upper === 'V') {
+      const ny = readNumber();
+      if (ny === null) break;
+      y = oy + ny;
+      out.push([x, y]);
+    } else if (upper === 'C' || upper === 'S') {
+      const nums = [];
+      const count = upper === 'C' ? 6 : 4;
+      for (let i = 0; i < count; i++) nums.push(readNumber());
+      if (nums.some((n) => n === null)) break;
+
+      let c1;
+      let rest = nums;
+      if (upper === 'C') {
+        c1 = [ox + nums[0], oy + nums[1]];
+        rest = nums.slice(2);
+      } else {
+        const reflect = lastCtrl && (lastCmd === 'C' || lastCmd === 'S');
+        c1 = reflect ? [2 * x - lastCtrl[0], 2 * y - lastCtrl[1]] : [x, y];
+      }
+      const c2 = [ox + rest[0], oy + rest[1]];
+      const end = [ox + rest[2], oy + rest[3]];
+      sampleBezier([[x, y], c1, c2, end], 12, out);
+      ctrl = c2;
+      [x, y] = end;
+    } else if (upper === 'Q') {
+      const nums = [readNumber(), readNumber(), readNumber(), readNumber()];
+      if (nums.some((n) => n === null)) break;
+      ctrl = [ox + nums[0], oy + nums[1]];
+      const end = [ox + nums[2], oy + nums[3]];
+      sampleBezier([[x, y], ctrl, end], 8, out);
+      [x, y] = end;
+    } else if (upper === 'A') {
+      const rx = readNumber();
+      const ry = readNumber();
+      const rot = readNumber();
+      const large = readFlag();
+      const sweep = readFlag();
+      const nx = readNumber();
+      const ny = readNumber();
+      if ([rx, ry, rot, large, sweep, nx, ny].some((v) => v === null)) break;
+      sampleArc(x, y, rx, ry, rot, large, sweep, ox + nx, oy + ny, out);
+      x = ox + nx;
+      y = oy + ny;
+    } else {
+      break; // commande inconnue
+    }
+
+    if (pos === before) break;
+    lastCtrl = ctrl;
+    lastCmd = upper;
+  }
+
+  return out;
+}
+
+function ellipsePoints(cx, cy, rx, ry) {
+  const out = [];
+  const steps = 32;
+  for (let i = 0; i < steps; i++) {
+    const t = (2 * Math.PI * i) / steps;
+    out.push([cx + rx * Math.cos(t), cy + ry * Math.sin(t)]);
+  }
+  return out;
+}
+
+// Styles de présentation : attribut direct ou déclaration style="..."
+function readStyle(attrs, name) {
+  const style = attrs.style;
+  if (style) {
+    const re = new RegExp(`(?:^|;)\\s*${name}\\s*:\\s*([^;]+)`);
+    const m = String(style).match(re);
+    if (m) return m[1].trim();
+  }
+  return attrs[name];
+}
+
+// Parcours de l'arbre : union des points transformés dans le repère du document
+function collectGeometry(root, rootMatrix, viewBox) {
+  const ids = new Map();
+  (function index(node) {
+    const attrs = node.$ || {};
+    if (attrs.id) ids.set(attrs.id, node);
+    for (const child of node.$$ || []) index(child);
+  })(root);
+
+  const bbox = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+  const unmeasured = new Set();
+  let elementCount = 0;
+
+  const refW = viewBox ? viewBox.width : null;
+  const refH = viewBox ? viewBox.height : null;
+  const refD = viewBox ? Math.sqrt((refW * refW + refH * refH) / 2) : null;
+
+  const addPoints = (points, matrix, halfStroke) => {
+    if (points.length === 0) return;
+    elementCount++;
+    // Demi-épaisseur de trait ramenée dans le repère du document
+    const pad = halfStroke * Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2]));
+    for (const [px, py] of points) {
+      const [tx, ty] = applyMatrix(matrix, px, py);
+      bbox.minX = Math.min(bbox.minX, tx - pad);
+      bbox.minY = Math.min(bbox.minY, ty - pad);
+      bbox.maxX = Math.max(bbox.maxX, tx + pad);
+      bbox.maxY = Math.max(bbox.maxY, ty + pad);
+    }
+  };
+
+  const walk = (node, parentMatrix, inherited, depth) => {
+    if (depth > 64) return; // protection contre les <use> récursifs
+    const name = node['#name'];
+    const attrs = node.$ || {};
+
+    if (NON_RENDERED.has(name)) return;
+    if (readStyle(attrs, 'display') === 'none') return;
+
+    const matrix = multiply(parentMatrix, parseTransform(attrs.transform));
+    const stroke = readStyle(attrs, 'stroke') || inherited.stroke;
+    const strokeWidthAttr = readStyle(attrs, 'stroke-width');
+    const strokeWidth = strokeWidthAttr !== undefined
+      ? (lengthToPx(strokeWidthAttr, refD) || 0)
+      : inherited.strokeWidth;
+    const style = { stroke, strokeWidth };
+    const halfStroke = stroke && stroke !== 'none' ? strokeWidth / 2 : 0;
+    const len = (attr, ref) => lengthToPx(attrs[attr], ref) || 0;
+
+    if (UNMEASURABLE.has(name)) {
+      unmeasured.add(name);
+      return;
+    }
+
+    switch (name) {
+      case 'rect': {
+        const x = len('x', refW);
+        const y = len('y', refH);
+        const w = len('width', refW);
+        const h = len('height', refH);
+        if (w > 0 && h > 0) {
+          addPoints([[x, y], [x + w, y], [x + w, y + h], [x, y + h]], matrix, halfStroke);
+        }
+        return;
+      }
+      case 'image': {
+        const x = len('x', refW);
+        const y = len('y', refH);
+        const w = len('width', refW);
+        const h = len('height', refH);
+        if (w > 0 && h > 0) {
+          addPoints([[x, y], [x + w, y], [x + w, y + h], [x, y + h]], matrix, 0);
+        } else {
+          unmeasured.add('image'); // taille intrinsèque inconnue
+        }
+        return;
+      }
+      case 'circle': {
+        const r = len('r', refD);
+        if (r > 0) addPoints(ellipsePoints(len('cx', refW), len('cy', refH), r, r), matrix, halfStroke);
+        return;
+      }
+      case 'ellipse': {
+        const rx = len('rx', refW);
+        const ry = len('ry', refH);
+        if (rx > 0 && ry > 0) {
+          addPoints(ellipsePoints(len('cx', refW), len('cy', refH), rx, ry), matrix, halfStroke);
+        }
+        return;
+      }
+      case 'line':
+        addPoints(
+          [[len('x1', refW), len('y1', refH)], [len('x2', refW), len('y2', refH)]],
+          matrix,
+          halfStroke
+        );
+        return;
+      case 'polyline':
+      case 'polygon': {
+        const nums = parseNumberList(attrs.points);
+        const points = [];
+        for (let i = 0; i + 1 < nums.length; i += 2) points.push([nums[i], nums[i + 1]]);
+        addPoints(points, matrix, halfStroke);
+        return;
+      }
+      case 'path':
+        addPoints(pathPoints(attrs.d), matrix, halfStroke);
+        return;
+      case 'use': {
+        const href = attrs.href || attrs['xlink:href'];
+        const target = href && href.startsWith('#') ? ids.get(href.slice(1)) : null;
+        if (!target) {
+          unmeasured.add('use');
+          return;
+        }
+        const useMatrix = multiply(matrix, [1, 0, 0, 1, len('x', refW), len('y', refH)]);
+        if (target['#name'] === 'symbol') {
+          for (const child of target.$$ || []) walk(child, useMatrix, style, depth + 1);
+        } else {
+          walk(target, useMatrix, style, depth + 1);
+        }
+        return;
+      }
+      case 'svg': {
+        // SVG imbriqué : nouveau viewport positionné en x/y
+        let inner = multiply(matrix, [1, 0, 0, 1, len('x', refW), len('y', refH)]);
+        const vb = parseViewBox(attrs.viewBox);
+        const w = lengthToPx(attrs.width, refW);
+        const h = lengthToPx(attrs.height, refH);
+        if (vb && w && h) {
+          inner = multiply(inner, viewBoxMatrix(vb, w, h, parsePreserveAspectRatio(attrs.preserveAspectRatio)));
+        }
+        for (const child of node.$$ || []) walk(child, inner, style, depth + 1);
+        return;
+      }
+      default:
+        // g, a, et autres conteneurs : on descend
+        for (const child of node.$$ || []) walk(child, matrix, style, depth + 1);
+    }
+  };
+
+  for (const child of root.$$ || []) {
+    walk(child, rootMatrix, { stroke: readStyle(root.$ || {}, 'stroke'), strokeWidth: 1 }, 0);
+  }
+
+  return {
+    bbox: elementCount > 0 ? bbox : null,
+    elementCount,
+    unmeasured: [...unmeasured]
+  };
+}
+
+// ---- Taille déclarée ----
+
+function resolveDeclaredSize(attrs) {
+  const viewBox = parseViewBox(attrs.viewBox);
+  const par = parsePreserveAspectRatio(attrs.preserveAspectRatio);
+  const warnings = [];
+
+  // Les % sont relatifs à un viewport inconnu : on les ignore
+  let width = lengthToPx(attrs.width, null);
+  let height = lengthToPx(attrs.height, null);
+  if (attrs.width && width === null) warnings.push(`width "${attrs.width}" not resolvable, ignored`);
+  if (attrs.height && height === null) warnings.push(`height "${attrs.height}" not resolvable, ignored`);
+
+  let sizeSource;
+  if (width && height) {
+    sizeSource = 'width_height';
+  } else if (viewBox) {
+    // Dimension manquante : déduite du ratio du viewBox (unités utilisateur = px)
+    if (width) {
+      height = (width * viewBox.height) / viewBox.width;
+    } else if (height) {
+      width = (height * viewBox.width) / viewBox.height;
+    } else {
+      width = viewBox.width;
+      height = viewBox.height;
+    }
+    sizeSource = attrs.width || attrs.height ? 'width_height_viewbox_ratio' : 'viewbox';
+  } else {
+    return { declared: null, viewBox, par, warnings };
+  }
+
+  return {
+    declared: {
+      widthAttr: attrs.width || null,
+      heightAttr: attrs.height || null,
+      viewBox,
+      preserveAspectRatio: `${par.align} ${par.meetOrSlice}`,
+      sizeSource,
+      width_px: width,
+      height_px: height,
+      widthPt: pxToPt(width),
+      heightPt: pxToPt(height),
+      width_mm: +pxToMm(width).toFixed(2),
+      height_mm: +pxToMm(height).toFixed(2)
+    },
+    viewBox,
+    par,
+    warnings
+  };
+}
+
+// Bbox en px (repère SVG, y vers le bas) → bbox PDF (pt, y vers le haut)
+function describeContentBox(minX, minY, maxX, maxY, docHeightPx) {
+  const widthPx = maxX - minX;
+  const heightPx = maxY - minY;
+  const flip = docHeightPx !== null && docHeightPx !== undefined;
+  return {
+    x_mm: +pxToMm(minX).toFixed(2),
+    y_mm: +pxToMm(minY).toFixed(2),
+    llx: pxToPt(minX),
+    lly: flip ? pxToPt(docHeightPx - maxY) : -pxToPt(maxY),
+    urx: pxToPt(maxX),
+    ury: flip ? pxToPt(docHeightPx - minY) : -pxToPt(minY),
+    widthPt: pxToPt(widthPx),
+    heightPt: pxToPt(heightPx),
+    width_mm: +pxToMm(widthPx).toFixed(2),
+    height_mm: +pxToMm(heightPx).toFixed(2)
+  };
+}
+
+// ---- Fallback rendu (rsvg-convert + Ghostscript) ----
+
+// Bbox du rendu en px du document. L'échelle est étalonnée sur la taille de
+// page produite par rsvg-convert (pas de facteur DPI supposé).
+async function renderContentBbox(filePath, declared) {
+  const pdfTemp = filePath + '.render.pdf';
+
+  try {
+    await runProcess(RSVG_CMD, ['-f', 'pdf', '-o', pdfTemp, filePath]);
+
+    const pdfDoc = await PDFDocument.load(fs.readFileSync(pdfTemp));
+    const page = pdfDoc.getPage(0);
+    const { width: pageWidthPt, height: pageHeightPt } = page.getMediaBox();
+
+    const { llx, lly, urx, ury } = await runGhostscriptBBox(pdfTemp);
+
+    // Points de la page rendue → px du document
+    const scale = declared ? declared.width_px / pageWidthPt : 96 / 72;
+    const pageHeightPx = pageHeightPt * scale;
+
+    return {
+      minX: llx * scale,
+      minY: pageHeightPx - ury * scale,
+      maxX: urx * scale,
+      maxY: pageHeightPx - lly * scale,
+      calibration: { pageWidthPt, pageHeightPt, pxPerPt: scale }
+    };
+  } finally {
+    if (fs.existsSync(pdfTemp)) fs.unlinkSync(pdfTemp);
+  }
+}
+
+// ---- Analyse principale ----
+
+// options.render : false pour interdire le fallback rsvg-convert/Ghostscript
+async function analyzeSvgFile(filePath, options = {}) {
+  const xml = fs.readFileSync(filePath, 'utf8');
+  const doc = await xml2js.parseStringPromise(xml, {
+    explicitChildren: true,
+    preserveChildrenOrder: true,
+    explicitRoot: true,
+    tagNameProcessors: [xml2js.processors.stripPrefix]
+  });
+
+  const root = doc.svg;
+  if (!root) {
+    throw new Error('Not an SVG document (no <svg> root element)');
+  }
+
+  const attrs = root.$ || {};
+  const { declared, viewBox, par, warnings } = resolveDeclaredSize(attrs);
+
+  // Repère utilisateur → px du document
+  const rootMatrix = declared && viewBox
+    ? viewBoxMatrix(viewBox, declared.width_px, declared.height_px, par)
+    : IDENTITY;
+
+  const geometry = collectGeometry(root, rootMatrix, viewBox);
+  const docHeightPx = declared ? declared.height_px : null;
+
+  let content = null;
+  let source = 'svg_declared';
+  let calibration;
+
+  if (geometry.bbox) {
+    let { minX, minY, maxX, maxY } = geometry.bbox;
+    // Le rendu est limité au viewport du document
+    if (declared) {
+      minX = Math.max(minX, 0);
+      minY = Math.max(minY, 0);
+      maxX = Math.min(maxX, declared.width_px);
+      maxY = Math.min(maxY, declared.height_px);
+    }
+    if (maxX > minX && maxY > minY) {
+      content = describeContentBox(minX, minY, maxX, maxY, docHeightPx);
+      source = 'svg_geometry';
+    }
+  }
+
+  if ((geometry.unmeasured.length > 0 || !content) && options.render !== false) {
+    try {
+      const rendered = await renderContentBbox(filePath, declared);
+      content = describeContentBox(rendered.minX, rendered.minY, rendered.maxX, rendered.maxY, docHeightPx);
+      calibration = rendered.calibration;
+      source = 'svg_rendered';
+    } catch (err) {
+      warnings.push(`render fallback failed: ${err.message}`);
+    }
+  }
+
+  if (geometry.unmeasured.length > 0 && source === 'svg_geometry') {
+    warnings.push(`elements not measured: ${geometry.unmeasured.join(', ')}`);
+  }
+
+  if (!content && !declared) {
+    throw new Error('SVG has no usable dimensions (no width/height/viewBox and no measurable content)');
+  }
+
+  // Champs de premier niveau : bbox du contenu, sinon taille déclarée
+  const main = content || {
+    llx: 0,
+    lly: 0,
+    urx: declared.widthPt,
+    ury: declared.heightPt,
+    widthPt: declared.widthPt,
+    heightPt: declared.heightPt,
+    width_mm: declared.width_mm,
+    height_mm: declared.height_mm
+  };
+
+  return {
+    format: 'svg',
+    pageCount: 1,
+    llx: main.llx,
+    lly: main.lly,
+    urx: main.urx,
+    ury: main.ury,
+    widthPt: main.widthPt,
+    heightPt: main.heightPt,
+    width_mm: main.width_mm,
+    height_mm: main.height_mm,
+    source,
+    declared,
+    content,
+    measuredElements: geometry.elementCount,
+    unmeasuredElements: geometry.unmeasured,
+    ...(calibration ? { calibration } : {}),
+    ...(warnings.length ? { warnings } : {})
+  };
+}
+
+module.exports = {
+  analyzeSvgFile
+};
@@ -0,0 +1,177 @@
+// analyzers/tiff.js
+//
+// Lecture minimale des fichiers TIFF (sans dépendance) :
+// - tags du premier IFD (dimensions, résolution, photométrie, ...)
+// - pixels 8 bits d'une image en niveaux de gris (non compressée ou PackBits),
+//   utilisé pour les séparations produites par Ghostscript (tiffsep)
+// - pixels RVB 8 bits (Ghostscript tiff24nc), utilisé par la comparaison de versions
+
+const { httpError } = require('../lib/common');
+
+// Tags TIFF utilisés
+const TAGS = {
+  256: 'ImageWidth',
+  257: 'ImageLength',
+  258: 'BitsPerSample',
+  259: 'Compression',
+  262: 'PhotometricInterpretation',
+  273: 'StripOffsets',
+  277: 'SamplesPerPixel',
+  278: 'RowsPerStrip',
+  279: 'StripByteCounts',
+  282: 'XResolution',
+  283: 'YResolution',
+  296: 'ResolutionUnit',
+  338: 'ExtraSamples'
+};
+
+// Taille en octets des types TIFF
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+const COMPRESSION_NONE = 1;
+const COMPRESSION_PACKBITS = 32773;
+
+// TIFF tronqué ou offset hors du fichier : erreur imputable au fichier fourni (422)
+function corruptTiff(detail) {
+  return httpError(422, `Corrupt TIFF image: ${detail}`);
+}
+
+// Lecture du premier IFD → { littleEndian, tags: { ImageWidth: ..., ... } }
+// Chaque lecture est bornée par la taille du fichier
+function parseTiffIfd(buffer, baseOffset = 0) {
+  if (baseOffset + 8 > buffer.length) throw corruptTiff('truncated header');
+  const order = buffer.toString('latin1', baseOffset, baseOffset + 2);
+  if (order !== 'II' && order !== 'MM') {
+    throw new Error('Not a TIFF file');
+  }
+  const le = order === 'II';
+  const available = buffer.length - baseOffset;
+  const need = (o, bytes) => {
+    if (o < 0 || o + bytes > available) throw corruptTiff(`offset ${o} beyond end of file`);
+  };
+  const u16 = (o) => {
+    need(o, 2);
+    return le ? buffer.readUInt16LE(baseOffset + o) : buffer.readUInt16BE(baseOffset + o);
+  };
+  const u32 = (o) => {
+    need(o, 4);
+    return le ? buffer.readUInt32LE(baseOffset + o) : buffer.readUInt32BE(baseOffset + o);
+  };
+
+  if (u16(2) !== 42) {
+    throw new Error('Not a TIFF file (bad magic number)');
+  }
+
+  const ifdOffset = u32(4);
+  const count = u16(ifdOffset);
+  need(ifdOffset + 2, count * 12);
+  const tags = {};
+
+  for (let i = 0; i < count; i++) {
+    const entry = ifdOffset + 2 + i * 12;
+    const tag = u16(entry);
+    const type = u16(entry + 2);
+    const n = u32(entry + 4);
+    const name = TAGS[tag];
+    if (!name) continue;
+
+    const size = (TYPE_SIZES[type] || 1) * n;
+    const valueOffset = size <= 4 ? entry + 8 : u32(entry + 8);
+    // Valeurs entièrement dans le fichier (un nombre de valeurs aberrant est rejeté ici)
+    need(valueOffset, size);
+
+    const values = [];
+    for (let k = 0; k < n; k++) {
+      if (type === 3) {
+        values.push(u16(valueOffset + k * 2));
+      } else if (type === 4) {
+        values.push(u32(valueOffset + k * 4));
+      } else if (type === 5) {
+        const den = u32(valueOffset + k * 8 + 4);
+        values.push(den ? u32(valueOffset + k * 8) / den : 0);
+      } else {
+        values.push(buffer[baseOffset + valueOffset + k]);
+      }
+    }
+    tags[name] = n === 1 ? values[0] : values;
+  }
+
+  return { littleEndian: le, tags };
+}
+
+// Décompression PackBits d'une bande
+function unpackBits(src, expected) {
+  const out = Buffer.alloc(expected);
+  let i = 0;
+  let o = 0;
+  while (i < src.length && o < expected) {
+    const n = src.readInt8(i++);
+    if (n >= 0) {
+      src.copy(out, o, i, i + n + 1);
+      i += n + 1;
+      o += n + 1;
+    } else if (n !== -128) {
+      out.fill(src[i++], o, o + 1 - n);
+      o += 1 - n;
+    }
+  }
+  return out;
+}
+
+// Pixels 8 bits entrelacés (spp composantes par pixel), bandes non compressées ou PackBits
+function readSamples8(buffer, spp) {
+  const { tags } = parseTiffIfd(buffer);
+  const width = tags.ImageWidth;
+  const height = tags.ImageLength;
+  const bps = Array.isArray(tags.BitsPerSample) ? tags.BitsPerSample[0] : tags.BitsPerSample || 1;
+  const samples = tags.SamplesPerPixel || 1;
+  const compression = tags.Compression || COMPRESSION_NONE;
+
+  if (bps !== 8 || samples !== spp) {
+    throw new Error(`Unsupported TIFF layout (${samples} x ${bps} bits)`);
+  }
+  if (compression !== COMPRESSION_NONE && compression !== COMPRESSION_PACKBITS) {
+    throw new Error(`Unsupported TIFF compression ${compression}`);
+  }
+
+  const offsets = [].concat(tags.StripOffsets);
+  const counts = [].concat(tags.StripByteCounts);
+  const rowsPerStrip = tags.RowsPerStrip || height;
+  const rowBytes = width * spp;
+  const data = Buffer.alloc(rowBytes * height);
+
+  let o = 0;
+  offsets.forEach((offset, i) => {
+    const strip = buffer.slice(offset, offset + counts[i]);
+    const rows = Math.min(rowsPerStrip, height - i * rowsPerStrip);
+    const bytes = compression === COMPRESSION_PACKBITS ? unpackBits(strip, rows * rowBytes) : strip;
+    bytes.copy(data, o, 0, Math.min(bytes.length, rows * rowBytes));
+    o += rows * rowBytes;
+  });
+
+  return { tags, width, height, data };
+}
+
+// Pixels d'une image 8 bits à une composante → { width, height, data, whiteIsZero }
+function readGray8(buffer) {
+  const { tags, width, height, data } = readSamples8(buffer, 1);
+  return {
+    width,
+    height,
+    data,
+    // 0 = WhiteIsZero (la valeur mesure directement l'encre)
+    whiteIsZero: tags.PhotometricInterpretation === 0
+  };
+}
+
+// Pixels d'une image RVB 8 bits (Ghostscript tiff24nc) → { width, height, data (R, V, B entrelacés) }
+function readRgb8(buffer) {
+  const { width, height, data } = readSamples8(buffer, 3);
+  return { width, height, data };
+}
+
+module.exports = {
+  parseTiffIfd,
+  readGray8,
+  readRgb8
+};
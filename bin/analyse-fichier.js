@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+// bin/analyse-fichier.js
+//
+// CLI : mêmes résultats que /analyze (et /convert-to-pdf avec --convert) sans serveur.
+// - analyse-fichier <fichiers...> [--json | --csv] [--convert <dossier>] [--option valeur]
+// - --json (défaut) : objet (un fichier) ou tableau { fileName, ...analyse | error }
+// - --csv : une ligne par fichier (file;format;pageCount;width_mm;height_mm;pdfPath;error)
+// - --convert <dossier> : PDF recadré <dossier>/<nom>.pdf, décrit dans conversion
+// - autres options = champs de l'API HTTP (--pages 1-3, --inkCoverage, --bleed_mm=3, ...)
+// Code de sortie 1 si un fichier a échoué. stdout ne porte que le rapport ; journal de
+// progression sur stderr avec NODE_DEBUG=analyse-fichiers.
+
+const fs = require('fs');
+const path = require('path');
+const { analyze, convertToPdf } = require('../lib/api');
+const { csvCell } = require('../lib/common');
+
+// Options sans valeur (--inkCoverage équivaut à --inkCoverage=1)
+const BOOLEAN_OPTIONS = ['json', 'csv', 'inkCoverage', 'metadata', 'text', 'outlineText', 'linearize', 'keepSpots', 'help'];
+
+const CSV_COLUMNS = ['file', 'format', 'pageCount', 'width_mm', 'height_mm', 'pdfPath', 'error'];
+
+const USAGE = `Usage : analyse-fichier <fichiers...> [--json | --csv] [--convert <dossier>] [--option valeur]
+
+  --json               rapport JSON (défaut)
+  --csv                rapport CSV (séparateur ;)
+  --convert <dossier>  convertit aussi chaque fichier en PDF dans <dossier>
+  --password <mdp>     mot de passe des PDF chiffrés
+  --pages <sélection>  pages analysées (ex. 1-3,5)
+  --inkCoverage        couverture d'encre (--inkMode fast, --inkResolution 72)
+  --metadata, --text   métadonnées, texte par page
+  --bleed_mm, --targetWidth_mm, --colourSpace, --outlineText, ... : options de --convert
+`;
+
+function parseArgs(argv) {
+  const files = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      files.push(arg);
+      continue;
+    }
+    const eq = arg.indexOf('=');
+    const key = arg.slice(2, eq === -1 ? undefined : eq);
+    if (eq !== -1) options[key] = arg.slice(eq + 1);
+    else if (BOOLEAN_OPTIONS.includes(key)) options[key] = '1';
+    else if (i + 1 < argv.length) options[key] = argv[++i];
+    else throw new Error(`Valeur manquante pour --${key}`);
+  }
+  return { files, options };
+}
+
+// Nom du PDF converti, unique dans le lot : logo.svg et logo.eps → logo.pdf puis
+// logo_eps.pdf ; une nouvelle collision ajoute un compteur (logo_eps_2.pdf, ...)
+function uniquePdfName(file, usedNames) {
+  const stem = path.basename(file, path.extname(file));
+  const ext = path.extname(file).slice(1);
+  let pdfName = `${stem}.pdf`;
+  if (usedNames.has(pdfName) && ext) pdfName = `${stem}_${ext}.pdf`;
+  const base = pdfName.replace(/\.pdf$/, '');
+  for (let n = 2; usedNames.has(pdfName); n++) pdfName = `${base}_${n}.pdf`;
+  usedNames.add(pdfName);
+  return pdfName;
+}
+
+// Analyse (et conversion) d'un fichier ; les erreurs sont rapportées dans le résultat
+async function processFile(file, convertDir, options, usedNames) {
+  if (!fs.existsSync(file)) return { fileName: path.basename(file), error: `Fichier introuvable : ${file}` };
+
+  let entry;
+  try {
+    entry = { fileName: path.basename(file), ...(await analyze(file, options)) };
+  } catch (err) {
+    return { fileName: path.basename(file), error: err.message || 'Analyze failed' };
+  }
+
+  if (convertDir) {
+    const pdfPath = path.join(convertDir, uniquePdfName(file, usedNames));
+    try {
+      entry.conversion = { ok: true, pdfPath, ...(await convertToPdf(file, pdfPath, options)) };
+    } catch (err) {
+      entry.conversion = { ok: false, error: err.message || 'Convert to PDF failed' };
+    }
+  }
+  return entry;
+}
+
+function csvRow(entry) {
+  const conversion = entry.conversion || {};
+  return {
+    file: entry.fileName,
+    format: entry.format || null,
+    pageCount: entry.error ? null : entry.pageCount || 1,
+    width_mm: entry.width_mm !== undefined ? entry.width_mm : null,
+    height_mm: entry.height_mm !== undefined ? entry.height_mm : null,
+    pdfPath: conversion.pdfPath || null,
+    error: entry.error || conversion.error || null
+  };
+}
+
+// Rapport CSV (séparateur ;), une ligne par fichier
+function csvReport(entries) {
+  const lines = [CSV_COLUMNS.join(';')]
+    .concat(entries.map(csvRow).map((row) => CSV_COLUMNS.map((col) => csvCell(row[col])).join(';')));
+  return lines.join('\n') + '\n';
+}
+
+async function main() {
+  const { files, options } = parseArgs(process.argv.slice(2));
+  if (options.help || files.length === 0) {
+    process.stderr.write(USAGE);
+    return options.help ? 0 : 2;
+  }
+
+  const { json, csv, convert: convertDir, help, ...apiOptions } = options;
+  if (convertDir) fs.mkdirSync(convertDir, { recursive: true });
+
+  const entries = [];
+  const usedNames = new Set();
+  for (const file of files) {
+    entries.push(await processFile(file, convertDir, apiOptions, usedNames));
+  }
+
+  if (csv) {
+    process.stdout.write(csvReport(entries));
+  } else {
+    const report = entries.length === 1 ? entries[0] : entries;
+    process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+  }
+
+  const failed = entries.some((e) => e.error || (e.conversion && !e.conversion.ok));
+  return failed ? 1 : 0;
+}
+
+if (require.main === module) {
+  main().then(
+    (code) => {
+      process.exitCode = code;
+    },
+    (err) => {
+      console.error(err.message);
+      process.exitCode = 2;
+    }
+  );
+}
+
+module.exports = {
+  parseArgs,
+  uniquePdfName,
+  csvReport
+};
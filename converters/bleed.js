@@ -0,0 +1,135 @@
+// converters/bleed.js
+//
+// Ajout de fond perdu autour de chaque page d'un PDF.
+// - TrimBox = taille de l'illustration, BleedBox / MediaBox = TrimBox + bleed
+// - remplissage de la zone de fond perdu :
+//     'mirror'  : bords de l'illustration recopiés en miroir
+//     'stretch' : dernière bande de pixels étirée jusqu'au bord
+//     'none'    : zone laissée blanche
+
+const fs = require('fs');
+const {
+  PDFDocument,
+  pushGraphicsState,
+  popGraphicsState,
+  rectangle,
+  clip,
+  endPath,
+  concatTransformationMatrix,
+  drawObject
+} = require('pdf-lib');
+const { badRequest, mmToPt, ptToMm } = require('../lib/common');
+
+const BLEED_MODES = ['mirror', 'stretch', 'none'];
+const MAX_BLEED_MM = 20;
+
+// Largeur (pt) de la bande de bord étirée en mode 'stretch'
+const STRETCH_EDGE_PT = 1;
+
+// Valide les paramètres ; renvoie null si aucun fond perdu n'est demandé
+function parseBleedOptions(params) {
+  if (params.bleed_mm === undefined || params.bleed_mm === '') return null;
+
+  const bleedMm = Number(params.bleed_mm);
+  if (!Number.isFinite(bleedMm) || bleedMm < 0 || bleedMm > MAX_BLEED_MM) {
+    throw badRequest(`bleed_mm must be a number between 0 and ${MAX_BLEED_MM}`);
+  }
+  if (bleedMm === 0) return null;
+
+  const mode = params.bleedMode || 'mirror';
+  if (!BLEED_MODES.includes(mode)) {
+    throw badRequest(`bleedMode must be one of ${BLEED_MODES.join(', ')}`);
+  }
+
+  return { bleedMm, mode };
+}
+
+// Transformations (échelle, décalage) par bande d'un axe : avant, centre, après.
+// size = dimension de l'illustration, b = fond perdu (pt)
+function axisSegments(size, b, mode) {
+  const segments = [{ from: b, to: b + size, scale: 1, offset: b }];
+  if (mode === 'mirror') {
+    segments.push({ from: 0, to: b, scale: -1, offset: b });
+    segments.push({ from: b + size, to: 2 * b + size, scale: -1, offset: b + 2 * size });
+  } else if (mode === 'stretch') {
+    const edge = Math.min(STRETCH_EDGE_PT, size / 4);
+    const s = b / edge;
+    segments.push({ from: 0, to: b, scale: s, offset: 0 });
+    segments.push({ from: b + size, to: 2 * b + size, scale: s, offset: b + size - (size - edge) * s });
+  }
+  return segments;
+}
+
+// inputPdf → outputPdf (peuvent être identiques)
+async function addBleed(inputPdf, outputPdf, { bleedMm, mode = 'mirror' }) {
+  const b = mmToPt(bleedMm);
+  const srcDoc = await PDFDocument.load(fs.readFileSync(inputPdf));
+  const outDoc = await PDFDocument.create();
+
+  const pages = [];
+
+  for (const srcPage of srcDoc.getPages()) {
+    const trim = srcPage.getTrimBox();
+    const embedded = await outDoc.embedPage(srcPage, {
+      left: trim.x,
+      bottom: trim.y,
+      right: trim.x + trim.width,
+      top: trim.y + trim.height
+    });
+
+    const w = trim.width;
+    const h = trim.height;
+    const page = outDoc.addPage([w + 2 * b, h + 2 * b]);
+    const xObject = page.node.newXObject('EmbeddedPdfPage', embedded.ref);
+
+    // 9 zones (coins, bords, centre), chacune découpée puis dessinée
+    for (const sx of axisSegments(w, b, mode)) {
+      for (const sy of axisSegments(h, b, mode)) {
+        page.pushOperators(
+          pushGraphicsState(),
+          rectangle(sx.from, sy.from, sx.to - sx.from, sy.to - sy.from),
+          clip(),
+          endPath(),
+          concatTransformationMatrix(sx.scale, 0, 0, sy.scale, sx.offset, sy.offset),
+          drawObject(xObject),
+          popGraphicsState()
+        );
+      }
+    }
+
+    page.setMediaBox(0, 0, w + 2 * b, h + 2 * b);
+    page.setCropBox(0, 0, w + 2 * b, h + 2 * b);
+    page.setBleedBox(0, 0, w + 2 * b, h + 2 * b);
+    page.setTrimBox(b, b, w, h);
+    page.setArtBox(b, b, w, h);
+
+    pages.push({ w, h });
+  }
+
+  fs.writeFileSync(outputPdf, await outDoc.save());
+
+  const first = pages[0];
+  return {
+    bleed_mm: bleedMm,
+    mode,
+    trim: {
+      widthPt: first.w,
+      heightPt: first.h,
+      width_mm: +ptToMm(first.w).toFixed(2),
+      height_mm: +ptToMm(first.h).toFixed(2)
+    },
+    bleedBox: {
+      widthPt: first.w + 2 * b,
+      heightPt: first.h + 2 * b,
+      width_mm: +ptToMm(first.w + 2 * b).toFixed(2),
+      height_mm: +ptToMm(first.h + 2 * b).toFixed(2)
+    },
+    pageCount: pages.length
+  };
+}
+
+module.exports = {
+  addBleed,
+  parseBleedOptions,
+  axisSegments
+};
@@ -0,0 +1,363 @@
+// converters/colourConversion.js
+//
+// Conversion couleur et sortie PDF/X des PDF produits par /convert-to-pdf.
+// - conversion CMYK avec un profil ICC de sortie (profil livré dans icc/,
+//   choisi par son nom, ou profil uploadé) ou conversion en niveaux de gris
+// - tons directs (Separation / DeviceN) conservés sur demande, sinon convertis
+// - PDF/X-1a (PDF 1.3, transparence aplatie) ou PDF/X-4 (PDF 1.6) :
+//   OutputIntent avec profil embarqué, TrimBox sur chaque page, clés Info et XMP
+// - résumé des espaces couleur avant / après conversion
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { PDFDocument, PDFName, PDFString, PDFHexString } = require('pdf-lib');
+const { walkPage } = require('../analyzers/pdfContent');
+const { runGhostscript } = require('../lib/processRunner');
+const { readPageBoxes, applyPageBoxes } = require('./pageBoxes');
+const { badRequest, isTrue } = require('../lib/common');
+
+// Profils ICC livrés avec l'application (image Docker : icc/)
+const ICC_DIR = process.env.ICC_DIR || path.join(__dirname, '..', 'icc');
+const DEFAULT_ICC_PROFILE = process.env.DEFAULT_ICC_PROFILE || 'default_cmyk.icc';
+// Repli pour le profil par défaut : profils installés avec Ghostscript
+const GS_ICC_DIRS = ['/usr/share/color/icc/ghostscript', '/usr/share/ghostscript/iccprofiles'];
+const ICC_EXTENSIONS = ['.icc', '.icm'];
+
+const COLOUR_SPACES = {
+  cmyk: { strategy: 'CMYK', processModel: 'DeviceCMYK' },
+  gray: { strategy: 'Gray', processModel: 'DeviceGray' }
+};
+
+const PDFX_LEVELS = {
+  x1a: { label: 'PDF/X-1a:2001', version: 'PDF/X-1:2001', conformance: 'PDF/X-1a:2001', compatibility: '1.3' },
+  x4: { label: 'PDF/X-4', version: 'PDF/X-4', conformance: null, compatibility: '1.6' }
+};
+
+const ICC_COMPONENTS = { GRAY: 1, RGB: 3, CMYK: 4 };
+
+// ---- Profils ICC ----
+
+// Texte de la balise 'desc' (type desc en ICC v2, mluc en v4)
+function iccDescription(buf) {
+  const count = buf.readUInt32BE(128);
+  for (let i = 0; i < count && 132 + (i + 1) * 12 <= buf.length; i++) {
+    const entry = 132 + i * 12;
+    if (buf.toString('latin1', entry, entry + 4) !== 'desc') continue;
+
+    const offset = buf.readUInt32BE(entry + 4);
+    const type = buf.toString('latin1', offset, offset + 4);
+    if (type === 'desc') {
+      const length = buf.readUInt32BE(offset + 8);
+      return buf.toString('latin1', offset + 12, offset + 12 + length).replace(/\0+$/, '').trim();
+    }
+    if (type === 'mluc' && buf.readUInt32BE(offset + 8) > 0) {
+      const length = buf.readUInt32BE(offset + 20);
+      const start = offset + buf.readUInt32BE(offset + 24);
+      const utf16 = Buffer.from(buf.subarray(start, start + length - (length % 2)));
+      return utf16.swap16().toString('utf16le').replace(/\0+$/, '').trim();
+    }
+  }
+  return null;
+}
+
+// En-tête ICC : { colourSpace: CMYK|GRAY|RGB|..., deviceClass, version, description, components }
+function readIccProfile(filePath) {
+  const buf = fs.readFileSync(filePath);
+  if (buf.length < 132 || buf.toString('latin1', 36, 40) !== 'acsp') {
+    throw badRequest('ICC profile is not a valid ICC file');
+  }
+
+  const colourSpace = buf.toString('latin1', 16, 20).trim();
+  let description = null;
+  try {
+    description = iccDescription(buf);
+  } catch (err) {
+    // balise illisible : le nom du fichier sert de description
+  }
+
+  return {
+    colourSpace,
+    deviceClass: buf.toString('latin1', 12, 16).trim(),
+    version: `${buf[8]}.${buf[9] >> 4}`,
+    description,
+    components: ICC_COMPONENTS[colourSpace] || null
+  };
+}
+
+// Profils sélectionnables par nom (fichiers .icc / .icm de ICC_DIR)
+function listIccProfiles() {
+  if (!fs.existsSync(ICC_DIR)) return [];
+  return fs.readdirSync(ICC_DIR)
+    .filter((name) => ICC_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+    .sort();
+}
+
+function defaultProfilePath() {
+  const candidates = [ICC_DIR, ...GS_ICC_DIRS].map((dir) => path.join(dir, DEFAULT_ICC_PROFILE));
+  const found = candidates.find((p) => fs.existsSync(p));
+  if (!found) {
+    throw new Error(`Default ICC profile ${DEFAULT_ICC_PROFILE} is not installed (ICC_DIR=${ICC_DIR})`);
+  }
+  return found;
+}
+
+// Profil choisi : fichier uploadé, nom d'un profil livré, ou profil par défaut
+function resolveProfile(name, uploadedFile) {
+  if (uploadedFile) {
+    return { path: uploadedFile.path, name: uploadedFile.originalname, source: 'upload' };
+  }
+  if (name) {
+    const available = listIccProfiles();
+    if (!available.includes(path.basename(name))) {
+      throw badRequest(
+        `Unknown iccProfile "${name}"` + (available.length ? ` (available: ${available.join(', ')})` : '')
+      );
+    }
+    return { path: path.join(ICC_DIR, path.basename(name)), name: path.basename(name), source: 'builtin' };
+  }
+  return { path: defaultProfilePath(), name: DEFAULT_ICC_PROFILE, source: 'default' };
+}
+
+// ---- Options ----
+
+// "PDF/X-1a", "x-1a", "1a" → "x1a"
+function normalizePdfxLevel(value) {
+  const key = String(value).toLowerCase().replace(/^pdf\/?/, '').replace(/[^a-z0-9]/g, '');
+  return PDFX_LEVELS[key] ? key : PDFX_LEVELS[`x${key}`] ? `x${key}` : null;
+}
+
+// Champs : colourSpace = cmyk | gray, iccProfile (nom d'un profil livré) ou fichier ICC_PROFILE,
+// keepSpots = 1, pdfx = x1a | x4, outputCondition (identifiant de la condition d'impression)
+// Renvoie null si aucune conversion n'est demandée.
+function parseColourOptions(params, uploadedProfile = null) {
+  const hasProfile = Boolean(params.iccProfile || uploadedProfile);
+  if (!params.colourSpace && !params.pdfx && !hasProfile) return null;
+
+  let pdfx = null;
+  if (params.pdfx) {
+    pdfx = normalizePdfxLevel(params.pdfx);
+    if (!pdfx) throw badRequest('pdfx must be x1a or x4');
+  }
+
+  // Un profil ou une sortie PDF/X sans espace explicite impliquent le CMYK
+  let colourSpace = String(params.colourSpace || 'cmyk').toLowerCase();
+  if (colourSpace === 'grey' || colourSpace === 'grayscale') colourSpace = 'gray';
+  if (!COLOUR_SPACES[colourSpace]) throw badRequest('colourSpace must be cmyk or gray');
+
+  // Le gris sans PDF/X n'a pas besoin de profil CMYK
+  let profile = null;
+  if (colourSpace === 'cmyk' || pdfx || hasProfile) {
+    profile = resolveProfile(params.iccProfile, uploadedProfile);
+    const info = readIccProfile(profile.path);
+    const accepted = colourSpace === 'cmyk' ? ['CMYK'] : ['GRAY', 'CMYK'];
+    if (!accepted.includes(info.colourSpace)) {
+      throw badRequest(`ICC profile ${profile.name} is ${info.colourSpace}, expected ${accepted.join(' or ')}`);
+    }
+    if (pdfx && info.deviceClass !== 'prtr') {
+      throw badRequest(`ICC profile ${profile.name} is not an output (printer) profile, required for PDF/X`);
+    }
+    profile = { ...profile, ...info };
+  }
+
+  return {
+    colourSpace,
+    profile,
+    keepSpots: isTrue(params.keepSpots),
+    pdfx,
+    outputCondition: params.outputCondition ? String(params.outputCondition) : null
+  };
+}
+
+// ---- Résumé des espaces couleur ----
+
+async function colourSummary(pdfPath) {
+  const pdfDoc = await PDFDocument.load(fs.readFileSync(pdfPath), {
+    ignoreEncryption: true,
+    updateMetadata: false
+  });
+
+  const models = new Set();
+  const imageModels = new Set();
+  const spotColours = new Set();
+  let unreadablePages = 0;
+
+  for (const page of pdfDoc.getPages()) {
+    try {
+      walkPage(page, {
+        onColorSpace: ({ space }) => {
+          models.add(space.model);
+          for (const colorant of space.colorants || []) {
+            if (!['Cyan', 'Magenta', 'Yellow', 'Black', 'None', 'All'].includes(colorant)) {
+              spotColours.add(colorant);
+            }
+          }
+        },
+        onImage: ({ image }) => {
+          if (!image.isMask && image.space) imageModels.add(image.space.model);
+        }
+      });
+    } catch (err) {
+      if (err.code === 'CONTENT_TOO_COMPLEX') throw err;
+      unreadablePages++;
+    }
+  }
+
+  return {
+    models: [...models].sort(),
+    imageModels: [...imageModels].sort(),
+    spotColours: [...spotColours].sort(),
+    ...(unreadablePages ? { unreadablePages } : {})
+  };
+}
+
+// ---- PDF/X ----
+
+function xmlEscape(text) {
+  return String(text).replace(/[<>&"]/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[c]);
+}
+
+function xmpPacket({ title, level, date }) {
+  const iso = date.toISOString();
+  return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+ <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+  <rdf:Description rdf:about=""
+    xmlns:dc="http://purl.org/dc/elements/1.1/"
+    xmlns:xmp="http://ns.adobe.com/xap/1.0/"
+    xmlns:pdf="http://ns.adobe.com/pdf/1.3/"
+    xmlns:xmpMM="http://ns.adobe.com/xap/1.0/mm/"
+    xmlns:pdfxid="http://www.npes.org/pdfx/ns/id/"
+    xmlns:pdfx="http://ns.adobe.com/pdfx/1.3/">
+   <dc:format>application/pdf</dc:format>
+   <dc:title><rdf:Alt><rdf:li xml:lang="x-default">${xmlEscape(title)}</rdf:li></rdf:Alt></dc:title>
+   <xmp:CreateDate>${iso}</xmp:CreateDate>
+   <xmp:ModifyDate>${iso}</xmp:ModifyDate>
+   <xmp:MetadataDate>${iso}</xmp:MetadataDate>
+   <pdf:Trapped>False</pdf:Trapped>
+   <xmpMM:DocumentID>uuid:${crypto.randomUUID()}</xmpMM:DocumentID>
+   <xmpMM:InstanceID>uuid:${crypto.randomUUID()}</xmpMM:InstanceID>
+   <pdfxid:GTS_PDFXVersion>${level.version}</pdfxid:GTS_PDFXVersion>
+   <pdfx:GTS_PDFXVersion>${level.version}</pdfx:GTS_PDFXVersion>${level.conformance ? `
+   <pdfx:GTS_PDFXConformance>${level.conformance}</pdfx:GTS_PDFXConformance>` : ''}
+  </rdf:Description>
+ </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+}
+
+// OutputIntent GTS_PDFX (profil embarqué), clés Info / XMP, identifiant de fichier
+function markPdfx(pdfDoc, level, profile, { title, outputCondition }) {
+  const context = pdfDoc.context;
+  const date = new Date();
+  const condition = outputCondition || profile.description || profile.name;
+
+  const iccStream = context.flateStream(fs.readFileSync(profile.path), { N: profile.components });
+  const intent = context.obj({
+    Type: 'OutputIntent',
+    S: 'GTS_PDFX',
+    DestOutputProfile: context.register(iccStream)
+  });
+  intent.set(PDFName.of('OutputConditionIdentifier'), PDFString.of(condition));
+  intent.set(PDFName.of('Info'), PDFString.of(profile.description || condition));
+  intent.set(PDFName.of('RegistryName'), PDFString.of('http://www.color.org'));
+  pdfDoc.catalog.set(PDFName.of('OutputIntents'), context.obj([context.register(intent)]));
+
+  if (!pdfDoc.getTitle()) pdfDoc.setTitle(title || 'Untitled');
+  pdfDoc.setCreationDate(date);
+  pdfDoc.setModificationDate(date);
+  const info = pdfDoc.getInfoDict();
+  info.set(PDFName.of('GTS_PDFXVersion'), PDFString.of(level.version));
+  if (level.conformance) info.set(PDFName.of('GTS_PDFXConformance'), PDFString.of(level.conformance));
+  info.set(PDFName.of('Trapped'), PDFName.of('False'));
+
+  const metadata = context.stream(xmpPacket({ title: pdfDoc.getTitle(), level, date }), {
+    Type: 'Metadata',
+    Subtype: 'XML'
+  });
+  pdfDoc.catalog.set(PDFName.of('Metadata'), context.register(metadata));
+
+  if (!context.trailerInfo.ID) {
+    const id = PDFHexString.of(crypto.randomBytes(16).toString('hex'));
+    context.trailerInfo.ID = context.obj([id, id]);
+  }
+
+  return condition;
+}
+
+// ---- Conversion ----
+
+function ghostscriptArgs(options, outputPdf, inputPdf) {
+  const { colourSpace, profile, keepSpots, pdfx } = options;
+  const space = COLOUR_SPACES[colourSpace];
+  // Profil de sortie : CMYK pour la conversion CMYK, gris seulement s'il est de type GRAY
+  const outputProfile = profile && profile.colourSpace === (colourSpace === 'cmyk' ? 'CMYK' : 'GRAY')
+    ? profile.path
+    : null;
+
+  return [
+    '-sDEVICE=pdfwrite',
+    ...(pdfx ? [`-dCompatibilityLevel=${PDFX_LEVELS[pdfx].compatibility}`, '-dEmbedAllFonts=true'] : []),
+    `-sColorConversionStrategy=${space.strategy}`,
+    `-sProcessColorModel=${space.processModel}`,
+    ...(outputProfile ? [`-sOutputICCProfile=${outputProfile}`] : []),
+    `-dPreserveSeparation=${keepSpots}`,
+    `-dPreserveDeviceN=${keepSpots}`,
+    '-dAutoRotatePages=/None',
+    `-sOutputFile=${outputPdf}`,
+    inputPdf
+  ];
+}
+
+// Convertit pdfPath sur place (options issues de parseColourOptions).
+// Renvoie { colourSpace, iccProfile, keepSpots, pdfx, outputCondition, before, after }
+async function convertColours(pdfPath, options, { title } = {}) {
+  const before = await colourSummary(pdfPath);
+  const boxes = readPageBoxes(await PDFDocument.load(fs.readFileSync(pdfPath), { updateMetadata: false }));
+
+  const tmp = pdfPath + '.colour.pdf';
+  let outputCondition = null;
+  try {
+    await runGhostscript(ghostscriptArgs(options, tmp, pdfPath));
+
+    const pdfDoc = await PDFDocument.load(fs.readFileSync(tmp), { updateMetadata: false });
+    applyPageBoxes(pdfDoc, boxes);
+    if (options.pdfx) {
+      outputCondition = markPdfx(pdfDoc, PDFX_LEVELS[options.pdfx], options.profile, {
+        title,
+        outputCondition: options.outputCondition
+      });
+    }
+    fs.writeFileSync(pdfPath, await pdfDoc.save({ useObjectStreams: false }));
+  } finally {
+    if (fs.existsSync(tmp)) fs.unlinkSync(tmp);
+  }
+
+  const { profile } = options;
+  return {
+    colourSpace: options.colourSpace,
+    iccProfile: profile
+      ? {
+        name: profile.name,
+        source: profile.source,
+        description: profile.description,
+        colourSpace: profile.colourSpace
+      }
+      : null,
+    keepSpots: options.keepSpots,
+    ...(options.pdfx ? { pdfx: PDFX_LEVELS[options.pdfx].label, outputCondition } : {}),
+    before,
+    after: await colourSummary(pdfPath)
+  };
+}
+
+module.exports = {
+  parseColourOptions,
+  convertColours,
+  colourSummary,
+  readIccProfile,
+  listIccProfiles,
+  normalizePdfxLevel,
+  ghostscriptArgs,
+  markPdfx
+};
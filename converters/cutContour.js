@@ -0,0 +1,456 @@
+// converters/cutContour.js
+//
+// Extraction du tracé de découpe (stickers, étiquettes) pour les plotters.
+// - tracés peints (contour ou fond) dans un ton direct de découpe :
+//   CutContour, Thru-cut, Kiss-cut par défaut, noms configurables
+// - PDF (AI, EPS, PS convertis en PDF) : espaces Separation / DeviceN ;
+//   SVG : éléments nommés par id, class, calque (inkscape:label, data-name)
+//   ou peints en icc-color(<ton>), rendus à part par rsvg-convert
+// - sorties : SVG et DXF en mm (origine = coin inférieur gauche de la TrimBox),
+//   longueur de coupe, nombre de formes fermées
+// - PDF d'impression sans le calque de découpe (peinture des tracés neutralisée) ; un
+//   formulaire partagé n'est modifié que là où toutes ses exécutions sont des découpes
+
+const fs = require('fs');
+const sax = require('sax');
+const { PDFDocument, PDFName } = require('pdf-lib');
+const { walkPage, streamBytes, pageContentBytes } = require('../analyzers/pdfContent');
+const { runProcess, RSVG_CMD } = require('../lib/processRunner');
+const { badRequest, isTrue, ptToMm } = require('../lib/common');
+
+const DEFAULT_SPOT_NAMES = ['CutContour', 'Thru-cut', 'Kiss-cut'];
+
+// Segments par courbe de Bézier pour la longueur et le DXF
+const CURVE_STEPS = 32;
+// Deux points plus proches que ça (mm) ferment la forme
+const CLOSE_TOLERANCE_MM = 0.01;
+
+// Opérateur de peinture sans la partie découpe : [contour retiré][fond retiré]
+const PAINT_WITHOUT_CUT = {
+  S: { stroke: 'n' },
+  s: { stroke: 'n' },
+  f: { fill: 'n' },
+  F: { fill: 'n' },
+  'f*': { fill: 'n' },
+  B: { both: 'n', stroke: 'f', fill: 'S' },
+  'B*': { both: 'n', stroke: 'f*', fill: 'S' },
+  b: { both: 'n', stroke: 'f', fill: 's' },
+  'b*': { both: 'n', stroke: 'f*', fill: 's' }
+};
+
+const round = (v) => +v.toFixed(3);
+
+// "Thru-cut", "thru_cut", "CutContour_1_" (suffixe Illustrator) → "thrucut", "cutcontour"
+function normalizeSpotName(name) {
+  return String(name)
+    .replace(/_\d+_?$/, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+// Champs : spotNames (liste séparée par des virgules), page (1 par défaut), printPdf = 1
+function parseCutOptions(params) {
+  const spotNames = params.spotNames
+    ? String(params.spotNames).split(',').map((s) => s.trim()).filter(Boolean)
+    : DEFAULT_SPOT_NAMES;
+  if (spotNames.length === 0) throw badRequest('spotNames must list at least one spot colour name');
+
+  let page = 1;
+  if (params.page !== undefined && params.page !== '') {
+    page = Number(params.page);
+    if (!Number.isInteger(page) || page < 1) throw badRequest('page must be a positive integer');
+  }
+
+  return { spotNames, page, printPdf: isTrue(params.printPdf) };
+}
+
+// Premier colorant de l'espace couleur qui est un ton de découpe, sinon null
+function cutColorant(space, wanted) {
+  if (!space || !['Spot', 'DeviceN'].includes(space.model)) return null;
+  return (space.colorants || []).find((c) => c && wanted.has(normalizeSpotName(c))) || null;
+}
+
+// ---- Extraction PDF ----
+
+// Tracés de découpe d'une page et opérateurs à neutraliser pour l'impression.
+// Les peintures hors découpe d'un formulaire sont notées (replacement: null) : le même
+// opérateur peut être une découpe ailleurs (couleur héritée de l'appelant).
+// matchSpot(space) → nom du ton ou null
+function collectCutPaths(page, matchSpot) {
+  const shapes = [];
+  const patches = [];
+
+  walkPage(page, {
+    onPaint: ({ op, stroke, fill, path, state, offset, form }) => {
+      const strokeSpot = stroke ? matchSpot(state.strokeSpace) : null;
+      const fillSpot = fill ? matchSpot(state.fillSpace) : null;
+      if (!strokeSpot && !fillSpot) {
+        if (form) patches.push({ form, offset, length: op.length, replacement: null });
+        return;
+      }
+
+      for (const subpath of path) {
+        // un fond ferme implicitement chaque sous-chemin
+        shapes.push({
+          spot: strokeSpot || fillSpot,
+          segments: subpath.segments,
+          closed: subpath.closed || Boolean(fillSpot)
+        });
+      }
+
+      const rule = PAINT_WITHOUT_CUT[op];
+      if (!rule) return;
+      const replacement = (strokeSpot || !stroke) && (fillSpot || !fill)
+        ? rule.both || rule.stroke || rule.fill
+        : strokeSpot ? rule.stroke : rule.fill;
+      patches.push({ form, offset, length: op.length, replacement });
+    }
+  });
+
+  return { shapes, patches };
+}
+
+// Réécrit les flux modifiés (contenu de page ou formulaire) en Flate
+function replaceStreamBytes(context, page, form, bytes) {
+  const stream = context.flateStream(bytes);
+  if (!form) {
+    page.node.set(PDFName.of('Contents'), context.register(stream));
+    return;
+  }
+  const entry = context.enumerateIndirectObjects().find(([, obj]) => obj === form);
+  if (!entry) return;
+  for (const [key, value] of form.dict.entries()) {
+    if (!['Filter', 'DecodeParms', 'Length'].includes(key.decodeText())) stream.dict.set(key, value);
+  }
+  context.assign(entry[0], stream);
+}
+
+// Remplace les opérateurs d'un flux (même longueur : les positions restent valables)
+function patchStream(pdfDoc, page, form, patches) {
+  const bytes = Buffer.from(form ? streamBytes(form) : pageContentBytes(page));
+  for (const patch of patches) {
+    bytes.write(patch.replacement.padEnd(patch.length, ' '), patch.offset, 'latin1');
+  }
+  replaceStreamBytes(pdfDoc.context, page, form, bytes);
+}
+
+// Neutralise la peinture des tracés de découpe. pagePatches : [{ page, patches }] de
+// toutes les pages. Un formulaire peut être dessiné plusieurs fois (pages, couleur
+// héritée différente) : un de ses opérateurs n'est neutralisé que si toutes ses
+// exécutions sont des découpes au même remplacement, sinon il est gardé.
+// Renvoie { removed, kept } (opérateurs)
+function removeCutPaint(pdfDoc, pagePatches) {
+  let removed = 0;
+  let kept = 0;
+  const formOps = new Map(); // formulaire → position → exécutions
+
+  for (const { page, patches } of pagePatches) {
+    const own = patches.filter((patch) => !patch.form);
+    if (own.length) {
+      patchStream(pdfDoc, page, null, own);
+      removed += own.length;
+    }
+    for (const patch of patches.filter((p) => p.form)) {
+      if (!formOps.has(patch.form)) formOps.set(patch.form, new Map());
+      const byOffset = formOps.get(patch.form);
+      if (!byOffset.has(patch.offset)) byOffset.set(patch.offset, []);
+      byOffset.get(patch.offset).push(patch);
+    }
+  }
+
+  for (const [form, byOffset] of formOps) {
+    const safe = [];
+    for (const executions of byOffset.values()) {
+      const { replacement } = executions[0];
+      if (replacement && executions.every((e) => e.replacement === replacement)) {
+        safe.push(executions[0]);
+      } else if (executions.some((e) => e.replacement)) {
+        kept++;
+      }
+    }
+    if (safe.length) {
+      patchStream(pdfDoc, null, form, safe);
+      removed += safe.length;
+    }
+  }
+  return { removed, kept };
+}
+
+// ---- Géométrie ----
+
+function cubicPoint(p0, p1, p2, p3, t) {
+  const u = 1 - t;
+  return [
+    u * u * u * p0[0] + 3 * u * u * t * p1[0] + 3 * u * t * t * p2[0] + t * t * t * p3[0],
+    u * u * u * p0[1] + 3 * u * u * t * p1[1] + 3 * u * t * t * p2[1] + t * t * t * p3[1]
+  ];
+}
+
+const distance = (a, b) => Math.hypot(b[0] - a[0], b[1] - a[1]);
+
+// Sous-chemin (points page) → forme en mm relative à la TrimBox :
+// { spot, closed, segments (M/L/C en mm), points (polyligne aplatie), length_mm }
+function toMmShape(shape, trim) {
+  const toMm = ([x, y]) => [ptToMm(x - trim.x), ptToMm(y - trim.y)];
+  const segments = shape.segments.map((seg) => ({ type: seg.type, points: seg.points.map(toMm) }));
+
+  const points = [];
+  let last = null;
+  for (const seg of segments) {
+    if (seg.type === 'C' && last) {
+      for (let i = 1; i <= CURVE_STEPS; i++) {
+        points.push(cubicPoint(last, seg.points[0], seg.points[1], seg.points[2], i / CURVE_STEPS));
+      }
+    } else {
+      points.push(seg.points[seg.points.length - 1]);
+    }
+    last = seg.points[seg.points.length - 1];
+  }
+
+  const closed = shape.closed ||
+    (points.length > 2 && distance(points[0], points[points.length - 1]) < CLOSE_TOLERANCE_MM);
+  let length = 0;
+  for (let i = 1; i < points.length; i++) length += distance(points[i - 1], points[i]);
+  if (closed && points.length > 1) length += distance(points[points.length - 1], points[0]);
+
+  return { spot: shape.spot, closed, segments, points, length_mm: length };
+}
+
+function xmlEscape(text) {
+  return String(text).replace(/[<>&"]/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[c]);
+}
+
+// SVG en mm (viewBox = TrimBox), un groupe par ton de découpe
+function buildCutSvg(shapes, widthMm, heightMm) {
+  const y = (v) => round(heightMm - v);
+  const groups = new Map();
+  for (const shape of shapes) {
+    const d = shape.segments
+      .map((seg) => seg.type + ' ' + seg.points.map((p) => `${round(p[0])} ${y(p[1])}`).join(' '))
+      .join(' ') + (shape.closed ? ' Z' : '');
+    if (!groups.has(shape.spot)) groups.set(shape.spot, []);
+    groups.get(shape.spot).push(`    <path d="${d}"/>`);
+  }
+
+  const body = [...groups]
+    .map(([spot, paths]) =>
+      `  <g id="${xmlEscape(spot)}" fill="none" stroke="#ec008c" stroke-width="0.25">\n${paths.join('\n')}\n  </g>`)
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${round(widthMm)}mm" height="${round(heightMm)}mm" viewBox="0 0 ${round(widthMm)} ${round(heightMm)}">
+${body}
+</svg>
+`;
+}
+
+// DXF R12 (POLYLINE), unités mm, un calque par ton de découpe
+function buildCutDxf(shapes) {
+  const lines = [
+    '0', 'SECTION', '2', 'HEADER',
+    '9', '$ACADVER', '1', 'AC1009',
+    '9', '$INSUNITS', '70', '4',
+    '0', 'ENDSEC',
+    '0', 'SECTION', '2', 'ENTITIES'
+  ];
+  for (const shape of shapes) {
+    const layer = shape.spot.replace(/[^A-Za-z0-9_-]/g, '_');
+    lines.push('0', 'POLYLINE', '8', layer, '66', '1', '70', shape.closed ? '1' : '0');
+    lines.push('10', '0.0', '20', '0.0', '30', '0.0');
+    for (const [x, y] of shape.points) {
+      lines.push('0', 'VERTEX', '8', layer, '10', String(round(x)), '20', String(round(y)), '30', '0.0');
+    }
+    lines.push('0', 'SEQEND', '8', layer);
+  }
+  lines.push('0', 'ENDSEC', '0', 'EOF');
+  return lines.join('\n') + '\n';
+}
+
+// Résumé + fichiers SVG / DXF à partir des formes d'une page
+function writeCutFiles(rawShapes, trim, { svgPath, dxfPath }) {
+  const shapes = rawShapes.map((shape) => toMmShape(shape, trim)).filter((s) => s.points.length > 1);
+  const widthMm = ptToMm(trim.width);
+  const heightMm = ptToMm(trim.height);
+
+  fs.writeFileSync(svgPath, buildCutSvg(shapes, widthMm, heightMm));
+  fs.writeFileSync(dxfPath, buildCutDxf(shapes));
+
+  const spots = [...new Set(shapes.map((s) => s.spot))];
+  return {
+    width_mm: round(widthMm),
+    height_mm: round(heightMm),
+    origin: 'trimbox-lower-left',
+    spotsFound: spots,
+    pathCount: shapes.length,
+    closedShapes: shapes.filter((s) => s.closed).length,
+    openPaths: shapes.filter((s) => !s.closed).length,
+    cutLength_mm: +shapes.reduce((sum, s) => sum + s.length_mm, 0).toFixed(2),
+    bySpot: spots.map((spot) => {
+      const own = shapes.filter((s) => s.spot === spot);
+      return {
+        spot,
+        pathCount: own.length,
+        closedShapes: own.filter((s) => s.closed).length,
+        cutLength_mm: +own.reduce((sum, s) => sum + s.length_mm, 0).toFixed(2)
+      };
+    })
+  };
+}
+
+// PDF (ou conversion PDF d'un AI / EPS / PS). outputs : { svgPath, dxfPath, printPdfPath? }
+async function extractPdfCutContour(pdfPath, options, outputs) {
+  const pdfDoc = await PDFDocument.load(fs.readFileSync(pdfPath), { updateMetadata: false });
+  const pages = pdfDoc.getPages();
+  if (options.page > pages.length) {
+    throw badRequest(`page ${options.page} does not exist (document has ${pages.length} page(s))`);
+  }
+
+  const wanted = new Set(options.spotNames.map(normalizeSpotName));
+  const matchSpot = (space) => cutColorant(space, wanted);
+
+  // Géométrie de la page demandée ; calque de découpe retiré de toutes les pages, une
+  // fois toutes les utilisations des formulaires connues
+  let selected = null;
+  const pagePatches = [];
+  pages.forEach((page, index) => {
+    const { shapes, patches } = collectCutPaths(page, matchSpot);
+    if (index === options.page - 1) selected = shapes;
+    pagePatches.push({ page, patches });
+  });
+
+  const result = writeCutFiles(selected, pages[options.page - 1].getTrimBox(), outputs);
+  if (outputs.printPdfPath) {
+    const { removed, kept } = removeCutPaint(pdfDoc, pagePatches);
+    fs.writeFileSync(outputs.printPdfPath, await pdfDoc.save());
+    result.removedPaintOps = removed;
+    // tracés de découpe d'un formulaire aussi dessiné hors découpe : restés dans le PDF
+    if (kept) result.keptSharedPaintOps = kept;
+  }
+  return { pageCount: pages.length, ...result };
+}
+
+// ---- SVG ----
+
+// Attributs qui nomment un élément ou un calque
+const SVG_NAME_ATTRIBUTES = ['id', 'inkscape:label', 'data-name', 'serif:id'];
+
+// Ton de découpe d'un élément SVG (nom, classe, icc-color), sinon null
+function svgElementSpot(attributes, wanted) {
+  const candidates = [];
+  for (const key of SVG_NAME_ATTRIBUTES) {
+    if (attributes[key]) candidates.push(attributes[key]);
+  }
+  if (attributes.class) candidates.push(...attributes.class.split(/\s+/));
+
+  const paint = [attributes.stroke, attributes.fill, attributes.style].filter(Boolean).join(';');
+  const iccRe = /icc-(?:named-)?color\(\s*['"]?([^,'")]+)/g;
+  let m;
+  while ((m = iccRe.exec(paint))) candidates.push(m[1].trim());
+
+  return candidates.find((c) => wanted.has(normalizeSpotName(c))) || null;
+}
+
+// Éléments de découpe : [{ spot, start, end, nameEnd }] (positions dans le texte ;
+// nameEnd = fin du nom de balise) et fin de la balise ouvrante racine
+function findSvgCutElements(text, spotNames) {
+  const wanted = new Set(spotNames.map(normalizeSpotName));
+  const parser = sax.parser(true, { position: true });
+  const elements = [];
+  const stack = [];
+  let rootTagEnd = null;
+
+  parser.onopentag = (node) => {
+    const start = parser.startTagPosition - 1;
+    if (rootTagEnd === null) rootTagEnd = parser.position;
+    const insideCut = stack.some((e) => e);
+    const spot = insideCut ? null : svgElementSpot(node.attributes, wanted);
+    const element = spot ? { spot, start, nameEnd: start + 1 + node.name.length, end: null } : null;
+    if (element) elements.push(element);
+    stack.push(element);
+  };
+  parser.onclosetag = () => {
+    const element = stack.pop();
+    if (element) element.end = parser.position;
+  };
+  parser.onerror = (err) => {
+    throw badRequest(`SVG could not be parsed: ${err.message.split('\n')[0]}`);
+  };
+
+  parser.write(text).close();
+  return { elements, rootTagEnd };
+}
+
+// Modifications de texte appliquées de la fin vers le début
+function applyEdits(text, edits) {
+  let out = text;
+  for (const edit of [...edits].sort((a, b) => b.start - a.start)) {
+    out = out.slice(0, edit.start) + edit.insert + out.slice(edit.end);
+  }
+  return out;
+}
+
+async function renderSvg(svgText, pdfPath) {
+  const svgPath = pdfPath + '.svg';
+  fs.writeFileSync(svgPath, svgText);
+  try {
+    await runProcess(RSVG_CMD, ['-f', 'pdf', '-o', pdfPath, svgPath]);
+  } finally {
+    if (fs.existsSync(svgPath)) fs.unlinkSync(svgPath);
+  }
+}
+
+// Seuls les éléments marqués restent visibles
+const CUT_ONLY_STYLE =
+  '<style>*{visibility:hidden!important}[data-cut-layer],[data-cut-layer] *{visibility:visible!important}</style>';
+
+// SVG : un rendu PDF par ton (éléments de découpe seuls), un rendu sans découpe pour l'impression
+async function extractSvgCutContour(svgPath, options, outputs) {
+  const text = fs.readFileSync(svgPath, 'utf8');
+  const { elements, rootTagEnd } = findSvgCutElements(text, options.spotNames);
+
+  const tmpPdf = svgPath + '.cut.pdf';
+  const shapes = [];
+  let trim = null;
+  try {
+    for (const spot of new Set(elements.map((e) => e.spot))) {
+      const marks = elements
+        .filter((e) => e.spot === spot)
+        .map((e) => ({ start: e.nameEnd, end: e.nameEnd, insert: ' data-cut-layer="1"' }));
+      const style = { start: rootTagEnd, end: rootTagEnd, insert: CUT_ONLY_STYLE };
+      await renderSvg(applyEdits(text, [...marks, style]), tmpPdf);
+
+      const pdfDoc = await PDFDocument.load(fs.readFileSync(tmpPdf), { updateMetadata: false });
+      const page = pdfDoc.getPage(0);
+      trim = page.getTrimBox();
+      shapes.push(...collectCutPaths(page, () => spot).shapes);
+    }
+
+    if (outputs.printPdfPath || !trim) {
+      const printPdf = outputs.printPdfPath || tmpPdf;
+      const removals = elements.map((e) => ({ start: e.start, end: e.end, insert: '' }));
+      await renderSvg(applyEdits(text, removals), printPdf);
+      if (!trim) trim = (await PDFDocument.load(fs.readFileSync(printPdf))).getPage(0).getTrimBox();
+    }
+  } finally {
+    if (fs.existsSync(tmpPdf)) fs.unlinkSync(tmpPdf);
+  }
+
+  const result = writeCutFiles(shapes, trim, outputs);
+  return {
+    pageCount: 1,
+    ...result,
+    svgElements: elements.length,
+    ...(outputs.printPdfPath ? { removedElements: elements.length } : {})
+  };
+}
+
+module.exports = {
+  normalizeSpotName,
+  toMmShape,
+  buildCutSvg,
+  buildCutDxf,
+  parseCutOptions,
+  extractPdfCutContour,
+  extractSvgCutContour,
+  DEFAULT_SPOT_NAMES
+};
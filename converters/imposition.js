@@ -0,0 +1,272 @@
+// converters/imposition.js
+//
+// Step-and-repeat : imposition d'un visuel (page 1 du PDF) en grille sur une
+// feuille d'impression.
+// - feuille (format prédéfini ou largeur/hauteur mm), marges, gouttière
+// - nombre d'exemplaires ou remplissage de la feuille
+// - rotation à 90° si elle permet de placer plus d'exemplaires
+// - traits de coupe optionnels autour de la grille
+// - limites : taille de feuille (maximum PDF), nombre d'exemplaires placés, nombre de feuilles
+
+const fs = require('fs');
+const { PDFDocument, cmyk, degrees } = require('pdf-lib');
+const { badRequest, isTrue, mmToPt, ptToMm } = require('../lib/common');
+
+// Formats de feuille courants (mm, portrait)
+const SHEET_PRESETS = {
+  A4: [210, 297],
+  A3: [297, 420],
+  A2: [420, 594],
+  A1: [594, 841],
+  SRA3: [320, 450],
+  SRA2: [450, 640],
+  SRA1: [640, 900],
+  B2: [500, 707],
+  B1: [707, 1000]
+};
+
+// Nombre max de feuilles générées pour un nombre d'exemplaires donné
+const MAX_SHEETS = 100;
+
+// Côté max d'une feuille : 200 pouces (14400 pt), maximum d'une page PDF
+const MAX_SHEET_MM = 5080;
+
+// Nombre max d'exemplaires placés (toutes feuilles confondues) et de cellules par
+// feuille : un petit visuel sur une grande feuille donnerait sinon des millions
+// de placements et de traits de coupe, même avec fill=1 sur une seule feuille
+const MAX_PLACEMENTS = 10000;
+
+// Traits de coupe : longueur, distance à la grille, épaisseur
+const CROP_MARK_LENGTH_MM = 4;
+const CROP_MARK_OFFSET_MM = 1;
+const CROP_MARK_WIDTH_PT = 0.25;
+
+function readNumber(params, key, fallback) {
+  if (params[key] === undefined || params[key] === '') return fallback;
+  const value = Number(params[key]);
+  if (!Number.isFinite(value) || value < 0) {
+    throw badRequest(`${key} must be a positive number`);
+  }
+  return value;
+}
+
+// Paramètres de requête → options d'imposition (tailles en mm)
+function parseImpositionOptions(params) {
+  let sheetWidth;
+  let sheetHeight;
+
+  if (params.sheet) {
+    const preset = SHEET_PRESETS[String(params.sheet).toUpperCase()];
+    if (!preset) {
+      throw badRequest(`Unknown sheet "${params.sheet}" (${Object.keys(SHEET_PRESETS).join(', ')})`);
+    }
+    [sheetWidth, sheetHeight] = preset;
+    if (params.sheetOrientation === 'landscape') [sheetWidth, sheetHeight] = [sheetHeight, sheetWidth];
+  } else {
+    sheetWidth = readNumber(params, 'sheetWidth_mm', null);
+    sheetHeight = readNumber(params, 'sheetHeight_mm', null);
+    if (!sheetWidth || !sheetHeight) {
+      throw badRequest('sheet or sheetWidth_mm/sheetHeight_mm is required');
+    }
+    if (sheetWidth > MAX_SHEET_MM || sheetHeight > MAX_SHEET_MM) {
+      throw badRequest(`Sheet is too large (max ${MAX_SHEET_MM} mm per side)`);
+    }
+  }
+
+  const copies = params.copies !== undefined && params.copies !== ''
+    ? Math.floor(readNumber(params, 'copies', 0))
+    : null;
+  const fill = isTrue(params.fill) || copies === null;
+  if (!fill && copies < 1) {
+    throw badRequest('copies must be at least 1');
+  }
+  if (!fill && copies > MAX_PLACEMENTS) {
+    throw badRequest(`Too many copies (${copies}, max ${MAX_PLACEMENTS})`);
+  }
+
+  return {
+    sheetWidth_mm: sheetWidth,
+    sheetHeight_mm: sheetHeight,
+    margin_mm: readNumber(params, 'margin_mm', 10),
+    gutter_mm: readNumber(params, 'gutter_mm', 3),
+    copies: fill ? null : copies,
+    fill,
+    cropMarks: params.cropMarks === undefined ? true : isTrue(params.cropMarks),
+    allowRotation: params.allowRotation === undefined ? true : isTrue(params.allowRotation)
+  };
+}
+
+// Grille sur une zone utile : nombre de colonnes / lignes
+function gridFor(usableW, usableH, itemW, itemH, gutter) {
+  const columns = Math.max(0, Math.floor((usableW + gutter) / (itemW + gutter)));
+  const rows = Math.max(0, Math.floor((usableH + gutter) / (itemH + gutter)));
+  return { columns, rows, capacity: columns * rows };
+}
+
+// Calcul de la grille (toutes valeurs en pt), avec rotation si plus rentable
+function computeLayout(sheetW, sheetH, itemW, itemH, margin, gutter, allowRotation) {
+  const usableW = sheetW - 2 * margin;
+  const usableH = sheetH - 2 * margin;
+
+  let best = { ...gridFor(usableW, usableH, itemW, itemH, gutter), rotated: false };
+  if (allowRotation) {
+    const rotated = gridFor(usableW, usableH, itemH, itemW, gutter);
+    if (rotated.capacity > best.capacity) best = { ...rotated, rotated: true };
+  }
+
+  const cellW = best.rotated ? itemH : itemW;
+  const cellH = best.rotated ? itemW : itemH;
+  const gridW = best.columns * cellW + Math.max(0, best.columns - 1) * gutter;
+  const gridH = best.rows * cellH + Math.max(0, best.rows - 1) * gutter;
+
+  return {
+    ...best,
+    cellW,
+    cellH,
+    // Grille centrée sur la feuille
+    originX: (sheetW - gridW) / 2,
+    originY: (sheetH - gridH) / 2,
+    gridW,
+    gridH
+  };
+}
+
+// Traits de coupe sur le pourtour de la grille, à chaque ligne de coupe
+function drawCropMarks(page, layout, gutter) {
+  const length = mmToPt(CROP_MARK_LENGTH_MM);
+  const offset = mmToPt(CROP_MARK_OFFSET_MM);
+  const color = cmyk(1, 1, 1, 1); // repérage
+  const line = (x1, y1, x2, y2) =>
+    page.drawLine({ start: { x: x1, y: y1 }, end: { x: x2, y: y2 }, thickness: CROP_MARK_WIDTH_PT, color });
+
+  const { originX, originY, gridW, gridH, cellW, cellH, columns, rows } = layout;
+
+  const xs = new Set();
+  for (let c = 0; c < columns; c++) {
+    const x = originX + c * (cellW + gutter);
+    xs.add(x);
+    xs.add(x + cellW);
+  }
+  const ys = new Set();
+  for (let r = 0; r < rows; r++) {
+    const y = originY + r * (cellH + gutter);
+    ys.add(y);
+    ys.add(y + cellH);
+  }
+
+  for (const x of xs) {
+    line(x, originY - offset, x, originY - offset - length);
+    line(x, originY + gridH + offset, x, originY + gridH + offset + length);
+  }
+  for (const y of ys) {
+    line(originX - offset, y, originX - offset - length, y);
+    line(originX + gridW + offset, y, originX + gridW + offset + length, y);
+  }
+}
+
+// inputPdf (page 1 = visuel) → outputPdf imposé
+async function imposePdf(inputPdf, outputPdf, options) {
+  const srcDoc = await PDFDocument.load(fs.readFileSync(inputPdf));
+  const srcPage = srcDoc.getPage(0);
+  const trim = srcPage.getTrimBox();
+  const bleedBox = srcPage.getBleedBox();
+
+  const sheetW = mmToPt(options.sheetWidth_mm);
+  const sheetH = mmToPt(options.sheetHeight_mm);
+  const margin = mmToPt(options.margin_mm);
+  const gutter = mmToPt(options.gutter_mm);
+
+  // Le fond perdu n'est gardé que s'il tient dans la gouttière et les marges
+  const bleed = Math.max(0, Math.min(
+    trim.x - bleedBox.x,
+    trim.y - bleedBox.y,
+    bleedBox.x + bleedBox.width - (trim.x + trim.width),
+    bleedBox.y + bleedBox.height - (trim.y + trim.height)
+  ));
+  const useBleed = bleed > 0 && gutter >= 2 * bleed && margin >= bleed;
+  const b = useBleed ? bleed : 0;
+
+  const layout = computeLayout(sheetW, sheetH, trim.width, trim.height, margin, gutter, options.allowRotation);
+  if (layout.capacity === 0) {
+    throw badRequest('Item does not fit on the sheet with these margins');
+  }
+  if (layout.capacity > MAX_PLACEMENTS) {
+    throw badRequest(`Too many items per sheet (${layout.capacity}, max ${MAX_PLACEMENTS})`);
+  }
+
+  const copies = options.fill ? layout.capacity : options.copies;
+  const sheetCount = Math.ceil(copies / layout.capacity);
+  if (sheetCount > MAX_SHEETS) {
+    throw badRequest(`Too many sheets required (${sheetCount}, max ${MAX_SHEETS})`);
+  }
+
+  const outDoc = await PDFDocument.create();
+  const embedded = await outDoc.embedPage(srcPage, {
+    left: trim.x - b,
+    bottom: trim.y - b,
+    right: trim.x + trim.width + b,
+    top: trim.y + trim.height + b
+  });
+
+  let remaining = copies;
+  for (let s = 0; s < sheetCount; s++) {
+    const page = outDoc.addPage([sheetW, sheetH]);
+    const onSheet = Math.min(remaining, layout.capacity);
+
+    // Remplissage ligne par ligne depuis le haut de la feuille
+    for (let i = 0; i < onSheet; i++) {
+      const col = i % layout.columns;
+      const row = layout.rows - 1 - Math.floor(i / layout.columns);
+      const cellX = layout.originX + col * (layout.cellW + gutter);
+      const cellY = layout.originY + row * (layout.cellH + gutter);
+
+      if (layout.rotated) {
+        // Rotation 90° autour du coin bas-gauche : on décale d'une hauteur
+        page.drawPage(embedded, {
+          x: cellX + layout.cellW + b,
+          y: cellY - b,
+          rotate: degrees(90)
+        });
+      } else {
+        page.drawPage(embedded, { x: cellX - b, y: cellY - b });
+      }
+    }
+
+    if (options.cropMarks) drawCropMarks(page, layout, gutter);
+    remaining -= onSheet;
+  }
+
+  fs.writeFileSync(outputPdf, await outDoc.save());
+
+  const itemArea = trim.width * trim.height;
+  return {
+    sheet: {
+      width_mm: options.sheetWidth_mm,
+      height_mm: options.sheetHeight_mm,
+      margin_mm: options.margin_mm,
+      gutter_mm: options.gutter_mm
+    },
+    item: {
+      width_mm: +ptToMm(trim.width).toFixed(2),
+      height_mm: +ptToMm(trim.height).toFixed(2),
+      bleedIncluded_mm: +ptToMm(b).toFixed(2)
+    },
+    grid: {
+      columns: layout.columns,
+      rows: layout.rows,
+      rotated: layout.rotated
+    },
+    capacityPerSheet: layout.capacity,
+    copiesRequested: options.fill ? null : options.copies,
+    copiesPlaced: copies,
+    sheetCount,
+    // Surface finie placée sur la 1re feuille / surface de la feuille
+    utilisation_percent: +(((Math.min(copies, layout.capacity) * itemArea) / (sheetW * sheetH)) * 100).toFixed(1),
+    cropMarks: options.cropMarks
+  };
+}
+
+module.exports = {
+  imposePdf,
+  parseImpositionOptions
+};
@@ -0,0 +1,40 @@
+// converters/outlineText.js
+//
+// Vectorisation du texte (option outlineText de /convert-to-pdf) : Ghostscript
+// pdfwrite avec -dNoOutputFonts remplace chaque glyphe par son tracé, le PDF
+// produit ne contient plus de police à fournir au RIP.
+
+const fs = require('fs');
+const { PDFDocument } = require('pdf-lib');
+const { runGhostscript } = require('../lib/processRunner');
+const { pdfFonts } = require('../analyzers/fontReport');
+const { readPageBoxes, applyPageBoxes } = require('./pageBoxes');
+
+// Vectorise pdfPath sur place. Renvoie { fontsBefore, fontsAfter } (polices utilisées)
+async function outlineText(pdfPath) {
+  const fontsBefore = (await pdfFonts(pdfPath)).length;
+  const boxes = readPageBoxes(await PDFDocument.load(fs.readFileSync(pdfPath), { updateMetadata: false }));
+
+  const tmp = pdfPath + '.outlined.pdf';
+  try {
+    await runGhostscript([
+      '-sDEVICE=pdfwrite',
+      '-dNoOutputFonts',
+      '-dAutoRotatePages=/None',
+      `-sOutputFile=${tmp}`,
+      pdfPath
+    ]);
+
+    const pdfDoc = await PDFDocument.load(fs.readFileSync(tmp), { updateMetadata: false });
+    applyPageBoxes(pdfDoc, boxes);
+    fs.writeFileSync(pdfPath, await pdfDoc.save({ useObjectStreams: false }));
+  } finally {
+    if (fs.existsSync(tmp)) fs.unlinkSync(tmp);
+  }
+
+  return { fontsBefore, fontsAfter: (await pdfFonts(pdfPath)).length };
+}
+
+module.exports = {
+  outlineText
+};
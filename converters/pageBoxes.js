@@ -0,0 +1,33 @@
+// converters/pageBoxes.js
+//
+// Sauvegarde / restauration des boxes de page (Media, Crop, Bleed, Trim, Art)
+// autour d'une réécriture Ghostscript pdfwrite, qui ne les conserve pas toutes.
+
+// Boxes de chaque page d'un document pdf-lib
+function readPageBoxes(pdfDoc) {
+  return pdfDoc.getPages().map((page) => ({
+    media: page.getMediaBox(),
+    crop: page.getCropBox(),
+    bleed: page.getBleedBox(),
+    trim: page.getTrimBox(),
+    art: page.getArtBox()
+  }));
+}
+
+// Repose les boxes lues par readPageBoxes, page par page
+function applyPageBoxes(pdfDoc, boxes) {
+  pdfDoc.getPages().forEach((page, index) => {
+    const b = boxes[index];
+    if (!b) return;
+    page.setMediaBox(b.media.x, b.media.y, b.media.width, b.media.height);
+    page.setCropBox(b.crop.x, b.crop.y, b.crop.width, b.crop.height);
+    page.setBleedBox(b.bleed.x, b.bleed.y, b.bleed.width, b.bleed.height);
+    page.setTrimBox(b.trim.x, b.trim.y, b.trim.width, b.trim.height);
+    page.setArtBox(b.art.x, b.art.y, b.art.width, b.art.height);
+  });
+}
+
+module.exports = {
+  readPageBoxes,
+  applyPageBoxes
+};
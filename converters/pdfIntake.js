@@ -0,0 +1,132 @@
+// converters/pdfIntake.js
+//
+// Préparation des PDF reçus avec qpdf, avant Ghostscript et pdf-lib.
+// - chiffrement détecté ; déchiffrement (mot de passe utilisateur si nécessaire)
+// - contrôle de structure (qpdf --check) ; réparation / réécriture si erreurs
+//   ou avertissements, avec object streams dépliés pour les outils en aval
+// - linéarisation optionnelle ("fast web view") des PDF produits
+// - mot de passe transmis à qpdf par un fichier temporaire (0600), jamais en argument
+//   (visible dans ps et /proc)
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runProcess, QPDF_CMD } = require('../lib/processRunner');
+const { httpError, badRequest } = require('../lib/common');
+
+// Appelle fn(args) avec les arguments qpdf du mot de passe : --password-file= vers un
+// fichier lisible du seul propriétaire, supprimé ensuite. qpdf n'en lit que la
+// première ligne : un mot de passe sur plusieurs lignes est refusé
+async function withPasswordArgs(password, fn) {
+  if (!password) return fn([]);
+  if (/[\r\n]/.test(password)) throw badRequest('password must not contain line breaks');
+
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'qpdf-'));
+  const passwordFile = path.join(dir, 'password');
+  try {
+    await fs.promises.writeFile(passwordFile, password, { mode: 0o600, flag: 'wx' });
+    return await fn([`--password-file=${passwordFile}`]);
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+}
+
+// qpdf --is-encrypted : code 0 si chiffré, 2 sinon
+async function isEncrypted(pdfPath) {
+  const { exitCode } = await runProcess(QPDF_CMD, ['--is-encrypted', pdfPath], { okExitCodes: [0, 2] });
+  return exitCode === 0;
+}
+
+// qpdf --requires-password : 0 = mot de passe manquant ou faux, 2 = accepté, 3 = non chiffré
+async function passwordAccepted(pdfPath, password) {
+  const { exitCode } = await withPasswordArgs(password, (args) => runProcess(
+    QPDF_CMD,
+    ['--requires-password', ...args, pdfPath],
+    { okExitCodes: [0, 2, 3] }
+  ));
+  return exitCode !== 0;
+}
+
+// qpdf --check : 0 = sain, 2 = erreurs, 3 = avertissements
+async function checkStructure(pdfPath) {
+  const { stdout, stderr, exitCode } = await runProcess(QPDF_CMD, ['--check', pdfPath], {
+    okExitCodes: [0, 2, 3]
+  });
+  const messages = `${stderr}\n${stdout}`
+    .split('\n')
+    .map((line) => line.trim())
+    .filter((line) => /^(WARNING|ERROR|qpdf:)/i.test(line) || /damaged|recover|error/i.test(line))
+    .slice(0, 20);
+  return { status: ['ok', null, 'errors', 'warnings'][exitCode], messages };
+}
+
+function containsObjectStreams(pdfPath) {
+  return fs.readFileSync(pdfPath).indexOf('/ObjStm') !== -1;
+}
+
+// Réécriture qpdf (code 3 = écrit avec avertissements) puis remplacement du fichier
+async function rewrite(pdfPath, args) {
+  const tmp = pdfPath + '.qpdf.pdf';
+  try {
+    await runProcess(QPDF_CMD, [...args, pdfPath, tmp], { okExitCodes: [0, 3] });
+    fs.renameSync(tmp, pdfPath);
+  } finally {
+    if (fs.existsSync(tmp)) fs.unlinkSync(tmp);
+  }
+}
+
+// Prépare pdfPath sur place. Renvoie { encrypted, actions, structure, ... }
+// actions : 'decrypted', 'repaired', 'object_streams_rewritten'
+async function preparePdf(pdfPath, { password } = {}) {
+  const result = { encrypted: false, actions: [] };
+
+  try {
+    result.encrypted = await isEncrypted(pdfPath);
+  } catch (err) {
+    if (err.code !== 'TOOL_NOT_FOUND') throw err;
+    // qpdf absent (poste de dev) : le PDF est traité tel quel
+    return { ...result, skipped: 'qpdf is not installed' };
+  }
+
+  if (result.encrypted) {
+    if (!(await passwordAccepted(pdfPath, password))) {
+      throw badRequest(password
+        ? 'Incorrect password for this PDF'
+        : 'This PDF is password protected: send its password in the password field');
+    }
+    try {
+      await withPasswordArgs(password, (args) => rewrite(pdfPath, [...args, '--decrypt']));
+    } catch (err) {
+      err.statusCode = 422;
+      throw err;
+    }
+    result.actions.push('decrypted');
+  }
+
+  const structure = await checkStructure(pdfPath);
+  result.structure = structure.status;
+
+  if (structure.status !== 'ok') {
+    const hadObjectStreams = containsObjectStreams(pdfPath);
+    try {
+      await rewrite(pdfPath, ['--object-streams=disable']);
+    } catch (err) {
+      throw httpError(422, `PDF is damaged and could not be repaired (${err.message})`);
+    }
+    result.actions.push('repaired');
+    if (hadObjectStreams) result.actions.push('object_streams_rewritten');
+    if (structure.messages.length) result.repairMessages = structure.messages;
+  }
+
+  return result;
+}
+
+// Linéarisation sur place ("fast web view")
+async function linearizePdf(pdfPath) {
+  await rewrite(pdfPath, ['--linearize']);
+}
+
+module.exports = {
+  preparePdf,
+  linearizePdf
+};
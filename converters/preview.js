@@ -0,0 +1,371 @@
+// converters/preview.js
+//
+// Aperçu bitmap d'un PDF (route /preview et miniature de /analyze).
+// - taille cible en pixels (largeur et / ou hauteur) ou résolution en dpi
+// - sortie PNG (transparente par défaut), JPEG ou WebP
+// - une page au choix ou planche contact de toutes les pages
+// - couleur de fond, tracé optionnel des TrimBox / BleedBox
+// Les pages sont placées sur une page d'aperçu (pdf-lib) rendue par Ghostscript,
+// la zone affichée est la CropBox, rotation /Rotate appliquée.
+
+const fs = require('fs');
+const { PDFDocument, PDFName, StandardFonts, degrees, rgb } = require('pdf-lib');
+const { readRasterHeader } = require('../analyzers/rasterAnalyzer');
+const { runGhostscript, runProcess, IM_CMD } = require('../lib/processRunner');
+const { badRequest, isTrue } = require('../lib/common');
+
+const FORMATS = { png: 'png', jpeg: 'jpeg', jpg: 'jpeg', webp: 'webp' };
+const EXTENSIONS = { png: '.png', jpeg: '.jpg', webp: '.webp' };
+
+const DEFAULT_DPI = 150;
+const MAX_DPI = 1200;
+// Plus grand côté de l'image produite (dpi réduite au besoin)
+const MAX_PREVIEW_PX = 10000;
+// Plus grand côté d'une planche contact sans taille ni dpi demandée
+const DEFAULT_SHEET_PX = 2000;
+const MAX_SHEET_PAGES = 200;
+const DEFAULT_QUALITY = 85;
+
+// Boîtes traçables : couleurs d'Acrobat (TrimBox verte, BleedBox bleue)
+const OVERLAY_BOXES = {
+  trim: { entry: 'TrimBox', color: rgb(0, 0.65, 0) },
+  bleed: { entry: 'BleedBox', color: rgb(0, 0.35, 1) }
+};
+// Épaisseur du tracé dans l'image produite
+const OVERLAY_WIDTH_PX = 2;
+
+// Couleurs nommées acceptées pour le fond
+const NAMED_COLOURS = { white: 'ffffff', black: '000000', grey: '808080', gray: '808080' };
+
+// "transparent", "white", "#fff", "ff8800" → null (transparent) ou "#rrggbb"
+function parseBackground(value, key) {
+  if (value === undefined || value === '') return null;
+  const text = String(value).trim().toLowerCase();
+  if (text === 'transparent' || text === 'none') return null;
+
+  let hex = NAMED_COLOURS[text] || text.replace(/^#/, '');
+  if (/^[0-9a-f]{3}$/.test(hex)) hex = hex.replace(/./g, (c) => c + c);
+  if (!/^[0-9a-f]{6}$/.test(hex)) {
+    throw badRequest(`${key} must be "transparent", a colour name or a hex colour (#rrggbb)`);
+  }
+  return `#${hex}`;
+}
+
+// "1" → trim + bleed ; "trim", "bleed", "trim,bleed" ; "0" / absent → aucune
+function parseOverlay(value, key) {
+  if (value === undefined || value === '' || ['0', 'false', 'no', 'off'].includes(String(value).toLowerCase())) {
+    return [];
+  }
+  if (isTrue(value)) return Object.keys(OVERLAY_BOXES);
+
+  const boxes = String(value).split(',').map((b) => b.trim().toLowerCase()).filter(Boolean);
+  for (const box of boxes) {
+    if (!OVERLAY_BOXES[box]) {
+      throw badRequest(`${key} must be 1 or a list of boxes (${Object.keys(OVERLAY_BOXES).join(', ')})`);
+    }
+  }
+  return [...new Set(boxes)];
+}
+
+// Paramètres de requête → options d'aperçu.
+// prefix : préfixe des champs ('' pour /preview, 'thumbnail' pour /analyze :
+// thumbnailFormat, thumbnailWidth_px, ...)
+function parsePreviewOptions(params, prefix = '') {
+  const key = (name) => (prefix ? prefix + name[0].toUpperCase() + name.slice(1) : name);
+  const value = (name) => params[key(name)];
+
+  const readNumber = (name, max, { integer = false } = {}) => {
+    const raw = value(name);
+    if (raw === undefined || raw === '') return null;
+    const n = Number(raw);
+    if (!Number.isFinite(n) || n <= 0 || n > max || (integer && !Number.isInteger(n))) {
+      const limit = Number.isFinite(max) ? ` (max ${max})` : '';
+      throw badRequest(`${key(name)} must be a positive ${integer ? 'integer' : 'number'}${limit}`);
+    }
+    return n;
+  };
+
+  const format = value('format') ? FORMATS[String(value('format')).toLowerCase()] : 'png';
+  if (!format) {
+    throw badRequest(`${key('format')} must be png, jpeg or webp`);
+  }
+
+  // page=all : planche contact
+  const contactSheet = String(value('page')).toLowerCase() === 'all' || isTrue(value('contactSheet'));
+
+  return {
+    format,
+    dpi: readNumber('dpi', MAX_DPI),
+    width_px: readNumber('width_px', MAX_PREVIEW_PX, { integer: true }),
+    height_px: readNumber('height_px', MAX_PREVIEW_PX, { integer: true }),
+    page: contactSheet ? null : readNumber('page', Infinity, { integer: true }) || 1,
+    contactSheet,
+    columns: readNumber('columns', MAX_SHEET_PAGES, { integer: true }),
+    background: parseBackground(value('background'), key('background')),
+    overlay: parseOverlay(value('overlay'), key('overlay')),
+    quality: readNumber('quality', 100, { integer: true }) || DEFAULT_QUALITY
+  };
+}
+
+// Extension du fichier produit pour un format
+function previewExtension(options) {
+  return EXTENSIONS[options.format];
+}
+
+// ---- Page d'aperçu ----
+
+// Taille affichée d'une page (CropBox, rotation appliquée)
+function displayedPage(page, index) {
+  const crop = page.getCropBox();
+  const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+  const quarter = rotation === 90 || rotation === 270;
+  return {
+    page,
+    number: index + 1,
+    crop,
+    rotation,
+    width: quarter ? crop.height : crop.width,
+    height: quarter ? crop.width : crop.height
+  };
+}
+
+// Planche contact : grille de cellules à la taille de la plus grande page,
+// numéro de page sous chaque cellule
+function sheetLayout(items, columns) {
+  const cellW = Math.max(...items.map((i) => i.width));
+  const cellH = Math.max(...items.map((i) => i.height));
+  const unit = Math.max(cellW, cellH) / 20;
+  const cols = Math.min(columns || Math.ceil(Math.sqrt(items.length)), items.length);
+  const rows = Math.ceil(items.length / cols);
+  const labelH = unit;
+
+  const width = cols * cellW + (cols + 1) * unit;
+  const height = rows * (cellH + labelH) + (rows + 1) * unit;
+
+  const placements = items.map((item, i) => {
+    const col = i % cols;
+    const row = Math.floor(i / cols);
+    const scale = Math.min(cellW / item.width, cellH / item.height);
+    const cellX = unit + col * (cellW + unit);
+    const cellTop = height - unit - row * (cellH + labelH + unit);
+    return {
+      item,
+      scale,
+      // page centrée dans sa cellule
+      x: cellX + (cellW - item.width * scale) / 2,
+      y: cellTop - cellH + (cellH - item.height * scale) / 2,
+      label: { x: cellX + cellW / 2, y: cellTop - cellH - labelH * 0.75, size: unit * 0.6 }
+    };
+  });
+
+  return { width, height, columns: cols, rows, placements };
+}
+
+// Résolution de rendu : taille cible en pixels, dpi demandée ou valeur par défaut,
+// plafonnée à MAX_PREVIEW_PX sur le plus grand côté
+function renderDpi(widthPt, heightPt, options) {
+  let dpi;
+  if (options.width_px || options.height_px) {
+    dpi = Math.min(
+      options.width_px ? (options.width_px * 72) / widthPt : Infinity,
+      options.height_px ? (options.height_px * 72) / heightPt : Infinity
+    );
+  } else if (options.dpi) {
+    dpi = options.dpi;
+  } else if (options.contactSheet) {
+    dpi = (DEFAULT_SHEET_PX * 72) / Math.max(widthPt, heightPt);
+  } else {
+    dpi = DEFAULT_DPI;
+  }
+  const maxDpi = (MAX_PREVIEW_PX * 72) / Math.max(widthPt, heightPt);
+  return +Math.min(dpi, maxDpi, MAX_DPI).toFixed(3);
+}
+
+// Tracé des boîtes déclarées, dans le contenu de la page source (avant incorporation)
+function drawOverlay(item, boxes, thickness) {
+  const drawn = [];
+  for (const name of boxes) {
+    const { entry, color } = OVERLAY_BOXES[name];
+    if (!item.page.node.get(PDFName.of(entry))) continue;
+
+    const box = entry === 'TrimBox' ? item.page.getTrimBox() : item.page.getBleedBox();
+    item.page.drawRectangle({
+      x: box.x,
+      y: box.y,
+      width: box.width,
+      height: box.height,
+      borderColor: color,
+      borderWidth: thickness,
+      borderDashArray: name === 'bleed' ? [thickness * 3, thickness * 2] : undefined
+    });
+    drawn.push(name);
+  }
+  return drawn;
+}
+
+// Page embarquée posée à l'échelle, rotation /Rotate appliquée (sens horaire)
+function drawEmbedded(target, embedded, { item, x, y, scale }) {
+  const w = item.crop.width * scale;
+  const h = item.crop.height * scale;
+  const offsets = { 0: [0, 0], 90: [0, w], 180: [w, h], 270: [h, 0] };
+  const [dx, dy] = offsets[item.rotation] || [0, 0];
+  target.drawPage(embedded, {
+    x: x + dx,
+    y: y + dy,
+    xScale: scale,
+    yScale: scale,
+    rotate: degrees(-item.rotation)
+  });
+}
+
+// PDF d'une page : la page demandée ou la planche contact.
+// Renvoie { width, height (pt), dpi, pages, columns?, rows?, overlay }
+async function buildPreviewPdf(pdfPath, previewPdfPath, options) {
+  const srcDoc = await PDFDocument.load(fs.readFileSync(pdfPath), {
+    ignoreEncryption: true,
+    updateMetadata: false
+  });
+  const pages = srcDoc.getPages();
+
+  let items;
+  if (options.contactSheet) {
+    if (pages.length > MAX_SHEET_PAGES) {
+      throw badRequest(`Contact sheet is limited to ${MAX_SHEET_PAGES} pages (document has ${pages.length})`);
+    }
+    items = pages.map(displayedPage);
+  } else {
+    if (options.page > pages.length) {
+      throw badRequest(`page ${options.page} does not exist (document has ${pages.length} page(s))`);
+    }
+    items = [displayedPage(pages[options.page - 1], options.page - 1)];
+  }
+
+  const layout = options.contactSheet
+    ? sheetLayout(items, options.columns)
+    : { width: items[0].width, height: items[0].height, placements: [{ item: items[0], scale: 1, x: 0, y: 0 }] };
+  const dpi = renderDpi(layout.width, layout.height, options);
+
+  // Épaisseur constante en pixels quelle que soit l'échelle de la page
+  const overlay = new Set();
+  for (const placement of layout.placements) {
+    const thickness = (OVERLAY_WIDTH_PX * 72) / dpi / placement.scale;
+    drawOverlay(placement.item, options.overlay, thickness).forEach((b) => overlay.add(b));
+  }
+
+  // Page blanche sans contenu : flux vide (pdf-lib refuse d'incorporer une page sans Contents)
+  for (const { item } of layout.placements) {
+    if (!item.page.node.Contents()) {
+      item.page.node.set(PDFName.of('Contents'), srcDoc.context.register(srcDoc.context.stream('')));
+    }
+  }
+
+  const outDoc = await PDFDocument.create();
+  const embedded = await outDoc.embedPages(
+    layout.placements.map((p) => p.item.page),
+    layout.placements.map(({ item: { crop } }) => ({
+      left: crop.x,
+      bottom: crop.y,
+      right: crop.x + crop.width,
+      top: crop.y + crop.height
+    }))
+  );
+
+  const target = outDoc.addPage([layout.width, layout.height]);
+  if (options.background) {
+    const hex = options.background.slice(1);
+    target.drawRectangle({
+      x: 0,
+      y: 0,
+      width: layout.width,
+      height: layout.height,
+      color: rgb(...[0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16) / 255))
+    });
+  }
+
+  const font = options.contactSheet ? await outDoc.embedFont(StandardFonts.Helvetica) : null;
+  layout.placements.forEach((placement, i) => {
+    drawEmbedded(target, embedded[i], placement);
+    if (placement.label) {
+      const text = String(placement.item.number);
+      target.drawText(text, {
+        x: placement.label.x - font.widthOfTextAtSize(text, placement.label.size) / 2,
+        y: placement.label.y,
+        size: placement.label.size,
+        font,
+        color: rgb(0.35, 0.35, 0.35)
+      });
+    }
+  });
+
+  fs.writeFileSync(previewPdfPath, await outDoc.save());
+
+  return {
+    width: layout.width,
+    height: layout.height,
+    dpi,
+    pages: items.map((i) => i.number),
+    pageCount: pages.length,
+    ...(options.contactSheet ? { columns: layout.columns, rows: layout.rows } : {}),
+    overlay: [...overlay]
+  };
+}
+
+// ---- Rendu ----
+
+// pdfPath → image outputPath (extension : previewExtension(options))
+async function renderPreview(pdfPath, outputPath, options) {
+  const previewPdfPath = outputPath + '.preview.pdf';
+  const pngPath = outputPath + '.tmp.png';
+
+  try {
+    const layout = await buildPreviewPdf(pdfPath, previewPdfPath, options);
+
+    const jpeg = options.format === 'jpeg';
+    await runGhostscript([
+      jpeg ? '-sDEVICE=jpeg' : '-sDEVICE=pngalpha',
+      `-r${layout.dpi}`,
+      '-dTextAlphaBits=4',
+      '-dGraphicsAlphaBits=4',
+      ...(jpeg ? [`-dJPEGQ=${options.quality}`] : []),
+      `-sOutputFile=${options.format === 'webp' ? pngPath : outputPath}`,
+      previewPdfPath
+    ]);
+    // WebP : conversion ImageMagick du PNG (transparence conservée)
+    if (options.format === 'webp') {
+      await runProcess(IM_CMD, [pngPath, '-quality', String(options.quality), outputPath]);
+    }
+
+    const image = readRasterHeader(fs.readFileSync(outputPath));
+    return {
+      format: options.format,
+      ...(options.contactSheet
+        ? { contactSheet: true, pages: layout.pages, columns: layout.columns, rows: layout.rows }
+        : { page: layout.pages[0] }),
+      pageCount: layout.pageCount,
+      dpi: layout.dpi,
+      width_px: image.pixelWidth,
+      height_px: image.pixelHeight,
+      // JPEG : pas de transparence, fond blanc de Ghostscript
+      background: options.background || (jpeg ? '#ffffff' : 'transparent'),
+      overlay: layout.overlay
+    };
+  } finally {
+    for (const p of [previewPdfPath, pngPath]) {
+      try {
+        if (fs.existsSync(p)) fs.unlinkSync(p);
+      } catch (e) {
+        console.warn('Erreur suppression fichier aperçu:', e.message);
+      }
+    }
+  }
+}
+
+module.exports = {
+  parsePreviewOptions,
+  previewExtension,
+  buildPreviewPdf,
+  renderPreview,
+  displayedPage,
+  sheetLayout,
+  renderDpi
+};
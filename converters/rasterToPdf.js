@@ -0,0 +1,61 @@
+// converters/rasterToPdf.js
+//
+// Conversion d'une image bitmap en PDF d'une page.
+// - taille réelle (résolution du fichier) ; la mise à l'échelle éventuelle est faite
+//   ensuite sur le PDF produit (converters/scaleToTarget.js)
+// - JPEG / PNG incorporés tels quels via pdf-lib (CMYK JPEG conservé)
+// - TIFF / WebP passés par ImageMagick (JPEG si CMYK, sinon PNG)
+
+const fs = require('fs');
+const { PDFDocument } = require('pdf-lib');
+const { runProcess, IM_CMD } = require('../lib/processRunner');
+
+// Image → fichier incorporable par pdf-lib (1re image seulement pour les TIFF multipages)
+async function convertWithImageMagick(inputPath, outputPath) {
+  await runProcess(IM_CMD, [`${inputPath}[0]`, outputPath]);
+  return outputPath;
+}
+
+// info = résultat de analyzeRaster ; page à la taille réelle de l'image
+async function rasterToPdf(inputPath, outputPdf, info) {
+  let imagePath = inputPath;
+  let tmpPath = null;
+
+  try {
+    if (info.format === 'tiff' || info.format === 'webp') {
+      tmpPath = inputPath + (info.colourMode === 'CMYK' ? '.tmp.jpg' : '.tmp.png');
+      await convertWithImageMagick(inputPath, tmpPath);
+      imagePath = tmpPath;
+    }
+
+    const pdfDoc = await PDFDocument.create();
+    const bytes = fs.readFileSync(imagePath);
+    const image = /\.jpe?g$/i.test(imagePath) || info.format === 'jpeg'
+      ? await pdfDoc.embedJpg(bytes)
+      : await pdfDoc.embedPng(bytes);
+
+    const pageW = info.widthPt;
+    const pageH = info.heightPt;
+    const page = pdfDoc.addPage([pageW, pageH]);
+    page.drawImage(image, { x: 0, y: 0, width: pageW, height: pageH });
+    page.setTrimBox(0, 0, pageW, pageH);
+
+    fs.writeFileSync(outputPdf, await pdfDoc.save());
+
+    // Résolution effective à la taille placée
+    const effectiveDpiX = info.pixelWidth / (pageW / 72);
+    const effectiveDpiY = info.pixelHeight / (pageH / 72);
+
+    return {
+      widthPt: pageW,
+      heightPt: pageH,
+      effectiveDpi: Math.round(Math.min(effectiveDpiX, effectiveDpiY))
+    };
+  } finally {
+    if (tmpPath && fs.existsSync(tmpPath)) fs.unlinkSync(tmpPath);
+  }
+}
+
+module.exports = {
+  rasterToPdf
+};
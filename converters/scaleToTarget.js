@@ -0,0 +1,257 @@
+// converters/scaleToTarget.js
+//
+// Mise à l'échelle d'un visuel recadré (TrimBox = illustration) sur une taille cible.
+// - largeur et / ou hauteur cible en mm (une seule : l'autre est proportionnelle)
+// - modes : fit (ajusté sans déformation), fill (remplit la page, excédent rogné),
+//   stretch (déformé aux dimensions exactes)
+// - marge intérieure (padding_mm) entre le visuel et le bord de la page
+// - ancrage du visuel dans la zone utile (center, top-left, bottom, ...)
+// - boxes exactes (Media / Crop / Bleed / Trim = page, ArtBox = visuel visible)
+// - résolution effective des images après mise à l'échelle
+
+const fs = require('fs');
+const { PDFDocument } = require('pdf-lib');
+const { walkPage } = require('../analyzers/pdfContent');
+const { badRequest, mmToPt, ptToMm } = require('../lib/common');
+
+const SCALE_MODES = ['fit', 'fill', 'stretch'];
+
+// Ancrage : position relative du visuel dans la zone utile (0 = gauche / bas)
+const ANCHORS = {
+  'top-left': [0, 1],
+  top: [0.5, 1],
+  'top-right': [1, 1],
+  left: [0, 0.5],
+  center: [0.5, 0.5],
+  right: [1, 0.5],
+  'bottom-left': [0, 0],
+  bottom: [0.5, 0],
+  'bottom-right': [1, 0]
+};
+
+const round = (value, digits = 2) => +value.toFixed(digits);
+
+// Taille cible (mm) : une seule dimension → proportionnelle
+function parseTargetSize(params) {
+  const read = (key) => {
+    if (params[key] === undefined || params[key] === '') return null;
+    const value = Number(params[key]);
+    if (!Number.isFinite(value) || value <= 0) {
+      throw badRequest(`${key} must be a positive number`);
+    }
+    return value;
+  };
+  const width = read('targetWidth_mm');
+  const height = read('targetHeight_mm');
+  return width || height ? { width_mm: width, height_mm: height } : null;
+}
+
+// Paramètres de requête → options, ou null sans taille cible.
+// targetWidth_mm / targetHeight_mm, scaleMode, padding_mm, anchor
+function parseScaleOptions(params) {
+  const target = parseTargetSize(params);
+  if (!target) {
+    for (const key of ['scaleMode', 'padding_mm', 'anchor']) {
+      if (params[key] !== undefined && params[key] !== '') {
+        throw badRequest(`${key} requires targetWidth_mm and/or targetHeight_mm`);
+      }
+    }
+    return null;
+  }
+
+  const mode = String(params.scaleMode || 'fit').toLowerCase();
+  if (!SCALE_MODES.includes(mode)) {
+    throw badRequest(`scaleMode must be one of ${SCALE_MODES.join(', ')}`);
+  }
+
+  let padding = 0;
+  if (params.padding_mm !== undefined && params.padding_mm !== '') {
+    padding = Number(params.padding_mm);
+    if (!Number.isFinite(padding) || padding < 0) {
+      throw badRequest('padding_mm must be a positive number');
+    }
+  }
+  for (const key of ['width_mm', 'height_mm']) {
+    if (target[key] && target[key] <= 2 * padding) {
+      throw badRequest(`padding_mm (${padding}) leaves no room in target ${key.replace('_mm', '')} (${target[key]} mm)`);
+    }
+  }
+
+  const anchor = String(params.anchor || 'center').toLowerCase();
+  if (!ANCHORS[anchor]) {
+    throw badRequest(`anchor must be one of ${Object.keys(ANCHORS).join(', ')}`);
+  }
+
+  return { ...target, mode, padding_mm: padding, anchor };
+}
+
+// Placement d'un visuel w × h (pt) : taille de page, échelles, position
+function computePlacement(w, h, options) {
+  const pad = mmToPt(options.padding_mm);
+  let pageW;
+  let pageH;
+  let scaleX;
+  let scaleY;
+
+  if (options.width_mm && options.height_mm) {
+    pageW = mmToPt(options.width_mm);
+    pageH = mmToPt(options.height_mm);
+    const fitX = (pageW - 2 * pad) / w;
+    const fitY = (pageH - 2 * pad) / h;
+    if (options.mode === 'stretch') {
+      scaleX = fitX;
+      scaleY = fitY;
+    } else {
+      scaleX = scaleY = options.mode === 'fill' ? Math.max(fitX, fitY) : Math.min(fitX, fitY);
+    }
+  } else if (options.width_mm) {
+    // Une seule dimension : page proportionnelle, le mode est sans effet
+    pageW = mmToPt(options.width_mm);
+    scaleX = scaleY = (pageW - 2 * pad) / w;
+    pageH = h * scaleY + 2 * pad;
+  } else {
+    pageH = mmToPt(options.height_mm);
+    scaleX = scaleY = (pageH - 2 * pad) / h;
+    pageW = w * scaleX + 2 * pad;
+  }
+
+  // Zone utile (page moins marge) et position ancrée du visuel, qui peut déborder en fill
+  const areaW = pageW - 2 * pad;
+  const areaH = pageH - 2 * pad;
+  const [fx, fy] = ANCHORS[options.anchor];
+  const x = pad + (areaW - w * scaleX) * fx;
+  const y = pad + (areaH - h * scaleY) * fy;
+
+  // Partie visible : intersection du visuel et de la zone utile
+  const visible = {
+    left: Math.max(x, pad),
+    bottom: Math.max(y, pad),
+    right: Math.min(x + w * scaleX, pad + areaW),
+    top: Math.min(y + h * scaleY, pad + areaH)
+  };
+
+  return { pageW, pageH, scaleX, scaleY, x, y, visible };
+}
+
+// Images des pages : [{ page, name, pixelWidth, pixelHeight, placedWidth_mm, placedHeight_mm, effectiveDpi }]
+function placedImages(pdfDoc) {
+  const images = [];
+  pdfDoc.getPages().forEach((page, index) => {
+    const seen = new Set();
+    try {
+      walkPage(page, {
+        onImage: ({ name, inline, image, state }) => {
+          const ctm = state.ctm;
+          const widthPt = Math.hypot(ctm[0], ctm[1]);
+          const heightPt = Math.hypot(ctm[2], ctm[3]);
+          if (widthPt === 0 || heightPt === 0 || !image.width || !image.height || image.isMask) return;
+
+          const dpiX = image.width / (widthPt / 72);
+          const dpiY = image.height / (heightPt / 72);
+          const key = `${inline ? 'inline' : name}|${dpiX.toFixed(1)}|${dpiY.toFixed(1)}`;
+          if (seen.has(key)) return;
+          seen.add(key);
+
+          images.push({
+            page: index + 1,
+            name: inline ? null : name,
+            pixelWidth: image.width,
+            pixelHeight: image.height,
+            placedWidth_mm: round(ptToMm(widthPt)),
+            placedHeight_mm: round(ptToMm(heightPt)),
+            effectiveDpiX: Math.round(dpiX),
+            effectiveDpiY: Math.round(dpiY),
+            effectiveDpi: Math.round(Math.min(dpiX, dpiY))
+          });
+        }
+      });
+    } catch (err) {
+      if (err.code === 'CONTENT_TOO_COMPLEX') throw err;
+      // page illisible : ses images ne sont pas listées
+    }
+  });
+  return images;
+}
+
+// inputPdf (TrimBox = visuel) → outputPdf à la taille cible ; inputPdf peut être outputPdf
+async function scaleToTarget(inputPdf, outputPdf, options) {
+  const srcDoc = await PDFDocument.load(fs.readFileSync(inputPdf), { updateMetadata: false });
+  const srcPages = srcDoc.getPages();
+  const trims = srcPages.map((page) => page.getTrimBox());
+
+  const placements = trims.map((trim) => computePlacement(trim.width, trim.height, options));
+
+  // Page source découpée sur la partie visible (rognage du mode fill)
+  const outDoc = await PDFDocument.create();
+  const embedded = await outDoc.embedPages(
+    srcPages,
+    placements.map(({ scaleX, scaleY, x, y, visible }, i) => ({
+      left: trims[i].x + (visible.left - x) / scaleX,
+      bottom: trims[i].y + (visible.bottom - y) / scaleY,
+      right: trims[i].x + (visible.right - x) / scaleX,
+      top: trims[i].y + (visible.top - y) / scaleY
+    }))
+  );
+
+  placements.forEach((p, i) => {
+    const page = outDoc.addPage([p.pageW, p.pageH]);
+    page.drawPage(embedded[i], {
+      x: p.visible.left,
+      y: p.visible.bottom,
+      xScale: p.scaleX,
+      yScale: p.scaleY
+    });
+    page.setCropBox(0, 0, p.pageW, p.pageH);
+    page.setBleedBox(0, 0, p.pageW, p.pageH);
+    page.setTrimBox(0, 0, p.pageW, p.pageH);
+    page.setArtBox(
+      p.visible.left,
+      p.visible.bottom,
+      p.visible.right - p.visible.left,
+      p.visible.top - p.visible.bottom
+    );
+  });
+
+  fs.writeFileSync(outputPdf, await outDoc.save());
+
+  // Résolution des images mesurée sur le PDF produit
+  const images = placedImages(await PDFDocument.load(fs.readFileSync(outputPdf)));
+
+  const first = placements[0];
+  const trim = trims[0];
+  return {
+    mode: options.width_mm && options.height_mm ? options.mode : 'proportional',
+    target: { width_mm: options.width_mm, height_mm: options.height_mm },
+    padding_mm: options.padding_mm,
+    anchor: options.anchor,
+    // échelle appliquée au visuel (scaleX / scaleY différentes en stretch)
+    scale: round(Math.min(first.scaleX, first.scaleY), 4),
+    scaleX: round(first.scaleX, 4),
+    scaleY: round(first.scaleY, 4),
+    page: {
+      widthPt: first.pageW,
+      heightPt: first.pageH,
+      width_mm: round(ptToMm(first.pageW)),
+      height_mm: round(ptToMm(first.pageH))
+    },
+    artwork: {
+      original: { width_mm: round(ptToMm(trim.width)), height_mm: round(ptToMm(trim.height)) },
+      scaled: {
+        width_mm: round(ptToMm(trim.width * first.scaleX)),
+        height_mm: round(ptToMm(trim.height * first.scaleY))
+      },
+      x_mm: round(ptToMm(first.x)),
+      y_mm: round(ptToMm(first.y))
+    },
+    // fill : parties du visuel hors de la zone utile
+    cropped: first.visible.right - first.visible.left < trim.width * first.scaleX - 0.01 ||
+      first.visible.top - first.visible.bottom < trim.height * first.scaleY - 0.01,
+    images,
+    ...(images.length ? { minEffectiveDpi: Math.min(...images.map((img) => img.effectiveDpi)) } : {})
+  };
+}
+
+module.exports = {
+  parseScaleOptions,
+  scaleToTarget
+};
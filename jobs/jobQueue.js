@@ -0,0 +1,304 @@
+// jobs/jobQueue.js
+//
+// File d'attente de traitements asynchrones (mode POST /jobs).
+// - pool de workers borné : au plus `concurrency` traitements simultanés,
+//   donc autant de Ghostscript / rsvg-convert / ImageMagick en parallèle
+// - état persisté dans storeDir (un JSON par job + fichier uploadé) :
+//   les jobs en attente ou interrompus reprennent au redémarrage
+// - paramètres secrets (password, callbackSecret) gardés en mémoire seulement : jamais
+//   écrits sur disque, un job qui en avait échoue au redémarrage (à soumettre à nouveau)
+// - annulation : un job en attente est retiré ; un job en cours reçoit l'annulation
+//   (AbortSignal passé au handler, qui tue ses process externes), son résultat est
+//   ignoré et ses fichiers produits supprimés
+// - fin de traitement (terminé ou en échec) signalée à onFinished (webhooks)
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { badRequest } = require('../lib/common');
+
+// Durée de conservation des jobs terminés dans le store
+const DEFAULT_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Paramètres jamais renvoyés par GET /jobs/:id ni écrits dans le store
+const SECRET_PARAMS = ['password', 'callbackSecret'];
+const MASK = '***';
+
+function now() {
+  return new Date().toISOString();
+}
+
+// Paramètres avec les secrets masqués
+function maskSecrets(params) {
+  const masked = { ...params };
+  for (const key of SECRET_PARAMS) {
+    if (key in masked) masked[key] = MASK;
+  }
+  return masked;
+}
+
+// storeDir : répertoire d'état ; handlers : { type: async (job, signal) => { statusCode, body } },
+// signal = AbortSignal annulé par cancel() pendant le traitement
+// onCancelledResult(job, body) : nettoyage des sorties d'un job annulé en cours
+// onFinished(job, body) : job terminé ou en échec, body = réponse de la route
+function createJobQueue({
+  storeDir,
+  handlers,
+  concurrency = 2,
+  retentionMs = DEFAULT_RETENTION_MS,
+  onCancelledResult = null,
+  onFinished = null
+}) {
+  fs.mkdirSync(storeDir, { recursive: true });
+
+  const jobs = new Map();
+  const pending = [];
+  // AbortController des jobs en cours
+  const controllers = new Map();
+  let running = 0;
+
+  const jobFile = (id) => path.join(storeDir, `${id}.json`);
+
+  function save(job) {
+    const tmp = jobFile(job.id) + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify({ ...job, params: maskSecrets(job.params) }, null, 2));
+    fs.renameSync(tmp, jobFile(job.id));
+  }
+
+  function removeUpload(job) {
+    if (job.filePath && fs.existsSync(job.filePath)) {
+      try {
+        fs.unlinkSync(job.filePath);
+      } catch (e) {
+        console.warn('Erreur suppression fichier job:', e.message);
+      }
+    }
+  }
+
+  function update(job, fields) {
+    Object.assign(job, fields, { updatedAt: now() });
+    save(job);
+  }
+
+  async function runJob(job) {
+    running++;
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+
+    let outcome;
+    try {
+      update(job, { status: 'running', stage: 'processing', startedAt: now() });
+      try {
+        outcome = await handlers[job.type](job, controller.signal);
+      } catch (err) {
+        outcome = { statusCode: err.statusCode || 500, body: { error: err.message || 'Job failed' } };
+      }
+    } finally {
+      running--;
+      controllers.delete(job.id);
+      removeUpload(job);
+    }
+
+    if (job.status === 'cancelled') {
+      if (onCancelledResult && outcome.body) onCancelledResult(job, outcome.body);
+      update(job, { stage: 'cancelled', finishedAt: now() });
+    } else if (outcome.statusCode >= 400) {
+      update(job, {
+        status: 'failed',
+        stage: 'finished',
+        finishedAt: now(),
+        statusCode: outcome.statusCode,
+        error: (outcome.body && outcome.body.error) || 'Job failed',
+        result: null
+      });
+    } else {
+      update(job, {
+        status: 'completed',
+        stage: 'finished',
+        finishedAt: now(),
+        statusCode: outcome.statusCode,
+        result: outcome.body
+      });
+    }
+
+    if (onFinished && job.status !== 'cancelled') {
+      try {
+        onFinished(job, outcome.body);
+      } catch (e) {
+        console.warn('Erreur fin de job:', e.message);
+      }
+    }
+  }
+
+  // Erreur hors du handler (écriture du store, nettoyage d'un job annulé) : le job ne
+  // doit pas rester "running"
+  function jobCrashed(job, err) {
+    console.error(`Erreur job ${job.id}:`, err);
+    if (FINAL_STATUSES.includes(job.status) && job.finishedAt) return;
+    const fields = job.status === 'cancelled'
+      ? { stage: 'cancelled', finishedAt: now() }
+      : { status: 'failed', stage: 'finished', finishedAt: now(), statusCode: 500, error: err.message || 'Job failed', result: null };
+    try {
+      update(job, fields);
+    } catch (e) {
+      Object.assign(job, fields);
+    }
+  }
+
+  // Démarre des jobs tant qu'il reste des places dans le pool
+  function pump() {
+    while (running < concurrency && pending.length > 0) {
+      const job = jobs.get(pending.shift());
+      if (!job || job.status !== 'queued') continue;
+      runJob(job)
+        .catch((err) => jobCrashed(job, err))
+        .then(pump);
+    }
+  }
+
+  // Suppression des jobs terminés trop anciens
+  function sweep() {
+    const limit = Date.now() - retentionMs;
+    for (const job of jobs.values()) {
+      if (FINAL_STATUSES.includes(job.status) && Date.parse(job.finishedAt || job.updatedAt) < limit) {
+        jobs.delete(job.id);
+        try {
+          fs.unlinkSync(jobFile(job.id));
+        } catch (e) {
+          // déjà supprimé
+        }
+      }
+    }
+  }
+
+  // Reprise après redémarrage : les jobs en cours sont remis en attente
+  function restore() {
+    const restored = [];
+    for (const name of fs.readdirSync(storeDir)) {
+      if (!name.endsWith('.json')) continue;
+      try {
+        restored.push(JSON.parse(fs.readFileSync(path.join(storeDir, name), 'utf8')));
+      } catch (e) {
+        console.warn(`Job illisible ignoré (${name}):`, e.message);
+      }
+    }
+
+    restored.sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+    for (const job of restored) {
+      jobs.set(job.id, job);
+      if (job.status === 'running' || job.status === 'queued') {
+        if (job.filePath && !fs.existsSync(job.filePath)) {
+          update(job, { status: 'failed', stage: 'finished', finishedAt: now(), error: 'Uploaded file lost on restart' });
+          continue;
+        }
+        const lostSecrets = SECRET_PARAMS.filter((key) => job.params && job.params[key] === MASK);
+        if (lostSecrets.length) {
+          removeUpload(job);
+          update(job, {
+            status: 'failed',
+            stage: 'finished',
+            finishedAt: now(),
+            error: `Secret parameters (${lostSecrets.join(', ')}) are not kept across restarts, resubmit the job`
+          });
+          continue;
+        }
+        if (job.status === 'running') update(job, { status: 'queued', stage: 'queued', restarted: true });
+        pending.push(job.id);
+      } else if (job.status === 'cancelled' && job.stage !== 'cancelled') {
+        // annulé pendant le traitement, avant l'arrêt du serveur
+        update(job, { stage: 'cancelled', finishedAt: job.finishedAt || now() });
+      }
+    }
+  }
+
+  // file = { path, originalname } (upload multer) ou null
+  function submit(type, file, params) {
+    if (!handlers[type]) {
+      throw badRequest(`Unknown job type "${type}" (${Object.keys(handlers).join(', ')})`);
+    }
+
+    const id = crypto.randomUUID();
+    let filePath = null;
+    if (file) {
+      // Le fichier uploadé est déplacé dans le store pour survivre au redémarrage
+      filePath = path.join(storeDir, `${id}.upload`);
+      fs.renameSync(file.path, filePath);
+    }
+
+    const job = {
+      id,
+      type,
+      status: 'queued',
+      stage: 'queued',
+      fileName: file ? file.originalname : null,
+      filePath,
+      params,
+      createdAt: now(),
+      updatedAt: now(),
+      startedAt: null,
+      finishedAt: null,
+      statusCode: null,
+      result: null,
+      error: null
+    };
+
+    jobs.set(id, job);
+    save(job);
+    pending.push(id);
+    pump();
+    return job;
+  }
+
+  // Vue publique d'un job (sans chemins internes)
+  function describe(job) {
+    const { filePath, ...publicJob } = job;
+    return {
+      ...publicJob,
+      params: maskSecrets(job.params),
+      ...(job.status === 'queued' ? { queuePosition: pending.indexOf(job.id) + 1 } : {})
+    };
+  }
+
+  function get(id) {
+    const job = jobs.get(id);
+    return job ? describe(job) : null;
+  }
+
+  function cancel(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    if (FINAL_STATUSES.includes(job.status)) return describe(job);
+
+    if (job.status === 'queued') {
+      const index = pending.indexOf(id);
+      if (index !== -1) pending.splice(index, 1);
+      removeUpload(job);
+      update(job, { status: 'cancelled', stage: 'cancelled', finishedAt: now() });
+    } else {
+      // En cours : les process externes sont tués, le résultat sera ignoré
+      update(job, { status: 'cancelled', stage: 'cancelling' });
+      const controller = controllers.get(id);
+      if (controller) controller.abort();
+    }
+    return describe(job);
+  }
+
+  function stats() {
+    const counts = {};
+    for (const job of jobs.values()) counts[job.status] = (counts[job.status] || 0) + 1;
+    return { concurrency, running, queued: pending.length, counts };
+  }
+
+  restore();
+  sweep();
+  setInterval(sweep, 60 * 60 * 1000).unref();
+  pump();
+
+  return { submit, get, cancel, stats };
+}
+
+module.exports = {
+  createJobQueue
+};
@@ -0,0 +1,584 @@
+// lib/api.js
+//
+// API de module : analyse et conversion PDF sans serveur HTTP. Les routes /analyze et
+// /convert-to-pdf, le CLI bin/analyse-fichier.js et les scripts de lot appellent ces fonctions.
+// - analyze(filePath, options) : résultat de /analyze (bbox, pages, miniature, couverture
+//   d'encre, métadonnées, texte, ...)
+// - convertToPdf(input, output, options) : PDF recadré de /convert-to-pdf (mise à l'échelle,
+//   fond perdu, couleur, texte vectorisé, linéarisation) et sa description
+// - étapes communes aux routes : prepareFile (format réel + préparation qpdf),
+//   ensurePdfForAnalysis / ensurePdfForPreview, conversions SVG / PostScript, miniature
+// Les options portent les noms de champs de l'API HTTP (pages, inkCoverage, bleed_mm,
+// colourSpace, ...), en chaînes ou en nombres / booléens. Le fichier d'entrée n'est pas
+// modifié (copie de travail temporaire), sauf inPlace: true (uploads des routes).
+//
+//   const { analyze, convertToPdf } = require('analyse-fichiers-multi-format');
+//   const report = await analyze('carte.eps', { inkCoverage: true });
+//   const pdf = await convertToPdf('logo.svg', 'logo.pdf', { bleed_mm: 3 });
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { PDFDocument } = require('pdf-lib');
+const { analyzeEPS } = require('../analyzers/epsAnalyzer');
+const { analyzePdfPages, parsePageRanges, parsePageSelection } = require('../analyzers/pdfAnalyzer');
+const { analyzeSvgFile } = require('../analyzers/svgAnalyzer');
+const { analyzeInkCoverage } = require('../analyzers/inkCoverage');
+const { extractDocumentInfo } = require('../analyzers/metadataAnalyzer');
+const { analyzeRaster, RASTER_EXTENSIONS } = require('../analyzers/rasterAnalyzer');
+const { detectFormat, formatReport } = require('../analyzers/formatDetector');
+const { runGhostscriptBBox } = require('../analyzers/bboxGhostscript');
+const { buildFontReport } = require('../analyzers/fontReport');
+const { addBleed, parseBleedOptions } = require('../converters/bleed');
+const { preparePdf, linearizePdf } = require('../converters/pdfIntake');
+const { parseColourOptions, convertColours } = require('../converters/colourConversion');
+const { outlineText } = require('../converters/outlineText');
+const { parsePreviewOptions, renderPreview } = require('../converters/preview');
+const { rasterToPdf } = require('../converters/rasterToPdf');
+const { parseScaleOptions, scaleToTarget } = require('../converters/scaleToTarget');
+const { runGhostscript, runProcess, RSVG_CMD } = require('./processRunner');
+const { httpError, isTrue, ptToMm, debug } = require('./common');
+
+// Taille max d'un SVGZ une fois décompressé
+const MAX_SVGZ_BYTES = 200 * 1024 * 1024;
+
+// Copie de travail dans un répertoire temporaire (sauf inPlace) ; cleanup() la supprime
+function workingCopy(filePath, inPlace) {
+  if (inPlace) return { path: filePath, cleanup: () => {} };
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'analyse-fichier-'));
+  const copy = path.join(dir, path.basename(filePath));
+  fs.copyFileSync(filePath, copy);
+  return { path: copy, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+function removeFile(p, label) {
+  try {
+    if (p && fs.existsSync(p)) fs.unlinkSync(p);
+  } catch (e) {
+    console.warn(`Erreur suppression ${label}:`, e.message);
+  }
+}
+
+// ---- Conversions et recadrage ----
+
+async function normalizePdfBoxes(pdfPath, widthPt, heightPt) {
+  try {
+    const bytes = fs.readFileSync(pdfPath);
+    const pdfDoc = await PDFDocument.load(bytes);
+    const pages = pdfDoc.getPages();
+
+    for (const page of pages) {
+      // On force toutes les boxes à 0,0,width,height
+      page.setMediaBox(0, 0, widthPt, heightPt);
+      page.setCropBox(0, 0, widthPt, heightPt);
+      page.setBleedBox(0, 0, widthPt, heightPt);
+      page.setTrimBox(0, 0, widthPt, heightPt);
+      page.setArtBox(0, 0, widthPt, heightPt);
+    }
+
+    const newBytes = await pdfDoc.save();
+    fs.writeFileSync(pdfPath, newBytes);
+
+    debug('normalizePdfBoxes OK pour', pdfPath);
+  } catch (e) {
+    // Non bloquant : si ça plante, on garde quand même le PDF recadré
+    console.warn('normalizePdfBoxes erreur (non bloquant):', e.message);
+  }
+}
+
+// Recadrer un PDF sur un bounding box donné (et aligner toutes les boxes)
+async function cropPdfToBbox(inputPdf, outputPdf, bbox) {
+  const { llx, lly, widthPt, heightPt } = bbox;
+
+  // Décalage pour ramener le contenu en (0,0)
+  const offsetX = -llx;
+  const offsetY = -lly;
+
+  const args = [
+    '-sDEVICE=pdfwrite',
+    `-dDEVICEWIDTHPOINTS=${widthPt}`,
+    `-dDEVICEHEIGHTPOINTS=${heightPt}`,
+    '-dFIXEDMEDIA',
+    `-sOutputFile=${outputPdf}`,
+    '-c',
+    `<</PageSize [${widthPt} ${heightPt}] ` +
+      `/MediaBox [0 0 ${widthPt} ${heightPt}] ` +
+      `/CropBox  [0 0 ${widthPt} ${heightPt}] ` +
+      `/BleedBox [0 0 ${widthPt} ${heightPt}] ` +
+      `/TrimBox  [0 0 ${widthPt} ${heightPt}] ` +
+      `/ArtBox   [0 0 ${widthPt} ${heightPt}] ` +
+      `/PageOffset [${offsetX} ${offsetY}]>> setpagedevice`,
+    '-f',
+    inputPdf
+  ];
+
+  debug('cropPdfToBbox bbox =%o', bbox);
+
+  await runGhostscript(args);
+
+  debug('cropPdfToBbox Ghostscript OK pour', outputPdf);
+
+  // 🔹 Étape 2 : on force les Media/Crop/Bleed/Trim/ArtBox dans le PDF
+  await normalizePdfBoxes(outputPdf, widthPt, heightPt);
+}
+
+// Conversion SVG → PDF (via rsvg-convert)
+// /!\ Nécessite le binaire système `rsvg-convert` (paquet librsvg2-bin sous Debian/Ubuntu)
+async function convertSvgToPdf(svgPath, pdfPath) {
+  await runProcess(RSVG_CMD, ['-f', 'pdf', '-o', pdfPath, svgPath]);
+  return pdfPath;
+}
+
+// Conversion AI (Illustrator PDF-compatible) → PDF brut via Ghostscript
+// (pas de -dEPSCrop : page originale, le recadrage se fait ensuite)
+async function convertAiToPdf(aiPath, pdfPath) {
+  await runGhostscript(['-sDEVICE=pdfwrite', `-sOutputFile=${pdfPath}`, aiPath]);
+  debug('convertAiToPdf OK pour', pdfPath);
+  return pdfPath;
+}
+
+// Conversion EPS / PS → PDF via Ghostscript (-dEPSCrop pour les EPS)
+async function convertPostScriptToPdf(psPath, pdfPath, { epsCrop = false } = {}) {
+  await runGhostscript([
+    '-sDEVICE=pdfwrite',
+    ...(epsCrop ? ['-dEPSCrop'] : []),
+    `-sOutputFile=${pdfPath}`,
+    psPath
+  ]);
+  return pdfPath;
+}
+
+// Option outlineText : rapport de polices (source + PDF converti) puis vectorisation du texte
+// kind : 'pdf', 'postscript' ou 'svg' (voir buildFontReport)
+async function outlineTextWithReport(sourcePath, kind, pdfPath) {
+  const report = await buildFontReport(sourcePath, { kind, pdfPath });
+  const { fontsAfter } = await outlineText(pdfPath);
+  return { ...report, outlined: true, remainingFonts: fontsAfter };
+}
+
+// Miniature PNG 150 dpi de la première page (réponses de /convert-to-pdf)
+async function makeThumbnail(inputPath, outputPath) {
+  await runGhostscript([
+    '-sDEVICE=pngalpha',
+    '-r150',
+    '-dFirstPage=1',
+    '-dLastPage=1',
+    `-sOutputFile=${outputPath}`,
+    inputPath
+  ]);
+}
+
+// ---- Format réel et préparation ----
+
+// Le fichier commence-t-il par l'en-tête %PDF ? (AI compatible PDF)
+function hasPdfHeader(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const head = Buffer.alloc(1024);
+    const n = fs.readSync(fd, head, 0, head.length, 0);
+    return head.slice(0, n).indexOf('%PDF-') !== -1;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Format réel d'un fichier d'après son contenu ; un SVGZ est décompressé sur place.
+// Renvoie { ext (chaîne de traitement), report (format annoncé / détecté) } ;
+// erreur 415 si le contenu ne correspond à aucun format pris en charge.
+function identifyFile(filePath, originalName) {
+  const detection = detectFormat(filePath);
+  if (!detection) {
+    throw httpError(
+      415,
+      `Unsupported file content: ${originalName || 'file'} is not a PDF, AI, EPS, PostScript, SVG or PNG/JPEG/TIFF/WebP image`
+    );
+  }
+
+  if (detection.format === 'svgz') {
+    let svg;
+    try {
+      svg = zlib.gunzipSync(fs.readFileSync(filePath), { maxOutputLength: MAX_SVGZ_BYTES });
+    } catch (err) {
+      // RangeError : plafond de décompression atteint ; sinon flux gzip corrompu
+      if (err.code === 'ERR_BUFFER_TOO_LARGE') {
+        throw httpError(413, `SVGZ file is too large once decompressed (max ${MAX_SVGZ_BYTES} bytes)`);
+      }
+      throw httpError(422, `Corrupted SVGZ file (${err.message})`);
+    }
+    fs.writeFileSync(filePath, svg);
+  }
+
+  return {
+    ext: detection.ext,
+    report: formatReport(detection.format, originalName)
+  };
+}
+
+// identifyFile + préparation qpdf des PDF (et AI compatibles PDF) sur place.
+// Renvoie { ext, report, intake } ; intake = null hors PDF.
+async function prepareFile(filePath, { originalName, password } = {}) {
+  const { ext, report } = identifyFile(filePath, originalName);
+  const intake = ['pdf', 'ai-pdf'].includes(report.detectedFormat)
+    ? await preparePdf(filePath, { password })
+    : null;
+  return { ext, report, intake };
+}
+
+// Erreur 415 : format reconnu mais non traité par la route
+function unsupportedFormat(route, report) {
+  return httpError(415, `Format non supporté pour ${route}: ${report.detectedFormat}`);
+}
+
+// Produit un PDF analysable à partir de n'importe quel format accepté.
+// Renvoie { pdfPath, convertedFrom } ; pdfPath = tmpPdfPath si conversion.
+async function ensurePdfForAnalysis(filePath, ext, tmpPdfPath) {
+  if (ext === '.svg') {
+    await convertSvgToPdf(filePath, tmpPdfPath);
+    return { pdfPath: tmpPdfPath, convertedFrom: 'svg' };
+  }
+  if (ext === '.eps' || ext === '.ps' || (ext === '.ai' && !hasPdfHeader(filePath))) {
+    await convertPostScriptToPdf(filePath, tmpPdfPath, { epsCrop: ext === '.eps' });
+    return { pdfPath: tmpPdfPath, convertedFrom: ext.slice(1) };
+  }
+  return { pdfPath: filePath, convertedFrom: null };
+}
+
+// Comme ensurePdfForAnalysis, images bitmap comprises (aperçus)
+async function ensurePdfForPreview(filePath, ext, tmpPdfPath) {
+  if (RASTER_EXTENSIONS.includes(ext)) {
+    await rasterToPdf(filePath, tmpPdfPath, await analyzeRaster(filePath));
+    return tmpPdfPath;
+  }
+  return (await ensurePdfForAnalysis(filePath, ext, tmpPdfPath)).pdfPath;
+}
+
+// ---- Analyse ----
+
+// Nombre de pages d'un PDF (null s'il n'est pas lisible par pdf-lib)
+async function pdfPageCount(pdfPath) {
+  try {
+    const pdfDoc = await PDFDocument.load(await fs.promises.readFile(pdfPath), {
+      ignoreEncryption: true,
+      updateMetadata: false
+    });
+    return pdfDoc.getPageCount();
+  } catch (err) {
+    return null;
+  }
+}
+
+// Options de couverture d'encre à partir des paramètres de requête ; pageCount = nombre
+// de pages du PDF analysé (la sélection est bornée par le document)
+function inkCoverageOptions(params, pageCount) {
+  const selection = parsePageSelection(params.pages, pageCount);
+  return {
+    mode: params.inkMode === 'fast' ? 'fast' : 'separations',
+    resolution: params.inkResolution,
+    firstPage: selection ? selection[0] : undefined,
+    lastPage: selection ? selection[selection.length - 1] : undefined
+  };
+}
+
+// PDF : analyse multi-pages (boxes déclarées + bbox encrée par page)
+// Les champs de premier niveau (llx, width_mm, ...) restent ceux de la
+// première page analysée pour compatibilité avec les clients existants.
+async function analyzePDF(filePath, options = {}) {
+  const analysis = await analyzePdfPages(filePath, options);
+  const first = analysis.pages.find((p) => p.inkBbox) || {};
+  return {
+    format: 'pdf',
+    ...(first.inkBbox || {}),
+    source: 'ghostscript',
+    ...analysis
+  };
+}
+
+// AI (Illustrator PDF-compatible) : même logique que PDF (1 page par plan de travail)
+async function analyzeAI(filePath, options = {}) {
+  const analysis = await analyzePdfPages(filePath, options);
+  const first = analysis.pages.find((p) => p.inkBbox) || {};
+  return {
+    format: 'ai',
+    ...(first.inkBbox || {}),
+    source: 'ghostscript',
+    ...analysis
+  };
+}
+
+// Analyse selon le format réel (identifyFile) ; route = nom de la route pour l'erreur 415
+async function analyzeByFormat(filePath, ext, report, params, route) {
+  if (ext === '.eps' || ext === '.ps') {
+    // On s’appuie sur ton analyseur EPS existant
+    const epsData = await analyzeEPS(filePath);
+    // On force le format pour rester cohérent
+    return { format: 'eps', ...epsData };
+  }
+  if (report.detectedFormat === 'ai-ps') {
+    // AI ancien (PostScript) : commentaires DSC comme un EPS
+    return { ...(await analyzeEPS(filePath)), format: 'ai' };
+  }
+  if (ext === '.pdf') return analyzePDF(filePath, { pages: params.pages });
+  if (ext === '.ai') return analyzeAI(filePath, { pages: params.pages });
+  // SVG : analyse JS (taille déclarée + bbox géométrique), voir analyzers/svgAnalyzer.js
+  if (ext === '.svg') return analyzeSvgFile(filePath);
+  if (RASTER_EXTENSIONS.includes(ext)) return analyzeRaster(filePath);
+  throw unsupportedFormat(route, report);
+}
+
+// Analyse complète d'un fichier (résultat de /analyze sans fileName ni chemin web).
+// options : champs de /analyze (pages, password, inkCoverage, inkMode, inkResolution,
+// metadata, text, thumbnailFormat, thumbnailWidth_px, ...) et
+//   originalName  nom annoncé du fichier (comparaison extension / contenu)
+//   thumbnailPath fichier de la miniature à produire (aucune sinon)
+//   inPlace       traiter filePath sur place (préparation qpdf, SVGZ décompressé)
+async function analyze(filePath, options = {}) {
+  const previewOptions = parsePreviewOptions(options, 'thumbnail');
+  const work = workingCopy(filePath, options.inPlace);
+  const tmpPdfPath = work.path + '.analyze.pdf';
+
+  try {
+    // Format réel d'après le contenu (extension ignorée)
+    const { ext, report, intake } = await prepareFile(work.path, {
+      originalName: options.originalName || path.basename(filePath),
+      password: options.password
+    });
+    const result = await analyzeByFormat(work.path, ext, report, options, '/analyze');
+
+    // PDF du fichier (converti au besoin, une seule fois)
+    let pdfPath = null;
+    const analysisPdf = async () => pdfPath || (pdfPath = await ensurePdfForPreview(work.path, ext, tmpPdfPath));
+
+    // Miniature, tous formats (options thumbnailFormat, thumbnailWidth_px, ...) ;
+    // un échec de rendu n'empêche pas l'analyse
+    let thumbnail = null;
+    let thumbnailError = null;
+    if (options.thumbnailPath) {
+      try {
+        thumbnail = await renderPreview(await analysisPdf(), options.thumbnailPath, previewOptions);
+      } catch (err) {
+        if (err.statusCode === 400) throw err;
+        console.warn('Miniature impossible:', err.message);
+        thumbnailError = err.message;
+        removeFile(options.thumbnailPath, 'miniature');
+      }
+    }
+
+    // Couverture d'encre (option inkCoverage=1)
+    if (isTrue(options.inkCoverage)) {
+      const inkPdf = await analysisPdf();
+      result.inkCoverage = await analyzeInkCoverage(inkPdf, inkCoverageOptions(options, await pdfPageCount(inkPdf)));
+    }
+
+    // Métadonnées (option metadata=1) et texte par page (option text=1, pages = sélection)
+    if (isTrue(options.metadata) || isTrue(options.text)) {
+      let kind = 'raster';
+      if (ext === '.svg') kind = 'svg';
+      else if (ext === '.pdf' || report.detectedFormat === 'ai-pdf') kind = 'pdf';
+      else if (['.eps', '.ps', '.ai'].includes(ext)) kind = 'postscript';
+
+      const info = await extractDocumentInfo(work.path, kind, {
+        metadata: isTrue(options.metadata),
+        text: isTrue(options.text),
+        // plages confrontées au nombre de pages du document à la lecture du texte
+        pages: parsePageRanges(options.pages),
+        getPdf: analysisPdf
+      });
+      // PDF déchiffré par qpdf à la réception : le fichier d'origine était chiffré
+      if (info.metadata && intake) info.metadata.encrypted = intake.encrypted;
+      // EPS : s'ajoute aux commentaires DSC déjà renvoyés dans metadata
+      if (info.metadata) result.metadata = { ...(result.metadata || {}), ...info.metadata };
+      if (info.text) result.text = info.text;
+    }
+
+    return {
+      ...result,
+      ...report,
+      ...(intake ? { pdfIntake: intake } : {}),
+      ...(thumbnail ? { thumbnail } : {}),
+      ...(thumbnailError ? { thumbnailError } : {})
+    };
+  } finally {
+    removeFile(tmpPdfPath, 'PDF intermédiaire');
+    work.cleanup();
+  }
+}
+
+// ---- Conversion PDF ----
+
+// SVG, AI, EPS / PS, PDF : PDF recadré sur la bbox encrée puis options de sortie
+async function convertVectorToPdf(filePath, ext, report, output, steps) {
+  const tmpPdfPath = output + '.tmp';
+  try {
+    // 1) PDF brut (SVG via rsvg-convert, AI / EPS / PS via Ghostscript, page originale)
+    let rawPdf = filePath;
+    if (ext === '.svg') rawPdf = await convertSvgToPdf(filePath, tmpPdfPath);
+    else if (ext !== '.pdf') rawPdf = await convertAiToPdf(filePath, tmpPdfPath);
+
+    // 2) bbox sur le PDF brut
+    const rawBbox = await runGhostscriptBBox(rawPdf);
+    debug(`rawBbox ${ext.slice(1).toUpperCase()} convert-to-pdf = %o`, rawBbox);
+
+    // 3) Recadrage du PDF sur ce bbox (sans scale)
+    await cropPdfToBbox(rawPdf, output, {
+      llx: rawBbox.llx,
+      lly: rawBbox.lly,
+      widthPt: rawBbox.widthPt,
+      heightPt: rawBbox.heightPt
+    });
+
+    // Mise à l'échelle du visuel recadré sur la taille cible
+    const scaleInfo = steps.scale ? await scaleToTarget(output, output, steps.scale) : null;
+
+    // Texte vectorisé : rapport de polices puis conversion des glyphes en tracés
+    let fontKind = 'postscript';
+    if (ext === '.svg') fontKind = 'svg';
+    else if (ext === '.pdf' || report.detectedFormat === 'ai-pdf') fontKind = 'pdf';
+    const fontInfo = steps.outline ? await outlineTextWithReport(filePath, fontKind, output) : null;
+
+    const { bleedInfo, colourInfo } = await finishPdf(output, steps);
+
+    return {
+      format: 'pdf',
+      ...report,
+      llx: rawBbox.llx,
+      lly: rawBbox.lly,
+      urx: rawBbox.urx,
+      ury: rawBbox.ury,
+      widthPt: rawBbox.widthPt,
+      heightPt: rawBbox.heightPt,
+      width_mm: +ptToMm(rawBbox.widthPt).toFixed(2),
+      height_mm: +ptToMm(rawBbox.heightPt).toFixed(2),
+      ...(scaleInfo ? { scaling: scaleInfo } : {}),
+      ...(bleedInfo ? { bleed: bleedInfo } : {}),
+      ...(colourInfo ? { colour: colourInfo } : {}),
+      ...(fontInfo ? { fonts: fontInfo } : {}),
+      ...(steps.intake ? { pdfIntake: steps.intake } : {}),
+      ...(steps.linearize ? { linearized: true } : {}),
+      source: (rawBbox.source || 'ghostscript') + `_${ext.slice(1)}_cropped`
+    };
+  } finally {
+    // supprimer le PDF intermédiaire
+    removeFile(tmpPdfPath, 'tmpPdfPath');
+  }
+}
+
+// Image bitmap : PDF à sa taille physique (ou taille cible)
+async function convertRasterToPdf(filePath, report, output, steps) {
+  const raster = await analyzeRaster(filePath);
+
+  // 1) Image -> PDF d'une page à sa taille physique, TrimBox = image
+  const placed = await rasterToPdf(filePath, output, raster);
+
+  // 2) Mise à l'échelle sur la taille cible
+  const scaleInfo = steps.scale ? await scaleToTarget(output, output, steps.scale) : null;
+  const pageWidthPt = scaleInfo ? scaleInfo.page.widthPt : placed.widthPt;
+  const pageHeightPt = scaleInfo ? scaleInfo.page.heightPt : placed.heightPt;
+
+  const { bleedInfo, colourInfo } = await finishPdf(output, steps);
+
+  return {
+    format: 'pdf',
+    ...report,
+    llx: 0,
+    lly: 0,
+    urx: pageWidthPt,
+    ury: pageHeightPt,
+    widthPt: pageWidthPt,
+    heightPt: pageHeightPt,
+    width_mm: +ptToMm(pageWidthPt).toFixed(2),
+    height_mm: +ptToMm(pageHeightPt).toFixed(2),
+    raster: {
+      format: raster.format,
+      pixelWidth: raster.pixelWidth,
+      pixelHeight: raster.pixelHeight,
+      colourMode: raster.colourMode,
+      hasAlpha: raster.hasAlpha,
+      dpiX: raster.dpiX,
+      dpiY: raster.dpiY,
+      dpiSource: raster.dpiSource,
+      effectiveDpi: scaleInfo && scaleInfo.images.length ? scaleInfo.minEffectiveDpi : placed.effectiveDpi
+    },
+    ...(raster.warnings ? { warnings: raster.warnings } : {}),
+    ...(scaleInfo ? { scaling: scaleInfo } : {}),
+    ...(bleedInfo ? { bleed: bleedInfo } : {}),
+    ...(colourInfo ? { colour: colourInfo } : {}),
+    ...(steps.intake ? { pdfIntake: steps.intake } : {}),
+    ...(steps.linearize ? { linearized: true } : {}),
+    source: `raster_${raster.format}` + (scaleInfo ? '_scaled' : '_actual_size')
+  };
+}
+
+// Fond perdu (TrimBox = illustration, BleedBox/MediaBox agrandies), couleur, linéarisation
+async function finishPdf(output, steps) {
+  const bleedInfo = steps.bleed ? await addBleed(output, output, steps.bleed) : null;
+  const colourInfo = steps.colour
+    ? await convertColours(output, steps.colour, { title: steps.title })
+    : null;
+  if (steps.linearize) await linearizePdf(output);
+  return { bleedInfo, colourInfo };
+}
+
+// Conversion en PDF d'impression (résultat de /convert-to-pdf sans chemins web).
+// options : champs de /convert-to-pdf (password, bleed_mm, bleedMode, targetWidth_mm,
+// targetHeight_mm, scaleMode, padding_mm, anchor, colourSpace, iccProfile, keepSpots, pdfx,
+// outputCondition, outlineText, linearize) et
+//   iccProfileFile chemin d'un profil ICC à utiliser (iccProfileName : nom affiché)
+//   originalName   nom annoncé du fichier (titre PDF/X, comparaison extension / contenu)
+//   inPlace        traiter input sur place
+async function convertToPdf(input, output, options = {}) {
+  const uploadedProfile = options.iccProfileFile
+    ? { path: options.iccProfileFile, originalname: options.iccProfileName || path.basename(options.iccProfileFile) }
+    : null;
+  const originalName = options.originalName || path.basename(input);
+  const steps = {
+    // Fond perdu optionnel (bleed_mm, bleedMode)
+    bleed: parseBleedOptions(options),
+    // Taille cible optionnelle (targetWidth_mm / targetHeight_mm, scaleMode, padding_mm, anchor)
+    scale: parseScaleOptions(options),
+    // Conversion couleur / PDF/X optionnelle (colourSpace, iccProfile ou ICC_PROFILE, keepSpots, pdfx)
+    colour: parseColourOptions(options, uploadedProfile),
+    // Sortie linéarisée ("fast web view") en option
+    linearize: isTrue(options.linearize),
+    // Texte converti en tracés (sans effet sur les images bitmap)
+    outline: isTrue(options.outlineText),
+    title: path.basename(originalName, path.extname(originalName))
+  };
+
+  const work = workingCopy(input, options.inPlace);
+  try {
+    // Format réel d'après le contenu : SVG, AI, EPS / PS, PDF et images bitmap
+    const { ext, report, intake } = await prepareFile(work.path, { originalName, password: options.password });
+    steps.intake = intake;
+
+    if (['.svg', '.ai', '.eps', '.ps', '.pdf'].includes(ext)) {
+      return await convertVectorToPdf(work.path, ext, report, output, steps);
+    }
+    if (RASTER_EXTENSIONS.includes(ext)) {
+      return await convertRasterToPdf(work.path, report, output, steps);
+    }
+    throw unsupportedFormat('/convert-to-pdf', report);
+  } catch (err) {
+    removeFile(output, 'PDF incomplet');
+    throw err;
+  } finally {
+    work.cleanup();
+  }
+}
+
+module.exports = {
+  analyze,
+  convertToPdf,
+  prepareFile,
+  identifyFile,
+  unsupportedFormat,
+  analyzeByFormat,
+  inkCoverageOptions,
+  pdfPageCount,
+  ensurePdfForAnalysis,
+  ensurePdfForPreview,
+  convertSvgToPdf,
+  convertPostScriptToPdf,
+  cropPdfToBbox,
+  makeThumbnail
+};
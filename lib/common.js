@@ -0,0 +1,54 @@
+// lib/common.js
+//
+// Petits utilitaires partagés par les routes, les analyseurs, les convertisseurs et le CLI.
+// - erreurs HTTP : httpError (code au choix), badRequest (400, saisie client)
+// - isTrue : booléen d'un champ de formulaire / query / option CLI
+// - conversions points ↔ millimètres
+// - csvCell : cellule CSV (séparateur ;)
+// - debug : journal de progression sur stderr, actif avec NODE_DEBUG=analyse-fichiers
+
+const util = require('util');
+
+// Erreur portant le code HTTP renvoyé par les routes (err.statusCode)
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// Erreur de saisie client (renvoyée en 400 par les routes)
+function badRequest(message) {
+  return httpError(400, message);
+}
+
+// Valeur booléenne d'un champ de formulaire / query ("1", "true", "yes", "on")
+function isTrue(value) {
+  return ['1', 'true', 'yes', 'on'].includes(String(value || '').toLowerCase());
+}
+
+function mmToPt(mm) {
+  return (mm * 72) / 25.4;
+}
+
+function ptToMm(pt) {
+  return (pt * 25.4) / 72;
+}
+
+// Cellule CSV : guillemets si la valeur contient le séparateur, un guillemet ou un saut de ligne
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",;\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const debug = util.debuglog('analyse-fichiers');
+
+module.exports = {
+  httpError,
+  badRequest,
+  isTrue,
+  mmToPt,
+  ptToMm,
+  csvCell,
+  debug
+};
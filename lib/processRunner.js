@@ -0,0 +1,229 @@
+// lib/processRunner.js
+//
+// Exécution commune des outils externes (Ghostscript, rsvg-convert, ImageMagick, qpdf, fontconfig).
+// - arguments passés en tableau, sans shell (pas d'injection via les noms de fichiers)
+// - délai maximal : au-delà, tout l'arbre de processus est tué
+// - stdout / stderr plafonnés : au-delà, le processus est tué
+// - nombre de processus simultanés limité (MAX_CONCURRENT_PROCESSES)
+// - annulation : AbortSignal (options.signal, ou celui de withAbortSignal pour tous les
+//   outils lancés par un traitement) ; à l'annulation, tout l'arbre de processus est tué
+// - erreurs structurées : outil, code de sortie, signal, stderr tronqué
+
+const path = require('path');
+const { spawn, execFile } = require('child_process');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const isWindows = process.platform === 'win32';
+
+// Commandes selon l'OS
+const GS_CMD = isWindows ? 'gswin64c' : 'gs';
+const IM_CMD = isWindows ? 'magick' : 'convert'; // ImageMagick 7 sous Windows, 6 sous Debian
+const RSVG_CMD = 'rsvg-convert';
+const QPDF_CMD = 'qpdf';
+const FC_LIST_CMD = 'fc-list';
+const FC_MATCH_CMD = 'fc-match';
+
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.PROCESS_TIMEOUT_MS, 10) || 120 * 1000;
+const DEFAULT_MAX_OUTPUT_BYTES = 16 * 1024 * 1024;
+const MAX_CONCURRENT_PROCESSES = Math.max(1, parseInt(process.env.MAX_CONCURRENT_PROCESSES, 10) || 4);
+
+// Longueur de stderr conservée dans les erreurs (fin du flux, la plus parlante)
+const STDERR_EXCERPT_CHARS = 1000;
+
+// ---- Limite de processus simultanés ----
+
+let activeProcesses = 0;
+const waiting = [];
+
+function acquireSlot() {
+  if (activeProcesses < MAX_CONCURRENT_PROCESSES) {
+    activeProcesses++;
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => waiting.push(resolve));
+}
+
+function releaseSlot() {
+  const next = waiting.shift();
+  if (next) {
+    next(); // la place passe directement au suivant
+  } else {
+    activeProcesses--;
+  }
+}
+
+// Signal d'annulation du traitement en cours (jobs), hérité par les appels asynchrones
+const abortScope = new AsyncLocalStorage();
+
+// Exécute fn : tout outil lancé pendant fn (même indirectement) est tué quand signal est annulé
+function withAbortSignal(signal, fn) {
+  return abortScope.run(signal, fn);
+}
+
+// ---- Erreurs ----
+
+function trimStderr(stderr) {
+  const text = String(stderr || '').trim();
+  return text.length > STDERR_EXCERPT_CHARS ? '…' + text.slice(-STDERR_EXCERPT_CHARS) : text;
+}
+
+// code : TOOL_NOT_FOUND | TOOL_TIMEOUT | TOOL_OUTPUT_LIMIT | TOOL_ABORTED | TOOL_FAILED
+function toolError(code, tool, { exitCode = null, signal = null, stderr = '', message }) {
+  const excerpt = trimStderr(stderr);
+  const err = new Error(message + (excerpt ? ` : ${excerpt.split('\n').slice(-3).join(' | ')}` : ''));
+  err.code = code;
+  err.tool = tool;
+  err.exitCode = exitCode;
+  err.signal = signal;
+  err.stderr = excerpt;
+  // Fichier qui bloque l'outil : erreur imputable au fichier fourni
+  if (code === 'TOOL_TIMEOUT' || code === 'TOOL_OUTPUT_LIMIT') err.statusCode = 422;
+  return err;
+}
+
+// Champs d'erreur exposables dans une réponse JSON
+function toolErrorDetails(err) {
+  if (!err || !err.tool) return {};
+  return {
+    tool: err.tool,
+    errorCode: err.code,
+    exitCode: err.exitCode,
+    ...(err.stderr ? { stderr: err.stderr } : {})
+  };
+}
+
+// ---- Arrêt de l'arbre de processus ----
+
+function killTree(child) {
+  if (!child.pid) return;
+  try {
+    if (isWindows) {
+      execFile('taskkill', ['/pid', String(child.pid), '/T', '/F'], () => {});
+    } else {
+      // Le processus est chef de son groupe (detached) : on tue tout le groupe
+      process.kill(-child.pid, 'SIGKILL');
+    }
+  } catch (e) {
+    // déjà terminé
+  }
+}
+
+// ---- Exécution ----
+
+// options : { timeoutMs, maxOutputBytes, cwd, okExitCodes (défaut [0]), signal }
+// Renvoie { stdout, stderr, exitCode } ; rejette avec une erreur structurée
+async function runProcess(command, args, options = {}) {
+  const tool = path.basename(command);
+  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+  const maxOutputBytes = options.maxOutputBytes || DEFAULT_MAX_OUTPUT_BYTES;
+  const okExitCodes = options.okExitCodes || [0];
+  const signal = options.signal || abortScope.getStore();
+  const aborted = () => toolError('TOOL_ABORTED', tool, { message: `${tool} was cancelled` });
+
+  await acquireSlot();
+
+  try {
+    return await new Promise((resolve, reject) => {
+      if (signal && signal.aborted) return reject(aborted());
+
+      const child = spawn(command, args, {
+        cwd: options.cwd,
+        shell: false,
+        detached: !isWindows,
+        windowsHide: true,
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+
+      const chunks = { stdout: [], stderr: [] };
+      const sizes = { stdout: 0, stderr: 0 };
+      let failure = null;
+      let settled = false;
+
+      const fail = (err) => {
+        if (failure) return;
+        failure = err;
+        killTree(child);
+      };
+
+      const collect = (name) => (chunk) => {
+        sizes[name] += chunk.length;
+        if (sizes[name] > maxOutputBytes) {
+          fail(toolError('TOOL_OUTPUT_LIMIT', tool, {
+            stderr: Buffer.concat(chunks.stderr).toString(),
+            message: `${tool} produced more than ${maxOutputBytes} bytes on ${name}`
+          }));
+          return;
+        }
+        chunks[name].push(chunk);
+      };
+      child.stdout.on('data', collect('stdout'));
+      child.stderr.on('data', collect('stderr'));
+
+      const timer = setTimeout(() => {
+        fail(toolError('TOOL_TIMEOUT', tool, {
+          stderr: Buffer.concat(chunks.stderr).toString(),
+          message: `${tool} timed out after ${timeoutMs} ms`
+        }));
+      }, timeoutMs);
+
+      const onAbort = () => fail(aborted());
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+      const cleanup = () => {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+      };
+
+      child.on('error', (err) => {
+        cleanup();
+        if (settled) return;
+        settled = true;
+        reject(err.code === 'ENOENT'
+          ? toolError('TOOL_NOT_FOUND', tool, { message: `${tool} is not installed or not in PATH` })
+          : toolError('TOOL_FAILED', tool, { message: `${tool} could not be started (${err.message})` }));
+      });
+
+      child.on('close', (exitCode, killSignal) => {
+        cleanup();
+        if (settled) return;
+        settled = true;
+        const stdout = Buffer.concat(chunks.stdout).toString();
+        const stderr = Buffer.concat(chunks.stderr).toString();
+
+        if (failure) {
+          failure.signal = killSignal;
+          return reject(failure);
+        }
+        if (!okExitCodes.includes(exitCode)) {
+          console.error(`Erreur ${tool} (code ${exitCode}) :`, trimStderr(stderr || stdout));
+          return reject(toolError('TOOL_FAILED', tool, {
+            exitCode,
+            signal: killSignal,
+            stderr: stderr || stdout,
+            message: killSignal ? `${tool} was killed by ${killSignal}` : `${tool} exited with code ${exitCode}`
+          }));
+        }
+        resolve({ stdout, stderr, exitCode });
+      });
+    });
+  } finally {
+    releaseSlot();
+  }
+}
+
+// Ghostscript en mode batch sécurisé
+function runGhostscript(args, options) {
+  return runProcess(GS_CMD, ['-dSAFER', '-dNOPAUSE', '-dBATCH', ...args], options);
+}
+
+module.exports = {
+  runProcess,
+  runGhostscript,
+  withAbortSignal,
+  toolErrorDetails,
+  GS_CMD,
+  IM_CMD,
+  RSVG_CMD,
+  QPDF_CMD,
+  FC_LIST_CMD,
+  FC_MATCH_CMD
+};
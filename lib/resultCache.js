@@ -0,0 +1,289 @@
+// lib/resultCache.js
+//
+// Cache des résultats adressé par contenu + politique de rétention des sorties.
+// - clé = SHA-256(fichier uploadé) + type de traitement + options utilisées
+// - une entrée = réponse JSON + fichiers produits (converted/, thumbnails/) ; seules
+//   les réponses réussies sont mises en cache
+// - balayage périodique des répertoires de sortie :
+//     âge max depuis le dernier accès, taille totale max (éviction LRU)
+// - état persisté dans dir (un JSON par entrée) pour survivre au redémarrage
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// À incrémenter quand le format des réponses change : invalide le cache
+const CACHE_VERSION = 1;
+
+function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// Options normalisées (clés triées, valeurs en chaîne) pour un hash stable
+function normalizeOptions(options) {
+  const out = {};
+  for (const key of Object.keys(options || {}).sort()) {
+    if (options[key] === undefined || options[key] === '') continue;
+    out[key] = String(options[key]);
+  }
+  return out;
+}
+
+// Réponse à mettre en cache : statut < 400 et corps sans ok: false
+function isCacheableResponse(statusCode, body) {
+  return (statusCode || 200) < 400 && Boolean(body) && body.ok !== false;
+}
+
+// dir : état du cache ; outputDirs : { prefixe web: répertoire } (ex. { converted: ... })
+function createResultCache({
+  dir,
+  outputDirs,
+  maxAgeMs = 7 * 24 * 60 * 60 * 1000,
+  maxBytes = 2 * 1024 * 1024 * 1024,
+  sweepIntervalMs = 15 * 60 * 1000
+}) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const entries = new Map();
+  const counters = { hits: 0, misses: 0 };
+  let lastSweep = null;
+
+  const entryFile = (key) => path.join(dir, `${key}.json`);
+
+  function save(entry) {
+    const tmp = entryFile(entry.key) + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(entry, null, 2));
+    fs.renameSync(tmp, entryFile(entry.key));
+  }
+
+  // "/converted/x.pdf" → chemin disque (null si hors des répertoires gérés)
+  function diskPath(webPath) {
+    const m = String(webPath || '').match(/^\/([^/]+)\/([^/]+)$/);
+    if (!m || !outputDirs[m[1]]) return null;
+    return path.join(outputDirs[m[1]], path.basename(m[2]));
+  }
+
+  function removeEntry(key, { deleteFiles = false } = {}) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    entries.delete(key);
+    try {
+      fs.unlinkSync(entryFile(key));
+    } catch (e) {
+      // déjà supprimé
+    }
+
+    let freedBytes = 0;
+    if (deleteFiles) {
+      for (const webPath of entry.files) {
+        const p = diskPath(webPath);
+        if (!p || !fs.existsSync(p)) continue;
+        freedBytes += fs.statSync(p).size;
+        fs.unlinkSync(p);
+      }
+    }
+    return { key, kind: entry.kind, deletedFiles: deleteFiles ? entry.files : [], freedBytes };
+  }
+
+  async function keyFor(filePath, kind, options) {
+    const fileHash = await sha256File(filePath);
+    const material = JSON.stringify({ v: CACHE_VERSION, kind, fileHash, options: normalizeOptions(options) });
+    return crypto.createHash('sha256').update(material).digest('hex');
+  }
+
+  // Réponse en cache, ou null ; une entrée dont un fichier a disparu est invalidée
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry || !entry.files.every((webPath) => fs.existsSync(diskPath(webPath) || ''))) {
+      if (entry) removeEntry(key);
+      counters.misses++;
+      return null;
+    }
+
+    counters.hits++;
+    entry.hits++;
+    entry.lastAccessAt = new Date().toISOString();
+    save(entry);
+    return entry.response;
+  }
+
+  // files : chemins web des sorties ("/converted/...", "/thumbnails/...")
+  function set(key, kind, response, files = []) {
+    const entry = {
+      key,
+      kind,
+      createdAt: new Date().toISOString(),
+      lastAccessAt: new Date().toISOString(),
+      hits: 0,
+      files: files.filter((webPath) => diskPath(webPath)),
+      response
+    };
+    entries.set(key, entry);
+    save(entry);
+  }
+
+  // Accès direct à un fichier de sortie (téléchargement) : rafraîchit le LRU
+  function touchFile(webPath) {
+    for (const entry of entries.values()) {
+      if (entry.files.includes(webPath)) {
+        entry.lastAccessAt = new Date().toISOString();
+        save(entry);
+      }
+    }
+  }
+
+  // Fichiers de sortie avec leur date de dernier usage
+  function listOutputFiles() {
+    const lastUse = new Map();
+    for (const entry of entries.values()) {
+      for (const webPath of entry.files) {
+        const t = Date.parse(entry.lastAccessAt);
+        lastUse.set(webPath, Math.max(lastUse.get(webPath) || 0, t));
+      }
+    }
+
+    const files = [];
+    for (const [prefix, outDir] of Object.entries(outputDirs)) {
+      if (!fs.existsSync(outDir)) continue;
+      for (const name of fs.readdirSync(outDir)) {
+        const p = path.join(outDir, name);
+        const stat = fs.statSync(p);
+        if (!stat.isFile()) continue;
+        const webPath = `/${prefix}/${name}`;
+        files.push({
+          webPath,
+          path: p,
+          size: stat.size,
+          lastUsed: Math.max(stat.mtimeMs, lastUse.get(webPath) || 0)
+        });
+      }
+    }
+    return files;
+  }
+
+  function sweep() {
+    const now = Date.now();
+    const files = listOutputFiles();
+    const deleted = new Set();
+    let freedBytes = 0;
+
+    const remove = (file) => {
+      try {
+        fs.unlinkSync(file.path);
+        deleted.add(file.webPath);
+        freedBytes += file.size;
+      } catch (e) {
+        console.warn('Erreur suppression sortie expirée:', e.message);
+      }
+    };
+
+    // 1) Âge max depuis le dernier usage
+    for (const file of files) {
+      if (now - file.lastUsed > maxAgeMs) remove(file);
+    }
+
+    // 2) Taille totale max : les moins récemment utilisés partent d'abord
+    let total = files.filter((f) => !deleted.has(f.webPath)).reduce((sum, f) => sum + f.size, 0);
+    const byLastUse = files.filter((f) => !deleted.has(f.webPath)).sort((a, b) => a.lastUsed - b.lastUsed);
+    for (const file of byLastUse) {
+      if (total <= maxBytes) break;
+      remove(file);
+      total -= file.size;
+    }
+
+    // 3) Entrées orphelines (fichier supprimé) ou expirées
+    let deletedEntries = 0;
+    for (const entry of [...entries.values()]) {
+      const expired = now - Date.parse(entry.lastAccessAt) > maxAgeMs;
+      if (expired || entry.files.some((webPath) => deleted.has(webPath))) {
+        freedBytes += removeEntry(entry.key, { deleteFiles: true }).freedBytes;
+        deletedEntries++;
+      }
+    }
+
+    lastSweep = {
+      at: new Date(now).toISOString(),
+      deletedFiles: deleted.size,
+      freedBytes,
+      deletedEntries
+    };
+    return lastSweep;
+  }
+
+  // olderThanMs : ne purge que les entrées non utilisées depuis ce délai
+  function purge({ olderThanMs = 0 } = {}) {
+    const limit = Date.now() - olderThanMs;
+    const purged = [];
+    for (const entry of [...entries.values()]) {
+      if (Date.parse(entry.lastAccessAt) <= limit) {
+        purged.push(removeEntry(entry.key, { deleteFiles: true }));
+      }
+    }
+    return {
+      purgedEntries: purged.length,
+      freedBytes: purged.reduce((sum, p) => sum + p.freedBytes, 0)
+    };
+  }
+
+  function stats() {
+    const files = listOutputFiles();
+    const byDir = {};
+    for (const prefix of Object.keys(outputDirs)) byDir[prefix] = { files: 0, bytes: 0 };
+    for (const file of files) {
+      const prefix = file.webPath.split('/')[1];
+      byDir[prefix].files++;
+      byDir[prefix].bytes += file.size;
+    }
+
+    const lookups = counters.hits + counters.misses;
+    return {
+      entries: entries.size,
+      hits: counters.hits,
+      misses: counters.misses,
+      hitRate_percent: lookups ? +((counters.hits / lookups) * 100).toFixed(1) : null,
+      totalFiles: files.length,
+      totalBytes: files.reduce((sum, f) => sum + f.size, 0),
+      byDir,
+      policy: { maxAgeMs, maxBytes, sweepIntervalMs },
+      lastSweep
+    };
+  }
+
+  function list() {
+    return [...entries.values()]
+      .sort((a, b) => Date.parse(b.lastAccessAt) - Date.parse(a.lastAccessAt))
+      .map(({ response, ...entry }) => entry);
+  }
+
+  // Chargement de l'état persisté
+  for (const name of fs.readdirSync(dir)) {
+    if (!name.endsWith('.json')) continue;
+    try {
+      const entry = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+      entries.set(entry.key, entry);
+    } catch (e) {
+      console.warn(`Entrée de cache illisible ignorée (${name}):`, e.message);
+    }
+  }
+
+  setInterval(() => {
+    try {
+      sweep();
+    } catch (e) {
+      console.error('Erreur balayage du cache:', e);
+    }
+  }, sweepIntervalMs).unref();
+
+  return { keyFor, get, set, touchFile, sweep, purge, removeEntry, stats, list };
+}
+
+module.exports = {
+  createResultCache,
+  isCacheableResponse
+};
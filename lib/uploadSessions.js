@@ -0,0 +1,313 @@
+// lib/uploadSessions.js
+//
+// Uploads découpés et reprenables pour les très gros fichiers (POST /uploads).
+// - session : nom du fichier, taille totale, taille des morceaux (dernier morceau plus court)
+// - morceaux numérotés à partir de 1, chacun vérifié par son SHA-256 ; renvoyer un
+//   morceau déjà reçu le remplace (reprise après coupure réseau)
+// - état : morceaux reçus / manquants ; finalisation = assemblage dans l'ordre,
+//   SHA-256 du fichier complet (vérifié s'il a été annoncé)
+// - fichier assemblé utilisable par id (uploadId sur /analyze, /convert-to-pdf, /jobs)
+// - état persisté dans dir (un JSON par session + morceaux) pour survivre au redémarrage ;
+//   les morceaux reçus sont les fichiers présents (le JSON n'est pas réécrit à chaque
+//   morceau) ; sessions sans activité depuis ttlMs supprimées (abandonnées ou plus utilisées)
+// - écriture des morceaux et assemblage asynchrones (fs.promises, flux)
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { httpError, badRequest } = require('./common');
+
+const DEFAULT_CHUNK_BYTES = 8 * 1024 * 1024;
+const SHA256_RE = /^[0-9a-f]{64}$/;
+
+function now() {
+  return new Date().toISOString();
+}
+
+// Empreinte annoncée : hex SHA-256, préfixe "sha256=" accepté
+function parseSha256(value, field) {
+  const hex = String(value).trim().toLowerCase().replace(/^sha256=/, '');
+  if (!SHA256_RE.test(hex)) throw badRequest(`${field} must be a hex SHA-256 digest`);
+  return hex;
+}
+
+function positiveInteger(value, field) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw badRequest(`${field} must be a positive integer`);
+  return n;
+}
+
+// dir : répertoire d'état ; maxBytes : taille max d'un fichier ; maxChunkBytes : taille max
+// d'un morceau ; ttlMs : durée sans activité avant suppression d'une session
+function createUploadSessions({
+  dir,
+  maxBytes = 2 * 1024 * 1024 * 1024,
+  maxChunkBytes = 64 * 1024 * 1024,
+  ttlMs = 2 * 60 * 60 * 1000
+}) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const sessions = new Map();
+
+  const sessionFile = (id) => path.join(dir, `${id}.json`);
+  const chunksDir = (id) => path.join(dir, id);
+  const chunkFile = (id, index) => path.join(chunksDir(id), `${index}.part`);
+  const assembledFile = (id) => path.join(dir, `${id}.upload`);
+
+  // received (Set des morceaux reçus) n'est pas écrit : il est relu des fichiers de morceaux
+  function save(session) {
+    const { received, ...persisted } = session;
+    const tmp = sessionFile(session.id) + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(persisted, null, 2));
+    fs.renameSync(tmp, sessionFile(session.id));
+  }
+
+  function update(session, fields) {
+    Object.assign(session, fields, { updatedAt: now() });
+    save(session);
+  }
+
+  function chunkLength(session, index) {
+    return index < session.chunkCount ? session.chunkSize : session.size - (session.chunkCount - 1) * session.chunkSize;
+  }
+
+  function missingChunks(session) {
+    const missing = [];
+    for (let i = 1; i <= session.chunkCount; i++) {
+      if (!session.received.has(i)) missing.push(i);
+    }
+    return missing;
+  }
+
+  // Vue publique d'une session (sans chemins internes)
+  function describe(session) {
+    const receivedChunks = [...session.received].sort((a, b) => a - b);
+    return {
+      uploadId: session.id,
+      fileName: session.fileName,
+      size: session.size,
+      chunkSize: session.chunkSize,
+      chunkCount: session.chunkCount,
+      status: session.status,
+      receivedChunks,
+      missingChunks: missingChunks(session),
+      bytesReceived: receivedChunks.reduce((sum, i) => sum + chunkLength(session, i), 0),
+      ...(session.sha256 ? { sha256: session.sha256 } : {}),
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt,
+      completedAt: session.completedAt,
+      expiresAt: new Date(Date.parse(session.updatedAt) + ttlMs).toISOString()
+    };
+  }
+
+  function find(id) {
+    const session = sessions.get(String(id));
+    if (!session) throw httpError(404, 'Upload session not found');
+    return session;
+  }
+
+  function requireOpen(session) {
+    if (session.status !== 'open') throw httpError(409, `Upload session is ${session.status}`);
+  }
+
+  function remove(id) {
+    const session = sessions.get(String(id));
+    if (!session) return false;
+    sessions.delete(session.id);
+    fs.rmSync(chunksDir(session.id), { recursive: true, force: true });
+    fs.rmSync(assembledFile(session.id), { force: true });
+    fs.rmSync(sessionFile(session.id), { force: true });
+    return true;
+  }
+
+  // options : fileName, size (octets), chunkSize (octets, optionnel), sha256 (optionnel)
+  function create(options = {}) {
+    const fileName = path.basename(String(options.fileName || '').trim());
+    if (!fileName) throw badRequest('fileName is required');
+    const size = positiveInteger(options.size, 'size');
+    if (size > maxBytes) {
+      throw httpError(413, `File too large: ${size} bytes (max ${maxBytes})`);
+    }
+    const chunkSize = options.chunkSize !== undefined && options.chunkSize !== ''
+      ? positiveInteger(options.chunkSize, 'chunkSize')
+      : Math.min(DEFAULT_CHUNK_BYTES, maxChunkBytes);
+    if (chunkSize > maxChunkBytes) throw badRequest(`chunkSize must be at most ${maxChunkBytes} bytes`);
+
+    const session = {
+      id: crypto.randomUUID(),
+      fileName,
+      size,
+      chunkSize,
+      chunkCount: Math.ceil(size / chunkSize),
+      sha256: options.sha256 ? parseSha256(options.sha256, 'sha256') : null,
+      status: 'open',
+      received: new Set(),
+      createdAt: now(),
+      updatedAt: now(),
+      completedAt: null
+    };
+    fs.mkdirSync(chunksDir(session.id), { recursive: true });
+    sessions.set(session.id, session);
+    save(session);
+    return describe(session);
+  }
+
+  // Morceau n° index (1..chunkCount), data = Buffer, checksum = SHA-256 annoncé du morceau
+  async function putChunk(id, index, data, checksum) {
+    const session = find(id);
+    requireOpen(session);
+    const n = positiveInteger(index, 'chunk index');
+    if (n > session.chunkCount) throw badRequest(`chunk index must be between 1 and ${session.chunkCount}`);
+    if (!checksum) throw badRequest('Chunk checksum is required (X-Chunk-SHA256 header)');
+    const expectedHash = parseSha256(checksum, 'Chunk checksum');
+
+    const expectedLength = chunkLength(session, n);
+    if (data.length !== expectedLength) {
+      throw badRequest(`Chunk ${n} must be ${expectedLength} bytes, got ${data.length}`);
+    }
+    const hash = crypto.createHash('sha256').update(data).digest('hex');
+    if (hash !== expectedHash) throw httpError(422, `Chunk ${n} checksum mismatch`);
+
+    // Nom temporaire unique : deux envois simultanés du même morceau ne se mélangent pas
+    const tmp = `${chunkFile(session.id, n)}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+      await fs.promises.writeFile(tmp, data);
+      await fs.promises.rename(tmp, chunkFile(session.id, n));
+    } catch (err) {
+      await fs.promises.rm(tmp, { force: true });
+      // session supprimée pendant l'écriture
+      if (sessions.get(session.id) !== session) throw httpError(404, 'Upload session not found');
+      throw err;
+    }
+    session.received.add(n);
+    session.updatedAt = now();
+    return describe(session);
+  }
+
+  // Assemblage des morceaux ; sha256 = empreinte du fichier complet (optionnelle)
+  async function complete(id, { sha256 } = {}) {
+    const session = find(id);
+    requireOpen(session);
+    const expected = sha256 ? parseSha256(sha256, 'sha256') : session.sha256;
+    const missing = missingChunks(session);
+    if (missing.length) {
+      const err = httpError(409, `Upload incomplete: ${missing.length} chunk(s) missing`);
+      err.missingChunks = missing;
+      throw err;
+    }
+
+    update(session, { status: 'assembling' });
+    const target = assembledFile(session.id);
+    const hash = crypto.createHash('sha256');
+    try {
+      const out = fs.createWriteStream(target);
+      const closed = new Promise((resolve, reject) => out.on('finish', resolve).on('error', reject));
+      for (let i = 1; i <= session.chunkCount; i++) {
+        for await (const data of fs.createReadStream(chunkFile(session.id, i))) {
+          hash.update(data);
+          if (!out.write(data)) await new Promise((resolve) => out.once('drain', resolve));
+        }
+      }
+      out.end();
+      await closed;
+    } catch (err) {
+      fs.rmSync(target, { force: true });
+      update(session, { status: 'open' });
+      throw err;
+    }
+
+    const digest = hash.digest('hex');
+    if (expected && digest !== expected) {
+      fs.rmSync(target, { force: true });
+      update(session, { status: 'open' });
+      throw httpError(422, `File checksum mismatch (got ${digest})`);
+    }
+
+    update(session, { status: 'complete', sha256: digest, completedAt: now() });
+    fs.rmSync(chunksDir(session.id), { recursive: true, force: true });
+    return describe(session);
+  }
+
+  function get(id) {
+    const session = sessions.get(String(id));
+    return session ? describe(session) : null;
+  }
+
+  // Fichier assemblé d'une session finalisée : { path, fileName } ; l'utilisation
+  // repousse l'expiration (le fichier peut servir à plusieurs traitements)
+  function file(id) {
+    const session = find(id);
+    if (session.status !== 'complete') throw httpError(409, `Upload session is ${session.status}, finalise it first`);
+    update(session, {});
+    return { path: assembledFile(session.id), fileName: session.fileName };
+  }
+
+  // Suppression des sessions sans activité depuis ttlMs
+  function sweep() {
+    const limit = Date.now() - ttlMs;
+    for (const session of [...sessions.values()]) {
+      if (session.status !== 'assembling' && Date.parse(session.updatedAt) < limit) {
+        console.log(`Session d'upload expirée supprimée: ${session.id} (${session.fileName})`);
+        remove(session.id);
+      }
+    }
+  }
+
+  // Morceaux présents sur disque (écritures interrompues supprimées) ; la dernière
+  // réception compte comme activité
+  function restoreChunks(session) {
+    if (session.status === 'complete') {
+      session.received = new Set(Array.from({ length: session.chunkCount }, (_, i) => i + 1));
+      return;
+    }
+    session.received = new Set();
+    let lastActivity = Date.parse(session.updatedAt);
+    fs.mkdirSync(chunksDir(session.id), { recursive: true });
+    for (const name of fs.readdirSync(chunksDir(session.id))) {
+      const file = path.join(chunksDir(session.id), name);
+      const match = /^(\d+)\.part$/.exec(name);
+      const n = match ? Number(match[1]) : 0;
+      if (n < 1 || n > session.chunkCount) {
+        fs.rmSync(file, { force: true });
+        continue;
+      }
+      session.received.add(n);
+      lastActivity = Math.max(lastActivity, fs.statSync(file).mtimeMs);
+    }
+    session.updatedAt = new Date(lastActivity).toISOString();
+  }
+
+  // Reprise après redémarrage : un assemblage interrompu repart de ses morceaux
+  function restore() {
+    for (const name of fs.readdirSync(dir)) {
+      if (!name.endsWith('.json')) continue;
+      try {
+        const session = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+        restoreChunks(session);
+        sessions.set(session.id, session);
+        if (session.status === 'assembling') {
+          fs.rmSync(assembledFile(session.id), { force: true });
+          update(session, { status: 'open' });
+        }
+      } catch (e) {
+        console.warn(`Session d'upload illisible ignorée (${name}):`, e.message);
+      }
+    }
+  }
+
+  function stats() {
+    const counts = {};
+    for (const session of sessions.values()) counts[session.status] = (counts[session.status] || 0) + 1;
+    return { maxBytes, maxChunkBytes, ttlMs, counts };
+  }
+
+  restore();
+  sweep();
+  setInterval(sweep, Math.min(ttlMs, 15 * 60 * 1000)).unref();
+
+  return { create, putChunk, complete, get, file, remove, stats };
+}
+
+module.exports = {
+  createUploadSessions
+};
@@ -0,0 +1,255 @@
+// lib/webhooks.js
+//
+// Envoi du résultat d'un traitement à une URL de rappel (callbackUrl).
+// - POST JSON du résultat, signé HMAC-SHA256 avec le secret partagé :
+//     X-Webhook-Timestamp: <secondes epoch>
+//     X-Webhook-Signature: sha256=<hex de HMAC(secret, "<timestamp>.<corps>")>
+// - URL de rappel limitée aux hôtes autorisés (liste blanche, WEBHOOK_ALLOWED_HOSTS) :
+//   le serveur ne poste pas vers des adresses internes choisies par le client
+// - nouvelles tentatives avec attente exponentielle tant que la réponse n'est pas 2xx
+// - chaque tentative est journalisée (statut HTTP, durée, extrait de réponse, erreur)
+// - état persisté dans storeDir (un JSON par envoi) : les envois en cours
+//   reprennent au redémarrage ; le secret propre à une requête reste en mémoire
+//   (un envoi qui l'a perdu au redémarrage est abandonné)
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { badRequest } = require('./common');
+
+const DEFAULT_MAX_ATTEMPTS = 6;
+const DEFAULT_BASE_DELAY_MS = 5 * 1000;
+const MAX_DELAY_MS = 60 * 60 * 1000;
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+// Durée de conservation des envois terminés
+const DEFAULT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+// Longueur de la réponse conservée dans le journal
+const RESPONSE_EXCERPT_CHARS = 500;
+
+const FINAL_STATUSES = ['delivered', 'failed'];
+
+function now() {
+  return new Date().toISOString();
+}
+
+// Liste d'hôtes séparés par des virgules ("hooks.example.com, *.client.fr") → tableau
+function parseAllowedHosts(value) {
+  return String(value || '')
+    .split(',')
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Hôte exact, ou sous-domaine pour une entrée "*.domaine"
+function isAllowedHost(hostname, allowedHosts) {
+  const host = hostname.toLowerCase();
+  return allowedHosts.some((entry) => (entry.startsWith('*.') ? host.endsWith(entry.slice(1)) : host === entry));
+}
+
+// URL de rappel http(s) absolue vers un hôte de allowedHosts, sinon erreur 400.
+// Liste vide : aucun rappel autorisé.
+function validateCallbackUrl(value, allowedHosts = []) {
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch (e) {
+    throw badRequest('callbackUrl must be an absolute http(s) URL');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw badRequest('callbackUrl must be an absolute http(s) URL');
+  }
+  if (allowedHosts.length === 0) {
+    throw badRequest('callbackUrl is disabled on this server (WEBHOOK_ALLOWED_HOSTS is not set)');
+  }
+  if (!isAllowedHost(url.hostname, allowedHosts)) {
+    throw badRequest(`callbackUrl host ${url.hostname} is not allowed`);
+  }
+  return url.toString();
+}
+
+// Signature d'un corps : le destinataire recalcule le HMAC avec le même secret
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// storeDir : répertoire d'état ; defaultSecret : secret utilisé si la requête n'en fournit pas
+function createWebhookSender({
+  storeDir,
+  defaultSecret = null,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  baseDelayMs = DEFAULT_BASE_DELAY_MS,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  retentionMs = DEFAULT_RETENTION_MS
+}) {
+  fs.mkdirSync(storeDir, { recursive: true });
+
+  const deliveries = new Map();
+  // Secrets propres aux envois en cours (jamais écrits dans le store)
+  const secrets = new Map();
+  const deliveryFile = (id) => path.join(storeDir, `${id}.json`);
+
+  function save(delivery) {
+    const tmp = deliveryFile(delivery.id) + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(delivery, null, 2));
+    fs.renameSync(tmp, deliveryFile(delivery.id));
+  }
+
+  // 5 s, 10 s, 20 s, ... plafonné à une heure
+  function retryDelay(attempt) {
+    return Math.min(baseDelayMs * 2 ** (attempt - 1), MAX_DELAY_MS);
+  }
+
+  function schedule(delivery, delayMs) {
+    setTimeout(() => attempt(delivery), Math.max(0, delayMs)).unref();
+  }
+
+  async function attempt(delivery) {
+    const number = delivery.attempts.length + 1;
+    const timestamp = Math.floor(Date.now() / 1000);
+    const secret = secrets.get(delivery.id) || defaultSecret;
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'analyse-fichiers-multi-format-webhook',
+      'X-Webhook-Id': delivery.id,
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Attempt': String(number),
+      'X-Webhook-Timestamp': String(timestamp),
+      ...(delivery.jobId ? { 'X-Job-Id': delivery.jobId } : {}),
+      ...(secret ? { 'X-Webhook-Signature': signPayload(secret, timestamp, delivery.body) } : {})
+    };
+
+    const started = Date.now();
+    const log = { attempt: number, at: now(), signed: Boolean(secret) };
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers,
+        body: delivery.body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      const text = await response.text().catch(() => '');
+      log.statusCode = response.status;
+      if (text) log.response = text.slice(0, RESPONSE_EXCERPT_CHARS);
+      if (!response.ok) log.error = `HTTP ${response.status}`;
+    } catch (err) {
+      log.error = err.name === 'TimeoutError' ? `No response after ${timeoutMs} ms` : err.message;
+    }
+    log.durationMs = Date.now() - started;
+
+    delivery.attempts.push(log);
+    delivery.updatedAt = now();
+    if (!log.error) {
+      delivery.status = 'delivered';
+      delivery.deliveredAt = log.at;
+      delivery.nextAttemptAt = null;
+      secrets.delete(delivery.id);
+    } else if (number >= delivery.maxAttempts) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      secrets.delete(delivery.id);
+      console.warn(`Webhook ${delivery.id} abandonné après ${number} tentatives :`, log.error);
+    } else {
+      const delay = retryDelay(number);
+      delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      schedule(delivery, delay);
+    }
+    save(delivery);
+  }
+
+  // Suppression des envois terminés trop anciens
+  function sweep() {
+    const limit = Date.now() - retentionMs;
+    for (const delivery of deliveries.values()) {
+      if (FINAL_STATUSES.includes(delivery.status) && Date.parse(delivery.updatedAt) < limit) {
+        deliveries.delete(delivery.id);
+        try {
+          fs.unlinkSync(deliveryFile(delivery.id));
+        } catch (e) {
+          // déjà supprimé
+        }
+      }
+    }
+  }
+
+  // Reprise après redémarrage : tentative suivante à l'heure prévue ; un envoi signé
+  // avec le secret de la requête (perdu) est abandonné plutôt qu'envoyé mal signé
+  function restore() {
+    for (const name of fs.readdirSync(storeDir)) {
+      if (!name.endsWith('.json')) continue;
+      try {
+        const delivery = JSON.parse(fs.readFileSync(path.join(storeDir, name), 'utf8'));
+        deliveries.set(delivery.id, delivery);
+        if (delivery.status === 'pending' && delivery.requestSecret) {
+          Object.assign(delivery, {
+            status: 'failed',
+            nextAttemptAt: null,
+            updatedAt: now(),
+            error: 'callbackSecret is not kept across restarts'
+          });
+          save(delivery);
+        } else if (delivery.status === 'pending') {
+          schedule(delivery, Date.parse(delivery.nextAttemptAt || delivery.createdAt) - Date.now());
+        }
+      } catch (e) {
+        console.warn(`Webhook illisible ignoré (${name}):`, e.message);
+      }
+    }
+  }
+
+  // Programme l'envoi de payload (objet JSON) ; event : "job.completed", "job.failed", ...
+  function send({ url, secret = null, event, jobId = null, payload }) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      url,
+      event,
+      jobId,
+      requestSecret: Boolean(secret),
+      body: JSON.stringify(payload),
+      status: 'pending',
+      maxAttempts,
+      attempts: [],
+      createdAt: now(),
+      updatedAt: now(),
+      nextAttemptAt: now(),
+      deliveredAt: null
+    };
+    deliveries.set(delivery.id, delivery);
+    if (secret) secrets.set(delivery.id, secret);
+    save(delivery);
+    schedule(delivery, 0);
+    return describe(delivery);
+  }
+
+  // Vue publique d'un envoi (sans corps)
+  function describe(delivery) {
+    const { body, requestSecret, ...publicDelivery } = delivery;
+    return { ...publicDelivery, signed: Boolean(requestSecret || defaultSecret) };
+  }
+
+  function get(id) {
+    const delivery = deliveries.get(id);
+    return delivery ? describe(delivery) : null;
+  }
+
+  // Envois, du plus récent au plus ancien ; filtres { jobId, status }
+  function list({ jobId, status } = {}) {
+    return [...deliveries.values()]
+      .filter((d) => (!jobId || d.jobId === jobId) && (!status || d.status === status))
+      .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt))
+      .map(describe);
+  }
+
+  restore();
+  sweep();
+  setInterval(sweep, 60 * 60 * 1000).unref();
+
+  return { send, get, list };
+}
+
+module.exports = {
+  createWebhookSender,
+  validateCallbackUrl,
+  parseAllowedHosts,
+  signPayload
+};
@@ -0,0 +1,213 @@
+// lib/zipReader.js
+//
+// Lecture des archives ZIP (batch d'analyse), sans dépendance externe.
+// - répertoire central → liste des entrées (dossiers imbriqués inclus) ; seule la fin de
+//   l'archive est lue en mémoire, jamais l'archive entière
+// - méthodes "stored" (0) et "deflate" (8) via zlib, en flux
+// - extraction une entrée à la fois dans un fichier temporaire, supprimé dès que
+//   l'entrée a été traitée
+// - limites contre les archives piégées : nombre d'entrées, taille décompressée totale
+//   comptée sur les octets réellement produits (les tailles déclarées ne suffisent pas)
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { Readable, Transform, PassThrough } = require('stream');
+const { pipeline } = require('stream/promises');
+const { httpError, badRequest } = require('./common');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+const EOCD_SIZE = 22;
+const LOCAL_HEADER_SIZE = 30;
+
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_MAX_TOTAL_BYTES = 500 * 1024 * 1024;
+
+function isZipFile(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const head = Buffer.alloc(4);
+    const n = fs.readSync(fd, head, 0, 4, 0);
+    return n === 4 && head.readUInt32LE(0) === LOCAL_SIGNATURE;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Lecture de length octets à la position position (moins si la fin du fichier est atteinte)
+async function readAt(handle, position, length) {
+  const buf = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buf, 0, length, position);
+  return buf.subarray(0, bytesRead);
+}
+
+// Fin du répertoire central : cherchée depuis la fin (commentaire ≤ 64 Ko)
+function findEndOfCentralDirectory(buf) {
+  for (let pos = buf.length - EOCD_SIZE; pos >= 0; pos--) {
+    if (buf.readUInt32LE(pos) === EOCD_SIGNATURE) return pos;
+  }
+  return -1;
+}
+
+// Entrées (fichiers uniquement) du répertoire central cd :
+// { name, method, compressedSize, size, localOffset, encrypted }
+function listEntries(cd, count) {
+  const entries = [];
+  let pos = 0;
+  for (let i = 0; i < count; i++) {
+    if (pos + 46 > cd.length || cd.readUInt32LE(pos) !== CENTRAL_SIGNATURE) {
+      throw badRequest('Invalid ZIP archive (corrupted central directory)');
+    }
+    const flags = cd.readUInt16LE(pos + 8);
+    const nameLength = cd.readUInt16LE(pos + 28);
+    const extraLength = cd.readUInt16LE(pos + 30);
+    const commentLength = cd.readUInt16LE(pos + 32);
+    if (pos + 46 + nameLength > cd.length) {
+      throw badRequest('Invalid ZIP archive (corrupted central directory)');
+    }
+    // Bit 11 : nom en UTF-8, sinon CP437 (lu en latin1, approximation)
+    const name = cd.toString(flags & 0x800 ? 'utf8' : 'latin1', pos + 46, pos + 46 + nameLength);
+
+    if (!name.endsWith('/')) {
+      entries.push({
+        name,
+        method: cd.readUInt16LE(pos + 10),
+        compressedSize: cd.readUInt32LE(pos + 20),
+        size: cd.readUInt32LE(pos + 24),
+        localOffset: cd.readUInt32LE(pos + 42),
+        encrypted: (flags & 0x1) !== 0
+      });
+    }
+    pos += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+// Répertoire central lu depuis la fin de l'archive
+async function readCentralDirectory(handle, fileSize) {
+  const tailLength = Math.min(fileSize, EOCD_SIZE + 0xffff);
+  const tail = await readAt(handle, fileSize - tailLength, tailLength);
+  const eocd = tail.length >= EOCD_SIZE ? findEndOfCentralDirectory(tail) : -1;
+  if (eocd === -1) throw badRequest('Invalid ZIP archive (no central directory)');
+
+  const count = tail.readUInt16LE(eocd + 10);
+  const cdSize = tail.readUInt32LE(eocd + 12);
+  const cdOffset = tail.readUInt32LE(eocd + 16);
+  if (cdOffset === 0xffffffff) throw badRequest('ZIP64 archives are not supported');
+  if (cdOffset + cdSize > fileSize) throw badRequest('Invalid ZIP archive (corrupted central directory)');
+
+  return listEntries(await readAt(handle, cdOffset, cdSize), count);
+}
+
+// Début des données compressées d'une entrée (après son en-tête local)
+async function entryDataStart(handle, fileSize, entry) {
+  const header = await readAt(handle, entry.localOffset, LOCAL_HEADER_SIZE);
+  if (header.length < LOCAL_HEADER_SIZE || header.readUInt32LE(0) !== LOCAL_SIGNATURE) {
+    throw new Error('Invalid local header');
+  }
+  const start = entry.localOffset + LOCAL_HEADER_SIZE + header.readUInt16LE(26) + header.readUInt16LE(28);
+  if (start + entry.compressedSize > fileSize) throw new Error('Truncated ZIP entry');
+  return start;
+}
+
+// Compte les octets décompressés : au-delà de la taille déclarée de l'entrée ou du
+// budget restant de l'archive, l'extraction s'arrête
+function sizeGuard(entry, budget) {
+  const guard = new Transform({
+    transform(chunk, encoding, callback) {
+      guard.bytes += chunk.length;
+      if (guard.bytes > budget.remaining) {
+        return callback(httpError(413, `ZIP archive is too large once extracted (max ${budget.max} bytes)`));
+      }
+      if (guard.bytes > entry.size) return callback(new Error('ZIP entry is larger than its declared size'));
+      return callback(null, chunk);
+    }
+  });
+  guard.bytes = 0;
+  return guard;
+}
+
+// Extraction d'une entrée dans destPath, décompte des octets produits dans budget
+async function extractEntry(filePath, handle, fileSize, entry, destPath, budget) {
+  if (entry.encrypted) throw new Error('Encrypted ZIP entry');
+  if (entry.method !== 0 && entry.method !== 8) {
+    throw new Error(`Unsupported ZIP compression method ${entry.method}`);
+  }
+  const start = await entryDataStart(handle, fileSize, entry);
+
+  const guard = sizeGuard(entry, budget);
+  try {
+    await pipeline(
+      entry.compressedSize > 0
+        ? fs.createReadStream(filePath, { start, end: start + entry.compressedSize - 1 })
+        : Readable.from([]),
+      entry.method === 8 ? zlib.createInflateRaw() : new PassThrough(),
+      guard,
+      fs.createWriteStream(destPath)
+    );
+  } finally {
+    budget.remaining -= guard.bytes;
+  }
+}
+
+// Extension du nom d'entrée, limitée aux caractères sûrs pour un nom de fichier temporaire
+function extensionOf(name) {
+  const match = /\.[A-Za-z0-9]{1,10}$/.exec(name);
+  return match ? match[0] : '';
+}
+
+// Entrées ignorées : métadonnées macOS, fichiers cachés
+function isJunkEntry(name) {
+  return name.startsWith('__MACOSX/') || name.split('/').some((part) => part.startsWith('.'));
+}
+
+// Extrait les entrées une à une : itérable asynchrone de { name, path } (fichier
+// destPrefix<n><extension>, supprimé quand on passe à l'entrée suivante) ou
+// { name, path: null, error } pour une entrée illisible.
+// options : { maxEntries, maxTotalBytes } ; une archive invalide ou trop volumineuse
+// une fois décompressée lève une erreur (400 / 413)
+async function* extractZipEntries(filePath, destPrefix, options = {}) {
+  const maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+  const maxTotalBytes = options.maxTotalBytes || DEFAULT_MAX_TOTAL_BYTES;
+
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { size: fileSize } = await handle.stat();
+    const entries = (await readCentralDirectory(handle, fileSize)).filter((e) => !isJunkEntry(e.name));
+
+    if (entries.length > maxEntries) {
+      throw httpError(413, `ZIP archive has too many files (${entries.length}, max ${maxEntries})`);
+    }
+    // Rejet immédiat si les tailles déclarées dépassent déjà la limite
+    const declaredTotal = entries.reduce((sum, e) => sum + e.size, 0);
+    if (declaredTotal > maxTotalBytes) {
+      throw httpError(413, `ZIP archive is too large once extracted (max ${maxTotalBytes} bytes)`);
+    }
+
+    const budget = { max: maxTotalBytes, remaining: maxTotalBytes };
+    for (const [index, entry] of entries.entries()) {
+      const destPath = `${destPrefix}${index}${extensionOf(entry.name)}`;
+      try {
+        try {
+          await extractEntry(filePath, handle, fileSize, entry, destPath, budget);
+        } catch (err) {
+          if (err.statusCode === 413) throw err;
+          yield { name: entry.name, path: null, error: err.message };
+          continue;
+        }
+        yield { name: entry.name, path: destPath };
+      } finally {
+        await fs.promises.rm(destPath, { force: true });
+      }
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+module.exports = {
+  isZipFile,
+  extractZipEntries
+};
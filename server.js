@@ -2,24 +2,81 @@
 // Objectif :
 //  - /analyze : calculer le bounding box (en mm) pour EPS, PDF, AI, SVG
 //  - /convert-to-pdf : convertir SVG / AI en PDF et exposer le fichier final
+//  - /preflight : contrôle d'imprimabilité (polices, images, couleurs, ...)
+//  - /ink-coverage : couverture d'encre par séparation (aussi en option de /analyze)
+//  - /add-bleed : ajout de fond perdu (aussi en option bleed_mm de /convert-to-pdf)
+//  - /impose : step-and-repeat d'un visuel sur une feuille d'impression
+//  - images bitmap (PNG, JPEG, TIFF, WebP) acceptées par /analyze et /convert-to-pdf
+//  - /jobs : mode asynchrone (file d'attente, pool de workers borné, état persisté)
+//  - callbackUrl sur /analyze, /convert-to-pdf et /jobs : réponse 202 immédiate, résultat
+//    envoyé par webhook signé HMAC-SHA256 (nouvelles tentatives, journal des envois)
+//  - cache des résultats (SHA-256 du fichier + options) et rétention de converted/ et thumbnails/,
+//    statistiques et purge via /admin/cache
+//  - /analyze-batch : analyse de plusieurs fichiers ou d'archives ZIP, rapport JSON ou CSV
+//  - format choisi d'après le contenu du fichier (octets magiques), pas l'extension
+//  - PDF reçus préparés par qpdf : déchiffrement (champ password), réparation ;
+//    linéarisation optionnelle des PDF produits (linearize=1 sur /convert-to-pdf)
+//  - conversion CMYK (profil ICC livré ou uploadé) / gris et sortie PDF/X-1a ou X-4
+//    en option de /convert-to-pdf, avec résumé des espaces couleur avant / après
+//  - texte vectorisé (outlineText=1 sur /convert-to-pdf) avec rapport de polices
+//  - mise à l'échelle sur une taille cible en mm (fit / fill / stretch, marge, ancrage)
+//    en option de /convert-to-pdf, avec résolution effective des images
+//  - /cut-contour : tracé de découpe (tons CutContour, Thru-cut, ...) en SVG / DXF,
+//    PDF d'impression sans découpe
+//  - /preview : aperçu PNG / JPEG / WebP de tous les formats (taille, page ou planche
+//    contact, fond, TrimBox / BleedBox) ; mêmes options thumbnail* sur /analyze
+//  - métadonnées (Info, XMP, version PDF, balisage, chiffrement ; title / desc / metadata
+//    du SVG) et texte par page en option de /analyze (metadata=1, text=1)
+//  - /compare : comparaison de deux versions (image de différence, % de pixels modifiés,
+//    bbox des zones modifiées en mm, champs d'analyse différents)
+//  - /fit-check : adéquation au produit commandé (format fini, fond perdu, marge de
+//    sécurité, rotation, échelle nécessaire) avec aperçu annoté des zones
+//  - analyse et conversion exposées comme API de module (lib/api.js : analyze, convertToPdf),
+//    utilisée par les routes et par le CLI bin/analyse-fichier.js
+//  - /uploads : upload découpé et reprenable des gros fichiers (morceaux vérifiés par SHA-256,
+//    état, finalisation), puis uploadId sur /analyze, /convert-to-pdf et /jobs
 
 const express = require('express');
 const multer = require('multer');
 const cors = require('cors');
 const fs = require('fs');
 const path = require('path');
-const { exec } = require('child_process');
-const { PDFDocument } = require('pdf-lib');
-// On réutilise ton analyseur EPS propre
-const { analyzeEPS } = require('./analyzers/epsAnalyzer');
-// Choix de la commande Ghostscript selon OS
-const GS_CMD = process.platform === 'win32' ? 'gswin64c' : 'gs';
+const crypto = require('crypto');
+const { preflightPdf } = require('./analyzers/preflightAnalyzer');
+const { analyzeInkCoverage } = require('./analyzers/inkCoverage');
+const { parseCompareOptions, comparePdfs, diffFields } = require('./analyzers/compareAnalyzer');
+const { parseFitOptions, checkFit, annotateFit } = require('./analyzers/fitCheck');
+const { addBleed, parseBleedOptions } = require('./converters/bleed');
+const { imposePdf, parseImpositionOptions } = require('./converters/imposition');
+const { colourSummary } = require('./converters/colourConversion');
+const { parseCutOptions, extractPdfCutContour, extractSvgCutContour } = require('./converters/cutContour');
+const { parsePreviewOptions, previewExtension, renderPreview } = require('./converters/preview');
+const { formatReport } = require('./analyzers/formatDetector');
+const {
+  analyze,
+  convertToPdf,
+  prepareFile,
+  unsupportedFormat,
+  analyzeByFormat,
+  inkCoverageOptions,
+  pdfPageCount,
+  ensurePdfForAnalysis,
+  ensurePdfForPreview,
+  makeThumbnail
+} = require('./lib/api');
+const { createJobQueue } = require('./jobs/jobQueue');
+const { createWebhookSender, validateCallbackUrl, parseAllowedHosts } = require('./lib/webhooks');
+const { toolErrorDetails, withAbortSignal } = require('./lib/processRunner');
+const { createResultCache, isCacheableResponse } = require('./lib/resultCache');
+const { createUploadSessions } = require('./lib/uploadSessions');
+const { isZipFile, extractZipEntries } = require('./lib/zipReader');
+const { badRequest, isTrue, csvCell } = require('./lib/common');
 const app = express();
 const port = process.env.PORT || 3000;
 const thumbsDir = path.join(__dirname, 'thumbnails');
 fs.mkdirSync(thumbsDir, { recursive: true });
 
-app.use('/thumbnails', express.static(thumbsDir));
+app.use('/thumbnails', touchCachedOutput('thumbnails'), express.static(thumbsDir));
 
 
 app.use(cors());
@@ -38,7 +95,16 @@ if (!fs.existsSync(convertedDir)) {
 }
 
 // Servir les PDF convertis en statique sous /converted/...
-app.use('/converted', express.static(convertedDir));
+app.use('/converted', touchCachedOutput('converted'), express.static(convertedDir));
+
+// Cache des résultats + rétention des sorties (âge max, taille max, LRU)
+const resultCache = createResultCache({
+  dir: process.env.CACHE_DIR || path.join(__dirname, 'cache'),
+  outputDirs: { converted: convertedDir, thumbnails: thumbsDir },
+  maxAgeMs: (parseFloat(process.env.CACHE_MAX_AGE_HOURS) || 7 * 24) * 60 * 60 * 1000,
+  maxBytes: (parseFloat(process.env.CACHE_MAX_SIZE_MB) || 2048) * 1024 * 1024,
+  sweepIntervalMs: (parseFloat(process.env.CACHE_SWEEP_INTERVAL_MINUTES) || 15) * 60 * 1000
+});
 
 // Multer : 100 Mo max
 const upload = multer({
@@ -46,535 +112,1159 @@ const upload = multer({
   limits: { fileSize: 100 * 1024 * 1024 } // 100 Mo
 });
 
+// /convert-to-pdf : fichier FILE + profil ICC optionnel ICC_PROFILE
+// (req.file reste le fichier principal, le profil est dans req.iccProfileFile)
+const convertUpload = [
+  upload.fields([{ name: 'FILE', maxCount: 1 }, { name: 'ICC_PROFILE', maxCount: 1 }]),
+  (req, res, next) => {
+    req.file = req.files && req.files.FILE ? req.files.FILE[0] : undefined;
+    req.iccProfileFile = req.files && req.files.ICC_PROFILE ? req.files.ICC_PROFILE[0] : null;
+    next();
+  }
+];
+
+// Uploads découpés (/uploads) : taille max, taille max d'un morceau, expiration sans activité
+const UPLOAD_MAX_CHUNK_BYTES = Math.floor((parseFloat(process.env.UPLOAD_MAX_CHUNK_MB) || 64) * 1024 * 1024);
+const uploadSessions = createUploadSessions({
+  dir: process.env.UPLOAD_SESSIONS_DIR || path.join(__dirname, 'upload-sessions'),
+  maxBytes: Math.floor((parseFloat(process.env.UPLOAD_MAX_SIZE_MB) || 2048) * 1024 * 1024),
+  maxChunkBytes: UPLOAD_MAX_CHUNK_BYTES,
+  ttlMs: (parseFloat(process.env.UPLOAD_SESSION_TTL_MINUTES) || 120) * 60 * 1000
+});
+
 // ---- Helpers communs ----
 
-// Conversion points → mm
-function ptToMm(pt) {
-  return (pt * 25.4) / 72;
+// uploadId (session /uploads finalisée) à la place du champ FILE : copie du fichier
+// assemblé dans uploads/, traitée comme un upload multer (la session reste réutilisable).
+// Copie asynchrone (clone copy-on-write si le système de fichiers le permet) : un fichier
+// de plusieurs Go ne bloque pas les autres requêtes.
+async function withUploadedFile(req, res, next) {
+  const params = { ...req.query, ...req.body };
+  if (req.file || !params.uploadId) return next();
+
+  const copyPath = path.join(uploadDir, crypto.randomBytes(16).toString('hex'));
+  try {
+    const assembled = uploadSessions.file(params.uploadId);
+    await fs.promises.copyFile(assembled.path, copyPath, fs.constants.COPYFILE_FICLONE);
+    req.file = { path: copyPath, originalname: assembled.fileName, size: (await fs.promises.stat(copyPath)).size };
+  } catch (err) {
+    await fs.promises.rm(copyPath, { force: true });
+    if (req.iccProfileFile && fs.existsSync(req.iccProfileFile.path)) fs.unlinkSync(req.iccProfileFile.path);
+    console.error('uploadId error:', err);
+    return res.status(err.statusCode || 500).json({ ok: false, error: err.message || 'Upload session failed' });
+  }
+  return next();
 }
 
-// Calcul du bounding box via Ghostscript (bbox rendu)
-function runGhostscriptBBox(filePath) {
-  return new Promise((resolve, reject) => {
-    const command = `${GS_CMD} -dSAFER -dNOPAUSE -dBATCH -sDEVICE=bbox "${filePath}"`;
+// Téléchargement d'une sortie : rafraîchit son entrée de cache (LRU)
+function touchCachedOutput(prefix) {
+  return (req, res, next) => {
+    if (req.method === 'GET') resultCache.touchFile(`/${prefix}/${path.basename(req.path)}`);
+    next();
+  };
+}
 
-    exec(command, (error, stdout, stderr) => {
-      if (error) {
-        console.error('Ghostscript bbox error:', stderr || error.message);
-        return reject(new Error('Ghostscript bbox failed'));
-      }
+// Paramètres sans effet sur le résultat, exclus de la clé de cache
+const CACHE_NEUTRAL_PARAMS = ['noCache', 'callbackUrl', 'callbackSecret', 'uploadId'];
+
+// Enrobe un handler de route : réponse en cache si même fichier + mêmes options,
+// sinon exécution normale et mise en cache de la réponse réussie.
+// noCache=1 force le retraitement.
+function withResultCache(kind, handler) {
+  return async (req, res) => {
+    const params = { ...req.query, ...req.body };
+    if (!req.file || isTrue(params.noCache)) return handler(req, res);
+
+    const options = { ...params };
+    for (const key of CACHE_NEUTRAL_PARAMS) delete options[key];
+    // Profil ICC uploadé : son contenu fait partie des options
+    if (req.iccProfileFile) {
+      options.ICC_PROFILE = crypto
+        .createHash('sha256')
+        .update(fs.readFileSync(req.iccProfileFile.path))
+        .digest('hex');
+    }
 
-      // On cherche la première HiResBoundingBox
-      const match = stderr.match(
-        /%%HiResBoundingBox:\s*([-\d.]+)\s+([-\d.]+)\s+([-\d.]+)\s+([-\d.]+)/
-      );
+    let key;
+    try {
+      key = await resultCache.keyFor(req.file.path, kind, options);
+    } catch (e) {
+      console.warn('Clé de cache impossible, traitement sans cache:', e.message);
+      return handler(req, res);
+    }
 
-      if (!match) {
-        return reject(new Error('No HiResBoundingBox found in Ghostscript output'));
+    const cached = resultCache.get(key);
+    if (cached) {
+      for (const file of [req.file, req.iccProfileFile].filter(Boolean)) {
+        try {
+          if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+        } catch (e) {
+          console.warn('Erreur suppression fichier upload:', e.message);
+        }
       }
-
-      const [, llxStr, llyStr, urxStr, uryStr] = match;
-      const llx = parseFloat(llxStr);
-      const lly = parseFloat(llyStr);
-      const urx = parseFloat(urxStr);
-      const ury = parseFloat(uryStr);
-
-      const widthPt = urx - llx;
-      const heightPt = ury - lly;
-
-      resolve({
-        llx,
-        lly,
-        urx,
-        ury,
-        widthPt,
-        heightPt,
-        width_mm: +ptToMm(widthPt).toFixed(2),
-        height_mm: +ptToMm(heightPt).toFixed(2),
-        source: 'ghostscript'
+      return res.json({
+        ...cached,
+        ...('fileName' in cached ? { fileName: req.file.originalname } : {}),
+        ...('detectedFormat' in cached ? formatReport(cached.detectedFormat, req.file.originalname) : {}),
+        cached: true,
+        cacheKey: key
       });
-    });
-  });
-}
-async function normalizePdfBoxes(pdfPath, widthPt, heightPt) {
-  try {
-    const bytes = fs.readFileSync(pdfPath);
-    const pdfDoc = await PDFDocument.load(bytes);
-    const pages = pdfDoc.getPages();
-
-    for (const page of pages) {
-      // On force toutes les boxes à 0,0,width,height
-      page.setMediaBox(0, 0, widthPt, heightPt);
-      page.setCropBox(0, 0, widthPt, heightPt);
-      page.setBleedBox(0, 0, widthPt, heightPt);
-      page.setTrimBox(0, 0, widthPt, heightPt);
-      page.setArtBox(0, 0, widthPt, heightPt);
     }
 
-    const newBytes = await pdfDoc.save();
-    fs.writeFileSync(pdfPath, newBytes);
+    // Interception de la réponse pour la mettre en cache si elle réussit
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      if (!isCacheableResponse(res.statusCode, body)) return sendJson(body);
+      const files = [body.pdfPath, body.thumbnailPath, body.previewPath].filter(Boolean);
+      try {
+        resultCache.set(key, kind, body, files);
+      } catch (e) {
+        console.warn('Mise en cache impossible:', e.message);
+      }
+      return sendJson({ ...body, cached: false, cacheKey: key });
+    };
+    return handler(req, res);
+  };
+}
 
-    console.log('normalizePdfBoxes OK pour', pdfPath);
-  } catch (e) {
-    // Non bloquant : si ça plante, on garde quand même le PDF recadré
-    console.warn('normalizePdfBoxes erreur (non bloquant):', e.message);
-  }
+// Préparation d'un upload (format réel + qpdf) : voir prepareFile dans lib/api.js
+async function prepareUpload(file, params) {
+  return prepareFile(file.path, { originalName: file.originalname, password: params.password });
 }
 
+// ---- Route multi-format d'analyse ----
 
-// Recadrer un PDF sur un bounding box donné (et aligner toutes les boxes)
-function cropPdfToBbox(inputPdf, outputPdf, bbox) {
-  return new Promise((resolve, reject) => {
-    const { llx, lly, widthPt, heightPt } = bbox;
-
-    // Décalage pour ramener le contenu en (0,0)
-    const offsetX = -llx;
-    const offsetY = -lly;
-
-    const cmd = `${GS_CMD} -dSAFER -dNOPAUSE -dBATCH ` +
-      `-sDEVICE=pdfwrite ` +
-      `-dDEVICEWIDTHPOINTS=${widthPt} ` +
-      `-dDEVICEHEIGHTPOINTS=${heightPt} ` +
-      `-dFIXEDMEDIA ` +
-      `-sOutputFile="${outputPdf}" ` +
-      `-c "<</PageSize [${widthPt} ${heightPt}] ` +
-      `/MediaBox [0 0 ${widthPt} ${heightPt}] ` +
-      `/CropBox  [0 0 ${widthPt} ${heightPt}] ` +
-      `/BleedBox [0 0 ${widthPt} ${heightPt}] ` +
-      `/TrimBox  [0 0 ${widthPt} ${heightPt}] ` +
-      `/ArtBox   [0 0 ${widthPt} ${heightPt}] ` +
-      `/PageOffset [${offsetX} ${offsetY}]>> setpagedevice" ` +
-      `-f "${inputPdf}"`;
-
-    console.log('cropPdfToBbox bbox =', bbox);
-    console.log('cropPdfToBbox command:', cmd);
-
-    exec(cmd, async (err, stdout, stderr) => {
-      if (err) {
-        console.error('Erreur cropPdfToBbox:', err);
-        console.error('stderr:', stderr);
-        return reject(err);
-      }
+async function handleAnalyze(req, res) {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
 
-      console.log('cropPdfToBbox Ghostscript OK pour', outputPdf);
+  const filePath = req.file.path;
+  const params = { ...req.query, ...req.body };
 
-      // 🔹 Étape 2 : on force les Media/Crop/Bleed/Trim/ArtBox dans le PDF
-      await normalizePdfBoxes(outputPdf, widthPt, heightPt);
+  try {
+    // Miniature dans thumbnails/, rendue par analyze() (un échec n'empêche pas l'analyse)
+    const baseName = path.basename(req.file.originalname || '', path.extname(req.file.originalname || ''));
+    const safeBase = (baseName || 'file').replace(/[^a-z0-9_\-]/gi, '_');
+    const thumbName = `${Date.now()}_${safeBase}${previewExtension(parsePreviewOptions(params, 'thumbnail'))}`;
+
+    const result = await analyze(filePath, {
+      ...params,
+      originalName: req.file.originalname,
+      thumbnailPath: path.join(thumbsDir, thumbName),
+      inPlace: true
+    });
 
-      resolve();
+    return res.json({
+      fileName: req.file.originalname,
+      ...result,
+      ...(result.thumbnail ? { thumbnailPath: `/thumbnails/${thumbName}` } : {})
     });
-  });
+
+  } catch (err) {
+    console.error('Analyze error:', err);
+    return res
+      .status(err.statusCode || 500)
+      .json({ error: err.message || 'Analyze failed', ...toolErrorDetails(err) });
+  } finally {
+    try {
+      if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    } catch (e) {
+      console.warn('Erreur suppression fichier upload:', e.message);
+    }
+  }
 }
+app.post('/analyze', upload.single('FILE'), withUploadedFile, withCallback('analyze'), withResultCache('analyze', handleAnalyze));
 
 
 
-// Conversion SVG → PDF (via rsvg-convert)
-// /!\ Nécessite le binaire système `rsvg-convert` (paquet librsvg2-bin sous Debian/Ubuntu)
-function convertSvgToPdf(svgPath, pdfPath) {
-  return new Promise((resolve, reject) => {
-    const command = `rsvg-convert -f pdf -o "${pdfPath}" "${svgPath}"`;
-    exec(command, (error, stdout, stderr) => {
-      if (error) {
-        console.error('Erreur rsvg-convert :', stderr || error.message);
-        return reject(new Error('SVG to PDF conversion failed'));
-      }
-      resolve(pdfPath);
+// ---- Conversion des formats non supportés (SVG / AI / EPS / PDF / images) en PDF pour pdf2press ----
+async function handleConvertToPdf(req, res) {
+  if (!req.file) {
+    if (req.iccProfileFile) fs.unlinkSync(req.iccProfileFile.path);
+    return res.status(400).json({ ok: false, error: 'No file uploaded' });
+  }
+
+  const filePath = req.file.path;
+  const params = { ...req.query, ...req.body };
+
+  try {
+    const baseName = path.basename(req.file.originalname, path.extname(req.file.originalname));
+    const safeBase = baseName.replace(/[^a-z0-9_\-]/gi, '_') || 'file';
+
+    const outName = `${Date.now()}_${safeBase}.pdf`;
+    const finalPdfPath = path.join(convertedDir, outName);
+
+    // Recadrage, échelle, polices, fond perdu, couleur, linéarisation : voir convertToPdf (lib/api.js)
+    const info = await convertToPdf(filePath, finalPdfPath, {
+      ...params,
+      iccProfileFile: req.iccProfileFile ? req.iccProfileFile.path : undefined,
+      iccProfileName: req.iccProfileFile ? req.iccProfileFile.originalname : undefined,
+      originalName: req.file.originalname,
+      inPlace: true
     });
-  });
-}
 
-// Conversion AI (Illustrator PDF-compatible) → PDF via Ghostscript
-// Conversion AI (Illustrator PDF-compatible) → PDF via Ghostscript
-// Ici on utilise -dEPSCrop pour recadrer directement sur le bounding box
-// Conversion AI (Illustrator PDF-compatible) → PDF brut via Ghostscript
-// Conversion AI (Illustrator PDF-compatible) → PDF brut via Ghostscript
-function convertAiToPdf(aiPath, pdfPath) {
-  return new Promise((resolve, reject) => {
-    const command =
-      `${GS_CMD} -dSAFER -dNOPAUSE -dBATCH ` +
-      `-sDEVICE=pdfwrite ` +             // ❌ plus de -dEPSCrop ici
-      `-sOutputFile="${pdfPath}" ` +
-      `"${aiPath}"`;
-
-    exec(command, (error, stdout, stderr) => {
-      if (error) {
-        console.error('Erreur Ghostscript AI->PDF :', stderr || error.message);
-        return reject(new Error('AI to PDF conversion failed'));
-      }
-      console.log('convertAiToPdf OK pour', pdfPath);
-      resolve(pdfPath);
+    // 🔹 Miniature à partir du PDF final recadré
+    let thumbWebPath = null;
+    try {
+      const thumbName = `${Date.now()}_${safeBase}.png`;
+      await makeThumbnail(finalPdfPath, path.join(thumbsDir, thumbName));
+      thumbWebPath = `/thumbnails/${thumbName}`;
+    } catch (e) {
+      console.warn('Impossible de générer la miniature :', e.message);
+    }
+
+    return res.json({
+      ok: true,
+      pdfPath: `/converted/${outName}`,
+      pdfFileName: outName,
+      ...info,
+      ...(thumbWebPath ? { thumbnailPath: thumbWebPath } : {})
     });
-  });
+  } catch (err) {
+    console.error('convert-to-pdf error:', err);
+    return res
+      .status(err.statusCode || 500)
+      .json({ ok: false, error: err.message || 'Convert to PDF failed', ...toolErrorDetails(err) });
+  } finally {
+    // on supprime le fichier uploadé (AI/SVG/PDF original) et le profil ICC éventuel
+    for (const p of [filePath, req.iccProfileFile && req.iccProfileFile.path].filter(Boolean)) {
+      try {
+        if (fs.existsSync(p)) fs.unlinkSync(p);
+      } catch (e) {
+        console.warn('Erreur suppression fichier upload:', e.message);
+      }
+    }
+  }
 }
+app.post(
+  '/convert-to-pdf',
+  convertUpload,
+  withUploadedFile,
+  withCallback('convert-to-pdf'),
+  withResultCache('convert-to-pdf', handleConvertToPdf)
+);
 
 
 
 
+// ---- Fond perdu : PDF avec TrimBox = illustration et BleedBox agrandie ----
+// Champs : bleed_mm (obligatoire), bleedMode = mirror | stretch | none
+async function handleAddBleed(req, res) {
+  if (!req.file) {
+    return res.status(400).json({ ok: false, error: 'No file uploaded' });
+  }
 
-// ---- Analyseurs par type de fichier ----
+  const filePath = req.file.path;
+  const tmpPdfPath = filePath + '.bleed.pdf';
+  const params = { ...req.query, ...req.body };
 
-// PDF : bounding box du contenu rendu (page 1)
-async function analyzePDF(filePath) {
-  const bbox = await runGhostscriptBBox(filePath);
-  return {
-    format: 'pdf',
-    pageCount: 1, // tu pourras améliorer plus tard si besoin
-    ...bbox
-  };
-}
+  try {
+    const { ext, report: formatInfo } = await prepareUpload(req.file, params);
+    if (!['.pdf', '.ai', '.eps', '.ps', '.svg'].includes(ext)) {
+      throw unsupportedFormat('/add-bleed', formatInfo);
+    }
 
-// AI (Illustrator PDF-compatible) : même logique que PDF
-async function analyzeAI(filePath) {
-  const bbox = await runGhostscriptBBox(filePath);
-  return {
-    format: 'ai',
-    pageCount: 1,
-    ...bbox
-  };
-}
+    const bleedOptions = parseBleedOptions(params);
+    if (!bleedOptions) {
+      return res.status(400).json({ ok: false, error: 'bleed_mm is required' });
+    }
 
-// SVG : SVG -> PDF -> bbox Ghostscript
-// Facteur de correction 96 dpi (SVG) -> 72 points (PDF)
-const SVG_DPI_FACTOR = 96 / 72;
+    const baseName = path.basename(req.file.originalname, path.extname(req.file.originalname));
+    const safeBase = baseName.replace(/[^a-z0-9_\-]/gi, '_') || 'file';
+    const outName = `${Date.now()}_${safeBase}_bleed.pdf`;
+    const finalPdfPath = path.join(convertedDir, outName);
 
-async function analyzeSVG(filePath) {
-  const pdfTemp = filePath + '.tmp.pdf';
+    const { pdfPath } = await ensurePdfForAnalysis(filePath, ext, tmpPdfPath);
+    const bleedInfo = await addBleed(pdfPath, finalPdfPath, bleedOptions);
 
-  try {
-    await convertSvgToPdf(filePath, pdfTemp);
-    const raw = await runGhostscriptBBox(pdfTemp);
-
-    const widthPtCorrected = raw.widthPt * SVG_DPI_FACTOR;
-    const heightPtCorrected = raw.heightPt * SVG_DPI_FACTOR;
-
-    const widthMmCorrected = +(raw.width_mm * SVG_DPI_FACTOR).toFixed(2);
-    const heightMmCorrected = +(raw.height_mm * SVG_DPI_FACTOR).toFixed(2);
-
-    return {
-      format: 'svg',
-      pageCount: 1,
-      llx: raw.llx,
-      lly: raw.lly,
-      urx: raw.urx,
-      ury: raw.ury,
-      widthPt: widthPtCorrected,
-      heightPt: heightPtCorrected,
-      width_mm: widthMmCorrected,
-      height_mm: heightMmCorrected,
-      source: 'svg_ghostscript_96dpi_fix'
-    };
+    let thumbWebPath = null;
+    try {
+      const thumbName = `${Date.now()}_${safeBase}.png`;
+      await makeThumbnail(finalPdfPath, path.join(thumbsDir, thumbName));
+      thumbWebPath = `/thumbnails/${thumbName}`;
+    } catch (e) {
+      console.warn('Impossible de générer la miniature bleed :', e.message);
+    }
+
+    return res.json({
+      ok: true,
+      pdfPath: `/converted/${outName}`,
+      pdfFileName: outName,
+      format: 'pdf',
+      ...bleedInfo,
+      ...(thumbWebPath ? { thumbnailPath: thumbWebPath } : {})
+    });
+  } catch (err) {
+    console.error('add-bleed error:', err);
+    return res
+      .status(err.statusCode || 500)
+      .json({ ok: false, error: err.message || 'Add bleed failed', ...toolErrorDetails(err) });
   } finally {
-    if (fs.existsSync(pdfTemp)) {
-      fs.unlinkSync(pdfTemp);
+    for (const p of [filePath, tmpPdfPath]) {
+      try {
+        if (fs.existsSync(p)) fs.unlinkSync(p);
+      } catch (e) {
+        console.warn('Erreur suppression fichier add-bleed:', e.message);
+      }
     }
   }
 }
+app.post('/add-bleed', upload.single('FILE'), handleAddBleed);
 
-function makeThumbnail(inputPath, outputPath) {
-  return new Promise((resolve, reject) => {
-    const cmd = [
-      GS_CMD,              // ✅ au lieu de 'gs'
-      '-dSAFER',
-      '-dNOPAUSE',
-      '-dBATCH',
-      '-sDEVICE=pngalpha',
-      '-r150',
-      '-dFirstPage=1',
-      '-dLastPage=1',
-      `-sOutputFile="${outputPath}"`,
-      `"${inputPath}"`
-    ].join(' ');
-
-    exec(cmd, (error, stdout, stderr) => {
-      if (error) {
-        console.error('Erreur Ghostscript thumbnail:', stderr || error.message);
-        return reject(error);
+
+
+// ---- Imposition step-and-repeat sur une feuille ----
+// Source : FILE uploadé, ou pdfFileName d'un PDF déjà converti (/converted)
+// Champs : sheet (A3, SRA3, ...) ou sheetWidth_mm/sheetHeight_mm, margin_mm,
+// gutter_mm, copies ou fill=1, cropMarks, allowRotation
+async function handleImpose(req, res) {
+  const params = { ...req.query, ...req.body };
+  const filePath = req.file ? req.file.path : null;
+  const tmpPdfPath = filePath ? filePath + '.impose.pdf' : null;
+
+  try {
+    let sourcePdf;
+    let baseName;
+
+    if (req.file) {
+      const { ext, report: formatInfo } = await prepareUpload(req.file, params);
+      if (!['.pdf', '.ai', '.eps', '.ps', '.svg'].includes(ext)) {
+        throw unsupportedFormat('/impose', formatInfo);
+      }
+      sourcePdf = (await ensurePdfForAnalysis(filePath, ext, tmpPdfPath)).pdfPath;
+      baseName = path.basename(req.file.originalname, path.extname(req.file.originalname));
+    } else if (params.pdfFileName) {
+      // Uniquement un fichier de /converted (pas de chemin)
+      const name = path.basename(String(params.pdfFileName));
+      sourcePdf = path.join(convertedDir, name);
+      if (name !== params.pdfFileName || !fs.existsSync(sourcePdf)) {
+        return res.status(404).json({ ok: false, error: 'Converted PDF not found' });
       }
-      resolve();
+      baseName = path.basename(name, '.pdf');
+    } else {
+      return res.status(400).json({ ok: false, error: 'No file uploaded and no pdfFileName given' });
+    }
+
+    const options = parseImpositionOptions(params);
+    const safeBase = baseName.replace(/[^a-z0-9_\-]/gi, '_') || 'file';
+    const outName = `${Date.now()}_${safeBase}_imposed.pdf`;
+    const finalPdfPath = path.join(convertedDir, outName);
+
+    const layout = await imposePdf(sourcePdf, finalPdfPath, options);
+
+    let thumbWebPath = null;
+    try {
+      const thumbName = `${Date.now()}_${safeBase}_imposed.png`;
+      await makeThumbnail(finalPdfPath, path.join(thumbsDir, thumbName));
+      thumbWebPath = `/thumbnails/${thumbName}`;
+    } catch (e) {
+      console.warn('Impossible de générer la miniature imposition :', e.message);
+    }
+
+    return res.json({
+      ok: true,
+      pdfPath: `/converted/${outName}`,
+      pdfFileName: outName,
+      format: 'pdf',
+      ...layout,
+      ...(thumbWebPath ? { thumbnailPath: thumbWebPath } : {})
     });
-  });
+  } catch (err) {
+    console.error('impose error:', err);
+    return res
+      .status(err.statusCode || 500)
+      .json({ ok: false, error: err.message || 'Imposition failed', ...toolErrorDetails(err) });
+  } finally {
+    for (const p of [filePath, tmpPdfPath]) {
+      try {
+        if (p && fs.existsSync(p)) fs.unlinkSync(p);
+      } catch (e) {
+        console.warn('Erreur suppression fichier impose:', e.message);
+      }
+    }
+  }
 }
+app.post('/impose', upload.single('FILE'), handleImpose);
 
 
 
-// ---- Route multi-format d'analyse ----
-
-app.post('/analyze', upload.single('FILE'), async (req, res) => {
+// ---- Tracé de découpe pour plotter (stickers) ----
+// Champs : spotNames (défaut CutContour,Thru-cut,Kiss-cut), page (défaut 1),
+// printPdf=1 pour produire aussi le PDF d'impression sans le calque de découpe
+async function handleCutContour(req, res) {
   if (!req.file) {
-    return res.status(400).json({ error: 'No file uploaded' });
+    return res.status(400).json({ ok: false, error: 'No file uploaded' });
   }
 
   const filePath = req.file.path;
-  const ext = path.extname(req.file.originalname || '').toLowerCase();
-
-  let thumbWebPath = null;
+  const tmpPdfPath = filePath + '.cut.pdf';
+  const params = { ...req.query, ...req.body };
 
   try {
-    let result;
-
-    if (ext === '.eps' || ext === '.ps') {
-      // On s’appuie sur ton analyseur EPS existant
-      const epsData = await analyzeEPS(filePath);
-      // On force le format pour rester cohérent
-      result = { format: 'eps', ...epsData };
-    } else if (ext === '.pdf') {
-      result = await analyzePDF(filePath);
-    } else if (ext === '.ai') {
-      result = await analyzeAI(filePath);
-    } else if (ext === '.svg') {
-      result = await analyzeSVG(filePath);
-    } else {
-      return res
-        .status(400)
-        .json({ error: `Format non supporté pour /analyze: ${ext}` });
+    const options = parseCutOptions(params);
+    const { ext, report: formatInfo, intake } = await prepareUpload(req.file, params);
+    if (!['.pdf', '.ai', '.eps', '.ps', '.svg'].includes(ext)) {
+      throw unsupportedFormat('/cut-contour', formatInfo);
     }
 
-    // Miniature pour EPS / PS / PDF
-    if (['.eps', '.ps', '.pdf'].includes(ext)) {
-      const baseName = path.basename(req.file.originalname || '', ext);
-      const safeBase = (baseName || 'file').replace(/[^a-z0-9_\-]/gi, '_');
-
-      const thumbName = `${Date.now()}_${safeBase}.png`;
-      const thumbPath = path.join(thumbsDir, thumbName);
+    const baseName = path.basename(req.file.originalname, path.extname(req.file.originalname));
+    const safeBase = baseName.replace(/[^a-z0-9_\-]/gi, '_') || 'file';
+    const prefix = `${Date.now()}_${safeBase}`;
+    const outputs = {
+      svgPath: path.join(convertedDir, `${prefix}_cut.svg`),
+      dxfPath: path.join(convertedDir, `${prefix}_cut.dxf`),
+      printPdfPath: options.printPdf ? path.join(convertedDir, `${prefix}_print.pdf`) : null
+    };
 
-      await makeThumbnail(filePath, thumbPath);
-      thumbWebPath = `/thumbnails/${thumbName}`;
+    // SVG : éléments de découpe rendus à part ; autres formats : tons directs du PDF
+    let result;
+    if (ext === '.svg') {
+      result = await extractSvgCutContour(filePath, options, outputs);
+    } else {
+      const { pdfPath } = await ensurePdfForAnalysis(filePath, ext, tmpPdfPath);
+      result = await extractPdfCutContour(pdfPath, options, outputs);
     }
 
     return res.json({
+      ok: true,
       fileName: req.file.originalname,
+      format: ext.slice(1),
+      ...formatInfo,
+      spotNames: options.spotNames,
+      page: options.page,
       ...result,
-      ...(thumbWebPath ? { thumbnailPath: thumbWebPath } : {})
+      svgPath: `/converted/${path.basename(outputs.svgPath)}`,
+      dxfPath: `/converted/${path.basename(outputs.dxfPath)}`,
+      ...(outputs.printPdfPath ? { printPdfPath: `/converted/${path.basename(outputs.printPdfPath)}` } : {}),
+      ...(intake ? { pdfIntake: intake } : {})
     });
-
   } catch (err) {
-    console.error('Analyze error:', err);
-    return res.status(500).json({ error: err.message || 'Analyze failed' });
+    console.error('cut-contour error:', err);
+    return res
+      .status(err.statusCode || 500)
+      .json({ ok: false, error: err.message || 'Cut contour extraction failed', ...toolErrorDetails(err) });
   } finally {
-    try {
-      if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
-    } catch (e) {
-      console.warn('Erreur suppression fichier upload:', e.message);
+    for (const p of [filePath, tmpPdfPath]) {
+      try {
+        if (fs.existsSync(p)) fs.unlinkSync(p);
+      } catch (e) {
+        console.warn('Erreur suppression fichier découpe:', e.message);
+      }
     }
   }
-});
+}
+app.post('/cut-contour', upload.single('FILE'), handleCutContour);
 
 
 
-/// ---- Nouvelle route : conversion en PDF pour formats non supportés (ex: SVG / AI) ----
-/// ---- Nouvelle route : conversion en PDF pour formats non supportés (ex: SVG / AI) ----
-// ---- Conversion des formats non supportés (SVG / AI) en PDF pour pdf2press ----
-// ---- Conversion des formats non supportés (SVG / AI) en PDF pour pdf2press ----
-app.post('/convert-to-pdf', upload.single('FILE'), async (req, res) => {
+// ---- Aperçu bitmap ----
+// Options (champs multipart ou query) : format (png, jpeg, webp), width_px / height_px
+// ou dpi, page (numéro ou "all" : planche contact), columns, background, overlay
+// (1, trim, bleed), quality
+
+async function handlePreview(req, res) {
   if (!req.file) {
     return res.status(400).json({ ok: false, error: 'No file uploaded' });
   }
 
   const filePath = req.file.path;
-  const ext = path.extname(req.file.originalname || '').toLowerCase();
+  const tmpPdfPath = filePath + '.preview.pdf';
+  const params = { ...req.query, ...req.body };
+  let previewPath = null;
 
   try {
-    // On accepte maintenant : SVG, AI, PDF
-    if (ext !== '.svg' && ext !== '.ai' && ext !== '.pdf') {
-      return res
-        .status(400)
-        .json({ ok: false, error: `Conversion to PDF not implemented for ${ext}` });
-    }
+    const options = parsePreviewOptions(params);
+    const { ext, report: formatInfo, intake } = await prepareUpload(req.file, params);
 
-    const baseName = path.basename(req.file.originalname, ext);
+    const baseName = path.basename(req.file.originalname, path.extname(req.file.originalname));
     const safeBase = baseName.replace(/[^a-z0-9_\-]/gi, '_') || 'file';
+    const suffix = options.contactSheet ? 'sheet' : `p${options.page}`;
+    const previewName = `${Date.now()}_${safeBase}_${suffix}${previewExtension(options)}`;
+    previewPath = path.join(thumbsDir, previewName);
 
-    const outName = `${Date.now()}_${safeBase}.pdf`;
-    const finalPdfPath = path.join(convertedDir, outName);
+    const pdfPath = await ensurePdfForPreview(filePath, ext, tmpPdfPath);
+    const preview = await renderPreview(pdfPath, previewPath, options);
 
-    // -------------------------------
-    // CAS 1 : SVG → PDF + recadrage
-    // -------------------------------
-    if (ext === '.svg') {
-      const tmpPdfPath = finalPdfPath + '.tmp';
+    return res.json({
+      ok: true,
+      fileName: req.file.originalname,
+      format: ext.slice(1),
+      ...formatInfo,
+      previewPath: `/thumbnails/${previewName}`,
+      preview,
+      ...(intake ? { pdfIntake: intake } : {})
+    });
+  } catch (err) {
+    console.error('preview error:', err);
+    if (previewPath && fs.existsSync(previewPath)) fs.unlinkSync(previewPath);
+    return res
+      .status(err.statusCode || 500)
+      .json({ ok: false, error: err.message || 'Preview failed', ...toolErrorDetails(err) });
+  } finally {
+    for (const p of [filePath, tmpPdfPath]) {
+      try {
+        if (fs.existsSync(p)) fs.unlinkSync(p);
+      } catch (e) {
+        console.warn('Erreur suppression fichier aperçu:', e.message);
+      }
+    }
+  }
+}
+app.post('/preview', upload.single('FILE'), withResultCache('preview', handlePreview));
 
-      // 1) SVG -> PDF brut
-      await convertSvgToPdf(filePath, tmpPdfPath);
 
-      // 2) bbox sur le PDF brut
-      const rawBbox = await runGhostscriptBBox(tmpPdfPath);
-      console.log("rawBbox SVG convert-to-pdf =", rawBbox);
 
-      const bboxForCrop = {
-        llx: rawBbox.llx,
-        lly: rawBbox.lly,
-        widthPt: rawBbox.widthPt,
-        heightPt: rawBbox.heightPt
-      };
+// ---- Comparaison de deux versions ----
+// Fichiers : FILE_A (version de référence) et FILE_B (nouvelle version), tous formats.
+// Options (champs multipart ou query) : page (défaut 1), dpi (défaut 100), tolerance
+// (écart par composante ignoré, 0-255), password (commun aux deux PDF)
 
-      // 3) Recadrage du PDF sur ce bbox (sans scale)
-      await cropPdfToBbox(tmpPdfPath, finalPdfPath, bboxForCrop);
+async function handleCompare(req, res) {
+  const files = [req.files && req.files.FILE_A && req.files.FILE_A[0], req.files && req.files.FILE_B && req.files.FILE_B[0]];
+  const params = { ...req.query, ...req.body };
+  const tmpPdfPaths = files.map((file) => (file ? file.path + '.compare.pdf' : null));
+  let diffPath = null;
 
-      // supprimer le PDF intermédiaire
+  try {
+    if (!files[0] || !files[1]) {
+      return res.status(400).json({ ok: false, error: 'Two files are required (FILE_A and FILE_B)' });
+    }
+    const options = parseCompareOptions(params);
+
+    // Analyse et PDF de rendu de chaque version
+    const sides = [];
+    for (const [i, file] of files.entries()) {
+      const { ext, report, intake } = await prepareUpload(file, params);
+      const analysis = await analyzeByFormat(file.path, ext, report, params, '/compare');
+      const pdfPath = await ensurePdfForPreview(file.path, ext, tmpPdfPaths[i]);
+      sides.push({
+        pdfPath,
+        analysis: { ...analysis, ...report, colourSpaces: await colourSummary(pdfPath) },
+        intake
+      });
+    }
+
+    const baseName = path.basename(files[1].originalname, path.extname(files[1].originalname));
+    const safeBase = baseName.replace(/[^a-z0-9_\-]/gi, '_') || 'file';
+    const diffName = `${Date.now()}_${safeBase}_diff_p${options.page}.png`;
+    diffPath = path.join(thumbsDir, diffName);
+
+    const pixels = await comparePdfs(sides[0].pdfPath, sides[1].pdfPath, diffPath, options);
+
+    return res.json({
+      ok: true,
+      fileNames: { a: files[0].originalname, b: files[1].originalname },
+      diffPath: `/thumbnails/${diffName}`,
+      ...pixels,
+      ...diffFields(sides[0].analysis, sides[1].analysis),
+      ...(sides[0].intake || sides[1].intake
+        ? { pdfIntake: { a: sides[0].intake, b: sides[1].intake } }
+        : {})
+    });
+  } catch (err) {
+    console.error('compare error:', err);
+    if (diffPath && fs.existsSync(diffPath)) fs.unlinkSync(diffPath);
+    return res
+      .status(err.statusCode || 500)
+      .json({ ok: false, error: err.message || 'Compare failed', ...toolErrorDetails(err) });
+  } finally {
+    for (const p of [...files.map((file) => file && file.path), ...tmpPdfPaths]) {
       try {
-        if (fs.existsSync(tmpPdfPath)) fs.unlinkSync(tmpPdfPath);
+        if (p && fs.existsSync(p)) fs.unlinkSync(p);
       } catch (e) {
-        console.warn("Erreur suppression tmpPdfPath:", e.message);
+        console.warn('Erreur suppression fichier comparaison:', e.message);
       }
+    }
+  }
+}
+app.post(
+  '/compare',
+  upload.fields([{ name: 'FILE_A', maxCount: 1 }, { name: 'FILE_B', maxCount: 1 }]),
+  handleCompare
+);
+
+
+
+// ---- Adéquation au produit commandé ----
+// Options (champs multipart ou query) : trimWidth_mm, trimHeight_mm (format fini, requis),
+// bleed_mm, safeMargin_mm, tolerance_mm (défaut 0,5), pages ; aperçu annoté :
+// previewFormat, previewDpi, previewWidth_px, previewPage (défaut : 1re page contrôlée), ...
 
-            const widthMm = rawBbox.widthPt * 25.4 / 72;
-      const heightMm = rawBbox.heightPt * 25.4 / 72;
+async function handleFitCheck(req, res) {
+  if (!req.file) {
+    return res.status(400).json({ ok: false, error: 'No file uploaded' });
+  }
+
+  const filePath = req.file.path;
+  const tmpPdfPath = filePath + '.fit.pdf';
+  const annotatedPdfPath = filePath + '.fit-annotated.pdf';
+  const params = { ...req.query, ...req.body };
+  let previewPath = null;
+
+  try {
+    const product = parseFitOptions(params);
+    const previewOptions = parsePreviewOptions(params, 'preview');
+    const { ext, report: formatInfo, intake } = await prepareUpload(req.file, params);
 
-      // 🔹 Miniature à partir du PDF final recadré
-      let thumbWebPath = null;
+    const pdfPath = await ensurePdfForPreview(filePath, ext, tmpPdfPath);
+    const result = await checkFit(pdfPath, product, { pages: params.pages });
+    const legend = await annotateFit(pdfPath, annotatedPdfPath, result);
+
+    // Aperçu annoté : première page contrôlée sauf previewPage explicite
+    if (!params.previewPage && !previewOptions.contactSheet) previewOptions.page = result.pages[0].page;
+    if (!previewOptions.background && previewOptions.format !== 'jpeg') previewOptions.background = '#ffffff';
+
+    const baseName = path.basename(req.file.originalname, path.extname(req.file.originalname));
+    const safeBase = baseName.replace(/[^a-z0-9_\-]/gi, '_') || 'file';
+    const previewName = `${Date.now()}_${safeBase}_fit${previewExtension(previewOptions)}`;
+    previewPath = path.join(thumbsDir, previewName);
+    const preview = await renderPreview(annotatedPdfPath, previewPath, previewOptions);
+
+    return res.json({
+      ok: true,
+      fileName: req.file.originalname,
+      format: ext.slice(1),
+      ...formatInfo,
+      ...result,
+      previewPath: `/thumbnails/${previewName}`,
+      preview: { ...preview, legend },
+      ...(intake ? { pdfIntake: intake } : {})
+    });
+  } catch (err) {
+    console.error('fit-check error:', err);
+    if (previewPath && fs.existsSync(previewPath)) fs.unlinkSync(previewPath);
+    return res
+      .status(err.statusCode || 500)
+      .json({ ok: false, error: err.message || 'Fit check failed', ...toolErrorDetails(err) });
+  } finally {
+    for (const p of [filePath, tmpPdfPath, annotatedPdfPath]) {
       try {
-        const thumbName = `${Date.now()}_${safeBase}.png`;
-        const thumbPath = path.join(thumbsDir, thumbName);
-        await makeThumbnail(finalPdfPath, thumbPath);
-        thumbWebPath = `/thumbnails/${thumbName}`;
+        if (fs.existsSync(p)) fs.unlinkSync(p);
       } catch (e) {
-        console.warn('Impossible de générer la miniature SVG :', e.message);
+        console.warn('Erreur suppression fichier fit-check:', e.message);
       }
+    }
+  }
+}
+app.post('/fit-check', upload.single('FILE'), withResultCache('fit-check', handleFitCheck));
 
-      return res.json({
-        ok: true,
-        pdfPath: `/converted/${outName}`,
-        pdfFileName: outName,
-        format: 'pdf',
-        llx: rawBbox.llx,
-        lly: rawBbox.lly,
-        urx: rawBbox.urx,
-        ury: rawBbox.ury,
-        widthPt: rawBbox.widthPt,
-        heightPt: rawBbox.heightPt,
-        width_mm: +widthMm.toFixed(2),
-        height_mm: +heightMm.toFixed(2),
-        source: (rawBbox.source || 'ghostscript') + '_svg_cropped',
-        ...(thumbWebPath ? { thumbnailPath: thumbWebPath } : {})
-      });
 
-    }
 
-    // -------------------------------
-    // CAS 2 : AI → PDF + recadrage
-    // -------------------------------
-    if (ext === '.ai') {
-      const tmpPdfPath = finalPdfPath + '.tmp';
+// ---- Preflight : contrôle d'imprimabilité ----
 
-      // 1) AI -> PDF brut (page originale, sans crop)
-      await convertAiToPdf(filePath, tmpPdfPath);
+// Constats du preflight sur la préparation du fichier : conversion en PDF, interventions
+// qpdf avant contrôle (le chiffrement d'origine n'est plus visible)
+function preparationFindings(convertedFrom, intake) {
+  const findings = [];
+  if (convertedFrom) {
+    findings.push({
+      code: 'CONVERTED_FOR_PREFLIGHT',
+      severity: 'info',
+      page: null,
+      message: `File was converted from ${convertedFrom.toUpperCase()} to PDF before checking; fonts may have been embedded or substituted by the conversion`
+    });
+  }
+  if (intake && intake.actions.includes('decrypted')) {
+    findings.push({
+      code: 'DECRYPTED_FOR_PREFLIGHT',
+      severity: 'warning',
+      page: null,
+      message: 'File was encrypted; it was decrypted before checking and may need to be supplied unprotected for print'
+    });
+  }
+  if (intake && intake.actions.includes('repaired')) {
+    findings.push({
+      code: 'REPAIRED_FOR_PREFLIGHT',
+      severity: 'warning',
+      page: null,
+      message: 'File structure was damaged and repaired by qpdf before checking',
+      details: intake.repairMessages || null
+    });
+  }
+  return findings;
+}
+
+// Options (champs multipart ou query) : minDpi, minLineWidth_mm
+async function handlePreflight(req, res) {
+  if (!req.file) {
+    return res.status(400).json({ ok: false, error: 'No file uploaded' });
+  }
 
-      // 2) bbox sur le PDF brut
-      const rawBbox = await runGhostscriptBBox(tmpPdfPath);
-      console.log("rawBbox AI convert-to-pdf =", rawBbox);
+  const filePath = req.file.path;
+  const tmpPdfPath = filePath + '.preflight.pdf';
+  const params = { ...req.query, ...req.body };
 
-      const bboxForCrop = {
-        llx: rawBbox.llx,
-        lly: rawBbox.lly,
-        widthPt: rawBbox.widthPt,
-        heightPt: rawBbox.heightPt
-      };
+  try {
+    const { ext, report: formatInfo, intake } = await prepareUpload(req.file, params);
+    if (!['.pdf', '.ai', '.eps', '.ps', '.svg'].includes(ext)) {
+      throw unsupportedFormat('/preflight', formatInfo);
+    }
 
-      // 3) Recadrage du PDF sur ce bbox
-      await cropPdfToBbox(tmpPdfPath, finalPdfPath, bboxForCrop);
+    // Les formats non PDF sont contrôlés sur leur conversion PDF
+    const { pdfPath, convertedFrom } = await ensurePdfForAnalysis(filePath, ext, tmpPdfPath);
 
-      // supprimer le PDF intermédiaire
+    const report = await preflightPdf(pdfPath, {
+      minDpi: params.minDpi,
+      minLineWidth_mm: params.minLineWidth_mm,
+      extraFindings: preparationFindings(convertedFrom, intake)
+    });
+
+    return res.json({
+      ok: true,
+      fileName: req.file.originalname,
+      format: ext.slice(1),
+      ...report,
+      ...(intake ? { pdfIntake: intake } : {})
+    });
+  } catch (err) {
+    console.error('preflight error:', err);
+    return res
+      .status(err.statusCode || 500)
+      .json({ ok: false, error: err.message || 'Preflight failed', ...toolErrorDetails(err) });
+  } finally {
+    for (const p of [filePath, tmpPdfPath]) {
       try {
-        if (fs.existsSync(tmpPdfPath)) fs.unlinkSync(tmpPdfPath);
+        if (fs.existsSync(p)) fs.unlinkSync(p);
       } catch (e) {
-        console.warn("Erreur suppression tmpPdfPath (AI):", e.message);
+        console.warn('Erreur suppression fichier preflight:', e.message);
       }
+    }
+  }
+}
+app.post('/preflight', upload.single('FILE'), handlePreflight);
+
 
-            const widthMm = rawBbox.widthPt * 25.4 / 72;
-      const heightMm = rawBbox.heightPt * 25.4 / 72;
 
-      // 🔹 Miniature à partir du PDF final recadré
-      let thumbWebPath = null;
+// ---- Couverture d'encre et séparations ----
+// Options : inkMode=fast (CMJN seul, device inkcov), inkResolution, pages
+async function handleInkCoverage(req, res) {
+  if (!req.file) {
+    return res.status(400).json({ ok: false, error: 'No file uploaded' });
+  }
+
+  const filePath = req.file.path;
+  const tmpPdfPath = filePath + '.ink.pdf';
+  const params = { ...req.query, ...req.body };
+
+  try {
+    const { ext, report: formatInfo } = await prepareUpload(req.file, params);
+    if (!['.pdf', '.ai', '.eps', '.ps', '.svg'].includes(ext)) {
+      throw unsupportedFormat('/ink-coverage', formatInfo);
+    }
+
+    const { pdfPath } = await ensurePdfForAnalysis(filePath, ext, tmpPdfPath);
+    const report = await analyzeInkCoverage(pdfPath, inkCoverageOptions(params, await pdfPageCount(pdfPath)));
+
+    return res.json({
+      ok: true,
+      fileName: req.file.originalname,
+      format: ext.slice(1),
+      ...report
+    });
+  } catch (err) {
+    console.error('ink-coverage error:', err);
+    return res
+      .status(err.statusCode || 500)
+      .json({ ok: false, error: err.message || 'Ink coverage failed', ...toolErrorDetails(err) });
+  } finally {
+    for (const p of [filePath, tmpPdfPath]) {
       try {
-        const thumbName = `${Date.now()}_${safeBase}.png`;
-        const thumbPath = path.join(thumbsDir, thumbName);
-        await makeThumbnail(finalPdfPath, thumbPath);
-        thumbWebPath = `/thumbnails/${thumbName}`;
+        if (fs.existsSync(p)) fs.unlinkSync(p);
       } catch (e) {
-        console.warn('Impossible de générer la miniature AI :', e.message);
+        console.warn('Erreur suppression fichier ink-coverage:', e.message);
       }
+    }
+  }
+}
+app.post('/ink-coverage', upload.single('FILE'), handleInkCoverage);
 
-      return res.json({
-        ok: true,
-        pdfPath: `/converted/${outName}`,
-        pdfFileName: outName,
-        format: 'pdf',
-        llx: rawBbox.llx,
-        lly: rawBbox.lly,
-        urx: rawBbox.urx,
-        ury: rawBbox.ury,
-        widthPt: rawBbox.widthPt,
-        heightPt: rawBbox.heightPt,
-        width_mm: +widthMm.toFixed(2),
-        height_mm: +heightMm.toFixed(2),
-        source: (rawBbox.source || 'ghostscript') + '_ai_cropped',
-        ...(thumbWebPath ? { thumbnailPath: thumbWebPath } : {})
-      });
 
+
+// ---- Mode asynchrone : file d'attente de jobs ----
+// POST /jobs (champ type = analyze | convert-to-pdf | preflight | ink-coverage |
+// add-bleed | impose, mêmes champs que la route correspondante) → { jobId }
+// GET /jobs/:id → statut, étape, résultat ; DELETE /jobs/:id → annulation
+
+// Nombre max de traitements (donc de process externes) simultanés en mode job
+const JOB_CONCURRENCY = Math.max(1, parseInt(process.env.JOB_CONCURRENCY, 10) || 2);
+const jobsDir = process.env.JOBS_DIR || path.join(__dirname, 'queue');
+
+// Webhooks : hôtes autorisés pour callbackUrl (ex. "hooks.example.com,*.client.fr", aucun
+// rappel sans cette liste), secret par défaut (si la requête n'a pas de callbackSecret),
+// tentatives, délais
+const WEBHOOK_ALLOWED_HOSTS = parseAllowedHosts(process.env.WEBHOOK_ALLOWED_HOSTS);
+const webhooks = createWebhookSender({
+  storeDir: process.env.WEBHOOKS_DIR || path.join(__dirname, 'webhooks'),
+  defaultSecret: process.env.WEBHOOK_SECRET || null,
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || undefined,
+  baseDelayMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || undefined,
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || undefined
+});
+
+// Exécute un handler de route hors HTTP : req/res simulés, réponse capturée
+// file = { path, originalname } ou undefined ; renvoie { statusCode, body }
+function callHandler(handler, file, params) {
+  return new Promise((resolve, reject) => {
+    const req = {
+      file,
+      query: {},
+      body: { ...params }
+    };
+    const res = {
+      statusCode: 200,
+      status(code) {
+        res.statusCode = code;
+        return res;
+      },
+      json(body) {
+        resolve({ statusCode: res.statusCode, body });
+        return res;
+      }
+    };
+    Promise.resolve(handler(req, res)).catch(reject);
+  });
+}
+
+const jobHandlers = {
+  analyze: withResultCache('analyze', handleAnalyze),
+  'convert-to-pdf': withResultCache('convert-to-pdf', handleConvertToPdf),
+  preflight: handlePreflight,
+  'ink-coverage': handleInkCoverage,
+  'add-bleed': handleAddBleed,
+  impose: handleImpose
+};
+
+const jobQueue = createJobQueue({
+  storeDir: jobsDir,
+  concurrency: JOB_CONCURRENCY,
+  handlers: Object.fromEntries(
+    // Annulation : les outils externes lancés par le handler sont tués (processRunner)
+    Object.entries(jobHandlers).map(([type, handler]) => [type, (job, signal) => withAbortSignal(signal, () => callHandler(
+      handler,
+      job.filePath ? { path: job.filePath, originalname: job.fileName } : undefined,
+      job.params
+    ))])
+  ),
+  // Job annulé pendant le traitement : on supprime le PDF produit
+  onCancelledResult: (job, body) => {
+    if (!body.pdfFileName) return;
+    const pdfPath = path.join(convertedDir, path.basename(body.pdfFileName));
+    try {
+      if (fs.existsSync(pdfPath)) fs.unlinkSync(pdfPath);
+    } catch (e) {
+      console.warn('Erreur suppression sortie job annulé:', e.message);
     }
+  },
+  // callbackUrl : envoi de la réponse de la route (succès ou erreur) par webhook
+  onFinished: (job, body) => {
+    if (!job.params.callbackUrl) return;
+    webhooks.send({
+      url: job.params.callbackUrl,
+      secret: job.params.callbackSecret || null,
+      event: job.status === 'completed' ? 'job.completed' : 'job.failed',
+      jobId: job.id,
+      payload: body || { ok: false, error: job.error }
+    });
+  }
+});
 
-    // -------------------------------
-    // CAS 3 : PDF → PDF recadré
-    // -------------------------------
-    if (ext === '.pdf') {
-      // 1) bbox sur le PDF uploadé
-      const rawBbox = await runGhostscriptBBox(filePath);
-      console.log("rawBbox PDF convert-to-pdf =", rawBbox);
+// Réponse 202 d'un job soumis
+function jobAccepted(res, job) {
+  return res.status(202).json({
+    ok: true,
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/jobs/${job.id}`,
+    ...(job.params.callbackUrl
+      ? { callbackUrl: job.params.callbackUrl, deliveriesUrl: `/jobs/${job.id}/deliveries` }
+      : {})
+  });
+}
 
-      const bboxForCrop = {
-        llx: rawBbox.llx,
-        lly: rawBbox.lly,
-        widthPt: rawBbox.widthPt,
-        heightPt: rawBbox.heightPt
-      };
+// callbackUrl (+ callbackSecret optionnel) sur une route : le traitement passe par la
+// file de jobs, la réponse 202 est immédiate et le résultat est posté à callbackUrl
+function withCallback(type) {
+  return (req, res, next) => {
+    const params = { ...req.query, ...req.body };
+    if (!params.callbackUrl) return next();
 
-      // 2) Recadrage direct du PDF
-      await cropPdfToBbox(filePath, finalPdfPath, bboxForCrop);
+    try {
+      params.callbackUrl = validateCallbackUrl(params.callbackUrl, WEBHOOK_ALLOWED_HOSTS);
+      if (!req.file) throw badRequest('No file uploaded');
+      if (req.iccProfileFile) throw badRequest('ICC_PROFILE upload is not supported with callbackUrl, use iccProfile');
+      return jobAccepted(res, jobQueue.submit(type, req.file, params));
+    } catch (err) {
+      for (const file of [req.file, req.iccProfileFile].filter(Boolean)) {
+        if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+      }
+      console.error('callback error:', err);
+      return res.status(err.statusCode || 500).json({ ok: false, error: err.message || 'Job submission failed' });
+    }
+  };
+}
 
-      const widthMm = rawBbox.widthPt * 25.4 / 72;
-      const heightMm = rawBbox.heightPt * 25.4 / 72;
+app.post('/jobs', upload.single('FILE'), withUploadedFile, (req, res) => {
+  const { type, ...params } = { ...req.query, ...req.body };
 
-      // 3) Générer la miniature PNG à partir du PDF final recadré
-const thumbName = `${Date.now()}_${safeBase}.png`;
-const thumbPath = path.join(thumbsDir, thumbName);
-await makeThumbnail(finalPdfPath, thumbPath);
-const thumbWebPath = `/thumbnails/${thumbName}`;
+  try {
+    if (params.callbackUrl) params.callbackUrl = validateCallbackUrl(params.callbackUrl, WEBHOOK_ALLOWED_HOSTS);
+    return jobAccepted(res, jobQueue.submit(type, req.file || null, params));
+  } catch (err) {
+    if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+    console.error('jobs error:', err);
+    return res.status(err.statusCode || 500).json({ ok: false, error: err.message || 'Job submission failed' });
+  }
+});
 
+app.get('/jobs', (req, res) => {
+  res.json(jobQueue.stats());
+});
 
-      return res.json({
-        ok: true,
-        pdfPath: `/converted/${outName}`,
-        pdfFileName: outName,
-        format: 'pdf',
-        llx: rawBbox.llx,
-        lly: rawBbox.lly,
-        urx: rawBbox.urx,
-        ury: rawBbox.ury,
-        widthPt: rawBbox.widthPt,
-        heightPt: rawBbox.heightPt,
-        width_mm: +widthMm.toFixed(2),
-        height_mm: +heightMm.toFixed(2),
-        source: (rawBbox.source || 'ghostscript') + '_pdf_cropped',
-        thumbnailPath: thumbWebPath      // 👈 nouveau
-      });
+app.get('/jobs/:id', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) return res.status(404).json({ ok: false, error: 'Job not found' });
+  return res.json(job);
+});
+
+// Journal des envois webhook d'un job (une entrée par envoi, avec ses tentatives)
+app.get('/jobs/:id/deliveries', (req, res) => {
+  if (!jobQueue.get(req.params.id)) return res.status(404).json({ ok: false, error: 'Job not found' });
+  return res.json({ jobId: req.params.id, deliveries: webhooks.list({ jobId: req.params.id }) });
+});
+
+app.delete('/jobs/:id', (req, res) => {
+  const job = jobQueue.cancel(req.params.id);
+  if (!job) return res.status(404).json({ ok: false, error: 'Job not found' });
+  return res.json(job);
+});
+
+
+// ---- Upload découpé et reprenable (gros fichiers) ----
+// 1) POST /uploads { fileName, size, chunkSize?, sha256? } → uploadId, chunkCount
+// 2) PUT /uploads/:id/chunks/:index (1..chunkCount), corps = octets du morceau,
+//    en-tête X-Chunk-SHA256 = SHA-256 hex du morceau ; renvoyer un morceau le remplace
+// 3) GET /uploads/:id → morceaux reçus / manquants (reprise après coupure)
+// 4) POST /uploads/:id/complete { sha256? } → assemblage, puis uploadId=... sur
+//    /analyze, /convert-to-pdf ou /jobs à la place du champ FILE
+// DELETE /uploads/:id abandonne la session ; sans activité elle expire toute seule.
+
+// Corps brut d'un morceau, limité à la taille max d'un morceau
+function chunkBody(req, res, next) {
+  express.raw({ type: () => true, limit: UPLOAD_MAX_CHUNK_BYTES })(req, res, (err) => {
+    if (!err) return next();
+    return res.status(err.status || 400).json({ ok: false, error: err.message || 'Invalid chunk body' });
+  });
+}
+
+function uploadError(res, err) {
+  console.error('upload error:', err);
+  return res.status(err.statusCode || 500).json({
+    ok: false,
+    error: err.message || 'Upload failed',
+    ...(err.missingChunks ? { missingChunks: err.missingChunks } : {})
+  });
+}
+
+app.post('/uploads', (req, res) => {
+  try {
+    const session = uploadSessions.create({ ...req.query, ...req.body });
+    return res.status(201).json({ ok: true, ...session, statusUrl: `/uploads/${session.uploadId}` });
+  } catch (err) {
+    return uploadError(res, err);
+  }
+});
+
+app.get('/uploads/:id', (req, res) => {
+  const session = uploadSessions.get(req.params.id);
+  if (!session) return res.status(404).json({ ok: false, error: 'Upload session not found' });
+  return res.json(session);
+});
+
+app.put('/uploads/:id/chunks/:index', chunkBody, async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body)) throw badRequest('Chunk body must be sent as application/octet-stream');
+    const session = await uploadSessions.putChunk(req.params.id, req.params.index, req.body, req.get('x-chunk-sha256'));
+    return res.json({ ok: true, chunk: Number(req.params.index), ...session });
+  } catch (err) {
+    return uploadError(res, err);
+  }
+});
+
+app.post('/uploads/:id/complete', async (req, res) => {
+  try {
+    const session = await uploadSessions.complete(req.params.id, { ...req.query, ...req.body });
+    return res.json({ ok: true, ...session });
+  } catch (err) {
+    return uploadError(res, err);
+  }
+});
+
+app.delete('/uploads/:id', (req, res) => {
+  if (!uploadSessions.remove(req.params.id)) {
+    return res.status(404).json({ ok: false, error: 'Upload session not found' });
+  }
+  return res.json({ ok: true, uploadId: req.params.id, status: 'deleted' });
+});
+
+
+// ---- Analyse par lot : plusieurs fichiers et/ou archives ZIP ----
+// Champs : n'importe quel nom de champ fichier (FILE, FILES, ...), report = json | csv,
+// autres champs transmis à /analyze (pages, inkCoverage, ...).
+// Une entrée en échec n'interrompt pas le lot : elle porte son erreur dans le rapport.
+
+const MAX_BATCH_FILES = 100;
+const batchUpload = multer({
+  dest: uploadDir,
+  limits: { fileSize: 100 * 1024 * 1024, files: MAX_BATCH_FILES }
+});
+
+// Archives ZIP : taille totale décompressée max (octets réellement extraits)
+const zipLimits = {
+  maxTotalBytes: Math.floor((parseFloat(process.env.ZIP_MAX_UNCOMPRESSED_MB) || 500) * 1024 * 1024)
+};
+
+const BATCH_CSV_COLUMNS = ['file', 'archive', 'format', 'pageCount', 'width_mm', 'height_mm', 'thumbnailUrl', 'error'];
+
+// Ligne de rapport à partir de la réponse de /analyze
+function batchReportRow(name, archive, outcome, req) {
+  const body = outcome.body || {};
+  if (outcome.statusCode >= 400) {
+    const row = Object.fromEntries(BATCH_CSV_COLUMNS.map((col) => [col, null]));
+    return { ...row, file: name, archive, error: body.error || 'Analyze failed' };
+  }
+  return {
+    file: name,
+    archive,
+    format: body.format || null,
+    pageCount: body.pageCount || 1,
+    width_mm: body.width_mm !== undefined ? body.width_mm : null,
+    height_mm: body.height_mm !== undefined ? body.height_mm : null,
+    thumbnailUrl: body.thumbnailPath ? `${req.protocol}://${req.get('host')}${body.thumbnailPath}` : null,
+    error: null
+  };
+}
+
+app.post('/analyze-batch', batchUpload.any(), async (req, res) => {
+  const uploaded = req.files || [];
+  if (uploaded.length === 0) {
+    return res.status(400).json({ ok: false, error: 'No file uploaded' });
+  }
+
+  const { report, ...params } = { ...req.query, ...req.body };
+  const rows = [];
+  const analyzeEntry = withResultCache('analyze', handleAnalyze);
+
+  try {
+    for (const file of uploaded) {
+      const name = file.originalname || 'file';
+
+      if (path.extname(name).toLowerCase() !== '.zip' && !isZipFile(file.path)) {
+        const outcome = await callHandler(analyzeEntry, { path: file.path, originalname: name }, params);
+        rows.push(batchReportRow(name, null, outcome, req));
+        continue;
+      }
+
+      // Archive : chaque fichier (dossiers imbriqués compris) est extrait puis analysé,
+      // un à la fois ; une archive invalide ou trop volumineuse arrête cette archive
+      try {
+        for await (const entry of extractZipEntries(file.path, `${file.path}_`, zipLimits)) {
+          if (entry.error) {
+            rows.push(batchReportRow(entry.name, name, { statusCode: 400, body: { error: entry.error } }, req));
+            continue;
+          }
+          const outcome = await callHandler(analyzeEntry, { path: entry.path, originalname: path.basename(entry.name) }, params);
+          rows.push(batchReportRow(entry.name, name, outcome, req));
+        }
+      } catch (err) {
+        rows.push(batchReportRow(name, null, { statusCode: err.statusCode || 400, body: { error: err.message } }, req));
+      }
     }
 
+    const failed = rows.filter((r) => r.error).length;
+
+    if (report === 'csv') {
+      const lines = [BATCH_CSV_COLUMNS.join(';')]
+        .concat(rows.map((row) => BATCH_CSV_COLUMNS.map((col) => csvCell(row[col])).join(';')));
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', 'attachment; filename="analyse.csv"');
+      return res.send(lines.join('\r\n') + '\r\n');
+    }
+
+    return res.json({
+      ok: true,
+      fileCount: rows.length,
+      succeeded: rows.length - failed,
+      failed,
+      files: rows
+    });
   } catch (err) {
-    console.error('convert-to-pdf error:', err);
-    return res
-      .status(500)
-      .json({ ok: false, error: err.message || 'Convert to PDF failed' });
+    console.error('analyze-batch error:', err);
+    return res.status(500).json({ ok: false, error: err.message || 'Batch analyze failed' });
   } finally {
-    // on supprime le fichier uploadé (AI/SVG/PDF original)
-    try {
-      if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
-    } catch (e) {
-      console.warn('Erreur suppression fichier upload:', e.message);
+    for (const file of uploaded) {
+      try {
+        if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+      } catch (e) {
+        console.warn('Erreur suppression fichier upload:', e.message);
+      }
     }
   }
 });
 
 
+// ---- Administration du cache ----
+// GET /admin/cache : statistiques (+ entries=1 pour la liste des entrées)
+// DELETE /admin/cache : purge (olderThanHours optionnel) ; DELETE /admin/cache/:key : une entrée
+// POST /admin/cache/sweep : balayage de rétention immédiat
+// GET /admin/webhooks (status, jobId) et /admin/webhooks/:id : journal des envois webhook
+// L'en-tête Authorization: Bearer <ADMIN_TOKEN> est exigé ; sans ADMIN_TOKEN configuré,
+// les routes d'administration sont fermées (403).
+
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) {
+    return res.status(403).json({ ok: false, error: 'Admin routes are disabled (ADMIN_TOKEN is not set)' });
+  }
+  if (req.get('authorization') !== `Bearer ${token}`) {
+    return res.status(401).json({ ok: false, error: 'Admin token required' });
+  }
+  return next();
+}
+
+app.get('/admin/cache', requireAdmin, (req, res) => {
+  res.json({
+    ...resultCache.stats(),
+    ...(isTrue(req.query.entries) ? { entries: resultCache.list() } : {})
+  });
+});
+
+// Journal de tous les envois webhook (filtre status = pending | delivered | failed)
+app.get('/admin/webhooks', requireAdmin, (req, res) => {
+  res.json({ deliveries: webhooks.list({ status: req.query.status, jobId: req.query.jobId }) });
+});
+
+app.get('/admin/webhooks/:id', requireAdmin, (req, res) => {
+  const delivery = webhooks.get(req.params.id);
+  if (!delivery) return res.status(404).json({ ok: false, error: 'Delivery not found' });
+  return res.json(delivery);
+});
+
+app.delete('/admin/cache', requireAdmin, (req, res) => {
+  const hours = parseFloat(req.query.olderThanHours);
+  const olderThanMs = Number.isFinite(hours) && hours > 0 ? hours * 60 * 60 * 1000 : 0;
+  res.json({ ok: true, ...resultCache.purge({ olderThanMs }) });
+});
+
+app.delete('/admin/cache/:key', requireAdmin, (req, res) => {
+  const removed = resultCache.removeEntry(req.params.key, { deleteFiles: true });
+  if (!removed) return res.status(404).json({ ok: false, error: 'Cache entry not found' });
+  return res.json({ ok: true, ...removed });
+});
+
+app.post('/admin/cache/sweep', requireAdmin, (req, res) => {
+  res.json({ ok: true, ...resultCache.sweep() });
+});
 
 
 // Petit endpoint de healthcheck
@@ -0,0 +1,62 @@
+// Tests de bin/analyse-fichier.js : arguments, noms des PDF convertis uniques dans le
+// lot, rapport CSV.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { parseArgs, uniquePdfName, csvReport } = require('../bin/analyse-fichier');
+
+test('arguments : fichiers, options booléennes, --cle valeur et --cle=valeur', () => {
+  assert.deepStrictEqual(
+    parseArgs(['a.pdf', '--csv', '--pages', '1-3', '--bleed_mm=3', 'b.svg', '--inkCoverage', '--convert', 'out']),
+    { files: ['a.pdf', 'b.svg'], options: { csv: '1', pages: '1-3', bleed_mm: '3', inkCoverage: '1', convert: 'out' } }
+  );
+  assert.deepStrictEqual(parseArgs(['--text=0']).options, { text: '0' });
+  assert.throws(() => parseArgs(['a.pdf', '--password']), /Valeur manquante pour --password/);
+});
+
+test('noms des PDF convertis : jamais deux fois le même', () => {
+  const used = new Set();
+  const names = ['logo.svg', 'logo.eps', 'x/logo.eps', 'y/logo.eps', 'logo_eps.pdf', 'logo', 'logo']
+    .map((file) => uniquePdfName(file, used));
+  assert.deepStrictEqual(names, [
+    'logo.pdf',
+    'logo_eps.pdf',
+    'logo_eps_2.pdf',
+    'logo_eps_3.pdf',
+    'logo_eps_pdf.pdf',
+    'logo_2.pdf',
+    'logo_3.pdf'
+  ]);
+  assert.strictEqual(new Set(names).size, names.length);
+});
+
+test('rapport CSV : colonnes, cellules échappées, erreur d\'analyse ou de conversion', () => {
+  const csv = csvReport([
+    { fileName: 'a.pdf', format: 'pdf', pageCount: 2, width_mm: 210, height_mm: 297, conversion: { ok: true, pdfPath: 'out/a.pdf' } },
+    { fileName: 'b;c.svg', format: 'svg', width_mm: 10, height_mm: 20, conversion: { ok: false, error: 'rsvg "absent"' } },
+    { fileName: 'd.eps', error: 'Fichier introuvable : d.eps' }
+  ]);
+  assert.strictEqual(csv, [
+    'file;format;pageCount;width_mm;height_mm;pdfPath;error',
+    'a.pdf;pdf;2;210;297;out/a.pdf;',
+    '"b;c.svg";svg;1;10;20;;"rsvg ""absent"""',
+    'd.eps;;;;;;Fichier introuvable : d.eps',
+    ''
+  ].join('\n'));
+});
+
+test('exécution : --help et sans fichier', () => {
+  const cli = path.join(__dirname, '..', 'bin', 'analyse-fichier.js');
+  const help = spawnSync(process.execPath, [cli, '--help'], { encoding: 'utf8', timeout: 30000 });
+  assert.strictEqual(help.status, 0);
+  assert.match(help.stderr, /^Usage : analyse-fichier/);
+  assert.strictEqual(help.stdout, '');
+
+  const missing = spawnSync(process.execPath, [cli, 'introuvable.pdf', '--csv'], { encoding: 'utf8', timeout: 30000 });
+  assert.strictEqual(missing.status, 1);
+  assert.strictEqual(missing.stdout.split('\n')[1], 'introuvable.pdf;;;;;;Fichier introuvable : introuvable.pdf');
+
+  assert.strictEqual(spawnSync(process.execPath, [cli], { timeout: 30000 }).status, 2);
+});
@@ -0,0 +1,71 @@
+// Tests de lib/api.js : sélection de pages de la couverture d'encre bornée par le PDF,
+// décompression des SVGZ (trop volumineux : 413, corrompu : 422).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { PDFDocument } = require('pdf-lib');
+const { inkCoverageOptions, pdfPageCount, identifyFile } = require('../lib/api');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-test-'));
+
+async function writePdf(name, pageCount) {
+  const doc = await PDFDocument.create();
+  for (let i = 0; i < pageCount; i++) doc.addPage([100, 100]);
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, await doc.save());
+  return file;
+}
+
+test('pdfPageCount : pages du PDF, null si illisible', async () => {
+  assert.strictEqual(await pdfPageCount(await writePdf('three.pdf', 3)), 3);
+  const broken = path.join(dir, 'broken.pdf');
+  fs.writeFileSync(broken, 'pas un PDF');
+  assert.strictEqual(await pdfPageCount(broken), null);
+});
+
+test('couverture d\'encre : sélection bornée par le nombre de pages', () => {
+  assert.deepStrictEqual(inkCoverageOptions({ pages: '2-' }, 5), {
+    mode: 'separations',
+    resolution: undefined,
+    firstPage: 2,
+    lastPage: 5
+  });
+
+  const started = Date.now();
+  const options = inkCoverageOptions({ pages: '1-999999999', inkMode: 'fast' }, 3);
+  assert.strictEqual(options.lastPage, 3);
+  assert.strictEqual(options.mode, 'fast');
+  assert.ok(Date.now() - started < 100);
+
+  assert.throws(() => inkCoverageOptions({ pages: '4-' }, 3), (err) => err.statusCode === 400);
+  assert.strictEqual(inkCoverageOptions({}, 3).firstPage, undefined);
+});
+
+test('SVGZ : décompressé sur place, 413 au-delà du plafond, 422 si corrompu', () => {
+  const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"/>';
+  const write = (name, data) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, data);
+    return file;
+  };
+
+  const ok = write('ok.svgz', zlib.gzipSync(svg));
+  assert.strictEqual(identifyFile(ok, 'ok.svgz').ext, '.svg');
+  assert.strictEqual(fs.readFileSync(ok, 'utf8'), svg);
+
+  // CRC du bloc de fin faux : début lisible (détection), flux invalide
+  const gz = zlib.gzipSync(svg + `<!-- ${crypto.randomBytes(16 * 1024).toString('base64')} -->`);
+  gz.writeUInt32LE(~gz.readUInt32LE(gz.length - 8) >>> 0, gz.length - 8);
+  const corrupt = write('corrupt.svgz', gz);
+  assert.throws(() => identifyFile(corrupt, 'corrupt.svgz'), (err) => err.statusCode === 422 && /Corrupted SVGZ/.test(err.message));
+
+  const huge = Buffer.alloc(201 * 1024 * 1024, ' ');
+  huge.write(svg);
+  const bomb = write('bomb.svgz', zlib.gzipSync(huge, { level: 1 }));
+  assert.throws(() => identifyFile(bomb, 'bomb.svgz'), (err) => err.statusCode === 413 && /too large/.test(err.message));
+});
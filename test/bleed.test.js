@@ -0,0 +1,87 @@
+// Tests de converters/bleed.js : options, géométrie des bandes (miroir, étirement),
+// boxes du PDF produit.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+const { addBleed, parseBleedOptions, axisSegments } = require('../converters/bleed');
+const { pageContentBytes } = require('../analyzers/pdfContent');
+const { mmToPt } = require('../lib/common');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bleed-test-'));
+
+// Position dans l'illustration (0..size) d'un point x de la page, pour une bande
+const artX = (segment, x) => (x - segment.offset) / segment.scale;
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≠ ${expected}`);
+
+test('options : bleed_mm borné, mode par défaut miroir', () => {
+  assert.strictEqual(parseBleedOptions({}), null);
+  assert.strictEqual(parseBleedOptions({ bleed_mm: '0' }), null);
+  assert.deepStrictEqual(parseBleedOptions({ bleed_mm: '3' }), { bleedMm: 3, mode: 'mirror' });
+  assert.deepStrictEqual(parseBleedOptions({ bleed_mm: '5', bleedMode: 'stretch' }), { bleedMm: 5, mode: 'stretch' });
+  for (const params of [{ bleed_mm: '21' }, { bleed_mm: '-1' }, { bleed_mm: 'abc' }, { bleed_mm: '3', bleedMode: 'blur' }]) {
+    assert.throws(() => parseBleedOptions(params), (err) => err.statusCode === 400);
+  }
+});
+
+test('miroir : bandes symétriques de part et d\'autre des bords, sans couture', () => {
+  const size = 100;
+  const b = 10;
+  const [centre, before, after] = axisSegments(size, b, 'mirror');
+
+  close(artX(centre, b), 0);
+  close(artX(centre, b + size), size);
+  // bande avant : bord de la page = b dans l'illustration, jointure = 0
+  close(artX(before, 0), b);
+  close(artX(before, b), 0);
+  // bande après : jointure = size, bord de la page = size - b
+  close(artX(after, b + size), size);
+  close(artX(after, 2 * b + size), size - b);
+});
+
+test('étirement : dernière bande de 1 pt étirée jusqu\'au bord', () => {
+  const size = 100;
+  const b = 10;
+  const [, before, after] = axisSegments(size, b, 'stretch');
+  assert.strictEqual(before.scale, 10);
+  close(artX(before, 0), 0);
+  close(artX(before, b), 1);
+  close(artX(after, b + size), size - 1);
+  close(artX(after, 2 * b + size), size);
+
+  // illustration minuscule : bande limitée au quart de sa taille
+  const [, small] = axisSegments(2, b, 'stretch');
+  close(artX(small, b), 0.5);
+
+  assert.strictEqual(axisSegments(size, b, 'none').length, 1);
+});
+
+test('PDF produit : boxes, 9 zones dessinées en miroir, 1 sans fond perdu', async () => {
+  const doc = await PDFDocument.create();
+  const page = doc.addPage([300, 200]);
+  page.drawRectangle({ x: 10, y: 10, width: 100, height: 100 });
+  page.setTrimBox(50, 20, 200, 150);
+  const input = path.join(dir, 'in.pdf');
+  fs.writeFileSync(input, await doc.save());
+
+  const output = path.join(dir, 'out.pdf');
+  const result = await addBleed(input, output, { bleedMm: 3, mode: 'mirror' });
+  const b = mmToPt(3);
+  assert.deepStrictEqual(result.trim, { widthPt: 200, heightPt: 150, width_mm: 70.56, height_mm: 52.92 });
+  assert.strictEqual(result.bleedBox.width_mm, 76.56);
+
+  const out = (await PDFDocument.load(fs.readFileSync(output))).getPage(0);
+  const trim = out.getTrimBox();
+  close(trim.x, b);
+  close(trim.width, 200);
+  close(out.getMediaBox().width, 200 + 2 * b);
+  close(out.getBleedBox().height, 150 + 2 * b);
+  const draws = (p) => (Buffer.from(pageContentBytes(p)).toString('latin1').match(/ Do\b/g) || []).length;
+  assert.strictEqual(draws(out), 9);
+
+  await addBleed(input, output, { bleedMm: 3, mode: 'none' });
+  assert.strictEqual(draws((await PDFDocument.load(fs.readFileSync(output))).getPage(0)), 1);
+});
@@ -0,0 +1,205 @@
+// Tests de converters/colourConversion.js : lecture des profils ICC (desc v2, mluc v4),
+// options (espace, niveau PDF/X, choix et contrôle du profil), arguments Ghostscript,
+// marquage PDF/X (OutputIntent, clés Info, XMP).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument, PDFName } = require('pdf-lib');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'colour-test-'));
+const iccDir = path.join(dir, 'icc');
+fs.mkdirSync(iccDir);
+// Lus au chargement du module
+process.env.ICC_DIR = iccDir;
+process.env.DEFAULT_ICC_PROFILE = 'default_cmyk.icc';
+
+const {
+  parseColourOptions,
+  readIccProfile,
+  listIccProfiles,
+  normalizePdfxLevel,
+  ghostscriptArgs,
+  markPdfx
+} = require('../converters/colourConversion');
+
+// Profil ICC minimal : en-tête de 128 octets et une balise 'desc' (v2) ou 'mluc' (v4)
+function iccProfile({ colourSpace = 'CMYK', deviceClass = 'prtr', version = 2, description = 'Test CMYK' }) {
+  const header = Buffer.alloc(128);
+  header[8] = version;
+  header[9] = 0x10;
+  header.write(deviceClass.padEnd(4), 12, 'latin1');
+  header.write(colourSpace.padEnd(4), 16, 'latin1');
+  header.write('acsp', 36, 'latin1');
+
+  let tag;
+  if (version >= 4) {
+    const text = Buffer.from(description, 'utf16le').swap16();
+    tag = Buffer.alloc(28 + text.length);
+    tag.write('mluc', 0, 'latin1');
+    tag.writeUInt32BE(1, 8);
+    tag.writeUInt32BE(12, 12);
+    tag.write('enUS', 16, 'latin1');
+    tag.writeUInt32BE(text.length, 20);
+    tag.writeUInt32BE(28, 24);
+    text.copy(tag, 28);
+  } else {
+    tag = Buffer.alloc(12 + description.length + 1);
+    tag.write('desc', 0, 'latin1');
+    tag.writeUInt32BE(description.length + 1, 8);
+    tag.write(description, 12, 'latin1');
+  }
+
+  const table = Buffer.alloc(4 + 12);
+  table.writeUInt32BE(1, 0);
+  table.write('desc', 4, 'latin1');
+  table.writeUInt32BE(128 + table.length, 8);
+  table.writeUInt32BE(tag.length, 12);
+  return Buffer.concat([header, table, tag]);
+}
+
+function writeProfile(file, spec) {
+  fs.writeFileSync(file, iccProfile(spec));
+  return file;
+}
+
+writeProfile(path.join(iccDir, 'default_cmyk.icc'), { description: 'Default CMYK' });
+writeProfile(path.join(iccDir, 'coated.icm'), { version: 4, description: 'Coated v4' });
+writeProfile(path.join(iccDir, 'srgb.icc'), { colourSpace: 'RGB', deviceClass: 'mntr', description: 'sRGB' });
+writeProfile(path.join(iccDir, 'gray.icc'), { colourSpace: 'GRAY', description: 'Dot gain 15%' });
+writeProfile(path.join(iccDir, 'screen_cmyk.icc'), { deviceClass: 'mntr', description: 'Screen CMYK' });
+fs.writeFileSync(path.join(iccDir, 'notes.txt'), 'pas un profil');
+
+const rejects400 = (fn, pattern) => assert.throws(fn, (err) => err.statusCode === 400 && pattern.test(err.message));
+
+test('profil ICC : en-tête et description desc (v2) ou mluc (v4)', () => {
+  assert.deepStrictEqual(readIccProfile(path.join(iccDir, 'default_cmyk.icc')), {
+    colourSpace: 'CMYK',
+    deviceClass: 'prtr',
+    version: '2.1',
+    description: 'Default CMYK',
+    components: 4
+  });
+  const v4 = readIccProfile(path.join(iccDir, 'coated.icm'));
+  assert.strictEqual(v4.version, '4.1');
+  assert.strictEqual(v4.description, 'Coated v4');
+  assert.strictEqual(readIccProfile(path.join(iccDir, 'gray.icc')).components, 1);
+
+  const bogus = path.join(dir, 'bogus.icc');
+  fs.writeFileSync(bogus, Buffer.alloc(200));
+  rejects400(() => readIccProfile(bogus), /not a valid ICC file/);
+});
+
+test('profils livrés : fichiers .icc / .icm triés', () => {
+  assert.deepStrictEqual(listIccProfiles(), ['coated.icm', 'default_cmyk.icc', 'gray.icc', 'screen_cmyk.icc', 'srgb.icc']);
+});
+
+test('niveau PDF/X : écritures acceptées', () => {
+  assert.deepStrictEqual(['PDF/X-1a', 'x-1a', '1a', 'X4', 'pdfx4', 'x3'].map(normalizePdfxLevel), ['x1a', 'x1a', 'x1a', 'x4', 'x4', null]);
+});
+
+test('options : aucune conversion, espace, profil par défaut ou livré', () => {
+  assert.strictEqual(parseColourOptions({}), null);
+
+  const cmyk = parseColourOptions({ colourSpace: 'CMYK', keepSpots: '1' });
+  assert.strictEqual(cmyk.colourSpace, 'cmyk');
+  assert.strictEqual(cmyk.keepSpots, true);
+  assert.strictEqual(cmyk.pdfx, null);
+  assert.strictEqual(cmyk.profile.source, 'default');
+  assert.strictEqual(cmyk.profile.description, 'Default CMYK');
+
+  // Gris sans PDF/X : pas de profil
+  const gray = parseColourOptions({ colourSpace: 'grey' });
+  assert.strictEqual(gray.colourSpace, 'gray');
+  assert.strictEqual(gray.profile, null);
+
+  // Profil ou PDF/X seuls : CMYK implicite
+  const named = parseColourOptions({ iccProfile: 'coated.icm', pdfx: 'PDF/X-4', outputCondition: 'FOGRA39' });
+  assert.strictEqual(named.colourSpace, 'cmyk');
+  assert.strictEqual(named.pdfx, 'x4');
+  assert.strictEqual(named.outputCondition, 'FOGRA39');
+  assert.deepStrictEqual([named.profile.name, named.profile.source, named.profile.path], ['coated.icm', 'builtin', path.join(iccDir, 'coated.icm')]);
+
+  // Chemin réduit au nom de fichier
+  assert.strictEqual(parseColourOptions({ iccProfile: '../icc/coated.icm' }).profile.path, path.join(iccDir, 'coated.icm'));
+
+  const uploaded = writeProfile(path.join(dir, 'upload.tmp'), { description: 'Client profile' });
+  const fromUpload = parseColourOptions({}, { path: uploaded, originalname: 'client.icc' });
+  assert.deepStrictEqual([fromUpload.profile.name, fromUpload.profile.source], ['client.icc', 'upload']);
+});
+
+test('options invalides : 400', () => {
+  rejects400(() => parseColourOptions({ pdfx: 'x3' }), /pdfx must be x1a or x4/);
+  rejects400(() => parseColourOptions({ colourSpace: 'rgb' }), /colourSpace must be cmyk or gray/);
+  rejects400(() => parseColourOptions({ iccProfile: 'missing.icc' }), /Unknown iccProfile "missing.icc" \(available: coated.icm, /);
+  rejects400(() => parseColourOptions({ iccProfile: 'srgb.icc' }), /is RGB, expected CMYK$/);
+  rejects400(() => parseColourOptions({ colourSpace: 'gray', iccProfile: 'srgb.icc' }), /expected GRAY or CMYK/);
+  rejects400(() => parseColourOptions({ pdfx: 'x1a', iccProfile: 'screen_cmyk.icc' }), /not an output \(printer\) profile/);
+  // Sans PDF/X, un profil d'écran CMYK est accepté
+  assert.strictEqual(parseColourOptions({ iccProfile: 'screen_cmyk.icc' }).profile.deviceClass, 'mntr');
+});
+
+test('arguments Ghostscript : stratégie, profil de sortie, tons directs, compatibilité PDF/X', () => {
+  const x1a = parseColourOptions({ pdfx: 'x1a', keepSpots: 'true' });
+  assert.deepStrictEqual(ghostscriptArgs(x1a, 'out.pdf', 'in.pdf'), [
+    '-sDEVICE=pdfwrite',
+    '-dCompatibilityLevel=1.3',
+    '-dEmbedAllFonts=true',
+    '-sColorConversionStrategy=CMYK',
+    '-sProcessColorModel=DeviceCMYK',
+    `-sOutputICCProfile=${path.join(iccDir, 'default_cmyk.icc')}`,
+    '-dPreserveSeparation=true',
+    '-dPreserveDeviceN=true',
+    '-dAutoRotatePages=/None',
+    '-sOutputFile=out.pdf',
+    'in.pdf'
+  ]);
+
+  // Gris : le profil CMYK n'est pas un profil de sortie gris
+  const grayCmykProfile = ghostscriptArgs(parseColourOptions({ colourSpace: 'gray', pdfx: 'x4' }), 'out.pdf', 'in.pdf');
+  assert.ok(grayCmykProfile.includes('-dCompatibilityLevel=1.6'));
+  assert.ok(grayCmykProfile.includes('-sColorConversionStrategy=Gray'));
+  assert.ok(!grayCmykProfile.some((arg) => arg.startsWith('-sOutputICCProfile=')));
+  assert.ok(grayCmykProfile.includes('-dPreserveSeparation=false'));
+
+  const grayProfile = ghostscriptArgs(parseColourOptions({ colourSpace: 'gray', iccProfile: 'gray.icc' }), 'out.pdf', 'in.pdf');
+  assert.ok(grayProfile.includes(`-sOutputICCProfile=${path.join(iccDir, 'gray.icc')}`));
+  assert.ok(!grayProfile.some((arg) => arg.startsWith('-dCompatibilityLevel=')));
+});
+
+test('marquage PDF/X : OutputIntent avec profil embarqué, clés Info, XMP, identifiant', async () => {
+  const options = parseColourOptions({ pdfx: 'x1a', iccProfile: 'coated.icm' });
+  const doc = await PDFDocument.create();
+  doc.addPage([100, 100]);
+
+  const condition = markPdfx(doc, { version: 'PDF/X-1:2001', conformance: 'PDF/X-1a:2001' }, options.profile, { title: 'Affiche <A3>' });
+  assert.strictEqual(condition, 'Coated v4');
+
+  const saved = await PDFDocument.load(await doc.save({ useObjectStreams: false }), { updateMetadata: false });
+  const intent = saved.catalog.lookup(PDFName.of('OutputIntents')).lookup(0);
+  assert.strictEqual(intent.get(PDFName.of('S')).toString(), '/GTS_PDFX');
+  assert.strictEqual(intent.get(PDFName.of('OutputConditionIdentifier')).decodeText(), 'Coated v4');
+  const iccStream = intent.lookup(PDFName.of('DestOutputProfile'));
+  assert.strictEqual(iccStream.dict.get(PDFName.of('N')).asNumber(), 4);
+
+  assert.strictEqual(saved.getTitle(), 'Affiche <A3>');
+  const info = saved.getInfoDict();
+  assert.strictEqual(info.get(PDFName.of('GTS_PDFXVersion')).decodeText(), 'PDF/X-1:2001');
+  assert.strictEqual(info.get(PDFName.of('GTS_PDFXConformance')).decodeText(), 'PDF/X-1a:2001');
+  assert.strictEqual(info.get(PDFName.of('Trapped')).toString(), '/False');
+
+  const xmp = Buffer.from(saved.catalog.lookup(PDFName.of('Metadata')).getContents()).toString('utf8');
+  assert.match(xmp, /<rdf:li xml:lang="x-default">Affiche &lt;A3&gt;<\/rdf:li>/);
+  assert.match(xmp, /<pdfx:GTS_PDFXConformance>PDF\/X-1a:2001<\/pdfx:GTS_PDFXConformance>/);
+  assert.ok(saved.context.trailerInfo.ID);
+
+  // Condition explicite, titre existant conservé, pas de conformance en PDF/X-4
+  const x4 = await PDFDocument.create();
+  x4.addPage([100, 100]);
+  x4.setTitle('Titre');
+  assert.strictEqual(markPdfx(x4, { version: 'PDF/X-4', conformance: null }, options.profile, { title: 'Autre', outputCondition: 'FOGRA51' }), 'FOGRA51');
+  assert.strictEqual(x4.getTitle(), 'Titre');
+  assert.strictEqual(x4.getInfoDict().get(PDFName.of('GTS_PDFXConformance')), undefined);
+});
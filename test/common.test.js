@@ -0,0 +1,31 @@
+// Tests de lib/common.js : erreurs HTTP, booléens de formulaire, conversions, CSV.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { httpError, badRequest, isTrue, mmToPt, ptToMm, csvCell } = require('../lib/common');
+
+test('erreurs HTTP', () => {
+  assert.strictEqual(httpError(415, 'format').statusCode, 415);
+  const err = badRequest('bleed_mm must be a number');
+  assert.ok(err instanceof Error);
+  assert.strictEqual(err.statusCode, 400);
+  assert.strictEqual(err.message, 'bleed_mm must be a number');
+});
+
+test('isTrue', () => {
+  for (const v of ['1', 'true', 'YES', 'on', true, 1]) assert.strictEqual(isTrue(v), true, String(v));
+  for (const v of ['0', 'false', 'no', '', undefined, null, false]) assert.strictEqual(isTrue(v), false, String(v));
+});
+
+test('points ↔ millimètres', () => {
+  assert.strictEqual(mmToPt(25.4), 72);
+  assert.strictEqual(ptToMm(72), 25.4);
+  assert.ok(Math.abs(ptToMm(mmToPt(210)) - 210) < 1e-9);
+});
+
+test('csvCell', () => {
+  assert.strictEqual(csvCell(null), '');
+  assert.strictEqual(csvCell(12.5), '12.5');
+  assert.strictEqual(csvCell('a;b'), '"a;b"');
+  assert.strictEqual(csvCell('dit "bonjour"'), '"dit ""bonjour"""');
+});
@@ -0,0 +1,68 @@
+// Tests de analyzers/compareAnalyzer.js : différence de pixels (union des tailles,
+// tolérance, zones), PNG valide, boucle d'événements non bloquée.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { diffImages, encodePng } = require('../analyzers/compareAnalyzer');
+
+// Image RVB unie, avec un rectangle de couleur optionnel
+function image(width, height, rect) {
+  const data = Buffer.alloc(width * height * 3, 255);
+  if (rect) {
+    for (let y = rect.y; y < rect.y + rect.h; y++) {
+      for (let x = rect.x; x < rect.x + rect.w; x++) data.fill(0, (y * width + x) * 3, (y * width + x) * 3 + 3);
+    }
+  }
+  return { width, height, data };
+}
+
+test('différence : union des tailles, bbox et zones en pixels', async () => {
+  const a = image(20, 10, { x: 2, y: 2, w: 3, h: 3 });
+  const b = image(10, 15);
+  const result = await diffImages(a, b, 16, 5);
+
+  assert.strictEqual(result.width, 20);
+  assert.strictEqual(result.height, 15);
+  assert.strictEqual(result.diff.length, 20 * 15 * 3);
+  assert.strictEqual(result.changedPixels, 9);
+  assert.deepStrictEqual(result.bbox, { minX: 2, minY: 2, maxX: 4, maxY: 4 });
+  assert.strictEqual(result.regions.length, 1);
+  assert.strictEqual(result.regions[0].pixels, 9);
+  assert.deepStrictEqual([...result.diff.subarray((2 * 20 + 2) * 3, (2 * 20 + 2) * 3 + 3)], [255, 0, 0]);
+
+  // hors des deux images : blanc des deux côtés, pas de différence
+  const same = await diffImages(image(4, 4), image(6, 2), 0, 2);
+  assert.strictEqual(same.changedPixels, 0);
+  assert.strictEqual(same.bbox, null);
+});
+
+test('PNG : signature, CRC des chunks, pixels décompressés', async () => {
+  const rgb = Buffer.from([255, 0, 0, 0, 255, 0, 0, 0, 255, 10, 20, 30]);
+  const png = await encodePng(2, 2, rgb);
+  assert.deepStrictEqual([...png.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+  const chunks = {};
+  for (let pos = 8; pos < png.length;) {
+    const length = png.readUInt32BE(pos);
+    const type = png.toString('latin1', pos + 4, pos + 8);
+    assert.strictEqual(png.readUInt32BE(pos + 8 + length), zlib.crc32(png.subarray(pos + 4, pos + 8 + length)), type);
+    chunks[type] = png.subarray(pos + 8, pos + 8 + length);
+    pos += 12 + length;
+  }
+  assert.deepStrictEqual(Object.keys(chunks), ['IHDR', 'IDAT', 'IEND']);
+  assert.deepStrictEqual([...zlib.inflateSync(chunks.IDAT)], [0, 255, 0, 0, 0, 255, 0, 0, 0, 0, 255, 10, 20, 30]);
+});
+
+test('grande image : la boucle d\'événements continue de tourner', async () => {
+  let ticks = 0;
+  const timer = setInterval(() => ticks++, 1);
+  try {
+    const result = await diffImages(image(1500, 1500), image(1500, 1500, { x: 0, y: 0, w: 1500, h: 750 }), 16, 50);
+    await encodePng(result.width, result.height, result.diff);
+    assert.strictEqual(result.changedPixels, 1500 * 750);
+  } finally {
+    clearInterval(timer);
+  }
+  assert.ok(ticks > 0);
+});
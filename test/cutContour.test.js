@@ -0,0 +1,130 @@
+// Tests de converters/cutContour.js : noms de tons, géométrie en mm, sorties SVG / DXF,
+// PDF d'impression (formulaire partagé entre découpe et couleur process non modifié).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument, PDFName } = require('pdf-lib');
+const { streamBytes, pageContentBytes } = require('../analyzers/pdfContent');
+const {
+  normalizeSpotName,
+  toMmShape,
+  buildCutSvg,
+  buildCutDxf,
+  extractPdfCutContour
+} = require('../converters/cutContour');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cut-contour-test-'));
+const MM = 72 / 25.4;
+
+test('noms de tons normalisés', () => {
+  assert.strictEqual(normalizeSpotName('CutContour'), 'cutcontour');
+  assert.strictEqual(normalizeSpotName('CutContour_1_'), 'cutcontour');
+  assert.strictEqual(normalizeSpotName('Thru-cut'), 'thrucut');
+  assert.strictEqual(normalizeSpotName('thru_cut'), 'thrucut');
+  assert.strictEqual(normalizeSpotName('Kiss Cut 2'), 'kisscut2');
+});
+
+test('géométrie : points page → mm relatifs à la TrimBox, longueur, fermeture', () => {
+  const trim = { x: 10, y: 20, width: 100 * MM, height: 100 * MM };
+  const square = toMmShape({
+    spot: 'CutContour',
+    closed: true,
+    segments: [
+      { type: 'M', points: [[10, 20]] },
+      { type: 'L', points: [[10 + 10 * MM, 20]] },
+      { type: 'L', points: [[10 + 10 * MM, 20 + 10 * MM]] },
+      { type: 'L', points: [[10, 20 + 10 * MM]] }
+    ]
+  }, trim);
+  assert.deepStrictEqual(square.segments[1].points[0].map((v) => +v.toFixed(6)), [10, 0]);
+  assert.strictEqual(square.closed, true);
+  assert.ok(Math.abs(square.length_mm - 40) < 1e-9);
+
+  // quart de cercle de rayon 10 mm (Bézier) : longueur π × 10 / 2
+  const k = 0.5522847498 * 10 * MM;
+  const arc = toMmShape({
+    spot: 'CutContour',
+    closed: false,
+    segments: [
+      { type: 'M', points: [[10 + 10 * MM, 20]] },
+      { type: 'C', points: [[10 + 10 * MM, 20 + k], [10 + k, 20 + 10 * MM], [10, 20 + 10 * MM]] }
+    ]
+  }, trim);
+  assert.strictEqual(arc.closed, false);
+  assert.ok(Math.abs(arc.length_mm - (Math.PI * 10) / 2) < 0.01, `${arc.length_mm}`);
+  assert.strictEqual(arc.points.length, 33);
+});
+
+test('sorties SVG (y inversé, groupe par ton) et DXF (polylignes par calque)', () => {
+  const shapes = [
+    { spot: 'CutContour', closed: true, segments: [{ type: 'M', points: [[0, 0]] }, { type: 'L', points: [[10, 5]] }], points: [[0, 0], [10, 5]] },
+    { spot: 'Thru cut', closed: false, segments: [{ type: 'M', points: [[1, 1]] }, { type: 'L', points: [[2, 2]] }], points: [[1, 1], [2, 2]] }
+  ];
+
+  const svg = buildCutSvg(shapes, 20, 10);
+  assert.match(svg, /width="20mm" height="10mm" viewBox="0 0 20 10"/);
+  assert.match(svg, /<g id="CutContour"[^>]*>\n {4}<path d="M 0 10 L 10 5 Z"\/>/);
+  assert.match(svg, /<g id="Thru cut"[^>]*>\n {4}<path d="M 1 9 L 2 8"\/>/);
+
+  const dxf = buildCutDxf(shapes).split('\n');
+  assert.deepStrictEqual(dxf.slice(0, 8), ['0', 'SECTION', '2', 'HEADER', '9', '$ACADVER', '1', 'AC1009']);
+  const polylines = dxf.map((line, i) => (line === 'POLYLINE' ? dxf.slice(i + 1, i + 7) : null)).filter(Boolean);
+  assert.deepStrictEqual(polylines, [['8', 'CutContour', '66', '1', '70', '1'], ['8', 'Thru_cut', '66', '1', '70', '0']]);
+  assert.strictEqual(dxf.filter((line) => line === 'VERTEX').length, 4);
+  assert.deepStrictEqual(dxf.slice(-3), ['0', 'EOF', '']);
+});
+
+// Page 1 : formulaire F (contour en couleur héritée) dessiné en CutContour ;
+// page 2 : même formulaire en noir. Formulaire G : sa propre couleur de découpe.
+async function sharedFormPdf() {
+  const doc = await PDFDocument.create();
+  const context = doc.context;
+  const cut = context.obj([
+    PDFName.of('Separation'),
+    PDFName.of('CutContour'),
+    PDFName.of('DeviceCMYK'),
+    context.obj({ FunctionType: 2, Domain: [0, 1], C0: [0, 0, 0, 0], C1: [0, 1, 0, 0], N: 1 })
+  ]);
+  const formDict = { Type: 'XObject', Subtype: 'Form', BBox: [0, 0, 200, 200] };
+  const inherited = context.register(context.stream('10 10 50 50 re S', formDict));
+  const ownCut = context.register(context.stream('/Cut CS 1 SCN 100 100 20 20 re S', {
+    ...formDict,
+    Resources: context.obj({ ColorSpace: { Cut: cut } })
+  }));
+  const resources = () => context.obj({ ColorSpace: { Cut: cut }, XObject: { F: inherited, G: ownCut } });
+
+  for (const content of ['/Cut CS 1 SCN /F Do /G Do 0 0 m 30 30 l S', '0 0 0 1 K /F Do /G Do']) {
+    const page = doc.addPage([200, 200]);
+    page.node.set(PDFName.of('Resources'), resources());
+    page.node.set(PDFName.of('Contents'), context.register(context.stream(content)));
+  }
+  const file = path.join(dir, 'shared.pdf');
+  fs.writeFileSync(file, await doc.save());
+  return file;
+}
+
+test('PDF d\'impression : formulaire partagé gardé, formulaire toujours en découpe neutralisé', async () => {
+  const outputs = {
+    svgPath: path.join(dir, 'cut.svg'),
+    dxfPath: path.join(dir, 'cut.dxf'),
+    printPdfPath: path.join(dir, 'print.pdf')
+  };
+  const result = await extractPdfCutContour(await sharedFormPdf(), { spotNames: ['CutContour'], page: 1 }, outputs);
+
+  assert.strictEqual(result.pathCount, 3);
+  assert.strictEqual(result.removedPaintOps, 2);
+  assert.strictEqual(result.keptSharedPaintOps, 1);
+
+  const printed = await PDFDocument.load(fs.readFileSync(outputs.printPdfPath));
+  const [page1, page2] = printed.getPages();
+  const xobject = (page, name) => page.node.Resources().lookup(PDFName.of('XObject')).lookup(PDFName.of(name));
+  const text = (bytes) => Buffer.from(bytes).toString('latin1');
+
+  assert.strictEqual(text(streamBytes(xobject(page2, 'F'))), '10 10 50 50 re S');
+  assert.strictEqual(text(streamBytes(xobject(page1, 'G'))), '/Cut CS 1 SCN 100 100 20 20 re n');
+  assert.match(text(pageContentBytes(page1)), /0 0 m 30 30 l n\s*$/);
+  assert.strictEqual(text(pageContentBytes(page2)).trim(), '0 0 0 1 K /F Do /G Do');
+});
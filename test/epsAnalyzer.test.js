@@ -0,0 +1,89 @@
+// Tests de analyzers/epsAnalyzer.js : commentaires DSC (BoundingBox, HiResBoundingBox,
+// valeurs (atend) du trailer, lignes %%+), EPS DOS à en-tête binaire.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { analyzeEPS } = require('../analyzers/epsAnalyzer');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eps-analyzer-test-'));
+let counter = 0;
+
+// PostScript en Latin-1, comme les EPS produits par les logiciels de PAO
+function writeEps(data) {
+  const file = path.join(dir, `${counter++}.eps`);
+  fs.writeFileSync(file, typeof data === 'string' ? Buffer.from(data, 'latin1') : data);
+  return file;
+}
+
+const eps = (...lines) => ['%!PS-Adobe-3.0 EPSF-3.0', ...lines, 'newpath 0 0 moveto showpage', '%%EOF', ''].join('\n');
+
+test('HiResBoundingBox prioritaire, dimensions en mm', async () => {
+  const r = await analyzeEPS(writeEps(eps('%%BoundingBox: 0 0 284 142', '%%HiResBoundingBox: 0 0 283.465 141.732', '%%EndComments')));
+  assert.strictEqual(r.source, 'eps_hires_header');
+  assert.deepStrictEqual([r.llx, r.lly, r.urx, r.ury], [0, 0, 283.465, 141.732]);
+  assert.ok(Math.abs(r.width_mm - 100) < 0.01);
+  assert.ok(Math.abs(r.height_mm - 50) < 0.01);
+  assert.strictEqual(r.dosEps, false);
+});
+
+test('HiResBoundingBox invalide : BoundingBox, valeurs négatives acceptées', async () => {
+  const r = await analyzeEPS(writeEps(eps('%%BoundingBox: -10 -20 90 80', '%%HiResBoundingBox: 5 5 1 1')));
+  assert.strictEqual(r.source, 'eps_header');
+  assert.deepStrictEqual([r.llx, r.lly, r.urx, r.ury], [-10, -20, 90, 80]);
+  assert.strictEqual(r.widthPt, 100);
+});
+
+test('(atend) : valeur du trailer, dernière occurrence', async () => {
+  const r = await analyzeEPS(writeEps([
+    '%!PS-Adobe-3.0 EPSF-3.0',
+    '%%BoundingBox: (atend)',
+    '%%EndComments',
+    '0 0 moveto',
+    '%%BoundingBox: 1 1 2 2',
+    '%%Trailer',
+    '%%BoundingBox: 0 0 10 10',
+    '%%BoundingBox: 0 0 72 36',
+    '%%EOF'
+  ].join('\n')));
+  assert.strictEqual(r.source, 'eps_header');
+  assert.deepStrictEqual([r.urx, r.ury], [72, 36]);
+});
+
+test('métadonnées DSC : parenthèses, listes, lignes %%+', async () => {
+  const r = await analyzeEPS(writeEps(eps(
+    '%%BoundingBox: 0 0 10 10',
+    '%%Title: (Étiquette)',
+    '%%Creator: Adobe Illustrator(R) 24.0',
+    '%%LanguageLevel: 3',
+    '%%DocumentProcessColors: Cyan Magenta Black',
+    '%%DocumentCustomColors: (PANTONE 185 C)',
+    '%%+ (CutContour)'
+  )));
+  assert.deepStrictEqual(r.metadata, {
+    Creator: 'Adobe Illustrator(R) 24.0',
+    Title: 'Étiquette',
+    LanguageLevel: 3,
+    DocumentProcessColors: ['Cyan', 'Magenta', 'Black'],
+    DocumentCustomColors: ['PANTONE 185 C', 'CutContour']
+  });
+});
+
+test('EPS DOS : section PostScript lue à son offset, aperçu TIFF décrit', async () => {
+  const ps = Buffer.from(eps('%%BoundingBox: 0 0 144 72'), 'latin1');
+  const tiff = Buffer.from('II*\0 aperçu');
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0xc6d3d0c5, 0);
+  header.writeUInt32LE(30, 4);
+  header.writeUInt32LE(ps.length, 8);
+  header.writeUInt32LE(30 + ps.length, 20);
+  header.writeUInt32LE(tiff.length, 24);
+  header.writeUInt16LE(0xffff, 28);
+
+  const r = await analyzeEPS(writeEps(Buffer.concat([header, ps, tiff])));
+  assert.strictEqual(r.dosEps, true);
+  assert.deepStrictEqual(r.preview, { type: 'tiff', offset: 30 + ps.length, length: tiff.length });
+  assert.deepStrictEqual([r.source, r.urx, r.ury], ['eps_header', 144, 72]);
+});
@@ -0,0 +1,164 @@
+// Tests de analyzers/fitCheck.js : options du produit, repère d'affichage (pages
+// tournées), format fini (tourné, fonds perdus compris), échelle, position du contenu
+// par rapport à la coupe, contrôle complet d'une page.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { PDFDocument, degrees } = require('pdf-lib');
+const {
+  parseFitOptions,
+  toDisplay,
+  fromDisplay,
+  matchSize,
+  neededScale,
+  edgeStatus,
+  checkPage
+} = require('../analyzers/fitCheck');
+const { pageBoxes, pageRotation } = require('../analyzers/pdfAnalyzer');
+const { mmToPt } = require('../lib/common');
+
+const rejects400 = (fn, pattern) => assert.throws(fn, (err) => err.statusCode === 400 && pattern.test(err.message));
+const rect = (llx, lly, urx, ury) => ({ llx, lly, urx, ury });
+const rectMm = (llx, lly, urx, ury) => rect(mmToPt(llx), mmToPt(lly), mmToPt(urx), mmToPt(ury));
+const closeRect = (actual, expected) => {
+  for (const k of ['llx', 'lly', 'urx', 'ury']) {
+    assert.ok(Math.abs(actual[k] - expected[k]) < 1e-6, `${k} : ${actual[k]} ≠ ${expected[k]}`);
+  }
+};
+
+// Produit 100 × 150 mm, fond perdu 3 mm, marge de sécurité 5 mm
+const product = parseFitOptions({ trimWidth_mm: '100', trimHeight_mm: '150', bleed_mm: '3', safeMargin_mm: '5' });
+
+// Page pdf-lib (mm) → entrée de checkPage, comme analyzePdfPages
+async function pageInfo({ media, trim, bleed, rotate = 0, ink = null }) {
+  const doc = await PDFDocument.create();
+  const page = doc.addPage([mmToPt(media[0]), mmToPt(media[1])]);
+  if (trim) page.setTrimBox(...trim.map(mmToPt));
+  if (bleed) page.setBleedBox(...bleed.map(mmToPt));
+  if (rotate) page.setRotation(degrees(rotate));
+  return { page: 1, rotation: pageRotation(page), boxes: pageBoxes(page), inkBbox: ink };
+}
+
+test('options du produit : format requis, marges positives, tolérance par défaut', () => {
+  assert.deepStrictEqual(product, { width_mm: 100, height_mm: 150, bleed_mm: 3, safeMargin_mm: 5, tolerance_mm: 0.5 });
+  assert.strictEqual(parseFitOptions({ trimWidth_mm: '50', trimHeight_mm: '50', tolerance_mm: '0' }).tolerance_mm, 0);
+  rejects400(() => parseFitOptions({ trimWidth_mm: '100' }), /trimHeight_mm is required/);
+  rejects400(() => parseFitOptions({ trimWidth_mm: '0', trimHeight_mm: '10' }), /trimWidth_mm must be a positive number/);
+  rejects400(() => parseFitOptions({ trimWidth_mm: '10', trimHeight_mm: '10', bleed_mm: '-1' }), /bleed_mm must be/);
+  rejects400(() => parseFitOptions({ trimWidth_mm: '100', trimHeight_mm: '40', safeMargin_mm: '20' }), /leaves no safe zone/);
+});
+
+test('repère d\'affichage : rotation horaire relative à la MediaBox, aller-retour', () => {
+  const media = { llx: 10, lly: 20, widthPt: 100, heightPt: 50 };
+  const box = rect(20, 30, 40, 35);
+  const expected = {
+    0: rect(10, 10, 30, 15),
+    90: rect(10, 70, 15, 90),
+    180: rect(70, 35, 90, 40),
+    270: rect(35, 10, 40, 30)
+  };
+  for (const [rotation, shown] of Object.entries(expected)) {
+    assert.deepStrictEqual(toDisplay(box, media, Number(rotation)), shown, `rotation ${rotation}`);
+    assert.deepStrictEqual(fromDisplay(shown, media, Number(rotation)), box, `rotation ${rotation}`);
+  }
+});
+
+test('format fini : même sens, tourné, fonds perdus compris sans TrimBox', () => {
+  assert.deepStrictEqual(matchSize(rectMm(0, 0, 100.4, 150), true, product), {
+    match: true, orientation: 'same', includesBleed: false, trim: rectMm(0, 0, 100.4, 150)
+  });
+  assert.strictEqual(matchSize(rectMm(0, 0, 150, 100), true, product).orientation, 'rotated');
+  assert.strictEqual(matchSize(rectMm(0, 0, 100.6, 150), true, product).match, false);
+
+  // 106 × 156 : format fini + 2 × 3 mm, coupe déduite au centre
+  const withBleed = matchSize(rectMm(0, 0, 106, 156), false, product);
+  assert.deepStrictEqual([withBleed.match, withBleed.orientation, withBleed.includesBleed], [true, 'same', true]);
+  closeRect(withBleed.trim, rectMm(3, 3, 103, 153));
+  assert.strictEqual(matchSize(rectMm(0, 0, 156, 106), false, product).orientation, 'rotated');
+  // TrimBox déclarée : pas de déduction
+  assert.strictEqual(matchSize(rectMm(0, 0, 106, 156), true, product).match, false);
+});
+
+test('échelle nécessaire : sens le plus proche des proportions, déformation signalée', () => {
+  assert.deepStrictEqual(neededScale(rectMm(0, 0, 200, 300), product), { factor: 0.5, x: 0.5, y: 0.5, orientation: 'same', proportional: true });
+  assert.deepStrictEqual(neededScale(rectMm(0, 0, 300, 200), product), { factor: 0.5, x: 0.5, y: 0.5, orientation: 'rotated', proportional: true });
+  const stretched = neededScale(rectMm(0, 0, 100, 200), product);
+  assert.deepStrictEqual(stretched, { factor: 0.75, x: 1, y: 0.75, orientation: 'same', proportional: false });
+});
+
+test('position du contenu sur un bord', () => {
+  // fond perdu 9 pt, marge de sécurité 14 pt, tolérance 1 pt
+  const withBleed = [-12, -9, -8.5, -5, 0.5, 5, 13.5, 20].map((d) => edgeStatus(d, 9, 14, 1));
+  assert.deepStrictEqual(withBleed, [
+    'fullBleed', 'fullBleed', 'fullBleed', 'missingBleed', 'missingBleed', 'insideSafeMargin', 'safe', 'safe'
+  ]);
+  const noBleed = [-2, -1, 0, 1, 1.5].map((d) => edgeStatus(d, 0, 14, 1));
+  assert.deepStrictEqual(noBleed, ['beyondTrim', 'toTrim', 'toTrim', 'toTrim', 'insideSafeMargin']);
+});
+
+test('page paysage tournée de 90° : mesures dans le sens d\'affichage', async () => {
+  // 150 × 100 mm + 3 mm de fond perdu, /Rotate 90 : affichée 100 × 150 en portrait
+  const info = await pageInfo({
+    media: [156, 106],
+    trim: [3, 3, 150, 100],
+    bleed: [0, 0, 156, 106],
+    rotate: 90,
+    // bbox encrée affichée : fond perdu à gauche et en bas, 2 mm de la coupe à droite,
+    // 1 mm au-delà de la coupe en haut
+    ink: rectMm(0, 0, 101, 154)
+  });
+  const result = checkPage(info, product);
+
+  assert.strictEqual(result.rotation, 90);
+  assert.deepStrictEqual(result.document, { width_mm: 100, height_mm: 150 });
+  assert.deepStrictEqual([result.sizeMatch, result.rotated90, result.includesBleed], [true, false, false]);
+  assert.deepStrictEqual(result.zones.trim, { x_mm: 3, y_mm: 3, width_mm: 100, height_mm: 150 });
+  assert.deepStrictEqual(result.zones.bleed, { x_mm: 0, y_mm: 0, width_mm: 106, height_mm: 156 });
+  assert.deepStrictEqual(result.zones.safe, { x_mm: 8, y_mm: 8, width_mm: 90, height_mm: 140 });
+  assert.strictEqual(result.bleedAvailable_mm, 3);
+  assert.deepStrictEqual(result.content, { x_mm: 0, y_mm: 2, width_mm: 101, height_mm: 154 });
+
+  assert.deepStrictEqual(
+    Object.fromEntries(Object.entries(result.edges).map(([side, e]) => [side, [e.distance_mm, e.status]])),
+    { left: [-3, 'fullBleed'], right: [2, 'insideSafeMargin'], top: [-1, 'missingBleed'], bottom: [-3, 'fullBleed'] }
+  );
+  assert.deepStrictEqual(result.problems, ['safe_zone', 'missing_bleed']);
+  assert.strictEqual(result.fits, false);
+
+  // Tracés ramenés dans l'espace utilisateur de la page non tournée
+  closeRect(result.draw.trim, rectMm(3, 3, 153, 103));
+  closeRect(result.draw.bleed, rectMm(0, 0, 156, 106));
+});
+
+test('fichier paysage non tourné : format atteint en tournant de 90°', async () => {
+  const info = await pageInfo({ media: [150, 100], ink: rectMm(10, 10, 140, 90) });
+  const result = checkPage(info, product);
+  assert.deepStrictEqual([result.sizeMatch, result.rotated90, result.trimBoxDeclared], [true, true, false]);
+  assert.strictEqual(result.bleedAvailable_mm, 0);
+  assert.deepStrictEqual(result.problems, []);
+  assert.strictEqual(result.fits, true);
+});
+
+test('page livrée fonds perdus compris, tournée de 270°, sans TrimBox', async () => {
+  const info = await pageInfo({ media: [156, 106], rotate: 270, ink: rectMm(0, 0, 106, 156) });
+  const result = checkPage(info, product);
+  assert.deepStrictEqual([result.sizeMatch, result.includesBleed, result.rotated90], [true, true, false]);
+  assert.deepStrictEqual(result.zones.trim, { x_mm: 3, y_mm: 3, width_mm: 100, height_mm: 150 });
+  assert.deepStrictEqual(Object.values(result.edges).map((e) => e.status), ['fullBleed', 'fullBleed', 'fullBleed', 'fullBleed']);
+  assert.strictEqual(result.fits, true);
+});
+
+test('format différent : échelle et zones ramenées au fichier, boxes illisibles', async () => {
+  const info = await pageInfo({ media: [200, 300], ink: null });
+  const result = checkPage(info, product);
+  assert.strictEqual(result.sizeMatch, false);
+  assert.strictEqual(result.scale.factor, 0.5);
+  assert.strictEqual(result.zones.scaledBy, 2);
+  assert.deepStrictEqual(result.zones.safe, { x_mm: 10, y_mm: 10, width_mm: 180, height_mm: 280 });
+  assert.strictEqual(result.edges, null);
+  assert.deepStrictEqual(result.problems, ['size_mismatch']);
+
+  assert.deepStrictEqual(checkPage({ page: 2, rotation: 0, boxes: null, inkBbox: null }, product), {
+    page: 2, error: 'Page boxes unreadable', fits: false
+  });
+});
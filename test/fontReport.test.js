@@ -0,0 +1,198 @@
+// Tests de analyzers/fontReport.js et converters/outlineText.js avec Ghostscript et
+// fontconfig simulés : polices des pages PDF, messages de Ghostscript, familles SVG,
+// rapport (polices manquantes et substituées), vectorisation du texte.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument, PDFName } = require('pdf-lib');
+const {
+  buildFontReport,
+  pdfFonts,
+  parseGhostscriptFontMessages,
+  svgFontFamilies,
+  resolveFontFamilies
+} = require('../analyzers/fontReport');
+const { outlineText } = require('../converters/outlineText');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'font-report-test-'));
+const bin = path.join(dir, 'bin');
+const gsMessages = path.join(dir, 'gs-messages.txt');
+const outlinedPdf = path.join(dir, 'outlined-by-gs.pdf');
+fs.mkdirSync(bin);
+
+// gs simulé : device bbox → messages de gs-messages.txt ; pdfwrite → outlined-by-gs.pdf
+fs.writeFileSync(path.join(bin, 'gs'), `#!/bin/sh
+for arg in "$@"; do
+  case "$arg" in
+    -sDEVICE=*) device="\${arg#-sDEVICE=}" ;;
+    -sOutputFile=*) out="\${arg#-sOutputFile=}" ;;
+  esac
+done
+case "$device" in
+  bbox) cat "${gsMessages}" >&2 ;;
+  pdfwrite) cp "${outlinedPdf}" "$out" ;;
+esac
+`, { mode: 0o755 });
+// fontconfig simulé : Arial et DejaVu Sans installées, DejaVu Sans pour tout le reste
+fs.writeFileSync(path.join(bin, 'fc-list'), '#!/bin/sh\nprintf "Arial,Arial MT\\nDejaVu Sans\\n\\n"\n', { mode: 0o755 });
+fs.writeFileSync(path.join(bin, 'fc-match'), '#!/bin/sh\nprintf "DejaVu Sans"\n', { mode: 0o755 });
+process.env.PATH = `${bin}:${process.env.PATH}`;
+
+// Police incorporée (FontFile2) ; le descripteur est enregistré dans doc
+function embeddedFont(doc, baseFont) {
+  return {
+    Type: 'Font',
+    Subtype: 'TrueType',
+    BaseFont: baseFont,
+    FontDescriptor: doc.context.register(doc.context.obj({
+      Type: 'FontDescriptor',
+      FontName: baseFont,
+      FontFile2: doc.context.register(doc.context.stream('fake'))
+    }))
+  };
+}
+
+const helvetica = { Type: 'Font', Subtype: 'Type1', BaseFont: 'Helvetica' };
+
+// PDF dont chaque page utilise les polices données : { ressource: dictionnaire ou
+// nom d'une police incorporée }
+async function textPdf(name, pages, { trim } = {}) {
+  const doc = await PDFDocument.create();
+  const context = doc.context;
+  for (const fonts of pages) {
+    const page = doc.addPage([200, 200]);
+    let content = '0 0 1 1 re f';
+    for (const [tag, font] of Object.entries(fonts)) {
+      const dict = typeof font === 'string' ? embeddedFont(doc, font) : font;
+      page.node.setFontDictionary(PDFName.of(tag), context.register(context.obj(dict)));
+      content += `\nBT /${tag} 12 Tf 10 10 Td (a) Tj ET`;
+    }
+    page.node.set(PDFName.of('Contents'), context.register(context.stream(content)));
+    if (trim) page.setTrimBox(...trim);
+  }
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, await doc.save());
+  return file;
+}
+
+test('polices des pages : incorporées ou non, sous-ensemble, pages d\'usage', async () => {
+  const file = await textPdf('fonts.pdf', [
+    { F1: helvetica, F2: 'ABCDEF+Gotham-Book' },
+    { F1: helvetica },
+    {}
+  ]);
+  const fonts = await pdfFonts(file);
+  assert.deepStrictEqual(fonts.sort((a, b) => a.name.localeCompare(b.name)), [
+    { name: 'Gotham-Book', subtype: 'TrueType', embedded: true, subset: true, pages: [1] },
+    { name: 'Helvetica', subtype: 'Type1', embedded: false, subset: false, pages: [1, 2] }
+  ]);
+});
+
+test('messages Ghostscript : polices introuvables et substitutions', () => {
+  const output = [
+    'Can\'t find (or can\'t open) font file %rom%Resource/Font/ArialMT.',
+    'Loading font ArialMT (or substitute) from %rom%Resource/Font/NimbusSans-Regular',
+    'Substituting font /Helvetica for /Frutiger-Roman.',
+    'Can\'t find CID font "KozMinPr6N-Regular".',
+    'Substituting CID font Adobe-Japan1 for KozMinPr6N-Regular.',
+    'Loading font Courier (or substitute) from /usr/share/fonts/Courier'
+  ].join('\r\n');
+  const { missing, substituted } = parseGhostscriptFontMessages(output);
+  assert.deepStrictEqual(missing.sort(), ['ArialMT', 'Frutiger-Roman', 'KozMinPr6N-Regular']);
+  assert.deepStrictEqual(substituted, [
+    { font: 'ArialMT', substitute: 'NimbusSans-Regular' },
+    { font: 'Frutiger-Roman', substitute: 'Helvetica' },
+    { font: 'KozMinPr6N-Regular', substitute: 'Adobe-Japan1' }
+  ]);
+  assert.deepStrictEqual(parseGhostscriptFontMessages(''), { missing: [], substituted: [] });
+});
+
+test('SVG : familles des attributs, styles en ligne et <style>, entités décodées', () => {
+  const svg = path.join(dir, 'fonts.svg');
+  fs.writeFileSync(svg, `<svg xmlns="http://www.w3.org/2000/svg">
+  <style>.title { font-family: "Open Sans", Arial, sans-serif; } .x{font-family:Roboto!important}</style>
+  <text font-family="&quot;Fira Code&quot;, monospace">a</text>
+  <text font-family='Arial'>b</text>
+  <text style="fill:red;font-family:'Source Serif Pro'">c</text>
+</svg>`);
+  assert.deepStrictEqual(svgFontFamilies(svg), ['Fira Code', 'monospace', 'Arial', 'Open Sans', 'sans-serif', 'Roboto', 'Source Serif Pro']);
+});
+
+test('familles SVG résolues avec fontconfig, génériques ignorées', async () => {
+  assert.deepStrictEqual(await resolveFontFamilies(['arial', 'sans-serif', 'Open Sans', 'DejaVu Sans']), [
+    { family: 'arial', resolved: true, substitute: null },
+    { family: 'Open Sans', resolved: false, substitute: 'DejaVu Sans' },
+    { family: 'DejaVu Sans', resolved: true, substitute: null }
+  ]);
+});
+
+test('rapport PDF : polices manquantes ajoutées, seules les polices d\'origine incorporées', async () => {
+  const source = await textPdf('report.pdf', [{ F1: helvetica, F2: 'ABCDEF+Gotham-Book' }]);
+  fs.writeFileSync(gsMessages, 'Can\'t find (or can\'t open) font file %rom%Resource/Font/ArialMT.\n' +
+    'Loading font ArialMT (or substitute) from %rom%Resource/Font/NimbusSans-Regular\n');
+
+  assert.deepStrictEqual(await buildFontReport(source, { kind: 'pdf', pdfPath: source }), {
+    found: ['ArialMT', 'Gotham-Book', 'Helvetica'],
+    embedded: ['Gotham-Book'],
+    missing: ['ArialMT'],
+    substituted: [{ font: 'ArialMT', substitute: 'NimbusSans-Regular' }]
+  });
+});
+
+test('rapport PostScript : polices de substitution exclues du PDF converti', async () => {
+  const eps = path.join(dir, 'logo.eps');
+  fs.writeFileSync(eps, '%!PS-Adobe-3.0 EPSF-3.0\n');
+  const converted = await textPdf('converted.pdf', [{ F1: 'NimbusSans-Regular', F2: 'Gotham-Book' }]);
+  fs.writeFileSync(gsMessages, 'Substituting font NimbusSans-Regular for ArialMT.\n');
+
+  assert.deepStrictEqual(await buildFontReport(eps, { kind: 'postscript', pdfPath: converted }), {
+    found: ['ArialMT', 'Gotham-Book'],
+    embedded: ['Gotham-Book'],
+    missing: ['ArialMT'],
+    substituted: [{ font: 'ArialMT', substitute: 'NimbusSans-Regular' }]
+  });
+});
+
+test('rapport SVG : familles non résolues et substituts de fontconfig', async () => {
+  const svg = path.join(dir, 'report.svg');
+  fs.writeFileSync(svg, '<svg xmlns="http://www.w3.org/2000/svg"><text font-family="Open Sans, Arial, serif">a</text></svg>');
+  const pdf = await textPdf('svg.pdf', [{ F1: 'ABCDEF+DejaVuSans' }]);
+
+  const report = await buildFontReport(svg, { kind: 'svg', pdfPath: pdf });
+  assert.deepStrictEqual(report.found, ['Open Sans', 'Arial']);
+  assert.deepStrictEqual(report.embedded, ['DejaVuSans']);
+  assert.deepStrictEqual(report.missing, ['Open Sans']);
+  assert.deepStrictEqual(report.substituted, [{ font: 'Open Sans', substitute: 'DejaVu Sans' }]);
+  assert.strictEqual(report.warning, undefined);
+});
+
+test('vectorisation : polices avant / après, boxes de page conservées', async () => {
+  const source = await textPdf('outline.pdf', [{ F1: helvetica, F2: 'Gotham-Book' }], { trim: [10, 10, 180, 180] });
+  // Sortie de pdfwrite : plus de texte, boxes perdues
+  await textPdf('outlined-by-gs.pdf', [{}]);
+
+  assert.deepStrictEqual(await outlineText(source), { fontsBefore: 2, fontsAfter: 0 });
+  const trim = (await PDFDocument.load(fs.readFileSync(source))).getPage(0).getTrimBox();
+  assert.deepStrictEqual(trim, { x: 10, y: 10, width: 180, height: 180 });
+  assert.ok(!fs.existsSync(source + '.outlined.pdf'));
+});
+
+test('fontconfig absent : familles non vérifiées, avertissement', async () => {
+  const svg = path.join(dir, 'nofc.svg');
+  fs.writeFileSync(svg, '<svg xmlns="http://www.w3.org/2000/svg"><text font-family="Open Sans">a</text></svg>');
+  const pdf = await textPdf('nofc.pdf', [{ F1: helvetica }]);
+
+  const savedPath = process.env.PATH;
+  process.env.PATH = path.join(dir, 'empty');
+  try {
+    const report = await buildFontReport(svg, { kind: 'svg', pdfPath: pdf });
+    assert.deepStrictEqual(report.svgFontFamilies, [{ family: 'Open Sans', resolved: null, substitute: null }]);
+    assert.deepStrictEqual(report.missing, []);
+    assert.match(report.warning, /fontconfig is not installed/);
+  } finally {
+    process.env.PATH = savedPath;
+  }
+});
@@ -0,0 +1,79 @@
+// Tests de analyzers/formatDetector.js : format d'après le contenu, pas l'extension.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { detectFormat, formatReport } = require('../analyzers/formatDetector');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'format-detector-test-'));
+
+function detect(name, content) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, content);
+  return detectFormat(file);
+}
+
+const SVG = '<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"/>\n';
+
+test('EPS exporté par Illustrator : EPS, pas AI ancien', () => {
+  const eps = '%!PS-Adobe-3.1 EPSF-3.0\n%%Creator: Adobe Illustrator(R) 24.0\n%AI5_FileFormat 14.0\n%%BoundingBox: 0 0 100 100\n';
+  assert.deepStrictEqual(detect('logo.eps', eps), { format: 'eps', ext: '.eps', description: 'Encapsulated PostScript' });
+});
+
+test('AI ancien (PostScript sans EPSF) : ai-ps', () => {
+  const ai = '%!PS-Adobe-3.0\n%%Creator: Adobe Illustrator(R) 8.0\n%AI8_CreatorVersion: 8.0\n%%BoundingBox: 0 0 100 100\n';
+  assert.strictEqual(detect('logo.ai', ai).format, 'ai-ps');
+  assert.strictEqual(detect('logo.ai', ai).ext, '.ai');
+});
+
+test('EPS enregistré en .ps : EPS', () => {
+  const info = detect('carte.ps', '%!PS-Adobe-3.0 EPSF-3.0\n%%BoundingBox: 0 0 10 10\n');
+  assert.strictEqual(info.format, 'eps');
+  assert.deepStrictEqual(formatReport(info.format, 'carte.ps'), {
+    declaredFormat: 'ps',
+    detectedFormat: 'eps',
+    formatMismatch: true
+  });
+});
+
+test('PostScript simple : ps', () => {
+  assert.strictEqual(detect('doc.ps', '%!PS-Adobe-3.0\n%%Pages: 2\n').format, 'ps');
+});
+
+test('EPS DOS (en-tête binaire C5D0D3C6)', () => {
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0xc6d3d0c5, 0);
+  assert.strictEqual(detect('dos.eps', Buffer.concat([header, Buffer.from('%!PS-Adobe-3.0 EPSF-3.0\n')])).format, 'dos-eps');
+});
+
+test('PDF renommé en .ai, AI compatible PDF', () => {
+  const pdf = detect('plan.ai', '%PDF-1.7\n1 0 obj\n<<>>\nendobj\n%%EOF\n');
+  assert.strictEqual(pdf.format, 'pdf');
+  assert.strictEqual(formatReport(pdf.format, 'plan.ai').formatMismatch, true);
+
+  const ai = detect('plan.pdf', '%PDF-1.6\n<< /Creator (Adobe Illustrator 27.0) >>\n%%EOF\n');
+  assert.strictEqual(ai.format, 'ai-pdf');
+  assert.strictEqual(formatReport(ai.format, 'plan.pdf').formatMismatch, false);
+});
+
+test('SVG et SVGZ', () => {
+  assert.strictEqual(detect('logo.svg', SVG).format, 'svg');
+  const svgz = detect('logo.svgz', zlib.gzipSync(SVG));
+  assert.strictEqual(svgz.format, 'svgz');
+  assert.strictEqual(svgz.ext, '.svg');
+});
+
+test('images bitmap', () => {
+  assert.strictEqual(detect('a.png', Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex')).format, 'png');
+  assert.strictEqual(detect('a.jpg', Buffer.from('ffd8ffe000104a464946', 'hex')).format, 'jpeg');
+  assert.strictEqual(detect('a.tif', Buffer.from('49492a0008000000', 'hex')).format, 'tiff');
+  assert.strictEqual(detect('a.webp', Buffer.from('RIFF\x10\x00\x00\x00WEBPVP8 ', 'latin1')).format, 'webp');
+});
+
+test('contenu non reconnu : null', () => {
+  assert.strictEqual(detect('notes.pdf', 'ceci est un fichier texte\n'), null);
+  assert.strictEqual(detect('vide.svg', ''), null);
+});
@@ -0,0 +1,51 @@
+// Tests de converters/imposition.js : taille de feuille et nombre de placements plafonnés.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+const { imposePdf, parseImpositionOptions } = require('../converters/imposition');
+const { mmToPt } = require('../lib/common');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'imposition-test-'));
+const rejects400 = (fn, pattern) => assert.throws(fn, (err) => err.statusCode === 400 && pattern.test(err.message));
+
+async function writeItem(name, widthMm, heightMm) {
+  const doc = await PDFDocument.create();
+  const page = doc.addPage([mmToPt(widthMm), mmToPt(heightMm)]);
+  page.drawRectangle({ x: 0, y: 0, width: page.getWidth(), height: page.getHeight() });
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, await doc.save());
+  return file;
+}
+
+test('feuille au-delà du maximum PDF : 400', () => {
+  rejects400(() => parseImpositionOptions({ sheetWidth_mm: '5081', sheetHeight_mm: '300' }), /Sheet is too large/);
+  rejects400(() => parseImpositionOptions({ sheetWidth_mm: '300', sheetHeight_mm: '1e9' }), /Sheet is too large/);
+  assert.strictEqual(parseImpositionOptions({ sheetWidth_mm: '5080', sheetHeight_mm: '5080' }).sheetWidth_mm, 5080);
+});
+
+test('nombre d\'exemplaires plafonné', () => {
+  rejects400(() => parseImpositionOptions({ sheet: 'A4', copies: '10001' }), /Too many copies/);
+  assert.strictEqual(parseImpositionOptions({ sheet: 'A4', copies: '10000' }).copies, 10000);
+});
+
+test('fill=1 : cellules par feuille plafonnées', async () => {
+  const item = await writeItem('tiny.pdf', 5, 5);
+  const options = parseImpositionOptions({ sheetWidth_mm: '5080', sheetHeight_mm: '5080', gutter_mm: '0', fill: '1' });
+  await assert.rejects(
+    imposePdf(item, path.join(dir, 'tiny-out.pdf'), options),
+    (err) => err.statusCode === 400 && /Too many items per sheet/.test(err.message)
+  );
+});
+
+test('imposition ordinaire : grille et feuilles', async () => {
+  const item = await writeItem('card.pdf', 85, 55);
+  const result = await imposePdf(item, path.join(dir, 'cards.pdf'), parseImpositionOptions({ sheet: 'SRA3', copies: '30' }));
+  assert.strictEqual(result.copiesPlaced, 30);
+  assert.strictEqual(result.sheetCount, Math.ceil(30 / result.capacityPerSheet));
+  const out = await PDFDocument.load(fs.readFileSync(path.join(dir, 'cards.pdf')));
+  assert.strictEqual(out.getPageCount(), result.sheetCount);
+});
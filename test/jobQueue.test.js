@@ -0,0 +1,131 @@
+// Tests de jobs/jobQueue.js : annulation d'un job en cours, secrets jamais écrits
+// dans le store, erreur hors handler sans job bloqué en "running".
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJobQueue } = require('../jobs/jobQueue');
+
+const storeDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-test-'));
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function waitFor(predicate) {
+  for (let i = 0; i < 100 && !predicate(); i++) await sleep(20);
+  assert.ok(predicate(), 'condition non atteinte');
+}
+
+test('annulation d\'un job en cours : signal annulé, job "cancelled"', async () => {
+  let received = null;
+  const queue = createJobQueue({
+    storeDir: storeDir(),
+    handlers: {
+      slow: (job, signal) => {
+        received = signal;
+        return new Promise((resolve) => {
+          signal.addEventListener('abort', () => resolve({ statusCode: 500, body: { error: 'cancelled' } }));
+        });
+      }
+    }
+  });
+
+  const job = queue.submit('slow', null, {});
+  await waitFor(() => received);
+  assert.strictEqual(queue.get(job.id).status, 'running');
+
+  queue.cancel(job.id);
+  assert.strictEqual(received.aborted, true);
+  await waitFor(() => queue.get(job.id).stage === 'cancelled');
+  assert.strictEqual(queue.get(job.id).status, 'cancelled');
+  assert.strictEqual(queue.stats().running, 0);
+});
+
+test('password et callbackSecret jamais écrits dans le store', async () => {
+  const dir = storeDir();
+  let seen = null;
+  const queue = createJobQueue({
+    storeDir: dir,
+    handlers: {
+      echo: async (job) => {
+        seen = job.params;
+        return { statusCode: 200, body: { ok: true } };
+      }
+    }
+  });
+
+  const job = queue.submit('echo', null, { password: 'mot-de-passe', callbackSecret: 'secret-webhook', pages: '1' });
+  await waitFor(() => queue.get(job.id).status === 'completed');
+
+  // le handler reçoit les secrets, le disque et GET /jobs/:id non
+  assert.strictEqual(seen.password, 'mot-de-passe');
+  const stored = fs.readFileSync(path.join(dir, `${job.id}.json`), 'utf8');
+  assert.ok(!stored.includes('mot-de-passe'));
+  assert.ok(!stored.includes('secret-webhook'));
+  assert.deepStrictEqual(queue.get(job.id).params, { password: '***', callbackSecret: '***', pages: '1' });
+});
+
+test('job avec secrets interrompu par un redémarrage : en échec, pas relancé sans eux', () => {
+  const dir = storeDir();
+  const id = '00000000-0000-4000-8000-000000000001';
+  fs.writeFileSync(path.join(dir, `${id}.json`), JSON.stringify({
+    id,
+    type: 'echo',
+    status: 'running',
+    stage: 'processing',
+    filePath: null,
+    params: { password: '***' },
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  }));
+
+  let calls = 0;
+  const queue = createJobQueue({
+    storeDir: dir,
+    handlers: {
+      echo: async () => {
+        calls++;
+        return { statusCode: 200, body: {} };
+      }
+    }
+  });
+
+  const job = queue.get(id);
+  assert.strictEqual(job.status, 'failed');
+  assert.match(job.error, /password/);
+  assert.strictEqual(calls, 0);
+});
+
+test('erreur hors handler : job en échec, place libérée pour le suivant', async () => {
+  const queue = createJobQueue({
+    storeDir: storeDir(),
+    concurrency: 1,
+    handlers: {
+      echo: async (job) => ({ statusCode: 200, body: { n: job.params.n } })
+    },
+    onFinished: (job) => {
+      if (job.params.n === 1) throw new Error('webhook en panne');
+    }
+  });
+
+  const first = queue.submit('echo', null, { n: 1 });
+  const second = queue.submit('echo', null, { n: 2 });
+  await waitFor(() => queue.get(second.id).status === 'completed');
+  assert.strictEqual(queue.get(first.id).status, 'completed');
+
+  // onCancelledResult qui échoue : le job annulé n'est pas bloqué en "cancelling"
+  let release;
+  const slow = createJobQueue({
+    storeDir: storeDir(),
+    handlers: { wait: () => new Promise((resolve) => (release = resolve)) },
+    onCancelledResult: () => {
+      throw new Error('nettoyage impossible');
+    }
+  });
+  const job = slow.submit('wait', null, {});
+  await waitFor(() => release);
+  slow.cancel(job.id);
+  release({ statusCode: 200, body: { pdfFileName: 'x.pdf' } });
+  await waitFor(() => slow.get(job.id).stage === 'cancelled');
+  assert.strictEqual(slow.stats().running, 0);
+});
@@ -0,0 +1,49 @@
+// Tests de analyzers/pdfAnalyzer.js : sélection de pages ("1-3,5,8-").
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePageRanges, parsePageSelection, pageInRanges } = require('../analyzers/pdfAnalyzer');
+
+const rejects400 = (fn, pattern) => assert.throws(fn, (err) => err.statusCode === 400 && pattern.test(err.message));
+
+test('plages sans développement', () => {
+  assert.strictEqual(parsePageRanges(undefined), null);
+  assert.strictEqual(parsePageRanges(' '), null);
+  assert.deepStrictEqual(parsePageRanges('1-3, 5,8-,-2'), [
+    { start: 1, end: 3 },
+    { start: 5, end: 5 },
+    { start: 8, end: null },
+    { start: 1, end: 2 }
+  ]);
+  // plage énorme : pas de liste construite
+  assert.deepStrictEqual(parsePageRanges('1-999999999'), [{ start: 1, end: 999999999 }]);
+});
+
+test('syntaxe invalide : 400', () => {
+  rejects400(() => parsePageRanges('a-b'), /Invalid pages selection/);
+  rejects400(() => parsePageRanges('-'), /Invalid pages selection/);
+  rejects400(() => parsePageRanges('0-2'), /Invalid page range/);
+  rejects400(() => parsePageRanges('5-3'), /Invalid page range/);
+});
+
+test('sélection limitée au nombre de pages du document', () => {
+  assert.deepStrictEqual(parsePageSelection('3-,1,2', 5), [1, 2, 3, 4, 5]);
+  assert.deepStrictEqual(parsePageSelection('4-9', 5), [4, 5]);
+  assert.deepStrictEqual(parsePageSelection('1-999999999', 3), [1, 2, 3]);
+  rejects400(() => parsePageSelection('7-9', 5), /No page in selection "7-9" \(document has 5 pages\)/);
+});
+
+test('nombre de pages inconnu : plage ouverte refusée, sélection plafonnée', () => {
+  assert.deepStrictEqual(parsePageSelection('2-4', null), [2, 3, 4]);
+  rejects400(() => parsePageSelection('3-', null), /Open page range needs a known page count/);
+
+  const started = Date.now();
+  rejects400(() => parsePageSelection('1-999999999', null), /too large/);
+  assert.ok(Date.now() - started < 100);
+});
+
+test('appartenance d\'une page aux plages, plage ouverte comprise', () => {
+  const ranges = parsePageRanges('1-2,5-');
+  assert.deepStrictEqual([1, 2, 3, 4, 5, 999].map((page) => pageInRanges(ranges, page)), [true, true, false, false, true, true]);
+  assert.strictEqual(pageInRanges(null, 42), true);
+});
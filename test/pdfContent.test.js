@@ -0,0 +1,81 @@
+// Tests de analyzers/pdfContent.js : lecture des opérateurs d'un flux de contenu,
+// budget d'opérateurs par page (formulaires imbriqués dessinés de nombreuses fois).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument, PDFName } = require('pdf-lib');
+const { parseContent, walkPage } = require('../analyzers/pdfContent');
+const { preflightPdf } = require('../analyzers/preflightAnalyzer');
+
+// Page dont le formulaire de niveau n dessine copies fois celui de niveau n - 1
+// (copies ^ levels rectangles pour quelques Ko de fichier)
+async function nestedFormsPdf(levels, copies) {
+  const doc = await PDFDocument.create();
+  const page = doc.addPage([200, 200]);
+  const context = doc.context;
+  let form = context.register(context.stream('0 0 1 1 re f', { Type: 'XObject', Subtype: 'Form', BBox: [0, 0, 1, 1] }));
+  for (let i = 0; i < levels; i++) {
+    form = context.register(context.stream('q /F Do Q '.repeat(copies), {
+      Type: 'XObject',
+      Subtype: 'Form',
+      BBox: [0, 0, 1, 1],
+      Resources: context.obj({ XObject: { F: form } })
+    }));
+  }
+  page.node.set(PDFName.of('Resources'), context.obj({ XObject: { F: form } }));
+  page.node.set(PDFName.of('Contents'), context.register(context.stream('/F Do')));
+  return doc;
+}
+
+test('image en ligne : données ignorées jusqu\'à EI entouré de blancs', () => {
+  const stream = Buffer.concat([
+    Buffer.from('q BI /W 2 /H 1 /BPC 8 /CS /G ID '),
+    Buffer.from('EIA\x00\xffxEI'), // EI non entourés de blancs : données de l'image
+    Buffer.from('\nEI Q 1 0 0 RG')
+  ]);
+  const ops = parseContent(stream);
+  assert.deepStrictEqual(ops.map((o) => o.op), ['q', 'BI', 'Q', 'RG']);
+  assert.deepStrictEqual(ops[1].args[0], { W: 2, H: 1, BPC: 8, CS: { name: 'G' } });
+  assert.deepStrictEqual(ops[3].args, [1, 0, 0]);
+});
+
+test('image en ligne sans EI : fin du flux', () => {
+  const ops = parseContent(Buffer.from('BI /W 1 /H 1 ID \x00\x01\x02'));
+  assert.deepStrictEqual(ops.map((o) => o.op), ['BI']);
+});
+
+test('nombreuses images en ligne : temps linéaire', () => {
+  const image = 'BI /W 4 /H 4 /BPC 8 /CS /G ID ' + 'x'.repeat(16) + ' EI\n';
+  const stream = Buffer.from(image.repeat(20000));
+  const started = Date.now();
+  const ops = parseContent(stream);
+  assert.strictEqual(ops.length, 20000);
+  assert.ok(Date.now() - started < 5000, `analyse trop lente : ${Date.now() - started} ms`);
+});
+
+test('formulaire réutilisé : chaque utilisation est parcourue', async () => {
+  const doc = await nestedFormsPdf(2, 3);
+  let paints = 0;
+  walkPage(doc.getPage(0), { onPaint: () => paints++ });
+  assert.strictEqual(paints, 9);
+});
+
+test('formulaires imbriqués dessinés de nombreuses fois : 422 au lieu de bloquer', async () => {
+  const doc = await nestedFormsPdf(12, 10);
+  assert.throws(() => walkPage(doc.getPage(0), {}, { maxOperators: 100000 }), (err) => {
+    assert.strictEqual(err.statusCode, 422);
+    assert.strictEqual(err.code, 'CONTENT_TOO_COMPLEX');
+    return true;
+  });
+
+  // preflight : la page n'est pas ignorée en silence, l'analyse échoue en 422 en quelques secondes
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'pdf-content-test-')), 'nested.pdf');
+  fs.writeFileSync(file, await doc.save({ useObjectStreams: false }));
+  assert.ok(fs.statSync(file).size < 10 * 1024);
+  const started = Date.now();
+  await assert.rejects(preflightPdf(file), (err) => err.statusCode === 422);
+  assert.ok(Date.now() - started < 10000, `preflight trop lent : ${Date.now() - started} ms`);
+});
@@ -0,0 +1,58 @@
+// Tests de converters/pdfIntake.js avec un qpdf simulé : mot de passe transmis par
+// fichier temporaire 0600, jamais dans les arguments.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { preparePdf } = require('../converters/pdfIntake');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdf-intake-test-'));
+const log = path.join(dir, 'qpdf.log');
+
+// qpdf simulé : PDF chiffré, mot de passe "s3cret", structure saine ; arguments,
+// droits et contenu du fichier de mot de passe journalisés
+fs.writeFileSync(path.join(dir, 'qpdf'), `#!/bin/sh
+echo "args: $*" >> "${log}"
+password=""
+for arg in "$@"; do
+  case "$arg" in
+    --password-file=*) file="\${arg#--password-file=}"; password=$(cat "$file"); echo "mode: $(stat -c %a "$file")" >> "${log}" ;;
+  esac
+done
+case "$1" in
+  --is-encrypted) exit 0 ;;
+  --requires-password) [ "$password" = "s3cret" ] && exit 2; exit 0 ;;
+  --check) exit 0 ;;
+esac
+eval "out=\\\${$#}"
+eval "in=\\\${$(($# - 1))}"
+cp "$in" "$out"
+`, { mode: 0o755 });
+process.env.PATH = `${dir}:${process.env.PATH}`;
+
+function writePdf(name) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, '%PDF-1.4\n%%EOF\n');
+  return file;
+}
+
+test('mot de passe par fichier 0600, absent des arguments, fichier supprimé', async () => {
+  fs.rmSync(log, { force: true });
+  const result = await preparePdf(writePdf('locked.pdf'), { password: 's3cret' });
+  assert.deepStrictEqual(result.actions, ['decrypted']);
+
+  const lines = fs.readFileSync(log, 'utf8').split('\n');
+  assert.ok(lines.every((line) => !line.includes('s3cret')), 'mot de passe dans les arguments');
+  const files = lines.filter((l) => l.startsWith('args:')).flatMap((l) => l.split(' ').filter((a) => a.startsWith('--password-file=')));
+  assert.strictEqual(files.length, 2);
+  assert.deepStrictEqual(lines.filter((l) => l.startsWith('mode:')), ['mode: 600', 'mode: 600']);
+  for (const file of files) assert.strictEqual(fs.existsSync(file.slice('--password-file='.length)), false);
+});
+
+test('mot de passe faux ou absent : 400', async () => {
+  await assert.rejects(preparePdf(writePdf('wrong.pdf'), { password: 'autre' }), (err) => err.statusCode === 400 && /Incorrect password/.test(err.message));
+  await assert.rejects(preparePdf(writePdf('none.pdf')), (err) => err.statusCode === 400 && /password protected/.test(err.message));
+  await assert.rejects(preparePdf(writePdf('multi.pdf'), { password: 's3cret\nautre' }), (err) => err.statusCode === 400 && /line breaks/.test(err.message));
+});
@@ -0,0 +1,48 @@
+// Tests de analyzers/preflightAnalyzer.js : constats externes (conversion, qpdf) triés
+// et comptés avec ceux du PDF.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+const { preflightPdf } = require('../analyzers/preflightAnalyzer');
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+async function writePdf() {
+  const doc = await PDFDocument.create();
+  const page = doc.addPage([200, 200]);
+  page.drawRectangle({ x: 10, y: 10, width: 50, height: 50 });
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'preflight-test-')), 'a.pdf');
+  fs.writeFileSync(file, await doc.save());
+  return file;
+}
+
+test('constats externes triés par sévérité et comptés dans le résumé', async () => {
+  const file = await writePdf();
+  const plain = await preflightPdf(file);
+
+  const report = await preflightPdf(file, {
+    extraFindings: [
+      { code: 'CONVERTED_FOR_PREFLIGHT', severity: 'info', page: null, message: 'converti' },
+      { code: 'REPAIRED_FOR_PREFLIGHT', severity: 'warning', page: null, message: 'réparé' }
+    ]
+  });
+  assert.strictEqual(report.summary.infos, plain.summary.infos + 1);
+  assert.strictEqual(report.summary.warnings, plain.summary.warnings + 1);
+
+  const order = report.findings.map((f) => SEVERITIES.indexOf(f.severity));
+  assert.deepStrictEqual(order, [...order].sort((a, b) => a - b));
+  assert.ok(report.findings.some((f) => f.code === 'REPAIRED_FOR_PREFLIGHT'));
+});
+
+test('constat externe bloquant : printable recalculé', async () => {
+  const report = await preflightPdf(await writePdf(), {
+    extraFindings: [{ code: 'EXTERNAL', severity: 'error', page: null, message: 'bloquant' }]
+  });
+  assert.strictEqual(report.findings[0].code, 'EXTERNAL');
+  assert.strictEqual(report.summary.errors >= 1, true);
+  assert.strictEqual(report.summary.printable, false);
+});
@@ -0,0 +1,179 @@
+// Tests de converters/preview.js : options (préfixe thumbnail, fond, boîtes tracées),
+// taille affichée des pages tournées, planche contact, résolution de rendu, PDF d'aperçu.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument, degrees } = require('pdf-lib');
+const {
+  parsePreviewOptions,
+  previewExtension,
+  buildPreviewPdf,
+  displayedPage,
+  sheetLayout,
+  renderDpi
+} = require('../converters/preview');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'preview-test-'));
+const rejects400 = (fn, pattern) => assert.throws(fn, (err) => err.statusCode === 400 && pattern.test(err.message));
+
+// pages : [{ size: [w, h], rotate?, crop?: [x, y, w, h], trim?: [x, y, w, h] }]
+async function writePdf(name, pages) {
+  const doc = await PDFDocument.create();
+  for (const spec of pages) {
+    const page = doc.addPage(spec.size);
+    page.drawRectangle({ x: 0, y: 0, width: 10, height: 10 });
+    if (spec.rotate) page.setRotation(degrees(spec.rotate));
+    if (spec.crop) page.setCropBox(...spec.crop);
+    if (spec.trim) page.setTrimBox(...spec.trim);
+  }
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, await doc.save());
+  return file;
+}
+
+test('options par défaut et préfixe thumbnail', () => {
+  assert.deepStrictEqual(parsePreviewOptions({}), {
+    format: 'png',
+    dpi: null,
+    width_px: null,
+    height_px: null,
+    page: 1,
+    contactSheet: false,
+    columns: null,
+    background: null,
+    overlay: [],
+    quality: 85
+  });
+
+  const thumb = parsePreviewOptions({ thumbnailFormat: 'JPG', thumbnailWidth_px: '400', thumbnailPage: '3', format: 'webp' }, 'thumbnail');
+  assert.strictEqual(thumb.format, 'jpeg');
+  assert.strictEqual(thumb.width_px, 400);
+  assert.strictEqual(thumb.page, 3);
+  assert.strictEqual(previewExtension(thumb), '.jpg');
+  assert.strictEqual(previewExtension(parsePreviewOptions({ format: 'webp' })), '.webp');
+});
+
+test('options : planche contact, fond, boîtes tracées', () => {
+  const sheet = parsePreviewOptions({ page: 'all', columns: '4' });
+  assert.deepStrictEqual([sheet.contactSheet, sheet.page, sheet.columns], [true, null, 4]);
+  assert.strictEqual(parsePreviewOptions({ contactSheet: 'true' }).contactSheet, true);
+
+  const backgrounds = ['transparent', 'none', 'White', '#F80', 'ff8800', ' grey '].map((background) => parsePreviewOptions({ background }).background);
+  assert.deepStrictEqual(backgrounds, [null, null, '#ffffff', '#ff8800', '#ff8800', '#808080']);
+
+  assert.deepStrictEqual(parsePreviewOptions({ overlay: '1' }).overlay, ['trim', 'bleed']);
+  assert.deepStrictEqual(parsePreviewOptions({ overlay: 'off' }).overlay, []);
+  assert.deepStrictEqual(parsePreviewOptions({ overlay: 'Bleed, bleed' }).overlay, ['bleed']);
+});
+
+test('options invalides : 400 avec le nom du champ préfixé', () => {
+  rejects400(() => parsePreviewOptions({ format: 'gif' }), /^format must be png, jpeg or webp/);
+  rejects400(() => parsePreviewOptions({ thumbnailFormat: 'tiff' }, 'thumbnail'), /^thumbnailFormat must/);
+  rejects400(() => parsePreviewOptions({ dpi: '1201' }), /dpi must be a positive number \(max 1200\)/);
+  rejects400(() => parsePreviewOptions({ width_px: '10001' }), /width_px must be a positive integer \(max 10000\)/);
+  rejects400(() => parsePreviewOptions({ height_px: '12.5' }), /height_px must be a positive integer/);
+  rejects400(() => parsePreviewOptions({ page: '0' }), /^page must be a positive integer$/);
+  rejects400(() => parsePreviewOptions({ quality: '101' }), /quality must/);
+  rejects400(() => parsePreviewOptions({ previewBackground: 'rainbow' }, 'preview'), /^previewBackground must be "transparent"/);
+  rejects400(() => parsePreviewOptions({ overlay: 'art' }), /overlay must be 1 or a list of boxes \(trim, bleed\)/);
+});
+
+test('taille affichée : CropBox, rotation normalisée, côtés permutés au quart de tour', async () => {
+  const file = await writePdf('rotated.pdf', [
+    { size: [600, 400] },
+    { size: [600, 400], rotate: 90 },
+    { size: [600, 400], rotate: -90 },
+    { size: [600, 400], rotate: 540, crop: [50, 20, 300, 200] }
+  ]);
+  const doc = await PDFDocument.load(fs.readFileSync(file));
+  const shown = doc.getPages().map((page, i) => {
+    const { number, rotation, width, height } = displayedPage(page, i);
+    return { number, rotation, width, height };
+  });
+  assert.deepStrictEqual(shown, [
+    { number: 1, rotation: 0, width: 600, height: 400 },
+    { number: 2, rotation: 90, width: 400, height: 600 },
+    { number: 3, rotation: 270, width: 400, height: 600 },
+    { number: 4, rotation: 180, width: 300, height: 200 }
+  ]);
+});
+
+test('planche contact : grille, cellules à la taille de la plus grande page, pages centrées', () => {
+  const items = [
+    { width: 200, height: 100 },
+    { width: 100, height: 200 },
+    { width: 200, height: 200 },
+    { width: 50, height: 50 },
+    { width: 200, height: 100 }
+  ];
+  const layout = sheetLayout(items, null);
+  // unité = 200 / 20 = 10, 3 colonnes (⌈√5⌉), 2 rangées
+  assert.deepStrictEqual([layout.columns, layout.rows, layout.width, layout.height], [3, 2, 640, 450]);
+
+  const [first, second, , fourth] = layout.placements;
+  assert.deepStrictEqual([first.scale, first.x, first.y], [1, 10, 290]);
+  // page portrait centrée horizontalement dans sa cellule carrée
+  assert.deepStrictEqual([second.scale, second.x, second.y], [1, 270, 240]);
+  // petite page agrandie à la cellule
+  assert.deepStrictEqual([fourth.scale, fourth.x, fourth.y], [4, 10, 20]);
+  assert.deepStrictEqual(first.label, { x: 110, y: 232.5, size: 6 });
+
+  // colonnes demandées bornées par le nombre de pages
+  const single = sheetLayout(items.slice(0, 2), 5);
+  assert.deepStrictEqual([single.columns, single.rows], [2, 1]);
+});
+
+test('résolution de rendu : taille cible, dpi, défauts, plafonds', () => {
+  // 8 × 4 pouces
+  assert.strictEqual(renderDpi(576, 288, {}), 150);
+  assert.strictEqual(renderDpi(576, 288, { dpi: 300 }), 300);
+  assert.strictEqual(renderDpi(576, 288, { width_px: 800 }), 100);
+  assert.strictEqual(renderDpi(576, 288, { height_px: 800 }), 200);
+  // largeur et hauteur : l'image tient dans les deux
+  assert.strictEqual(renderDpi(576, 288, { width_px: 800, height_px: 200, dpi: 600 }), 50);
+  // planche contact : 2000 px sur le plus grand côté
+  assert.strictEqual(renderDpi(576, 288, { contactSheet: true }), 250);
+  assert.strictEqual(renderDpi(576, 288, { contactSheet: true, dpi: 72 }), 72);
+  // 10000 px sur le plus grand côté, 1200 dpi au plus
+  assert.strictEqual(renderDpi(7200, 3600, { dpi: 1200 }), 100);
+  assert.strictEqual(renderDpi(72, 72, { width_px: 10000 }), 1200);
+  assert.strictEqual(renderDpi(700, 300, { width_px: 333 }), 34.251);
+});
+
+test('PDF d\'aperçu d\'une page tournée : taille affichée, boîtes tracées présentes', async () => {
+  const file = await writePdf('page.pdf', [
+    { size: [600, 400] },
+    { size: [600, 400], rotate: 90, trim: [10, 10, 580, 380] }
+  ]);
+  const out = path.join(dir, 'page.preview.pdf');
+  const options = parsePreviewOptions({ page: '2', width_px: '800', overlay: '1' });
+
+  const result = await buildPreviewPdf(file, out, options);
+  assert.deepStrictEqual(result, { width: 400, height: 600, dpi: 144, pages: [2], pageCount: 2, overlay: ['trim'] });
+  const preview = await PDFDocument.load(fs.readFileSync(out));
+  assert.deepStrictEqual(preview.getPage(0).getSize(), { width: 400, height: 600 });
+
+  await assert.rejects(
+    buildPreviewPdf(file, out, parsePreviewOptions({ page: '3' })),
+    (err) => err.statusCode === 400 && /page 3 does not exist \(document has 2 page\(s\)\)/.test(err.message)
+  );
+});
+
+test('PDF d\'aperçu en planche contact : grille et limite de pages', async () => {
+  const file = await writePdf('sheet.pdf', [{ size: [200, 100] }, { size: [200, 100], rotate: 270 }, { size: [100, 100] }]);
+  const out = path.join(dir, 'sheet.preview.pdf');
+
+  const result = await buildPreviewPdf(file, out, parsePreviewOptions({ page: 'all', background: 'white' }));
+  assert.deepStrictEqual([result.columns, result.rows, result.pages], [2, 2, [1, 2, 3]]);
+  assert.deepStrictEqual([result.width, result.height], [430, 450]);
+  assert.strictEqual(result.dpi, 320);
+
+  const many = await writePdf('many.pdf', Array.from({ length: 201 }, () => ({ size: [20, 20] })));
+  await assert.rejects(
+    buildPreviewPdf(many, out, parsePreviewOptions({ page: 'all' })),
+    (err) => err.statusCode === 400 && /Contact sheet is limited to 200 pages \(document has 201\)/.test(err.message)
+  );
+});
@@ -0,0 +1,132 @@
+// Tests de lib/processRunner.js : délai dépassé et annulation (groupe de processus tué),
+// plafond de sortie, outil absent.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { runProcess, runGhostscript, withAbortSignal, GS_CMD } = require('../lib/processRunner');
+
+const hasGhostscript = !spawnSync(GS_CMD, ['--version']).error;
+
+function tmpFile(name, content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'process-runner-test-'));
+  const file = path.join(dir, name);
+  if (content !== undefined) fs.writeFileSync(file, content);
+  return file;
+}
+
+// Processus vivant ? (un zombie pas encore ramassé compte comme terminé)
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+  } catch (e) {
+    return false;
+  }
+  try {
+    return !/^\d+ \(.*\) Z/.test(fs.readFileSync(`/proc/${pid}/stat`, 'utf8'));
+  } catch (e) {
+    return process.platform !== 'linux';
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('PostScript qui boucle sans fin : TOOL_TIMEOUT', { skip: !hasGhostscript && 'Ghostscript absent' }, async () => {
+  const ps = tmpFile('loop.ps', '%!PS\n{} loop\n');
+  const started = Date.now();
+  await assert.rejects(runGhostscript(['-sDEVICE=nullpage', ps], { timeoutMs: 1000 }), (err) => {
+    assert.strictEqual(err.code, 'TOOL_TIMEOUT');
+    assert.strictEqual(err.statusCode, 422);
+    assert.strictEqual(err.signal, 'SIGKILL');
+    return true;
+  });
+  assert.ok(Date.now() - started < 10000);
+});
+
+// Le processus lancé démarre lui-même un sous-processus qui boucle (pid écrit dans pidFile), puis boucle aussi
+function spawningScript(pidFile) {
+  return `
+    const { spawn } = require('child_process');
+    const child = spawn(process.execPath, ['-e', 'setInterval(() => {}, 1000)'], { stdio: 'ignore' });
+    require('fs').writeFileSync(${JSON.stringify(pidFile)}, String(child.pid));
+    setInterval(() => {}, 1000);
+  `;
+}
+
+async function waitForPid(pidFile) {
+  for (let i = 0; i < 100 && !fs.existsSync(pidFile); i++) await sleep(50);
+  return parseInt(fs.readFileSync(pidFile, 'utf8'), 10);
+}
+
+test('délai dépassé : tout le groupe de processus est tué', { skip: process.platform === 'win32' }, async () => {
+  const pidFile = tmpFile('grandchild.pid');
+  await assert.rejects(runProcess(process.execPath, ['-e', spawningScript(pidFile)], { timeoutMs: 1000 }), (err) => {
+    assert.strictEqual(err.code, 'TOOL_TIMEOUT');
+    assert.strictEqual(err.tool, path.basename(process.execPath));
+    return true;
+  });
+
+  const grandchild = parseInt(fs.readFileSync(pidFile, 'utf8'), 10);
+  assert.ok(grandchild > 0);
+  for (let i = 0; i < 20 && isAlive(grandchild); i++) await sleep(50);
+  assert.strictEqual(isAlive(grandchild), false, 'le sous-processus doit être tué avec le groupe');
+});
+
+test('annulation : TOOL_ABORTED, tout le groupe de processus est tué', { skip: process.platform === 'win32' }, async () => {
+  const pidFile = tmpFile('grandchild.pid');
+  const controller = new AbortController();
+  const run = runProcess(process.execPath, ['-e', spawningScript(pidFile)], { signal: controller.signal });
+
+  const grandchild = await waitForPid(pidFile);
+  controller.abort();
+  await assert.rejects(run, (err) => {
+    assert.strictEqual(err.code, 'TOOL_ABORTED');
+    assert.strictEqual(err.signal, 'SIGKILL');
+    return true;
+  });
+  for (let i = 0; i < 20 && isAlive(grandchild); i++) await sleep(50);
+  assert.strictEqual(isAlive(grandchild), false, 'le sous-processus doit être tué avec le groupe');
+});
+
+test('withAbortSignal : signal hérité par les outils lancés, plus de lancement une fois annulé', async () => {
+  const controller = new AbortController();
+  const run = withAbortSignal(controller.signal, async () => {
+    await sleep(10);
+    return runProcess(process.execPath, ['-e', 'setInterval(() => {}, 1000)']);
+  });
+  setTimeout(() => controller.abort(), 300);
+  await assert.rejects(run, (err) => err.code === 'TOOL_ABORTED');
+
+  await assert.rejects(
+    withAbortSignal(controller.signal, () => runProcess(process.execPath, ['-e', ''])),
+    (err) => err.code === 'TOOL_ABORTED'
+  );
+});
+
+test('sortie au-delà du plafond : TOOL_OUTPUT_LIMIT', async () => {
+  const script = "setInterval(() => process.stdout.write('x'.repeat(64 * 1024)), 1)";
+  await assert.rejects(runProcess(process.execPath, ['-e', script], { maxOutputBytes: 100 * 1024 }), (err) => {
+    assert.strictEqual(err.code, 'TOOL_OUTPUT_LIMIT');
+    assert.strictEqual(err.statusCode, 422);
+    assert.match(err.message, /more than 102400 bytes on stdout/);
+    return true;
+  });
+});
+
+test('outil absent : TOOL_NOT_FOUND', async () => {
+  await assert.rejects(runProcess('outil-inexistant-analyse-fichiers', ['--version']), (err) => {
+    assert.strictEqual(err.code, 'TOOL_NOT_FOUND');
+    assert.strictEqual(err.tool, 'outil-inexistant-analyse-fichiers');
+    assert.strictEqual(err.statusCode, undefined);
+    return true;
+  });
+});
+
+test('sortie normale : stdout, stderr et code de sortie', async () => {
+  const script = "process.stdout.write('ok'); process.stderr.write('warn'); process.exit(3)";
+  const result = await runProcess(process.execPath, ['-e', script], { okExitCodes: [0, 3] });
+  assert.deepStrictEqual(result, { stdout: 'ok', stderr: 'warn', exitCode: 3 });
+});
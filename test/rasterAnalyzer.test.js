@@ -0,0 +1,97 @@
+// Tests de analyzers/rasterAnalyzer.js : en-têtes tronqués ou corrompus → erreur 422, pas RangeError.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { readRasterHeader } = require('../analyzers/rasterAnalyzer');
+
+function u16be(n) {
+  const b = Buffer.alloc(2);
+  b.writeUInt16BE(n);
+  return b;
+}
+
+function u32be(n) {
+  const b = Buffer.alloc(4);
+  b.writeUInt32BE(n);
+  return b;
+}
+
+// Chunk PNG sans CRC vérifié (4 octets à zéro)
+function pngChunk(type, data) {
+  return Buffer.concat([u32be(data.length), Buffer.from(type, 'latin1'), data, Buffer.alloc(4)]);
+}
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const IHDR = Buffer.concat([u32be(300), u32be(200), Buffer.from([8, 6, 0, 0, 0])]);
+
+function assertCorrupt(buf, format) {
+  assert.throws(
+    () => readRasterHeader(buf),
+    (err) => !(err instanceof RangeError) && err.statusCode === 422 && err.message.startsWith(`Corrupt ${format} image`)
+  );
+}
+
+test('PNG valide : dimensions et alpha', () => {
+  const png = Buffer.concat([PNG_SIGNATURE, pngChunk('IHDR', IHDR), pngChunk('IEND', Buffer.alloc(0))]);
+  const info = readRasterHeader(png);
+  assert.strictEqual(info.pixelWidth, 300);
+  assert.strictEqual(info.pixelHeight, 200);
+  assert.strictEqual(info.hasAlpha, true);
+});
+
+test('PNG tronqué dans IHDR : 422', () => {
+  const png = Buffer.concat([PNG_SIGNATURE, pngChunk('IHDR', IHDR)]).subarray(0, 8 + 8 + 6);
+  assertCorrupt(png, 'PNG');
+});
+
+test('PNG tronqué dans pHYs : 422', () => {
+  const png = Buffer.concat([PNG_SIGNATURE, pngChunk('IHDR', IHDR), u32be(9), Buffer.from('pHYs'), Buffer.alloc(4)]);
+  assertCorrupt(png, 'PNG');
+});
+
+test('JPEG tronqué dans SOF : 422', () => {
+  const jpeg = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xc0]), u16be(17), Buffer.from([8, 0x01])]);
+  assertCorrupt(jpeg, 'JPEG');
+});
+
+test('JPEG tronqué dans JFIF : 422', () => {
+  const jpeg = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), u16be(16), Buffer.from('JFIF\0\x01\x01', 'latin1')]);
+  assertCorrupt(jpeg, 'JPEG');
+});
+
+test('JPEG avec longueur de segment invalide : 422', () => {
+  const jpeg = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe1]), u16be(0), Buffer.alloc(8)]);
+  assertCorrupt(jpeg, 'JPEG');
+});
+
+test('TIFF avec IFD hors du fichier : 422', () => {
+  const tiff = Buffer.from([0x49, 0x49, 0x2a, 0x00, 0x00, 0x10, 0x00, 0x00]);
+  assertCorrupt(tiff, 'TIFF');
+});
+
+test('TIFF avec valeurs hors du fichier : 422', () => {
+  // 1 entrée : StripOffsets (273), LONG, 1000 valeurs à l'offset 0xffff
+  const tiff = Buffer.alloc(26);
+  tiff.write('II*\0', 0, 'latin1');
+  tiff.writeUInt32LE(8, 4);
+  tiff.writeUInt16LE(1, 8);
+  tiff.writeUInt16LE(273, 10);
+  tiff.writeUInt16LE(4, 12);
+  tiff.writeUInt32LE(1000, 14);
+  tiff.writeUInt32LE(0xffff, 18);
+  assertCorrupt(tiff, 'TIFF');
+});
+
+test('WebP tronqué dans VP8X : 422', () => {
+  const webp = Buffer.concat([Buffer.from('RIFF\0\0\0\0WEBPVP8X', 'latin1'), Buffer.from([10, 0, 0, 0, 0x10, 0, 0])]);
+  assertCorrupt(webp, 'WebP');
+});
+
+test('WebP tronqué dans VP8L : 422', () => {
+  const webp = Buffer.concat([Buffer.from('RIFF\0\0\0\0WEBPVP8L', 'latin1'), Buffer.from([5, 0, 0, 0, 0x2f, 0])]);
+  assertCorrupt(webp, 'WebP');
+});
+
+test('format inconnu : 415', () => {
+  assert.throws(() => readRasterHeader(Buffer.from('GIF89a')), (err) => err.statusCode === 415);
+});
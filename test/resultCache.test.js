@@ -0,0 +1,110 @@
+// Tests de lib/resultCache.js : clé (empreinte du fichier + options normalisées),
+// éviction par âge et par taille totale, réponses en erreur jamais mises en cache.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createResultCache, isCacheableResponse } = require('../lib/resultCache');
+
+function setup(options = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'result-cache-test-'));
+  const converted = path.join(root, 'converted');
+  fs.mkdirSync(converted);
+  const cache = createResultCache({ dir: path.join(root, 'cache'), outputDirs: { converted }, ...options });
+  const write = (name, data) => {
+    const file = path.join(root, name);
+    fs.writeFileSync(file, data);
+    return file;
+  };
+  // Sortie de traitement dans converted/, dernier usage ageMs dans le passé
+  const output = (name, bytes, ageMs = 0) => {
+    const file = path.join(converted, name);
+    fs.writeFileSync(file, Buffer.alloc(bytes));
+    const t = (Date.now() - ageMs) / 1000;
+    fs.utimesSync(file, t, t);
+    return `/converted/${name}`;
+  };
+  return { root, converted, cache, write, output };
+}
+
+test('clé : empreinte du fichier + type + options normalisées', async () => {
+  const { cache, write } = setup();
+  const a = write('a.pdf', '%PDF-1.4 a');
+  const copy = write('copie.pdf', '%PDF-1.4 a');
+  const b = write('b.pdf', '%PDF-1.4 b');
+
+  const key = await cache.keyFor(a, 'analyze', { dpi: 150, inkCoverage: 'true', pages: '' });
+  assert.match(key, /^[0-9a-f]{64}$/);
+  // ordre des clés, nombres / chaînes, valeurs vides : même clé ; nom du fichier sans effet
+  assert.strictEqual(await cache.keyFor(copy, 'analyze', { inkCoverage: 'true', dpi: '150', text: undefined }), key);
+
+  assert.notStrictEqual(await cache.keyFor(b, 'analyze', { dpi: 150, inkCoverage: 'true' }), key);
+  assert.notStrictEqual(await cache.keyFor(a, 'convert', { dpi: 150, inkCoverage: 'true' }), key);
+  assert.notStrictEqual(await cache.keyFor(a, 'analyze', { dpi: 300, inkCoverage: 'true' }), key);
+});
+
+test('get / set : réponse servie, invalidée si un fichier produit a disparu', () => {
+  const { cache, converted, output } = setup();
+  const pdf = output('x.pdf', 10);
+  cache.set('k1', 'convert', { ok: true, pdfPath: pdf }, [pdf, '/ailleurs/y.png']);
+
+  assert.deepStrictEqual(cache.get('k1'), { ok: true, pdfPath: pdf });
+  assert.deepStrictEqual(cache.list()[0].files, [pdf]);
+
+  fs.unlinkSync(path.join(converted, 'x.pdf'));
+  assert.strictEqual(cache.get('k1'), null);
+  assert.strictEqual(cache.stats().entries, 0);
+  assert.deepStrictEqual([cache.stats().hits, cache.stats().misses], [1, 1]);
+});
+
+test('éviction par âge depuis le dernier usage', () => {
+  const { root, converted, cache: first, output } = setup();
+  const old = output('old.pdf', 10, 120 * 1000);
+  const recent = output('recent.pdf', 10);
+  first.set('old', 'convert', { ok: true }, [old]);
+  first.set('recent', 'convert', { ok: true }, [recent]);
+  // dernier accès de l'entrée "old" il y a 2 minutes, relu au redémarrage
+  const oldFile = path.join(root, 'cache', 'old.json');
+  const entry = JSON.parse(fs.readFileSync(oldFile, 'utf8'));
+  entry.lastAccessAt = new Date(Date.now() - 120 * 1000).toISOString();
+  fs.writeFileSync(oldFile, JSON.stringify(entry));
+
+  const cache = createResultCache({ dir: path.join(root, 'cache'), outputDirs: { converted }, maxAgeMs: 60 * 1000 });
+  const result = cache.sweep();
+  assert.strictEqual(result.deletedFiles, 1);
+  assert.strictEqual(result.deletedEntries, 1);
+  assert.deepStrictEqual(fs.readdirSync(converted), ['recent.pdf']);
+  assert.deepStrictEqual(cache.list().map((e) => e.key), ['recent']);
+});
+
+test('éviction par taille totale : les moins récemment utilisés d\'abord', () => {
+  const { cache, converted, output } = setup({ maxBytes: 250 });
+  output('a.pdf', 100, 30 * 1000);
+  output('b.pdf', 100, 20 * 1000);
+  output('c.pdf', 100, 10 * 1000);
+
+  const result = cache.sweep();
+  assert.strictEqual(result.deletedFiles, 1);
+  assert.strictEqual(result.freedBytes, 100);
+  assert.deepStrictEqual(fs.readdirSync(converted).sort(), ['b.pdf', 'c.pdf']);
+});
+
+test('réponses en erreur jamais mises en cache', () => {
+  assert.strictEqual(isCacheableResponse(200, { ok: true }), true);
+  assert.strictEqual(isCacheableResponse(undefined, { pageCount: 2 }), true);
+  assert.strictEqual(isCacheableResponse(200, { ok: false, error: 'x' }), false);
+  assert.strictEqual(isCacheableResponse(422, { ok: true }), false);
+  assert.strictEqual(isCacheableResponse(500, { error: 'x' }), false);
+  assert.strictEqual(isCacheableResponse(200, null), false);
+});
+
+test('état persisté relu au redémarrage', () => {
+  const { root, converted, cache, output } = setup();
+  const pdf = output('x.pdf', 10);
+  cache.set('k1', 'convert', { ok: true, pdfPath: pdf }, [pdf]);
+
+  const restarted = createResultCache({ dir: path.join(root, 'cache'), outputDirs: { converted } });
+  assert.deepStrictEqual(restarted.get('k1'), { ok: true, pdfPath: pdf });
+});
@@ -0,0 +1,89 @@
+// Tests de analyzers/svgAnalyzer.js : taille déclarée (unités CSS, viewBox,
+// preserveAspectRatio) et bbox géométrique du contenu, sans rendu.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { analyzeSvgFile } = require('../analyzers/svgAnalyzer');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'svg-analyzer-test-'));
+let counter = 0;
+
+function analyze(rootAttributes, body = '') {
+  const file = path.join(dir, `${counter++}.svg`);
+  fs.writeFileSync(file, `<svg xmlns="http://www.w3.org/2000/svg" ${rootAttributes}>${body}</svg>`);
+  return analyzeSvgFile(file, { render: false });
+}
+
+const box = (r) => [r.x_mm, r.y_mm, r.width_mm, r.height_mm];
+
+test('width / height en mm et viewBox : unités utilisateur = mm', async () => {
+  const r = await analyze('width="210mm" height="297mm" viewBox="0 0 210 297"', '<rect x="10" y="20" width="50" height="30"/>');
+  assert.strictEqual(r.declared.sizeSource, 'width_height');
+  assert.deepStrictEqual([r.declared.width_mm, r.declared.height_mm], [210, 297]);
+  assert.strictEqual(r.source, 'svg_geometry');
+  assert.deepStrictEqual(box(r.content), [10, 20, 50, 30]);
+  // premier niveau = contenu ; PDF y vers le haut
+  assert.strictEqual(r.width_mm, 50);
+  assert.ok(Math.abs(r.lly - ((297 - 50) * 72) / 25.4) < 1e-6);
+});
+
+test('unités CSS : in, pt, cm, px (1 px = 1/96 in, pas de 72 dpi supposé)', async () => {
+  const sizes = async (attrs) => {
+    const r = await analyze(attrs);
+    return [r.declared.width_mm, r.declared.height_mm];
+  };
+  assert.deepStrictEqual(await sizes('width="2in" height="1in"'), [50.8, 25.4]);
+  assert.deepStrictEqual(await sizes('width="72pt" height="36pt"'), [25.4, 12.7]);
+  assert.deepStrictEqual(await sizes('width="10cm" height="5.5cm"'), [100, 55]);
+  assert.deepStrictEqual(await sizes('width="96" height="48px"'), [25.4, 12.7]);
+});
+
+test('dimension manquante déduite du ratio du viewBox, viewBox seul en px', async () => {
+  const ratio = await analyze('width="2in" viewBox="0 0 100 50"');
+  assert.strictEqual(ratio.declared.sizeSource, 'width_height_viewbox_ratio');
+  assert.deepStrictEqual([ratio.declared.width_mm, ratio.declared.height_mm], [50.8, 25.4]);
+
+  const viewBoxOnly = await analyze('viewBox="0 0 96 48"');
+  assert.strictEqual(viewBoxOnly.declared.sizeSource, 'viewbox');
+  assert.deepStrictEqual([viewBoxOnly.declared.width_mm, viewBoxOnly.declared.height_mm], [25.4, 12.7]);
+});
+
+test('preserveAspectRatio : meet centré, slice, none', async () => {
+  const rect = '<rect x="0" y="0" width="100" height="100"/>';
+  const meet = await analyze('width="100mm" height="50mm" viewBox="0 0 100 100"', rect);
+  assert.deepStrictEqual(box(meet.content), [25, 0, 50, 50]);
+
+  const left = await analyze('width="100mm" height="50mm" viewBox="0 0 100 100" preserveAspectRatio="xMinYMid meet"', rect);
+  assert.deepStrictEqual(box(left.content), [0, 0, 50, 50]);
+
+  // none : étiré ; slice : débordement rogné au viewport
+  const none = await analyze('width="100mm" height="50mm" viewBox="0 0 100 100" preserveAspectRatio="none"', rect);
+  assert.deepStrictEqual(box(none.content), [0, 0, 100, 50]);
+  const slice = await analyze('width="100mm" height="50mm" viewBox="0 0 100 100" preserveAspectRatio="xMidYMid slice"', rect);
+  assert.deepStrictEqual(box(slice.content), [0, 0, 100, 50]);
+});
+
+test('transformations, éléments non rendus ignorés, % signalé', async () => {
+  const r = await analyze(
+    'width="100%" height="50mm" viewBox="0 0 100 50"',
+    '<defs><rect width="1000" height="1000"/></defs><g transform="translate(10 5) scale(2)"><circle cx="5" cy="5" r="5"/></g>'
+  );
+  assert.deepStrictEqual(r.warnings, ['width "100%" not resolvable, ignored']);
+  assert.strictEqual(r.declared.sizeSource, 'width_height_viewbox_ratio');
+  assert.strictEqual(r.declared.width_mm, 100);
+  assert.deepStrictEqual(box(r.content), [10, 5, 20, 20]);
+});
+
+test('texte non mesurable sans rendu : signalé, taille déclarée', async () => {
+  const r = await analyze('width="20mm" height="10mm"', '<text x="1" y="5">A</text>');
+  assert.deepStrictEqual(r.unmeasuredElements, ['text']);
+  assert.strictEqual(r.source, 'svg_declared');
+  assert.strictEqual(r.width_mm, 20);
+});
+
+test('ni dimensions ni contenu mesurable : erreur', async () => {
+  await assert.rejects(analyze(''), /no usable dimensions/);
+});
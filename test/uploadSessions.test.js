@@ -0,0 +1,92 @@
+// Tests de lib/uploadSessions.js : morceaux hors plage, empreinte fausse, morceau
+// manquant à la finalisation, reprise après redémarrage, expiration.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { createUploadSessions } = require('../lib/uploadSessions');
+
+const storeDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'upload-sessions-test-'));
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const content = Buffer.from('0123456789abcdefghij-fin');
+const chunk = (index) => content.subarray((index - 1) * 10, index * 10);
+
+test('index de morceau hors plage ou invalide : 400', async () => {
+  const uploads = createUploadSessions({ dir: storeDir() });
+  const { uploadId } = uploads.create({ fileName: 'big.pdf', size: content.length, chunkSize: 10 });
+
+  for (const index of ['0', '4', '-1', '1.5', 'abc']) {
+    await assert.rejects(uploads.putChunk(uploadId, index, chunk(1), sha256(chunk(1))), (err) => err.statusCode === 400, index);
+  }
+  await assert.rejects(uploads.putChunk(uploadId, '1', chunk(1).subarray(0, 5), sha256(chunk(1).subarray(0, 5))), /must be 10 bytes/);
+  await assert.rejects(uploads.putChunk(uploadId, '1', chunk(1)), /checksum is required/);
+  await assert.rejects(uploads.putChunk('inconnu', '1', chunk(1), sha256(chunk(1))), (err) => err.statusCode === 404);
+});
+
+test('empreinte du morceau fausse : 422, morceau non enregistré', async () => {
+  const uploads = createUploadSessions({ dir: storeDir() });
+  const { uploadId } = uploads.create({ fileName: 'big.pdf', size: content.length, chunkSize: 10 });
+
+  await assert.rejects(uploads.putChunk(uploadId, '2', chunk(2), sha256(chunk(1))), (err) => err.statusCode === 422);
+  assert.deepStrictEqual(uploads.get(uploadId).receivedChunks, []);
+});
+
+test('morceau manquant à la finalisation : 409 avec la liste, puis assemblage', async () => {
+  const uploads = createUploadSessions({ dir: storeDir() });
+  const { uploadId } = uploads.create({ fileName: 'big.pdf', size: content.length, chunkSize: 10, sha256: sha256(content) });
+
+  await uploads.putChunk(uploadId, '3', chunk(3), sha256(chunk(3)));
+  await uploads.putChunk(uploadId, '1', chunk(1), sha256(chunk(1)));
+  await assert.rejects(uploads.complete(uploadId), (err) => err.statusCode === 409 && err.missingChunks.join() === '2');
+
+  const state = await uploads.putChunk(uploadId, '2', chunk(2), sha256(chunk(2)));
+  assert.deepStrictEqual(state.receivedChunks, [1, 2, 3]);
+  assert.strictEqual(state.bytesReceived, content.length);
+
+  const done = await uploads.complete(uploadId);
+  assert.strictEqual(done.status, 'complete');
+  assert.deepStrictEqual(fs.readFileSync(uploads.file(uploadId).path), content);
+});
+
+test('empreinte du fichier complet fausse : 422, session rouverte', async () => {
+  const uploads = createUploadSessions({ dir: storeDir() });
+  const { uploadId } = uploads.create({ fileName: 'big.pdf', size: 10, chunkSize: 10 });
+  await uploads.putChunk(uploadId, '1', chunk(1), sha256(chunk(1)));
+
+  await assert.rejects(uploads.complete(uploadId, { sha256: sha256('autre') }), (err) => err.statusCode === 422);
+  assert.strictEqual(uploads.get(uploadId).status, 'open');
+});
+
+test('redémarrage : morceaux reçus relus du disque, JSON non réécrit à chaque morceau', async () => {
+  const dir = storeDir();
+  const uploads = createUploadSessions({ dir });
+  const { uploadId } = uploads.create({ fileName: 'big.pdf', size: content.length, chunkSize: 10 });
+  const stored = fs.readFileSync(path.join(dir, `${uploadId}.json`), 'utf8');
+
+  await uploads.putChunk(uploadId, '1', chunk(1), sha256(chunk(1)));
+  await uploads.putChunk(uploadId, '3', chunk(3), sha256(chunk(3)));
+  assert.strictEqual(fs.readFileSync(path.join(dir, `${uploadId}.json`), 'utf8'), stored);
+  // écriture interrompue : ignorée au redémarrage
+  fs.writeFileSync(path.join(dir, uploadId, '2.part.dead.tmp'), 'partiel');
+
+  const restarted = createUploadSessions({ dir });
+  assert.deepStrictEqual(restarted.get(uploadId).receivedChunks, [1, 3]);
+  assert.deepStrictEqual(restarted.get(uploadId).missingChunks, [2]);
+  assert.strictEqual(fs.existsSync(path.join(dir, uploadId, '2.part.dead.tmp')), false);
+});
+
+test('session sans activité depuis ttlMs : supprimée avec ses morceaux', async () => {
+  const dir = storeDir();
+  const uploads = createUploadSessions({ dir, ttlMs: 100 });
+  const { uploadId } = uploads.create({ fileName: 'big.pdf', size: content.length, chunkSize: 10 });
+  await uploads.putChunk(uploadId, '1', chunk(1), sha256(chunk(1)));
+
+  await sleep(400);
+  assert.strictEqual(uploads.get(uploadId), null);
+  assert.deepStrictEqual(fs.readdirSync(dir), []);
+});
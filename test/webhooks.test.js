@@ -0,0 +1,142 @@
+// Tests de lib/webhooks.js contre un serveur HTTP local : signature, nouvelles tentatives
+// avec attente exponentielle, journal des envois, secret jamais écrit dans le store,
+// liste blanche des hôtes de rappel.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { createWebhookSender, validateCallbackUrl, parseAllowedHosts, signPayload } = require('../lib/webhooks');
+
+const storeDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-test-'));
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Destinataire local : répond avec les statuts de responses, dans l'ordre
+async function startReceiver(responses) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      received.push({ at: Date.now(), headers: req.headers, body });
+      res.statusCode = responses[Math.min(received.length, responses.length) - 1];
+      res.end(res.statusCode === 200 ? 'merci' : 'indisponible');
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, received, close: () => server.close() };
+}
+
+async function waitForStatus(sender, id, status) {
+  for (let i = 0; i < 100 && sender.get(id).status !== status; i++) await sleep(20);
+  assert.strictEqual(sender.get(id).status, status);
+}
+
+test('envoi signé, nouvelle tentative après un 500, journal des tentatives', async () => {
+  const receiver = await startReceiver([500, 500, 200]);
+  const dir = storeDir();
+  const sender = createWebhookSender({ storeDir: dir, baseDelayMs: 100 });
+
+  try {
+    const sent = sender.send({
+      url: receiver.url,
+      secret: 'secret-du-client',
+      event: 'job.completed',
+      jobId: 'job-1',
+      payload: { ok: true, pageCount: 2 }
+    });
+    assert.strictEqual(sent.signed, true);
+    await waitForStatus(sender, sent.id, 'delivered');
+
+    // signature vérifiable par le destinataire
+    const [first, second, third] = receiver.received;
+    const timestamp = third.headers['x-webhook-timestamp'];
+    assert.strictEqual(third.headers['x-webhook-signature'], signPayload('secret-du-client', timestamp, third.body));
+    assert.deepStrictEqual(JSON.parse(third.body), { ok: true, pageCount: 2 });
+    assert.strictEqual(third.headers['x-webhook-event'], 'job.completed');
+    assert.strictEqual(third.headers['x-job-id'], 'job-1');
+    assert.deepStrictEqual(receiver.received.map((r) => r.headers['x-webhook-attempt']), ['1', '2', '3']);
+
+    // attente exponentielle : 100 ms puis 200 ms
+    assert.ok(second.at - first.at >= 90, `1re attente ${second.at - first.at} ms`);
+    assert.ok(third.at - second.at >= 190, `2e attente ${third.at - second.at} ms`);
+
+    const delivery = sender.get(sent.id);
+    assert.deepStrictEqual(delivery.attempts.map((a) => [a.attempt, a.statusCode, a.error]), [
+      [1, 500, 'HTTP 500'],
+      [2, 500, 'HTTP 500'],
+      [3, 200, undefined]
+    ]);
+    assert.strictEqual(delivery.attempts[2].response, 'merci');
+    assert.strictEqual(delivery.nextAttemptAt, null);
+    assert.deepStrictEqual(sender.list({ jobId: 'job-1' }).map((d) => d.id), [sent.id]);
+
+    // le secret de la requête n'est jamais écrit dans le store
+    const stored = fs.readFileSync(path.join(dir, `${sent.id}.json`), 'utf8');
+    assert.ok(!stored.includes('secret-du-client'));
+  } finally {
+    receiver.close();
+  }
+});
+
+test('abandon après maxAttempts', async () => {
+  const receiver = await startReceiver([503]);
+  const sender = createWebhookSender({ storeDir: storeDir(), maxAttempts: 2, baseDelayMs: 20 });
+  try {
+    const sent = sender.send({ url: receiver.url, event: 'job.failed', payload: { ok: false } });
+    assert.strictEqual(sent.signed, false);
+    await waitForStatus(sender, sent.id, 'failed');
+    assert.strictEqual(receiver.received.length, 2);
+    assert.strictEqual(receiver.received[0].headers['x-webhook-signature'], undefined);
+  } finally {
+    receiver.close();
+  }
+});
+
+test('envoi en attente avec secret de requête au redémarrage : abandonné, pas envoyé mal signé', async () => {
+  const dir = storeDir();
+  const id = '00000000-0000-4000-8000-000000000002';
+  fs.writeFileSync(path.join(dir, `${id}.json`), JSON.stringify({
+    id,
+    url: 'http://127.0.0.1:9/hook',
+    event: 'job.completed',
+    jobId: null,
+    requestSecret: true,
+    body: '{}',
+    status: 'pending',
+    maxAttempts: 6,
+    attempts: [],
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    nextAttemptAt: new Date().toISOString(),
+    deliveredAt: null
+  }));
+
+  const sender = createWebhookSender({ storeDir: dir, defaultSecret: 'secret-serveur' });
+  const delivery = sender.get(id);
+  assert.strictEqual(delivery.status, 'failed');
+  assert.match(delivery.error, /callbackSecret/);
+  await sleep(50);
+  assert.deepStrictEqual(sender.get(id).attempts, []);
+});
+
+test('liste blanche des hôtes de rappel', () => {
+  const allowed = parseAllowedHosts(' hooks.example.com, *.Client.fr ,');
+  assert.deepStrictEqual(allowed, ['hooks.example.com', '*.client.fr']);
+
+  assert.strictEqual(validateCallbackUrl('https://hooks.example.com/a?b=1', allowed), 'https://hooks.example.com/a?b=1');
+  assert.strictEqual(validateCallbackUrl('https://api.client.fr/hook', allowed), 'https://api.client.fr/hook');
+
+  const rejected = (url, list, pattern) => assert.throws(
+    () => validateCallbackUrl(url, list),
+    (err) => err.statusCode === 400 && pattern.test(err.message)
+  );
+  rejected('http://169.254.169.254/latest/meta-data', allowed, /not allowed/);
+  rejected('http://localhost:3000/admin', allowed, /not allowed/);
+  rejected('https://client.fr.evil.com/hook', allowed, /not allowed/);
+  rejected('https://evilclient.fr/hook', allowed, /not allowed/);
+  rejected('ftp://hooks.example.com/x', allowed, /http\(s\)/);
+  rejected('https://hooks.example.com/x', [], /WEBHOOK_ALLOWED_HOSTS/);
+});
@@ -0,0 +1,114 @@
+// Tests de lib/zipReader.js : extraction une entrée à la fois, taille décompressée
+// comptée sur les octets produits (tailles déclarées mensongères).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { extractZipEntries } = require('../lib/zipReader');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-reader-test-'));
+
+// Archive ZIP minimale ; size = taille déclarée (par défaut la vraie)
+function buildZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const file of files) {
+    const name = Buffer.from(file.name);
+    const data = file.deflate === false ? file.data : zlib.deflateRawSync(file.data);
+    const method = file.deflate === false ? 0 : 8;
+    const size = file.size === undefined ? file.data.length : file.size;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(name.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(0x800, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, name, data);
+    centrals.push(central, name);
+    offset += local.length + name.length + data.length;
+  }
+  const cd = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(files.length, 8);
+  eocd.writeUInt16LE(files.length, 10);
+  eocd.writeUInt32LE(cd.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, cd, eocd]);
+}
+
+function writeZip(name, files) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, buildZip(files));
+  return file;
+}
+
+test('entrées extraites une à une, fichier supprimé à l\'entrée suivante', async () => {
+  const zip = writeZip('ok.zip', [
+    { name: 'a/logo.svg', data: Buffer.from('<svg/>') },
+    { name: 'b.pdf', data: Buffer.from('%PDF-1.4'), deflate: false },
+    { name: '__MACOSX/._b.pdf', data: Buffer.from('x') }
+  ]);
+
+  const seen = [];
+  let previous = null;
+  for await (const entry of extractZipEntries(zip, path.join(dir, 'ok_'))) {
+    if (previous) assert.strictEqual(fs.existsSync(previous), false);
+    seen.push([entry.name, fs.readFileSync(entry.path, 'utf8'), path.extname(entry.path)]);
+    previous = entry.path;
+  }
+  assert.deepStrictEqual(seen, [['a/logo.svg', '<svg/>', '.svg'], ['b.pdf', '%PDF-1.4', '.pdf']]);
+  assert.strictEqual(fs.existsSync(previous), false);
+});
+
+test('taille déclarée mensongère : entrée en erreur, pas de sortie au-delà', async () => {
+  const zip = writeZip('liar.zip', [
+    { name: 'bomb.pdf', data: Buffer.alloc(1024 * 1024), size: 10 },
+    { name: 'ok.svg', data: Buffer.from('<svg/>') }
+  ]);
+
+  const entries = [];
+  for await (const entry of extractZipEntries(zip, path.join(dir, 'liar_'))) entries.push(entry);
+  assert.strictEqual(entries[0].path, null);
+  assert.match(entries[0].error, /larger than its declared size/);
+  assert.strictEqual(entries[1].name, 'ok.svg');
+});
+
+test('taille totale au-delà du plafond : 413 avant toute extraction', async () => {
+  const zip = writeZip('big.zip', [
+    { name: 'one.pdf', data: Buffer.alloc(600 * 1024) },
+    { name: 'two.pdf', data: Buffer.alloc(600 * 1024) }
+  ]);
+
+  const names = [];
+  await assert.rejects(async () => {
+    for await (const entry of extractZipEntries(zip, path.join(dir, 'big_'), { maxTotalBytes: 1024 * 1024 })) {
+      names.push(entry.name);
+    }
+  }, (err) => err.statusCode === 413);
+  assert.deepStrictEqual(names, []);
+  assert.deepStrictEqual(fs.readdirSync(dir).filter((f) => f.startsWith('big_')), []);
+});
+
+test('archive sans répertoire central : 400', async () => {
+  const file = path.join(dir, 'broken.zip');
+  fs.writeFileSync(file, Buffer.from('PK\x03\x04 pas une archive'));
+  await assert.rejects(async () => {
+    for await (const entry of extractZipEntries(file, path.join(dir, 'broken_'))) assert.fail(entry.name);
+  }, (err) => err.statusCode === 400);
+});